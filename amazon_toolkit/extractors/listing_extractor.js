@@ -0,0 +1,588 @@
+/**
+ * @file listing_extractor.js
+ * @description Extracts ranked item lists from Amazon Best Sellers, Deals and Category pages
+ * @author Zakk Hoyt
+ * @namespace AmazonToolkit.Extractors.Listing
+ * 
+ * Extracts data from Amazon listing pages (the 'bestsellers', 'deals' and 'category' URL
+ * types from link_parser's determineURLType) including:
+ * - List title and category breadcrumb
+ * - One ranked item per listing card: rank, ASIN, title, price, rating, image
+ * - Deal percentage and countdown (when the card shows them)
+ * 
+ * Items use the same shape as product data (asin, title, titleCleaned, price, images,
+ * rating, url) plus `rank` and `deal`, so they can be passed directly to markdown_generator.
+ * Card fields that Best Sellers, Deals and Category pages share with search results are
+ * read with search_extractor's card helpers.
+ * 
+ * Supports listing URL formats:
+ * - /gp/bestsellers/CATEGORY/NODE, /best-sellers/..., /zgbs/... (Best Sellers)
+ * - /deals, /gp/goldbox (Deals)
+ * - /b/?node=NODE, /gp/browse.html?node=NODE (Category)
+ * 
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Element/querySelectorAll MDN querySelectorAll}
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('../../userscript_common/dom_helpers.js'),
+            require('../../userscript_common/logging_helpers.js'),
+            require('../helpers/validation_helpers.js'),
+            require('./shared_extractor.js'),
+            require('./product_extractor.js'),
+            require('./search_extractor.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('AmazonToolkit.Extractors.Listing', factory(
+            resolveNamespace('UserscriptCommon.DOM'),
+            resolveNamespace('UserscriptCommon.Logging'),
+            resolveNamespace('AmazonToolkit.Helpers.Validation'),
+            resolveNamespace('AmazonToolkit.Extractors.Shared'),
+            resolveNamespace('AmazonToolkit.Extractors.Product'),
+            resolveNamespace('AmazonToolkit.Extractors.Search')
+        ));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(DOM, Logging, Validation, Shared, Product, Search) {
+
+    const { safeQuery, safeQueryAll, safeText, safeAttr, parseHTML } = DOM;
+    const { logWarn, logError } = Logging;
+    const { isValidASIN } = Validation;
+    const { cleanProductTitle } = Shared;
+    const { parseProductPriceValue, extractProductCurrency, extractProductImageID, parseURLData } = Product;
+    const {
+        findSearchResultCards,
+        extractCardTitle,
+        extractCardURL,
+        extractCardPrice,
+        extractCardRating,
+        extractCardImage,
+        parseReviewCount,
+        getBaseURL
+    } = Search;
+
+    /**
+     * Per page type: card selectors (in order of preference) and list title selectors
+     * @constant {Object}
+     */
+    const LISTING_PAGE_TYPES = {
+        bestsellers: {
+            cardSelectors: [
+                '[id="gridItemRoot"]',
+                '.zg-grid-general-faceout',
+                'li.zg-item-immersion',
+                '.p13n-grid-content [data-asin]'
+            ],
+            titleSelectors: ['#zg_banner_text', '.zg-banner-landing-page-header', 'h1']
+        },
+        deals: {
+            cardSelectors: [
+                '[data-testid="product-card"]',
+                '[data-testid="deal-card"]',
+                '[class*="DealGridItem-module__dealItem"]',
+                '[data-deal-id]'
+            ],
+            titleSelectors: ['[data-testid="page-title"]', 'h1']
+        },
+        category: {
+            cardSelectors: [
+                '.octopus-pc-item[data-asin]',
+                '.a-carousel-card [data-asin]'
+            ],
+            titleSelectors: ['.bxw-pageheader__title h1', '#pageTitle', 'h1']
+        }
+    };
+
+    /**
+     * Title selectors for listing cards that do not use search-style h2 titles
+     * @constant {Array<string>}
+     */
+    const LISTING_TITLE_SELECTORS = [
+        '[class*="p13n-sc-css-line-clamp"]',
+        '.p13n-sc-truncate-desktop-type2',
+        '.p13n-sc-truncate',
+        '[data-testid="product-card-title"]',
+        '[class*="ProductCard-module__title"]',
+        '.octopus-pc-asin-title'
+    ];
+
+    /**
+     * Breadcrumb link selectors (in order of preference)
+     * @constant {Array<string>}
+     */
+    const BREADCRUMB_SELECTORS = [
+        '#wayfinding-breadcrumbs_feature_div li a',
+        '.a-breadcrumb li a',
+        '.bxw-breadcrumb a'
+    ];
+
+    /**
+     * Extracts ranked items from an Amazon Best Sellers page
+     * 
+     * @param {Document|string} source - DOM document or HTML string
+     * @param {string} [url] - Original URL (optional but recommended)
+     * @returns {Object|null} Listing data structure or null if extraction fails
+     * 
+     * @example
+     * // Browser context
+     * const bestSellers = extractBestSellersData(document, window.location.href);
+     * 
+     * // Returns:
+     * {
+     *   pageType: 'bestsellers',
+     *   listTitle: 'Best Sellers in Lab Wash Bottles',
+     *   category: 'Lab Wash Bottles',
+     *   breadcrumb: ['Industrial & Scientific', 'Lab & Scientific Products', 'Lab Wash Bottles'],
+     *   itemCount: 50,
+     *   items: [
+     *     {
+     *       rank: 1,
+     *       asin: 'B07ZZHSWSF',
+     *       title: '6PK Wash Bottle for Acetone, 1000ml',
+     *       titleCleaned: '6PK Wash Bottle for Acetone, 1000ml',
+     *       price: { current: '$18.99', currentValue: 18.99, currency: '$', list: null, listValue: null },
+     *       rating: { value: 4.6, count: 1432, stars: '4.6 out of 5 stars' },
+     *       images: { primary: 'https://m.media-amazon.com/images/I/61wPGPOK9gL._AC_UL300_SR300,200_.jpg', primaryId: '61wPGPOK9gL' },
+     *       deal: null,
+     *       url: { original: 'https://www.amazon.com/dp/B07ZZHSWSF', ... }
+     *     },
+     *     ...
+     *   ],
+     *   url: {...},
+     *   metadata: {
+     *     extractedAt: '2025-11-04T12:34:56.789Z',
+     *     extractionMethod: 'listing_extractor',
+     *     pageType: 'bestsellers'
+     *   }
+     * }
+     */
+    function extractBestSellersData(source, url) {
+        return extractListingData(source, url, 'bestsellers');
+    }
+
+    /**
+     * Extracts deal items from an Amazon Deals (Today's Deals / Goldbox) page
+     * Items carry `deal` data: { percentOff, label, timeRemaining, secondsRemaining, endsAt }.
+     * 
+     * @param {Document|string} source - DOM document or HTML string
+     * @param {string} [url] - Original URL (optional but recommended)
+     * @returns {Object|null} Listing data structure (see extractBestSellersData) or null
+     * 
+     * @example
+     * const deals = extractDealsData(document, window.location.href);
+     * deals.items[0].deal;
+     * // { percentOff: 25, label: '25% off', timeRemaining: '05:12:33', secondsRemaining: 18753, endsAt: '2025-11-04T17:47:29.789Z' }
+     */
+    function extractDealsData(source, url) {
+        return extractListingData(source, url, 'deals');
+    }
+
+    /**
+     * Extracts items from an Amazon Category (browse node) page
+     * 
+     * @param {Document|string} source - DOM document or HTML string
+     * @param {string} [url] - Original URL (optional but recommended)
+     * @returns {Object|null} Listing data structure (see extractBestSellersData) or null
+     * 
+     * @example
+     * const category = extractCategoryData(document, 'https://www.amazon.com/b/?node=317971011');
+     * category.breadcrumb;  // ['Industrial & Scientific', 'Lab & Scientific Products']
+     */
+    function extractCategoryData(source, url) {
+        return extractListingData(source, url, 'category');
+    }
+
+    /**
+     * Extracts ranked items from a listing page of the given type
+     * 
+     * @param {Document|string} source - DOM document or HTML string
+     * @param {string} [url] - Original URL
+     * @param {string} pageType - 'bestsellers', 'deals' or 'category'
+     * @returns {Object|null} Listing data structure or null if extraction fails
+     */
+    function extractListingData(source, url, pageType) {
+        const pageConfig = LISTING_PAGE_TYPES[pageType];
+        if (!pageConfig) {
+            logError('Unknown listing page type:', pageType);
+            return null;
+        }
+
+        // Convert source to document if string
+        let doc;
+        if (typeof source === 'string') {
+            doc = parseHTML(source);
+            if (!doc) {
+                logError('Failed to parse HTML string');
+                return null;
+            }
+        } else {
+            doc = source;
+        }
+
+        const extractedAt = new Date();
+        const baseURL = getBaseURL(url);
+
+        const cards = findListingCards(doc, pageType);
+        if (cards.length === 0) {
+            logWarn(`No listing cards found - may not be a ${pageType} page`);
+        }
+
+        const items = [];
+        for (const card of cards) {
+            const item = extractListingItem(card, items.length + 1, baseURL, extractedAt);
+            if (item) {
+                items.push(item);
+            }
+        }
+
+        const listTitle = extractListingTitle(doc, pageType);
+        const breadcrumb = extractListingBreadcrumb(doc, pageType, listTitle);
+
+        return {
+            pageType,
+            listTitle,
+            category: breadcrumb.length > 0 ? breadcrumb[breadcrumb.length - 1] : null,
+            breadcrumb,
+            itemCount: items.length,
+            items,
+            url: parseURLData(url, doc),
+            metadata: {
+                extractedAt: extractedAt.toISOString(),
+                extractionMethod: 'listing_extractor',
+                pageType
+            }
+        };
+    }
+
+    /**
+     * Finds all listing cards that carry an ASIN, in page order
+     * Category pages that render search-style result grids use the search card selectors.
+     * 
+     * @param {Document|Element} doc - DOM document or container element
+     * @param {string} pageType - 'bestsellers', 'deals' or 'category'
+     * @returns {Array<Element>} Listing card elements (deduplicated by ASIN)
+     */
+    function findListingCards(doc, pageType) {
+        if (pageType === 'category') {
+            const searchCards = findSearchResultCards(doc);
+            if (searchCards.length > 0) {
+                return searchCards;
+            }
+        }
+
+        for (const selector of LISTING_PAGE_TYPES[pageType].cardSelectors) {
+            const cards = Array.from(safeQueryAll(selector, doc))
+                .filter(card => extractCardASIN(card));
+            if (cards.length > 0) {
+                const seen = new Set();
+                return cards.filter(card => {
+                    const asin = extractCardASIN(card);
+                    if (seen.has(asin)) {
+                        return false;
+                    }
+                    seen.add(asin);
+                    return true;
+                });
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Extracts product-shaped data from a single listing card
+     * 
+     * @param {Element} card - Listing card element
+     * @param {number} position - 1-based position of the card on the page (rank when the card shows none)
+     * @param {string} [baseURL='https://www.amazon.com'] - Origin used to resolve relative links
+     * @param {Date} [extractedAt=new Date()] - Extraction time (deal end times are relative to it)
+     * @returns {Object|null} Listing item or null if the card has no ASIN
+     * 
+     * @example
+     * const item = extractListingItem(card, 1, 'https://www.amazon.com');
+     * // Returns: { rank: 1, asin: 'B07ZZHSWSF', title: '...', price: {...}, deal: null, ... }
+     */
+    function extractListingItem(card, position, baseURL = 'https://www.amazon.com', extractedAt = new Date()) {
+        const asin = extractCardASIN(card);
+        if (!asin) {
+            return null;
+        }
+
+        const title = extractListingCardTitle(card);
+        const image = extractCardImage(card);
+
+        return {
+            rank: extractCardRank(card) || position,
+            asin,
+            title,
+            titleCleaned: title ? cleanProductTitle(title) : null,
+            price: extractListingCardPrice(card, baseURL),
+            rating: extractListingCardRating(card),
+            images: {
+                primary: image,
+                primaryId: image ? extractProductImageID(image) : null
+            },
+            deal: extractCardDeal(card, extractedAt),
+            url: parseURLData(extractCardURL(card, asin, baseURL))
+        };
+    }
+
+    /**
+     * Gets the ASIN of a listing card (data-asin on the card or a child, or a /dp/ link)
+     * 
+     * @param {Element} card - Listing card element
+     * @returns {string|null} ASIN or null
+     */
+    function extractCardASIN(card) {
+        const dataASIN = safeAttr(card, 'data-asin') ||
+                         safeAttr(safeQuery('[data-asin]', card), 'data-asin');
+        if (dataASIN && isValidASIN(dataASIN.toUpperCase())) {
+            return dataASIN.toUpperCase();
+        }
+
+        for (const link of safeQueryAll('a[href*="/dp/"]', card)) {
+            const match = (safeAttr(link, 'href') || '').match(/\/dp\/([A-Z0-9]{10})/i);
+            if (match && isValidASIN(match[1].toUpperCase())) {
+                return match[1].toUpperCase();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Extracts the rank badge ('#1', '#12') from a Best Sellers card
+     * 
+     * @param {Element} card - Listing card element
+     * @returns {number|null} Rank or null if the card shows no rank badge
+     */
+    function extractCardRank(card) {
+        const text = safeText(safeQuery('.zg-bdg-text', card)) ||
+                     safeText(safeQuery('.zg-badge-text', card)) ||
+                     safeText(safeQuery('[class*="zg-bdg"]', card));
+        const match = text ? text.match(/#\s*(\d+)/) : null;
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Extracts the product title from a listing card
+     * Falls back to the search card title and then the image alt text.
+     * 
+     * @param {Element} card - Listing card element
+     * @returns {string|null} Title or null
+     */
+    function extractListingCardTitle(card) {
+        for (const selector of LISTING_TITLE_SELECTORS) {
+            const text = safeText(safeQuery(selector, card));
+            if (text) {
+                return text.replace(/\s+/g, ' ');
+            }
+        }
+
+        return extractCardTitle(card) || safeAttr(safeQuery('img[alt]', card), 'alt') || null;
+    }
+
+    /**
+     * Extracts price data from a listing card
+     * Best Sellers cards show the price as plain text instead of an .a-price block.
+     * 
+     * @param {Element} card - Listing card element
+     * @param {string} [baseURL] - Page origin (its marketplace decides the number format)
+     * @returns {Object|null} Price data: { current, currentValue, currency, list, listValue } or null
+     */
+    function extractListingCardPrice(card, baseURL) {
+        const price = extractCardPrice(card, baseURL);
+        if (price) {
+            return price;
+        }
+
+        const current = safeText(safeQuery('.p13n-sc-price', card)) ||
+                        safeText(safeQuery('[class*="p13n-sc-price"]', card));
+        if (!current) {
+            return null;
+        }
+
+        return {
+            current,
+            currentValue: parseProductPriceValue(current, baseURL),
+            currency: extractProductCurrency(current, baseURL),
+            list: null,
+            listValue: null
+        };
+    }
+
+    /**
+     * Extracts star rating and review count from a listing card
+     * 
+     * @param {Element} card - Listing card element
+     * @returns {Object|null} Rating data: { value, count, stars } or null
+     */
+    function extractListingCardRating(card) {
+        const rating = extractCardRating(card);
+        if (rating && rating.count === null) {
+            // Best Sellers cards show the count as a bare number next to the stars
+            rating.count = parseReviewCount(safeText(safeQuery('.a-icon-row .a-size-small', card)));
+        }
+        return rating;
+    }
+
+    /**
+     * Extracts deal percentage and countdown from a listing card
+     * 
+     * @param {Element} card - Listing card element
+     * @param {Date} extractedAt - Extraction time (the countdown is relative to it)
+     * @returns {Object|null} Deal data or null if the card shows no deal
+     * 
+     * @example
+     * // Card showing '25% off' and 'Ends in 05:12:33'
+     * // Returns: { percentOff: 25, label: '25% off', timeRemaining: '05:12:33', secondsRemaining: 18753, endsAt: '...' }
+     */
+    function extractCardDeal(card, extractedAt) {
+        const badgeText = safeText(safeQuery('[data-testid="deal-badge"]', card)) ||
+                          safeText(safeQuery('[class*="BadgeAutomated"]', card)) ||
+                          safeText(safeQuery('.a-badge-label .a-badge-text', card)) ||
+                          safeText(safeQuery('.savingsPercentage', card));
+        const timerText = safeText(safeQuery('[data-testid="deal-timer"]', card)) ||
+                          safeText(safeQuery('[class*="Countdown"]', card)) ||
+                          safeText(safeQuery('[id*="dealCountdown"]', card));
+
+        // 'Up to 30% off', '25% off'
+        const percentMatch = badgeText ? badgeText.match(/(?:up to\s+)?(\d{1,2})\s*%\s*off/i) : null;
+        const secondsRemaining = parseDealCountdown(timerText);
+
+        if (!percentMatch && secondsRemaining === null) {
+            return null;
+        }
+
+        return {
+            percentOff: percentMatch ? parseInt(percentMatch[1], 10) : null,
+            label: percentMatch ? percentMatch[0].replace(/\s+/g, ' ') : null,
+            timeRemaining: secondsRemaining !== null ? timerText.replace(/^\s*ends\s+in\s*/i, '').trim() : null,
+            secondsRemaining,
+            endsAt: secondsRemaining !== null
+                ? new Date(extractedAt.getTime() + secondsRemaining * 1000).toISOString()
+                : null
+        };
+    }
+
+    /**
+     * Parses a deal countdown into seconds
+     * 
+     * @param {string} text - Countdown text
+     * @returns {number|null} Seconds remaining or null if the text has no countdown
+     * 
+     * @example
+     * parseDealCountdown('Ends in 05:12:33');  // 18753
+     * parseDealCountdown('Ends in 2h 5m');     // 7500
+     * parseDealCountdown('Ends in 1 day');     // 86400
+     */
+    function parseDealCountdown(text) {
+        if (!text) {
+            return null;
+        }
+
+        const clock = text.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+        if (clock) {
+            // HH:MM:SS, or MM:SS when only two parts are shown
+            return clock[3] !== undefined
+                ? parseInt(clock[1], 10) * 3600 + parseInt(clock[2], 10) * 60 + parseInt(clock[3], 10)
+                : parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+        }
+
+        const unitSeconds = { d: 86400, h: 3600, m: 60, s: 1 };
+        let seconds = 0;
+        let matched = false;
+        for (const match of text.matchAll(/(\d+)\s*(d|h|m|s)(?:ays?|ours?|rs?|ins?|inutes?|ecs?|econds?)?\b/gi)) {
+            seconds += parseInt(match[1], 10) * unitSeconds[match[2].toLowerCase()];
+            matched = true;
+        }
+
+        return matched ? seconds : null;
+    }
+
+    /**
+     * Extracts the list title (e.g. 'Best Sellers in Lab Wash Bottles')
+     * 
+     * @param {Document} doc - DOM document
+     * @param {string} pageType - 'bestsellers', 'deals' or 'category'
+     * @returns {string|null} List title or null
+     */
+    function extractListingTitle(doc, pageType) {
+        for (const selector of LISTING_PAGE_TYPES[pageType].titleSelectors) {
+            const text = safeText(safeQuery(selector, doc));
+            if (text) {
+                return text.replace(/\s+/g, ' ');
+            }
+        }
+
+        // <title>Amazon.com Best Sellers: Best Lab Wash Bottles</title>
+        const titleTag = safeText(safeQuery('title', doc));
+        return titleTag ? titleTag.replace(/^Amazon\.com\s*(?::\s*)?/i, '').trim() || null : null;
+    }
+
+    /**
+     * Extracts the category breadcrumb, from the top-level department down
+     * 
+     * Best Sellers pages show the path in the department tree: ancestors are links,
+     * the current category is the selected item. Other pages use breadcrumb links.
+     * 
+     * @param {Document} doc - DOM document
+     * @param {string} pageType - 'bestsellers', 'deals' or 'category'
+     * @param {string|null} listTitle - List title (last-resort category name)
+     * @returns {Array<string>} Category names (empty if none found)
+     * 
+     * @example
+     * extractListingBreadcrumb(doc, 'bestsellers', 'Best Sellers in Lab Wash Bottles');
+     * // ['Industrial & Scientific', 'Lab & Scientific Products', 'Lab Wash Bottles']
+     */
+    function extractListingBreadcrumb(doc, pageType, listTitle) {
+        const clean = (text) => (text || '').replace(/^[‹<›>\s]+/, '').replace(/\s+/g, ' ').trim();
+
+        if (pageType === 'bestsellers') {
+            const treeItems = Array.from(safeQueryAll('[role="treeitem"]', doc));
+            const selectedIndex = treeItems.findIndex(item =>
+                safeQuery('[class*="zg-selected"], .zg_selected', item) ||
+                /zg-selected|zg_selected/.test(safeAttr(item, 'class') || ''));
+            if (selectedIndex >= 0) {
+                const path = treeItems.slice(0, selectedIndex + 1)
+                    .map(item => clean(safeText(item)))
+                    .filter(name => name && !/^any department$/i.test(name));
+                if (path.length > 0) {
+                    return path;
+                }
+            }
+        }
+
+        for (const selector of BREADCRUMB_SELECTORS) {
+            const path = Array.from(safeQueryAll(selector, doc))
+                .map(link => clean(safeText(link)))
+                .filter(name => name);
+            if (path.length > 0) {
+                return path;
+            }
+        }
+
+        // 'Best Sellers in Lab Wash Bottles' -> ['Lab Wash Bottles']
+        const titleMatch = listTitle ? listTitle.match(/(?:best sellers|deals|new releases)\s+in\s+(.+)$/i) : null;
+        return titleMatch ? [titleMatch[1].trim()] : [];
+    }
+
+    return {
+        extractBestSellersData,
+        extractDealsData,
+        extractCategoryData,
+        extractListingData,
+        findListingCards,
+        extractListingItem,
+        extractCardASIN,
+        extractCardRank,
+        extractCardDeal,
+        parseDealCountdown,
+        extractListingTitle,
+        extractListingBreadcrumb
+    };
+});
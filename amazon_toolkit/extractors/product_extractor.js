@@ -6,11 +6,15 @@
  * 
  * Extracts all product-related data from Amazon product pages including:
  * - Basic info (ASIN, title, brand, description)
+ * - "About this item" feature bullets and A+ (manufacturer / brand story) content
  * - Pricing (current price, list price, savings)
  * - Images (primary image, additional images, variant images)
  * - Variants (color, size, style options)
+ * - Variation matrix (parent ASIN, dimensions, child ASINs from the twister data)
+ * - Specifications (technical details, dimensions, weight, model number, Best Sellers Rank)
  * - Shipping and availability
- * - Rating and review count
+ * - Buy-box seller (ships from / sold by, seller ID, fulfilled by Amazon) and other offers
+ * - Rating, review count, star histogram, "Customers say" summary and top reviews
  * - URL data (original URL, clean URL, query parameters)
  * 
  * Returns rich data structures that contain everything needed for:
@@ -23,552 +27,1881 @@
 
 'use strict';
 
-/**
- * Extracts complete product data from an Amazon product page
- * 
- * @param {Document|string} source - DOM document or HTML string
- * @param {string} [url] - Original URL (optional but recommended)
- * @returns {Object|null} Product data structure or null if extraction fails
- * 
- * @example
- * // Browser context
- * const productData = extractProductData(document, window.location.href);
- * 
- * // Node.js context with HTML string
- * const productData = extractProductData(htmlString, url);
- * 
- * // Returns:
- * {
- *   asin: 'B08N5WRWNW',
- *   title: 'Nintendo Switch – OLED Model',
- *   titleCleaned: 'Nintendo Switch – OLED Model',
- *   brand: 'Nintendo',
- *   description: 'Meet the newest member...',
- *   price: {
- *     current: '$349.99',
- *     currentValue: 349.99,
- *     currency: 'USD',
- *     list: '$359.99',
- *     savings: '$10.00',
- *     savingsPercent: '3%'
- *   },
- *   images: {
- *     primary: 'https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1500_.jpg',
- *     primaryId: '61CGHv6kmWL',
- *     additional: [...],
- *     variants: {...}
- *   },
- *   variant: {
- *     type: 'Color',
- *     value: 'White',
- *     selected: true
- *   },
- *   availability: 'In Stock',
- *   shipping: 'FREE delivery',
- *   rating: {
- *     value: 4.8,
- *     count: 15234,
- *     stars: '4.8 out of 5 stars'
- *   },
- *   url: {
- *     original: 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&...',
- *     originalClean: 'https://www.amazon.com/dp/B08N5WRWNW',
- *     protocol: 'https:',
- *     hostname: 'www.amazon.com',
- *     pathname: '/dp/B08N5WRWNW',
- *     queryParams: {
- *       th: '1',
- *       psc: '1',
- *       // ... all original parameters
- *     },
- *     variantParams: {
- *       th: '1',
- *       psc: '1'
- *     },
- *     trackingParams: {
- *       pd_rd_w: '...',
- *       // ... all tracking parameters
- *     }
- *   },
- *   metadata: {
- *     extractedAt: '2025-11-04T12:34:56.789Z',
- *     extractionMethod: 'product_extractor',
- *     pageType: 'product'
- *   }
- * }
- */
-function extractProductData(source, url) {
-    // Convert source to document if string
-    let doc;
-    if (typeof source === 'string') {
-        doc = parseHTMLString(source);
-        if (!doc) {
-            logError('Failed to parse HTML string');
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('../../userscript_common/dom_helpers.js'),
+            require('../../userscript_common/logging_helpers.js'),
+            require('../helpers/validation_helpers.js'),
+            require('../helpers/marketplace_helpers.js'),
+            require('./shared_extractor.js'),
+            require('./store_extractor.js'),
+            require('../markdown/markdown_formatter.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('AmazonToolkit.Extractors.Product', factory(
+            resolveNamespace('UserscriptCommon.DOM'),
+            resolveNamespace('UserscriptCommon.Logging'),
+            resolveNamespace('AmazonToolkit.Helpers.Validation'),
+            resolveNamespace('AmazonToolkit.Helpers.Marketplace'),
+            resolveNamespace('AmazonToolkit.Extractors.Shared'),
+            resolveNamespace('AmazonToolkit.Extractors.Store'),
+            resolveNamespace('AmazonToolkit.Markdown.Formatter')
+        ));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(DOM, Logging, Validation, Marketplace, Shared, Store, Formatter) {
+
+    const { safeQuery, safeQueryAll, safeText, safeAttr, parseHTML } = DOM;
+    const { logWarn, logError } = Logging;
+    const { isValidASIN, isAmazonImageURL } = Validation;
+    const { getMarketplace, parsePrice, extractCurrencySymbol, formatPriceValue } = Marketplace;
+    const {
+        createExtractionTrace,
+        summarizeExtractionTrace,
+        extractProductASIN,
+        extractProductTitle,
+        cleanProductTitle,
+        extractProductBrand,
+        extractProductDescription,
+        extractProductPrice,
+        extractProductImageURL,
+        extractProductVariant,
+        assessProductConfidence
+    } = Shared;
+    const { extractSellerId } = Store;
+    const { stripHTML, normalizeWhitespace } = Formatter;
+
+    /**
+     * Extracts complete product data from an Amazon product page
+     * 
+     * @param {Document|string} source - DOM document or HTML string
+     * @param {string} [url] - Original URL (optional but recommended)
+     * @param {Object} [options={}] - Extraction options
+     * @param {boolean} [options.provenance=false] - Record which fallback strategy produced each field.
+     *     Field values are unchanged; `metadata.provenance` lists, for the asin, title, brand,
+     *     description, price, images and variant fields, the strategy that produced the value
+     *     and the strategies that were tried and that failed.
+     * @param {number} [options.maxReviews=5] - Number of top reviews to include in `rating.reviews`
+     * @returns {Object|null} Product data structure or null if extraction fails
+     * 
+     * @example
+     * // Browser context
+     * const productData = extractProductData(document, window.location.href);
+     * 
+     * // With provenance
+     * const tracedData = extractProductData(document, window.location.href, { provenance: true });
+     * // tracedData.title: 'Nintendo Switch – OLED Model'
+     * // tracedData.metadata.provenance.title:
+     * //   { source: 'selector:#productTitle', tried: ['jsonld', 'meta:og:title', ...], failed: ['jsonld', ...] }
+     * 
+     * // Node.js context with HTML string
+     * const productData = extractProductData(htmlString, url);
+     * 
+     * // Returns:
+     * {
+     *   asin: 'B08N5WRWNW',
+     *   title: 'Nintendo Switch – OLED Model',
+     *   titleCleaned: 'Nintendo Switch – OLED Model',
+     *   brand: 'Nintendo',
+     *   description: 'Meet the newest member...',
+     *   featureBullets: ['7-inch OLED screen - Enjoy vivid colors and crisp contrast...', ...],
+     *   aplusContent: {
+     *     modules: [{ section: 'aplus', type: 'module-9', heading: '...', blocks: [...], imageIds: [...], images: [...] }]
+     *   },
+     *   price: {
+     *     current: '$349.99',
+     *     currentValue: 349.99,
+     *     currency: 'USD',
+     *     list: '$359.99',
+     *     savings: '$10.00',
+     *     savingsPercent: '3%'
+     *   },
+     *   images: {
+     *     primary: 'https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1500_.jpg',
+     *     primaryId: '61CGHv6kmWL',
+     *     additional: [...],
+     *     variants: {...}
+     *   },
+     *   variant: {
+     *     type: 'Color',
+     *     value: 'White',
+     *     selected: true
+     *   },
+     *   variations: {
+     *     parentAsin: 'B09V3HN1KC',
+     *     selectedAsin: 'B08N5WRWNW',
+     *     dimensions: [{ key: 'color_name', label: 'Color', values: ['Neon Blue', 'White'], selected: 'White' }],
+     *     children: [{ asin: 'B08N5WRWNW', values: { color_name: 'White' }, selected: true, available: true, price: null }, ...],
+     *     childCount: 2
+     *   },
+     *   availability: 'In Stock',
+     *   shipping: 'FREE delivery',
+     *   seller: {
+     *     id: 'ACTB8CBED46SR',
+     *     soldBy: 'hBARSCI',
+     *     shipsFrom: 'Amazon',
+     *     fulfilledByAmazon: true,
+     *     soldByAmazon: false,
+     *     profileURL: 'https://www.amazon.com/gp/help/seller/at-a-glance.html?seller=ACTB8CBED46SR',
+     *     storeURL: 'https://www.amazon.com/s?me=ACTB8CBED46SR',
+     *     otherOffers: { count: 3, lowestPrice: '$60.19', lowestPriceValue: 60.19, url: '...' }
+     *   },
+     *   rating: {
+     *     value: 4.8,
+     *     count: 15234,
+     *     stars: '4.8 out of 5 stars',
+     *     histogram: { 1: 2, 2: 1, 3: 2, 4: 9, 5: 86 },
+     *     summary: 'Customers find the headphones comfortable and like the sound quality...',
+     *     reviews: [{ id: 'R3F8640GGCRMBO', author: 'Jane D.', rating: 5, title: 'Good product', ... }]
+     *   },
+     *   details: {
+     *     attributes: { 'Item model number': 'HEG-001', 'Item Weight': '14.9 ounces', ... },
+     *     dimensions: { raw: '9.5 x 4 x 0.55 inches', length: 9.5, width: 4, height: 0.55, unit: 'in' },
+     *     weight: { raw: '14.9 ounces', value: 14.9, unit: 'oz', grams: 422.41 },
+     *     modelNumber: 'HEG-001',
+     *     manufacturer: 'Nintendo',
+     *     firstAvailable: { raw: 'October 8, 2021', date: '2021-10-08' },
+     *     bestSellersRank: [{ rank: 12, category: 'Video Games', url: '...' }, ...]
+     *   },
+     *   url: {
+     *     original: 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&...',
+     *     originalClean: 'https://www.amazon.com/dp/B08N5WRWNW',
+     *     protocol: 'https:',
+     *     hostname: 'www.amazon.com',
+     *     pathname: '/dp/B08N5WRWNW',
+     *     queryParams: {
+     *       th: '1',
+     *       psc: '1',
+     *       // ... all original parameters
+     *     },
+     *     variantParams: {
+     *       th: '1',
+     *       psc: '1'
+     *     },
+     *     trackingParams: {
+     *       pd_rd_w: '...',
+     *       // ... all tracking parameters
+     *     }
+     *   },
+     *   metadata: {
+     *     extractedAt: '2025-11-04T12:34:56.789Z',
+     *     extractionMethod: 'product_extractor',
+     *     pageType: 'product',
+     *     confidence: {
+     *       overall: 0.86,
+     *       fields: {
+     *         title: { confidence: 0.97, sources: ['jsonld', 'selector:#productTitle'], conflicts: [] },
+     *         price: {
+     *           confidence: 0.51,
+     *           sources: ['jsonld'],
+     *           conflicts: [{ source: 'selector:.a-price .a-offscreen', value: '$359.99' }]
+     *         },
+     *         // ... brand, image
+     *       },
+     *       conflicts: [{ field: 'price', source: 'selector:.a-price .a-offscreen', value: '$359.99' }]
+     *     }
+     *   }
+     * }
+     */
+    function extractProductData(source, url, options = {}) {
+        const { provenance = false, maxReviews = 5 } = options;
+
+        // Convert source to document if string
+        let doc;
+        if (typeof source === 'string') {
+            doc = parseHTML(source);
+            if (!doc) {
+                logError('Failed to parse HTML string');
+                return null;
+            }
+        } else {
+            doc = source;
+        }
+
+        // One trace per traced field (undefined traces are ignored by the extractors)
+        const traces = {};
+        if (provenance) {
+            for (const field of ['asin', 'title', 'brand', 'description', 'price', 'images', 'variant']) {
+                traces[field] = createExtractionTrace();
+            }
+        }
+
+        // Extract basic data
+        const asin = extractProductASIN(doc, url, traces.asin);
+        if (!asin) {
+            logWarn('Could not extract ASIN - may not be a product page',
+                provenance ? summarizeExtractionTrace(traces.asin) : '');
             return null;
         }
-    } else {
-        doc = source;
+
+        // Extract all product properties
+        const title = extractProductTitle(doc, traces.title);
+        const brand = extractProductBrand(doc, traces.brand);
+        const description = extractProductDescription(doc, traces.description);
+        const featureBullets = extractProductFeatureBullets(doc);
+        const aplusContent = extractProductAplusContent(doc);
+        const priceData = extractProductPriceData(doc, traces.price, url);
+        const imageData = extractProductImageData(doc, traces.images);
+        const variant = extractProductVariant(doc, traces.variant);
+        const availability = extractProductAvailability(doc);
+        const shipping = extractProductShipping(doc);
+        const seller = extractProductSeller(doc, url);
+        const rating = extractProductRating(doc, { maxReviews });
+        const variations = extractProductVariations(doc, url);
+        const details = extractProductDetails(doc);
+        const urlData = parseURLData(url, doc);
+
+        // Build comprehensive data structure
+        const productData = {
+            asin,
+            title,
+            titleCleaned: title ? cleanProductTitle(title) : null,
+            brand,
+            description,
+            featureBullets,
+            aplusContent,
+            price: priceData,
+            images: imageData,
+            variant,
+            variations,
+            availability,
+            shipping,
+            seller,
+            rating,
+            details,
+            url: urlData,
+            metadata: {
+                extractedAt: new Date().toISOString(),
+                extractionMethod: 'product_extractor',
+                pageType: 'product'
+            }
+        };
+
+        // Cross-check the key fields against every source that produced a candidate
+        productData.metadata.confidence = assessProductConfidence(doc, {
+            title,
+            brand,
+            price: priceData ? priceData.current : null,
+            image: imageData.primary
+        }, url);
+
+        if (provenance) {
+            productData.metadata.provenance = {};
+            for (const [field, trace] of Object.entries(traces)) {
+                productData.metadata.provenance[field] = summarizeExtractionTrace(trace);
+            }
+        }
+
+        return productData;
     }
 
-    // Extract basic data
-    const asin = extractProductASIN(doc, url);
-    if (!asin) {
-        logWarn('Could not extract ASIN - may not be a product page');
-        return null;
+    /**
+     * List price ("List Price:", "Typical price:") in the product's own price block, in order of preference
+     * Only struck-through prices count: the same blocks also hold unstruck per-unit prices ('$1.13 / count'),
+     * and recommendation carousels elsewhere on the page have their own struck-through prices.
+     * @constant {Array<string>}
+     */
+    const LIST_PRICE_SELECTORS = [
+        '#corePriceDisplay_desktop_feature_div .basisPrice .a-price.a-text-price .a-offscreen',
+        '#corePriceDisplay_desktop_feature_div .a-price.a-text-price[data-a-strike="true"] .a-offscreen',
+        '#corePrice_desktop .a-price.a-text-price[data-a-strike="true"] .a-offscreen',
+        '#corePrice_feature_div .a-price.a-text-price[data-a-strike="true"] .a-offscreen'
+    ];
+
+    /**
+     * Extracts comprehensive price data including current, list, and savings
+     * Savings are only reported when the list price is higher than the current price.
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace() (records the current price source)
+     * @param {string|Object} [marketplace] - Page URL, hostname or marketplace (decides the number format)
+     * @returns {Object|null} Price data object or null
+     * 
+     * @example
+     * // Returns:
+     * {
+     *   current: '$349.99',
+     *   currentValue: 349.99,
+     *   currency: 'USD',
+     *   list: '$359.99',
+     *   listValue: 359.99,
+     *   savings: '$10.00',
+     *   savingsValue: 10.00,
+     *   savingsPercent: '3%'
+     * }
+     */
+    function extractProductPriceData(doc, trace, marketplace) {
+        const currentPrice = extractProductPrice(doc, trace);
+        if (!currentPrice) {
+            return null;
+        }
+
+        const priceData = describeProductPrice(currentPrice, marketplace);
+
+        // Try to extract list price (if on sale)
+        try {
+            const listPriceElement = LIST_PRICE_SELECTORS
+                .map(selector => safeQuery(selector, doc))
+                .find(Boolean);
+            if (listPriceElement) {
+                const listPrice = safeText(listPriceElement);
+                if (listPrice && listPrice !== priceData.current) {
+                    priceData.list = listPrice;
+                    priceData.listValue = parseProductPriceValue(listPrice, marketplace);
+
+                    // Calculate savings
+                    if (priceData.listValue && priceData.currentValue && priceData.listValue > priceData.currentValue) {
+                        priceData.savingsValue = priceData.listValue - priceData.currentValue;
+                        priceData.savings = getMarketplace(marketplace)
+                            ? formatPriceValue(priceData.savingsValue, marketplace)
+                            : `${priceData.currency}${priceData.savingsValue.toFixed(2)}`;
+                        priceData.savingsPercent = `${Math.round((priceData.savingsValue / priceData.listValue) * 100)}%`;
+                    }
+                }
+            }
+        } catch (error) {
+            // Optional field, continue without
+        }
+
+        return priceData;
+    }
+
+    /**
+     * Describes a price from extractProductPrice() as { current, currentValue, currency }
+     * A numeric price (JSON-LD) is formatted the way the marketplace displays it.
+     * 
+     * @param {string|number} price - Displayed price or price value
+     * @param {string|Object} [marketplace] - Page URL, hostname or marketplace (see marketplace_helpers.js)
+     * @returns {Object} { current: string, currentValue: number|null, currency: string }
+     * 
+     * @example
+     * describeProductPrice(1299, 'https://www.amazon.de/dp/B0CHX1W1XY');
+     * // Returns: { current: '1.299,00 €', currentValue: 1299, currency: '€' }
+     */
+    function describeProductPrice(price, marketplace) {
+        const current = typeof price === 'number' ? formatPriceValue(price, marketplace) : price;
+        return {
+            current,
+            currentValue: parseProductPriceValue(price, marketplace),
+            currency: extractProductCurrency(current, marketplace)
+        };
     }
 
-    // Extract all product properties
-    const title = extractProductTitle(doc);
-    const brand = extractProductBrand(doc);
-    const description = extractProductDescription(doc);
-    const priceData = extractProductPriceData(doc);
-    const imageData = extractProductImageData(doc);
-    const variant = extractProductVariant(doc);
-    const availability = extractProductAvailability(doc);
-    const shipping = extractProductShipping(doc);
-    const rating = extractProductRating(doc);
-    const urlData = parseURLData(url, doc);
-
-    // Build comprehensive data structure
-    const productData = {
-        asin,
-        title,
-        titleCleaned: title ? cleanProductTitle(title) : null,
-        brand,
-        description,
-        price: priceData,
-        images: imageData,
-        variant,
-        availability,
-        shipping,
-        rating,
-        url: urlData,
-        metadata: {
-            extractedAt: new Date().toISOString(),
-            extractionMethod: 'product_extractor',
-            pageType: 'product'
+    /**
+     * Parses price string to numeric value
+     * @param {string|number} priceStr - Price string like '$349.99' or '1.299,00 €' (numbers pass through)
+     * @param {string|Object} [marketplace] - Page URL, hostname or marketplace (see marketplace_helpers.js)
+     * @returns {number|null} Numeric price value
+     */
+    function parseProductPriceValue(priceStr, marketplace) {
+        if (!priceStr) return null;
+        return parsePrice(priceStr, marketplace);
+    }
+
+    /**
+     * Extracts currency symbol from price string
+     * @param {string} priceStr - Price string like '$349.99' or '1.299,00 €'
+     * @param {string|Object} [marketplace] - Page URL, hostname or marketplace (used when the string has no symbol)
+     * @returns {string} Currency symbol or '$'
+     */
+    function extractProductCurrency(priceStr, marketplace) {
+        return extractCurrencySymbol(priceStr, marketplace);
+    }
+
+    /**
+     * Extracts comprehensive image data including primary, additional, and variant images
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace() (records the primary image source)
+     * @returns {Object} Image data object
+     * 
+     * @example
+     * // Returns:
+     * {
+     *   primary: 'https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1500_.jpg',
+     *   primaryId: '61CGHv6kmWL',
+     *   additional: [
+     *     { url: 'https://...', imageId: '...' },
+     *     ...
+     *   ],
+     *   variants: {
+     *     'White': { url: '...', imageId: '...' },
+     *     'Black': { url: '...', imageId: '...' }
+     *   }
+     * }
+     */
+    function extractProductImageData(doc, trace) {
+        const imageData = {
+            primary: null,
+            primaryId: null,
+            additional: [],
+            variants: {}
+        };
+
+        // Extract primary image
+        const primaryURL = extractProductImageURL(doc, trace);
+        if (primaryURL) {
+            imageData.primary = primaryURL;
+            imageData.primaryId = extractProductImageID(primaryURL);
         }
-    };
 
-    return productData;
-}
+        // Extract additional images from image gallery
+        try {
+            const thumbnails = safeQueryAll('.imageThumbnail img', doc);
+            for (const thumb of thumbnails) {
+                const src = safeAttr(thumb, 'src');
+                if (src && isAmazonImageURL(src)) {
+                    const imageId = extractProductImageID(src);
+                    if (imageId && imageId !== imageData.primaryId) {
+                        imageData.additional.push({
+                            url: src,
+                            imageId
+                        });
+                    }
+                }
+            }
+        } catch (error) {
+            // Additional images are optional
+        }
 
-/**
- * Extracts comprehensive price data including current, list, and savings
- * 
- * @param {Document} doc - DOM document
- * @returns {Object|null} Price data object or null
- * 
- * @example
- * // Returns:
- * {
- *   current: '$349.99',
- *   currentValue: 349.99,
- *   currency: 'USD',
- *   list: '$359.99',
- *   listValue: 359.99,
- *   savings: '$10.00',
- *   savingsValue: 10.00,
- *   savingsPercent: '3%'
- * }
- */
-function extractProductPriceData(doc) {
-    const currentPrice = extractProductPrice(doc);
-    if (!currentPrice) {
+        // Extract variant images
+        try {
+            const variantImages = safeQueryAll('.variation_color_name img', doc);
+            for (const img of variantImages) {
+                const src = safeAttr(img, 'src');
+                const alt = safeAttr(img, 'alt');
+                if (src && alt && isAmazonImageURL(src)) {
+                    const imageId = extractProductImageID(src);
+                    if (imageId) {
+                        imageData.variants[alt] = {
+                            url: src,
+                            imageId,
+                            variantName: alt
+                        };
+                    }
+                }
+            }
+        } catch (error) {
+            // Variant images are optional
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Extracts image ID from Amazon image URL
+     * @param {string} imageUrl - Amazon image URL
+     * @returns {string|null} Image ID or null
+     * 
+     * @example
+     * extractProductImageID('https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1500_.jpg')
+     * // Returns: '61CGHv6kmWL'
+     */
+    function extractProductImageID(imageUrl) {
+        if (!imageUrl) return null;
+        const match = imageUrl.match(/\/images\/I\/([A-Za-z0-9+_-]+)\./);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Extracts availability status
+     * @param {Document} doc - DOM document
+     * @returns {string|null} Availability status
+     */
+    function extractProductAvailability(doc) {
+        try {
+            const selectors = [
+                '#availability span',
+                '#availability .a-declarative',
+                '.a-color-success',
+                '.a-color-price'
+            ];
+
+            for (const selector of selectors) {
+                const element = safeQuery(selector, doc);
+                if (element) {
+                    const text = safeText(element);
+                    if (text) return text;
+                }
+            }
+        } catch (error) {
+            // Optional field
+        }
         return null;
     }
 
-    const priceData = {
-        current: currentPrice,
-        currentValue: parseProductPriceValue(currentPrice),
-        currency: extractProductCurrency(currentPrice)
-    };
+    /**
+     * Extracts shipping information
+     * @param {Document} doc - DOM document
+     * @returns {string|null} Shipping information
+     */
+    function extractProductShipping(doc) {
+        try {
+            const selectors = [
+                '#deliveryBlockMessage',
+                '#mir-layout-DELIVERY_BLOCK',
+                '.a-color-success.a-text-bold'
+            ];
 
-    // Try to extract list price (if on sale)
-    try {
-        const listPriceElement = safeQuery('.a-price.a-text-price .a-offscreen', doc);
-        if (listPriceElement) {
-            const listPrice = safeText(listPriceElement);
-            if (listPrice && listPrice !== currentPrice) {
-                priceData.list = listPrice;
-                priceData.listValue = parseProductPriceValue(listPrice);
-                
-                // Calculate savings
-                if (priceData.listValue && priceData.currentValue) {
-                    priceData.savingsValue = priceData.listValue - priceData.currentValue;
-                    priceData.savings = `${priceData.currency}${priceData.savingsValue.toFixed(2)}`;
-                    priceData.savingsPercent = `${Math.round((priceData.savingsValue / priceData.listValue) * 100)}%`;
+            for (const selector of selectors) {
+                const element = safeQuery(selector, doc);
+                if (element) {
+                    const text = safeText(element);
+                    if (text && text.toLowerCase().includes('delivery')) {
+                        return text;
+                    }
                 }
             }
+        } catch (error) {
+            // Optional field
         }
-    } catch (error) {
-        // Optional field, continue without
+        return null;
     }
 
-    return priceData;
-}
+    /**
+     * Seller ID of Amazon.com itself (`smid` / `seller` value on offers sold by Amazon)
+     * @type {string}
+     */
+    const AMAZON_SELLER_ID = 'ATVPDKIKX0DER';
 
-/**
- * Parses price string to numeric value
- * @param {string} priceStr - Price string like '$349.99'
- * @returns {number|null} Numeric price value
- */
-function parseProductPriceValue(priceStr) {
-    if (!priceStr) return null;
-    const cleaned = priceStr.replace(/[$£€¥₹,\s]/g, '');
-    const value = parseFloat(cleaned);
-    return isNaN(value) ? null : value;
-}
+    /**
+     * Extracts the buy-box seller and the other offers on a product page
+     * 
+     * The seller ID comes from the "Sold by" profile link, the buy-box form or the `smid`
+     * URL parameter (see `extractSellerId()` in store_extractor.js). `storeURL` is the
+     * seller's storefront, which `extractStoreData()` can extract.
+     * 
+     * @param {Document} doc - DOM document
+     * @param {string} [url] - Page URL (for the `smid` parameter and absolute links)
+     * @returns {Object|null} Seller data, or null if the page shows no seller
+     * 
+     * @example
+     * extractProductSeller(document, 'https://www.amazon.com/dp/B07ZZHSWSF');
+     * // Returns:
+     * {
+     *   id: 'ACTB8CBED46SR',
+     *   soldBy: 'hBARSCI',
+     *   shipsFrom: 'Amazon',
+     *   fulfilledByAmazon: true,
+     *   soldByAmazon: false,
+     *   profileURL: 'https://www.amazon.com/gp/help/seller/at-a-glance.html?seller=ACTB8CBED46SR',
+     *   storeURL: 'https://www.amazon.com/s?me=ACTB8CBED46SR',
+     *   otherOffers: {
+     *     count: 3,
+     *     lowestPrice: '$60.19',
+     *     lowestPriceValue: 60.19,
+     *     url: 'https://www.amazon.com/gp/offer-listing/B07ZZHSWSF?condition=NEW'
+     *   }
+     * }
+     */
+    function extractProductSeller(doc, url) {
+        try {
+            let origin = 'https://www.amazon.com';
+            try {
+                origin = new URL(url).origin;
+            } catch (error) {
+                // Keep the default
+            }
 
-/**
- * Extracts currency symbol from price string
- * @param {string} priceStr - Price string like '$349.99'
- * @returns {string} Currency symbol or '$'
- */
-function extractProductCurrency(priceStr) {
-    if (!priceStr) return '$';
-    const match = priceStr.match(/^([£€¥₹$])/);
-    return match ? match[1] : '$';
-}
+            let { shipsFrom, soldBy } = extractBuyBoxMerchant(doc);
 
-/**
- * Extracts comprehensive image data including primary, additional, and variant images
- * 
- * @param {Document} doc - DOM document
- * @returns {Object} Image data object
- * 
- * @example
- * // Returns:
- * {
- *   primary: 'https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1500_.jpg',
- *   primaryId: '61CGHv6kmWL',
- *   additional: [
- *     { url: 'https://...', imageId: '...' },
- *     ...
- *   ],
- *   variants: {
- *     'White': { url: '...', imageId: '...' },
- *     'Black': { url: '...', imageId: '...' }
- *   }
- * }
- */
-function extractProductImageData(doc) {
-    const imageData = {
-        primary: null,
-        primaryId: null,
-        additional: [],
-        variants: {}
-    };
+            const profileLink = safeQuery('#sellerProfileTriggerId', doc) ||
+                                safeQuery('#merchant-info a[href*="seller="]', doc);
+            const profileHref = safeAttr(profileLink, 'href');
+            if (!soldBy && profileLink) {
+                soldBy = safeText(profileLink);
+            }
+
+            const id = (profileHref ? extractSellerId(null, profileHref) : null) ||
+                       safeAttr(safeQuery('#merchantID, input[name="merchantID"]', doc), 'value') ||
+                       (url ? extractSellerId(null, url) : null);
+
+            const otherOffers = extractOtherOffers(doc, origin);
+            if (!soldBy && !shipsFrom && !id && !otherOffers) {
+                return null;
+            }
 
-    // Extract primary image
-    const primaryURL = extractProductImageURL(doc);
-    if (primaryURL) {
-        imageData.primary = primaryURL;
-        imageData.primaryId = extractProductImageID(primaryURL);
-    }
-
-    // Extract additional images from image gallery
-    try {
-        const thumbnails = safeQueryAll('.imageThumbnail img', doc);
-        for (const thumb of thumbnails) {
-            const src = safeAttr(thumb, 'src');
-            if (src && isAmazonImageURL(src)) {
-                const imageId = extractProductImageID(src);
-                if (imageId && imageId !== imageData.primaryId) {
-                    imageData.additional.push({
-                        url: src,
-                        imageId
-                    });
+            const soldByAmazon = id === AMAZON_SELLER_ID || /^amazon(\.[a-z.]+)?$/i.test(soldBy || '');
+            const fulfilledByAmazon = soldByAmazon ||
+                /^amazon/i.test(shipsFrom || '') ||
+                /[?&]isAmazonFulfilled=1/.test(profileHref || '');
+
+            return {
+                id: id || null,
+                soldBy: soldBy || null,
+                shipsFrom: shipsFrom || null,
+                fulfilledByAmazon,
+                soldByAmazon,
+                profileURL: id && !soldByAmazon ? `${origin}/gp/help/seller/at-a-glance.html?seller=${id}` : null,
+                storeURL: id && !soldByAmazon ? `${origin}/s?me=${id}` : null,
+                otherOffers
+            };
+        } catch (error) {
+            // Optional field
+        }
+        return null;
+    }
+
+    /**
+     * Reads the "Ships from" and "Sold by" names from the buy box
+     * 
+     * Handles the offer-display feature rows, the older tabular buy box, and the
+     * single `#merchant-info` sentence ('Ships from and sold by Amazon.com.').
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Object} { shipsFrom, soldBy } (either may be null)
+     */
+    function extractBuyBoxMerchant(doc) {
+        const readRow = (selectors) => {
+            for (const selector of selectors) {
+                const text = cleanDetailText(safeText(safeQuery(selector, doc)));
+                if (text) {
+                    return text;
                 }
             }
+            return null;
+        };
+
+        let shipsFrom = readRow([
+            '#fulfillerInfoFeature_feature_div .offer-display-feature-text-message',
+            '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Ships from"] span'
+        ]);
+        let soldBy = readRow([
+            '#merchantInfoFeature_feature_div .offer-display-feature-text-message',
+            '#tabular-buybox .tabular-buybox-text[tabular-attribute-name="Sold by"] span'
+        ]);
+
+        if (!shipsFrom && !soldBy) {
+            const merchantInfo = cleanDetailText(safeText(safeQuery('#merchant-info', doc)));
+            const both = merchantInfo.match(/ships from and sold by\s+(.+?)\.?$/i);
+            if (both) {
+                shipsFrom = soldBy = both[1];
+            } else {
+                const sold = merchantInfo.match(/sold by\s+(.+?)(?:\s+and\s+|\.?$)/i);
+                const ships = merchantInfo.match(/(?:ships from|fulfilled by)\s+(.+?)\.?$/i);
+                soldBy = sold ? sold[1] : null;
+                shipsFrom = ships ? ships[1] : null;
+            }
         }
-    } catch (error) {
-        // Additional images are optional
-    }
-
-    // Extract variant images
-    try {
-        const variantImages = safeQueryAll('.variation_color_name img', doc);
-        for (const img of variantImages) {
-            const src = safeAttr(img, 'src');
-            const alt = safeAttr(img, 'alt');
-            if (src && alt && isAmazonImageURL(src)) {
-                const imageId = extractProductImageID(src);
-                if (imageId) {
-                    imageData.variants[alt] = {
-                        url: src,
-                        imageId,
-                        variantName: alt
-                    };
+
+        return { shipsFrom, soldBy };
+    }
+
+    /**
+     * Extracts the other-offers summary ('New (3) from $60.19')
+     * 
+     * @param {Document} doc - DOM document
+     * @param {string} origin - Page origin for the offer listing URL
+     * @returns {Object|null} { count, lowestPrice, lowestPriceValue, url }, or null if the page links no other offers
+     */
+    function extractOtherOffers(doc, origin) {
+        const link = safeQuery('#aod-ingress-link', doc) ||
+                     safeQuery('#olpLinkWidget_feature_div a[href*="offer-listing"]', doc) ||
+                     safeQuery('#olp-upd-new a', doc);
+        if (!link) {
+            return null;
+        }
+
+        // Amazon counts every new offer, including the buy-box one
+        const text = cleanDetailText(safeText(link));
+        const countMatch = text.match(/\((\d+)\)/);
+        const lowestPrice = safeText(safeQuery('.a-price .a-offscreen', link)) ||
+                            (text.match(/from\s+(\S+)/i) || [])[1] ||
+                            null;
+        const href = safeAttr(link, 'href');
+
+        let offersURL = null;
+        if (href) {
+            try {
+                const parsed = new URL(href, origin);
+                const condition = parsed.searchParams.get('condition');
+                offersURL = `${parsed.origin}${parsed.pathname.replace(/\/ref=.*$/, '')}` +
+                    (condition ? `?condition=${condition}` : '');
+            } catch (error) {
+                // Leave the URL out
+            }
+        }
+
+        return {
+            count: countMatch ? parseInt(countMatch[1], 10) : null,
+            lowestPrice,
+            lowestPriceValue: parseProductPriceValue(lowestPrice, origin),
+            url: offersURL
+        };
+    }
+
+    /**
+     * Extracts rating and review information
+     * @param {Document} doc - DOM document
+     * @param {Object} [options={}] - Options
+     * @param {number} [options.maxReviews=5] - Number of top reviews to include
+     * @returns {Object|null} Rating data object
+     * 
+     * @example
+     * // Returns:
+     * {
+     *   value: 4.8,
+     *   count: 15234,
+     *   stars: '4.8 out of 5 stars',
+     *   histogram: { 1: 2, 2: 1, 3: 2, 4: 9, 5: 86 },   // percent of ratings per star, or null
+     *   summary: 'Customers find the headphones comfortable...',   // "Customers say", or null
+     *   reviews: [{ id, author, rating, title, date, dateRaw, verified, helpfulVotes, body, url }, ...]
+     * }
+     */
+    function extractProductRating(doc, options = {}) {
+        const { maxReviews = 5 } = options;
+        try {
+            // Extract rating value
+            const ratingElement = safeQuery('[data-hook="rating-out-of-text"]', doc) ||
+                                 safeQuery('.a-icon-alt', doc);
+            if (!ratingElement) return null;
+
+            const ratingText = safeText(ratingElement);
+            if (!ratingText) return null;
+
+            const ratingMatch = ratingText.match(/(\d+\.?\d*)\s*out of\s*5/i);
+            if (!ratingMatch) return null;
+
+            const ratingValue = parseFloat(ratingMatch[1]);
+
+            // Extract review count
+            let reviewCount = null;
+            const countElement = safeQuery('[data-hook="total-review-count"]', doc) ||
+                                safeQuery('#acrCustomerReviewText', doc);
+            if (countElement) {
+                const countText = safeText(countElement);
+                if (countText) {
+                    const countMatch = countText.match(/([\d,]+)\s*ratings?/i);
+                    if (countMatch) {
+                        reviewCount = parseInt(countMatch[1].replace(/,/g, ''));
+                    }
                 }
             }
+
+            return {
+                value: ratingValue,
+                count: reviewCount,
+                stars: ratingText,
+                histogram: extractRatingHistogram(doc),
+                summary: extractReviewSummary(doc),
+                reviews: extractTopReviews(doc, maxReviews)
+            };
+        } catch (error) {
+            // Optional field
         }
-    } catch (error) {
-        // Variant images are optional
+        return null;
     }
 
-    return imageData;
-}
+    /**
+     * Extracts the 5 → 1 star histogram as the percent of ratings per star
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Object|null} Percent keyed by star (1 to 5), or null if the page has no histogram
+     * 
+     * @example
+     * extractRatingHistogram(document);
+     * // { 1: 7, 2: 0, 3: 0, 4: 0, 5: 93 }
+     */
+    function extractRatingHistogram(doc) {
+        const histogram = {};
 
-/**
- * Extracts image ID from Amazon image URL
- * @param {string} imageUrl - Amazon image URL
- * @returns {string|null} Image ID or null
- * 
- * @example
- * extractProductImageID('https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1500_.jpg')
- * // Returns: '61CGHv6kmWL'
- */
-function extractProductImageID(imageUrl) {
-    if (!imageUrl) return null;
-    const match = imageUrl.match(/\/images\/I\/([A-Za-z0-9+_-]+)\./);
-    return match ? match[1] : null;
-}
+        // Each row is labelled '93 percent of reviews have 5 stars'
+        for (const row of safeQueryAll('#histogramTable [aria-label], .cr-widget-histogram [aria-label]', doc)) {
+            const match = (safeAttr(row, 'aria-label') || '').match(/(\d+)\s*percent.*?(\d)\s*stars?/i);
+            if (match && !(match[2] in histogram)) {
+                histogram[match[2]] = parseInt(match[1], 10);
+            }
+        }
 
-/**
- * Extracts availability status
- * @param {Document} doc - DOM document
- * @returns {string|null} Availability status
- */
-function extractProductAvailability(doc) {
-    try {
+        // Older layout: '5 star' label and '93%' value in table cells
+        if (Object.keys(histogram).length === 0) {
+            for (const row of safeQueryAll('#histogramTable tr', doc)) {
+                const text = safeText(row) || '';
+                const star = text.match(/(\d)\s*star/i);
+                const percent = text.match(/(\d+)%/);
+                if (star && percent) {
+                    histogram[star[1]] = parseInt(percent[1], 10);
+                }
+            }
+        }
+
+        return Object.keys(histogram).length > 0 ? histogram : null;
+    }
+
+    /**
+     * Extracts the AI-generated "Customers say" review summary
+     * @param {Document} doc - DOM document
+     * @returns {string|null} Summary text, or null if the page has none
+     */
+    function extractReviewSummary(doc) {
         const selectors = [
-            '#availability span',
-            '#availability .a-declarative',
-            '.a-color-success',
-            '.a-color-price'
+            '#product-summary p span',
+            '[data-hook="cr-insights-widget-summary"]',
+            '#product-summary'
         ];
 
         for (const selector of selectors) {
-            const element = safeQuery(selector, doc);
-            if (element) {
-                const text = safeText(element);
-                if (text) return text;
+            const text = readDetailText(safeQuery(selector, doc));
+            if (text) {
+                return text;
             }
         }
-    } catch (error) {
-        // Optional field
+        return null;
     }
-    return null;
-}
 
-/**
- * Extracts shipping information
- * @param {Document} doc - DOM document
- * @returns {string|null} Shipping information
- */
-function extractProductShipping(doc) {
-    try {
+    /**
+     * Extracts the top reviews shown on the product page
+     * 
+     * @param {Document} doc - DOM document
+     * @param {number} [maxReviews=5] - Maximum number of reviews to return
+     * @returns {Array<Object>} Reviews in page order
+     * 
+     * @example
+     * extractTopReviews(document, 1);
+     * // [{
+     * //   id: 'R3F8640GGCRMBO',
+     * //   author: 'Adilene Martinez',
+     * //   rating: 5,
+     * //   title: 'Good product',
+     * //   date: '2025-06-27',
+     * //   dateRaw: 'Reviewed in the United States on June 27, 2025',
+     * //   verified: true,
+     * //   helpfulVotes: 0,
+     * //   body: 'Definitely worth every dime.',
+     * //   url: '/gp/customer-reviews/R3F8640GGCRMBO/ref=cm_cr_dp_d_rvw_ttl?ie=UTF8'
+     * // }]
+     */
+    function extractTopReviews(doc, maxReviews = 5) {
+        const reviews = [];
+
+        for (const element of safeQueryAll('[data-hook="review"]', doc)) {
+            if (reviews.length >= maxReviews) {
+                break;
+            }
+            try {
+                reviews.push(extractReview(element));
+            } catch (error) {
+                // Continue
+            }
+        }
+
+        return reviews;
+    }
+
+    /**
+     * Extracts one review card
+     * @param {Element} element - `[data-hook="review"]` element
+     * @returns {Object} Review data
+     */
+    function extractReview(element) {
+        const ratingText = safeText(safeQuery('[data-hook="review-star-rating"], [data-hook="cmps-review-star-rating"]', element)) || '';
+        const ratingMatch = ratingText.match(/(\d+\.?\d*)\s*out of\s*5/i);
+
+        // The title link also holds the star icon text; the title itself is the last span
+        const titleElement = safeQuery('[data-hook="review-title"]', element);
+        const titleSpans = safeQueryAll(':scope > span:not(.a-letter-space)', titleElement || element);
+        const title = titleElement
+            ? readDetailText(titleSpans.length > 0 ? titleSpans[titleSpans.length - 1] : titleElement)
+            : '';
+
+        const dateRaw = safeText(safeQuery('[data-hook="review-date"]', element));
+        const helpfulText = safeText(safeQuery('[data-hook="helpful-vote-statement"]', element)) || '';
+        const helpfulMatch = helpfulText.match(/([\d,]+)\s+(?:people|person)/i);
+
+        // review-body also holds the "Read more" expander; prefer the text container inside it
+        const bodyElement = safeQuery('[data-hook="review-collapsed"]', element) ||
+                            safeQuery('[data-hook="review-body"]', element);
+
+        return {
+            id: element.id || null,
+            author: safeText(safeQuery('.a-profile-name', element)),
+            rating: ratingMatch ? parseFloat(ratingMatch[1]) : null,
+            title: title || null,
+            date: parseDetailDate(dateRaw),
+            dateRaw,
+            verified: Boolean(safeQuery('[data-hook="avp-badge"], [data-hook="avp-badge-linkless"]', element)),
+            helpfulVotes: helpfulMatch
+                ? parseInt(helpfulMatch[1].replace(/,/g, ''), 10)
+                : (/^one person/i.test(helpfulText) ? 1 : 0),
+            body: readDetailText(bodyElement) || null,
+            url: safeAttr(titleElement, 'href')
+        };
+    }
+
+    /**
+     * Extracts the "About this item" feature bullets
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Array<string>} Bullet texts in page order (empty if the page has none)
+     * 
+     * @example
+     * const bullets = extractProductFeatureBullets(document);
+     * // Returns: ['Six pack Wash Bottles, 1000ml capacity each', 'Made of low density polyethylene', ...]
+     */
+    function extractProductFeatureBullets(doc) {
         const selectors = [
-            '#deliveryBlockMessage',
-            '#mir-layout-DELIVERY_BLOCK',
-            '.a-color-success.a-text-bold'
+            '#feature-bullets ul li',
+            '#productFactsDesktopExpander ul li'
         ];
 
         for (const selector of selectors) {
-            const element = safeQuery(selector, doc);
-            if (element) {
-                const text = safeText(element);
-                if (text && text.toLowerCase().includes('delivery')) {
-                    return text;
-                }
+            const bullets = safeQueryAll(selector, doc)
+                // Skip hidden items such as the "Make sure this fits" fitment bullet
+                .filter(item => !/aok-hidden/.test(safeAttr(item, 'class') || '') &&
+                                safeAttr(item, 'id') !== 'replacementPartsFitmentBullet')
+                .map(item => normalizeWhitespace(stripHTML(item.innerHTML)))
+                .filter(text => text);
+            if (bullets.length > 0) {
+                return bullets;
             }
         }
-    } catch (error) {
-        // Optional field
+
+        return [];
     }
-    return null;
-}
 
-/**
- * Extracts rating and review information
- * @param {Document} doc - DOM document
- * @returns {Object|null} Rating data object
- * 
- * @example
- * // Returns:
- * {
- *   value: 4.8,
- *   count: 15234,
- *   stars: '4.8 out of 5 stars'
- * }
- */
-function extractProductRating(doc) {
-    try {
-        // Extract rating value
-        const ratingElement = safeQuery('[data-hook="rating-out-of-text"]', doc) ||
-                             safeQuery('.a-icon-alt', doc);
-        if (!ratingElement) return null;
+    /**
+     * Extracts the A+ ("From the manufacturer") and brand story modules as text blocks and images
+     * 
+     * Each module keeps its headings and paragraphs in page order. Image IDs are the
+     * /images/I/ ID or, for A+ media library images, the media ID.
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Object|null} { modules } or null if the page has no A+ content
+     * 
+     * @example
+     * const aplus = extractProductAplusContent(document);
+     * // Returns:
+     * {
+     *   modules: [
+     *     {
+     *       section: 'aplus',
+     *       type: 'module-9',
+     *       heading: 'Eyelash Cleaning',
+     *       blocks: [
+     *         { type: 'heading', text: 'Eyelash Cleaning' },
+     *         { type: 'text', text: 'So cute and min eyelash water bottle for extensions, ...' },
+     *         ...
+     *       ],
+     *       imageIds: ['72309fab-041b-4f95-b290-14282c8d97f0', ...],
+     *       images: ['https://m.media-amazon.com/images/S/aplus-media-library-service-media/72309fab-....jpg', ...]
+     *     },
+     *     ...
+     *   ]
+     * }
+     */
+    function extractProductAplusContent(doc) {
+        const sections = [
+            { section: 'brand-story', selector: '#aplusBrandStory_feature_div .aplus-module' },
+            { section: 'aplus', selector: '#aplus .aplus-module, #aplus3p_feature_div .aplus-module' }
+        ];
 
-        const ratingText = safeText(ratingElement);
-        if (!ratingText) return null;
+        const modules = [];
+        const seen = new Set();
+        for (const { section, selector } of sections) {
+            for (const element of safeQueryAll(selector, doc)) {
+                if (seen.has(element)) {
+                    continue;
+                }
+                seen.add(element);
 
-        const ratingMatch = ratingText.match(/(\d+\.?\d*)\s*out of\s*5/i);
-        if (!ratingMatch) return null;
-
-        const ratingValue = parseFloat(ratingMatch[1]);
-
-        // Extract review count
-        let reviewCount = null;
-        const countElement = safeQuery('[data-hook="total-review-count"]', doc) ||
-                            safeQuery('#acrCustomerReviewText', doc);
-        if (countElement) {
-            const countText = safeText(countElement);
-            if (countText) {
-                const countMatch = countText.match(/([\d,]+)\s*ratings?/i);
-                if (countMatch) {
-                    reviewCount = parseInt(countMatch[1].replace(/,/g, ''));
+                const module = extractAplusModule(element, section);
+                if (module.blocks.length > 0 || module.imageIds.length > 0) {
+                    modules.push(module);
                 }
             }
         }
 
+        return modules.length > 0 ? { modules } : null;
+    }
+
+    /**
+     * Extracts the text blocks and images of one A+ module
+     * @param {Element} element - .aplus-module element
+     * @param {string} section - 'aplus' or 'brand-story'
+     * @returns {Object} { section, type, heading, blocks, imageIds, images }
+     */
+    function extractAplusModule(element, section) {
+        // 'celwidget aplus-module 3p-module-b aplus-standard' -> '3p-module-b'
+        const type = (safeAttr(element, 'class') || '')
+            .split(/\s+/)
+            .find(name => name && !['celwidget', 'aplus-module', 'aplus-standard'].includes(name)) || null;
+
+        const blocks = [];
+        for (const block of safeQueryAll('h1, h2, h3, h4, h5, h6, p, li', element)) {
+            // Paragraphs inside list items are read with their item
+            if (block.tagName.toLowerCase() !== 'li' && block.closest && block.closest('li') &&
+                element.contains(block.closest('li'))) {
+                continue;
+            }
+            const text = normalizeWhitespace(stripHTML(block.innerHTML));
+            if (text) {
+                blocks.push({ type: /^h\d$/i.test(block.tagName) ? 'heading' : 'text', text });
+            }
+        }
+
+        const imageIds = [];
+        const images = [];
+        for (const image of safeQueryAll('img', element)) {
+            // Lazy-loaded images keep the real URL in data-src and a placeholder in src
+            const src = safeAttr(image, 'data-src') || safeAttr(image, 'src');
+            const imageId = src && isAmazonImageURL(src) ? extractAplusImageID(src) : null;
+            if (imageId && !imageIds.includes(imageId)) {
+                imageIds.push(imageId);
+                images.push(src);
+            }
+        }
+
+        const heading = blocks.find(block => block.type === 'heading');
         return {
-            value: ratingValue,
-            count: reviewCount,
-            stars: ratingText
+            section,
+            type,
+            heading: heading ? heading.text : null,
+            blocks,
+            imageIds,
+            images
         };
-    } catch (error) {
-        // Optional field
     }
-    return null;
-}
 
-/**
- * Parses URL into comprehensive data structure
- * Separates original URL, query parameters, variant parameters, and tracking parameters
- * 
- * @param {string} [url] - URL to parse
- * @param {Document} [doc] - Document (fallback to extract URL from canonical)
- * @returns {Object|null} URL data object
- * 
- * @example
- * // Returns:
- * {
- *   original: 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&pd_rd_w=...',
- *   originalClean: 'https://www.amazon.com/dp/B08N5WRWNW',
- *   protocol: 'https:',
- *   hostname: 'www.amazon.com',
- *   pathname: '/dp/B08N5WRWNW',
- *   queryParams: { th: '1', psc: '1', pd_rd_w: '...', ... },
- *   variantParams: { th: '1', psc: '1' },
- *   trackingParams: { pd_rd_w: '...', pd_rd_r: '...', ... }
- * }
- */
-function parseURLData(url, doc) {
-    // Try to get URL from parameter or canonical link
-    let urlString = url;
-    if (!urlString && doc) {
-        const canonical = safeQuery('link[rel="canonical"]', doc);
-        if (canonical) {
-            urlString = safeAttr(canonical, 'href');
+    /**
+     * Extracts the image ID from a product or A+ media library image URL
+     * 
+     * @param {string} imageUrl - Image URL
+     * @returns {string|null} Image ID or null (placeholders have none)
+     * 
+     * @example
+     * extractAplusImageID('https://m.media-amazon.com/images/S/aplus-media-library-service-media/aab436b2-255c-4666-af48-5ccd1761ae16.__CR0,0,970,600_PT0_SX970_V1___.jpg');
+     * // Returns: 'aab436b2-255c-4666-af48-5ccd1761ae16'
+     */
+    function extractAplusImageID(imageUrl) {
+        const productImageId = extractProductImageID(imageUrl);
+        if (productImageId) {
+            return productImageId;
         }
+        const match = imageUrl.match(/\/images\/S\/aplus-media[^/]*\/(?:[^/]+\/)*([A-Za-z0-9-]+)\./);
+        return match ? match[1] : null;
     }
 
-    if (!urlString) {
+    /**
+     * Twister (variation selector) data keys read from the page scripts
+     * @constant {Array<string>}
+     */
+    const TWISTER_DATA_KEYS = [
+        'parentAsin',
+        'currentAsin',
+        'dimensions',
+        'variationValues',
+        'variationDisplayLabels',
+        'selectedVariationValues',
+        'dimensionToAsinMap',
+        'dimensionValuesDisplayData'
+    ];
+
+    /**
+     * Extracts the full variation matrix from the twister data embedded in a product page
+     * 
+     * Children come from `dimensionToAsinMap` (dimension value indices per child ASIN),
+     * falling back to `dimensionValuesDisplayData` (display values per child ASIN).
+     * Availability and price come from the twister swatches when the page renders them; the
+     * selected child falls back to the buy box price.
+     * 
+     * @param {Document} doc - DOM document
+     * @param {string|Object} [marketplace] - Page URL, hostname or marketplace (formats the buy box price)
+     * @returns {Object|null} Variation data, or null if the product has no variations
+     * 
+     * @example
+     * const variations = extractProductVariations(document);
+     * // Returns:
+     * {
+     *   parentAsin: 'B0CCV6BL51',
+     *   selectedAsin: 'B0D84C1M6C',
+     *   dimensions: [
+     *     { key: 'color_name', label: 'Color', values: ['Black', 'Blue', 'Pink', 'Transparent'], selected: 'Transparent' },
+     *     { key: 'size_name', label: 'Size', values: ['150ml/5oz', '250ml/8oz'], selected: '150ml/5oz' }
+     *   ],
+     *   children: [
+     *     {
+     *       asin: 'B0D84C1M6C',
+     *       values: { color_name: 'Transparent', size_name: '150ml/5oz' },
+     *       selected: true,
+     *       available: true,
+     *       price: { current: '$8.99', currentValue: 8.99, currency: '$' }
+     *     },
+     *     { asin: 'B0CBVBHM6J', values: { color_name: 'Blue', size_name: '250ml/8oz' }, selected: false, available: false, price: null },
+     *     ...
+     *   ],
+     *   childCount: 6
+     * }
+     */
+    function extractProductVariations(doc, marketplace) {
+        try {
+            const twister = extractTwisterData(doc);
+            if (!twister || !Array.isArray(twister.dimensions) || twister.dimensions.length === 0) {
+                return null;
+            }
+
+            const variationValues = twister.variationValues || {};
+            const labels = twister.variationDisplayLabels || {};
+            const selectedIndices = twister.selectedVariationValues || {};
+
+            const dimensions = twister.dimensions.map(key => {
+                const values = Array.isArray(variationValues[key]) ? variationValues[key] : [];
+                const selectedIndex = selectedIndices[key];
+                return {
+                    key,
+                    label: labels[key] || formatDimensionLabel(key),
+                    values,
+                    selected: typeof selectedIndex === 'number' && selectedIndex >= 0
+                        ? values[selectedIndex] || null
+                        : null
+                };
+            });
+
+            const children = extractVariationChildren(twister, dimensions);
+            if (children.length === 0) {
+                return null;
+            }
+
+            const selectedAsin = twister.currentAsin || null;
+            const swatches = extractTwisterSwatches(doc);
+
+            for (const child of children) {
+                const swatch = swatches[child.asin];
+                child.selected = child.asin === selectedAsin;
+                child.available = swatch ? swatch.available : null;
+                child.price = swatch ? swatch.price : null;
+            }
+
+            // The buy box shows the selected child's price; its values complete any dimension
+            // the page did not mark as selected
+            const selectedChild = children.find(child => child.selected);
+            if (selectedChild) {
+                if (!selectedChild.price) {
+                    const currentPrice = extractProductPrice(doc);
+                    selectedChild.price = currentPrice ? describeProductPrice(currentPrice, marketplace) : null;
+                }
+                for (const dimension of dimensions) {
+                    dimension.selected = dimension.selected || selectedChild.values[dimension.key] || null;
+                }
+            }
+
+            return {
+                parentAsin: twister.parentAsin || null,
+                selectedAsin,
+                dimensions,
+                children,
+                childCount: children.length
+            };
+        } catch (error) {
+            logWarn('Failed to extract product variations:', error);
+        }
         return null;
     }
 
-    try {
-        const urlObj = new URL(urlString);
-        const queryParams = {};
-        const variantParams = {};
-        const trackingParams = {};
+    /**
+     * Finds the child ASIN for a combination of dimension values
+     * Dimensions can be given by key ('color_name') or label ('Color'); dimensions left
+     * out keep the currently selected value.
+     * 
+     * @param {Object} variations - Variation data from extractProductVariations()
+     * @param {Object} selection - Dimension values, e.g. { Color: 'Blue', Size: '250ml/8oz' }
+     * @returns {Object|null} Matching child ({ asin, values, ... }), or null if no child matches
+     *     or the selection names a dimension the product does not have
+     * 
+     * @example
+     * const child = findVariationChild(productData.variations, { Color: 'Black' });
+     * // Returns: { asin: 'B0D9TG1HHN', values: { color_name: 'Black', size_name: '150ml/5oz' }, ... }
+     * 
+     * generateProductLink({ ...productData, asin: child.asin });
+     */
+    function findVariationChild(variations, selection) {
+        if (!variations || !Array.isArray(variations.children) || !selection) {
+            return null;
+        }
+
+        const isKnownDimension = (name) => variations.dimensions.some(dimension =>
+            dimension.key === name || dimension.label === name);
+        if (!Object.keys(selection).every(isKnownDimension)) {
+            return null;
+        }
+
+        const wanted = {};
+        for (const dimension of variations.dimensions) {
+            const value = selection[dimension.key] !== undefined
+                ? selection[dimension.key]
+                : selection[dimension.label];
+            wanted[dimension.key] = value !== undefined ? value : dimension.selected;
+        }
+
+        return variations.children.find(child =>
+            Object.entries(wanted).every(([key, value]) =>
+                value === null || value === undefined || child.values[key] === value)) || null;
+    }
+
+    /**
+     * Builds one child per ASIN with its value for every dimension
+     * @param {Object} twister - Twister data from extractTwisterData()
+     * @param {Array<Object>} dimensions - Dimensions ({ key, values }) in twister order
+     * @returns {Array<Object>} Children ({ asin, values }), ordered by dimension value indices
+     */
+    function extractVariationChildren(twister, dimensions) {
+        const children = [];
+
+        if (twister.dimensionToAsinMap) {
+            // '3_0' -> index 3 of the first dimension's values, index 0 of the second's
+            for (const [combination, asin] of Object.entries(twister.dimensionToAsinMap)) {
+                const indices = String(combination).split('_').map(index => parseInt(index, 10));
+                const values = {};
+                dimensions.forEach((dimension, position) => {
+                    values[dimension.key] = dimension.values[indices[position]] || null;
+                });
+                children.push({ asin, values, indices });
+            }
+        } else if (twister.dimensionValuesDisplayData) {
+            for (const [asin, displayValues] of Object.entries(twister.dimensionValuesDisplayData)) {
+                const values = {};
+                dimensions.forEach((dimension, position) => {
+                    values[dimension.key] = Array.isArray(displayValues) ? displayValues[position] || null : null;
+                });
+                const indices = dimensions.map(dimension => dimension.values.indexOf(values[dimension.key]));
+                children.push({ asin, values, indices });
+            }
+        }
+
+        children.sort((a, b) => {
+            for (let position = 0; position < a.indices.length; position++) {
+                if (a.indices[position] !== b.indices[position]) {
+                    return a.indices[position] - b.indices[position];
+                }
+            }
+            return 0;
+        });
+
+        return children
+            .filter(child => isValidASIN(child.asin))
+            .map(({ asin, values }) => ({ asin, values }));
+    }
+
+    /**
+     * Reads the twister data object literal from the page scripts
+     * The twister data is JavaScript rather than JSON (e.g. trailing commas), so each key
+     * is read and parsed on its own.
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Object|null} Twister data ({ parentAsin, dimensions, ... }) or null if not found
+     */
+    function extractTwisterData(doc) {
+        const script = safeQueryAll('script', doc)
+            .map(element => element.textContent || '')
+            .find(text => text.includes('"dimensionToAsinMap"') || text.includes('"dimensionValuesDisplayData"'));
+        if (!script) {
+            return null;
+        }
+
+        const twister = {};
+        for (const key of TWISTER_DATA_KEYS) {
+            const value = readEmbeddedJSONValue(script, key);
+            if (value !== undefined) {
+                twister[key] = value;
+            }
+        }
+        return twister;
+    }
+
+    /**
+     * Reads the JSON value of `"key" : <value>` from script source
+     * 
+     * @param {string} text - Script source
+     * @param {string} key - Property name
+     * @returns {*} Parsed value, or undefined if the key is missing or its value is not JSON
+     * 
+     * @example
+     * readEmbeddedJSONValue('"parentAsin" : "B0CCV6BL51",', 'parentAsin');  // 'B0CCV6BL51'
+     */
+    function readEmbeddedJSONValue(text, key) {
+        const match = new RegExp(`"${key}"\\s*:\\s*`).exec(text);
+        if (!match) {
+            return undefined;
+        }
+
+        // Find the end of the value: matching bracket for objects/arrays, closing quote for strings
+        const start = match.index + match[0].length;
+        let depth = 0;
+        let inString = false;
+        let end = start;
+        for (; end < text.length; end++) {
+            const char = text[end];
+            if (inString) {
+                if (char === '\\') {
+                    end++;
+                } else if (char === '"') {
+                    inString = false;
+                    if (depth === 0) {
+                        end++;
+                        break;
+                    }
+                }
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+                if (depth <= 0) {
+                    end++;
+                    break;
+                }
+            } else if (depth === 0 && (char === ',' || char === '\n')) {
+                break;
+            }
+        }
+
+        try {
+            return JSON.parse(text.slice(start, end).trim());
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Reads availability and price for each child ASIN from the twister swatches
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Object<string, Object>} Per ASIN: { available, price }
+     */
+    function extractTwisterSwatches(doc) {
+        const swatches = {};
+        const elements = safeQueryAll('[id^="inline-twister-row-"] li[data-asin], #twister li[data-defaultasin]', doc);
+
+        for (const element of elements) {
+            const asin = safeAttr(element, 'data-asin') || safeAttr(element, 'data-defaultasin');
+            if (!asin || swatches[asin]) {
+                continue;
+            }
+
+            const className = safeAttr(element, 'class') || '';
+            const unavailable = safeAttr(element, 'data-initiallyUnavailable') === 'true' ||
+                                /swatchUnavailable/.test(className) ||
+                                /swatchUnavailable/.test(safeAttr(element, 'data-csa-c-content-id') || '');
+
+            const priceText = safeText(safeQuery('.a-price .a-offscreen', element)) ||
+                              safeText(safeQuery('.twisterSwatchPrice', element)) ||
+                              safeText(safeQuery('.twister_swatch_price', element));
+
+            swatches[asin] = {
+                available: !unavailable,
+                price: priceText ? {
+                    current: priceText,
+                    currentValue: parseProductPriceValue(priceText),
+                    currency: extractProductCurrency(priceText)
+                } : null
+            };
+        }
+
+        return swatches;
+    }
+
+    /**
+     * Formats a twister dimension key as a label (used when the page has no display label)
+     * @param {string} key - Dimension key (e.g. 'number_of_items')
+     * @returns {string} Label (e.g. 'Number Of Items')
+     */
+    function formatDimensionLabel(key) {
+        return key
+            .replace(/_name$/, '')
+            .split('_')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    /**
+     * Product information tables (key/value rows), in order of preference
+     * @constant {Array<string>}
+     */
+    const DETAIL_TABLE_SELECTORS = [
+        '#productDetails_techSpec_section_1',
+        '#productDetails_techSpec_section_2',
+        '#technicalSpecifications_section_1',
+        '#productDetails_detailBullets_sections1',
+        '#prodDetails table.prodDetTable'
+    ];
 
-        // Parse all query parameters
-        for (const [key, value] of urlObj.searchParams.entries()) {
-            queryParams[key] = value;
+    /**
+     * Detail bullet lists ('Label : value' items)
+     * @constant {Array<string>}
+     */
+    const DETAIL_BULLET_SELECTORS = [
+        '#detailBullets_feature_div li',
+        '#detailBulletsWrapper_feature_div li'
+    ];
+
+    /**
+     * Labels that are not product specifications (extracted elsewhere, or page widgets)
+     * @constant {Array<string>}
+     */
+    const IGNORED_DETAIL_LABELS = ['Customer Reviews'];
+
+    /**
+     * Unit aliases for dimensions and weights (lowercase alias -> normalized unit)
+     * @constant {Object<string, string>}
+     */
+    const UNIT_ALIASES = {
+        '"': 'in', 'in': 'in', 'inch': 'in', 'inches': 'in',
+        'ft': 'ft', 'feet': 'ft', 'foot': 'ft',
+        'mm': 'mm', 'millimeter': 'mm', 'millimeters': 'mm', 'millimetres': 'mm',
+        'cm': 'cm', 'centimeter': 'cm', 'centimeters': 'cm', 'centimetres': 'cm',
+        'm': 'm', 'meter': 'm', 'meters': 'm', 'metres': 'm',
+        'mg': 'mg', 'milligrams': 'mg',
+        'g': 'g', 'gram': 'g', 'grams': 'g',
+        'kg': 'kg', 'kilogram': 'kg', 'kilograms': 'kg',
+        'oz': 'oz', 'ounce': 'oz', 'ounces': 'oz',
+        'lb': 'lb', 'lbs': 'lb', 'pound': 'lb', 'pounds': 'lb'
+    };
 
-            // Categorize parameters
-            if (isVariantParameter(key)) {
-                variantParams[key] = value;
-            } else if (isTrackingParameter(key)) {
-                trackingParams[key] = value;
+    /**
+     * Grams per weight unit
+     * @constant {Object<string, number>}
+     */
+    const GRAMS_PER_UNIT = {
+        mg: 0.001,
+        g: 1,
+        kg: 1000,
+        oz: 28.349523125,
+        lb: 453.59237
+    };
+
+    /**
+     * Extracts the technical details / product information tables
+     * 
+     * Reads the tech spec and product information tables, the detail bullets and the
+     * product overview into key/value pairs, then normalizes the well-known entries.
+     * When a label appears in more than one place, the first source wins.
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Object|null} Product details, or null if the page has no details section
+     * 
+     * @example
+     * const details = extractProductDetails(document);
+     * // Returns:
+     * {
+     *   attributes: { 'Manufacturer': 'PATIKIL', 'Item Weight': '0.63 Kilograms', 'Best Sellers Rank': '#80,490 in ...', ... },
+     *   dimensions: { raw: '10 x 5 x 3 inches', length: 10, width: 5, height: 3, unit: 'in' },
+     *   weight: { raw: '0.63 Kilograms', value: 0.63, unit: 'kg', grams: 630 },
+     *   modelNumber: 'PTK-WB-150',
+     *   manufacturer: 'PATIKIL',
+     *   firstAvailable: { raw: 'June 26, 2024', date: '2024-06-26' },
+     *   bestSellersRank: [
+     *     { rank: 80490, category: 'Industrial & Scientific', url: 'https://www.amazon.com/gp/bestsellers/industrial/ref=pd_zg_ts_industrial' },
+     *     { rank: 60, category: 'Lab Wash Bottles', url: 'https://www.amazon.com/gp/bestsellers/industrial/393361011/ref=pd_zg_hrsr_industrial' }
+     *   ]
+     * }
+     */
+    function extractProductDetails(doc) {
+        try {
+            const entries = collectDetailEntries(doc);
+            if (entries.length === 0) {
+                return null;
+            }
+
+            const attributes = {};
+            for (const { label, value } of entries) {
+                if (!(label in attributes)) {
+                    attributes[label] = value;
+                }
             }
+
+            const find = (pattern) => entries.find(entry => pattern.test(entry.label)) || null;
+
+            const dimensionsEntry = find(/^(product|item|package) dimensions/i);
+            const weightEntry = find(/^(item|product|package) weight$/i);
+            const modelEntry = find(/^(item )?model number$/i);
+            const manufacturerEntry = find(/^manufacturer$/i);
+            const firstAvailableEntry = find(/^date first available$/i);
+            const rankEntry = find(/^best sellers? rank$/i);
+
+            // 'Product Dimensions : 10 x 5 x 3 inches; 8 Ounces' carries the weight too
+            const [dimensionsText, combinedWeightText] = dimensionsEntry
+                ? dimensionsEntry.value.split(';').map(part => part.trim())
+                : [];
+
+            return {
+                attributes,
+                dimensions: parseProductDimensions(dimensionsText),
+                weight: parseProductWeight(weightEntry ? weightEntry.value : combinedWeightText),
+                modelNumber: modelEntry ? modelEntry.value : null,
+                manufacturer: manufacturerEntry ? manufacturerEntry.value : null,
+                firstAvailable: firstAvailableEntry ? {
+                    raw: firstAvailableEntry.value,
+                    date: parseDetailDate(firstAvailableEntry.value)
+                } : null,
+                bestSellersRank: rankEntry ? parseBestSellersRank(rankEntry.value, rankEntry.element) : []
+            };
+        } catch (error) {
+            logWarn('Failed to extract product details:', error);
         }
+        return null;
+    }
 
-        // Build clean URL (no tracking params)
-        const cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
+    /**
+     * Collects every label/value pair from the product information sections, in page order
+     * @param {Document} doc - DOM document
+     * @returns {Array<Object>} Entries: { label, value, element } (element holds the value)
+     */
+    function collectDetailEntries(doc) {
+        const entries = [];
+        const add = (label, valueElement, valueText) => {
+            const cleanLabel = cleanDetailText(label).replace(/\s*:$/, '');
+            const cleanValue = cleanDetailText(valueText).replace(/^:\s*/, '');
+            if (cleanLabel && cleanValue && !IGNORED_DETAIL_LABELS.includes(cleanLabel)) {
+                entries.push({ label: cleanLabel, value: cleanValue, element: valueElement });
+            }
+        };
+
+        // Tables: <tr><th>Label</th><td>Value</td></tr>
+        const seenTables = new Set();
+        for (const selector of DETAIL_TABLE_SELECTORS) {
+            for (const table of safeQueryAll(selector, doc)) {
+                if (seenTables.has(table)) {
+                    continue;
+                }
+                seenTables.add(table);
+                for (const row of safeQueryAll('tr', table)) {
+                    const valueElement = safeQuery('td', row);
+                    add(readDetailText(safeQuery('th', row)), valueElement, readDetailText(valueElement));
+                }
+            }
+        }
+
+        // Bullets: <li><span class="a-list-item"><span class="a-text-bold">Label :</span> Value</span></li>
+        for (const selector of DETAIL_BULLET_SELECTORS) {
+            for (const item of safeQueryAll(selector, doc)) {
+                const labelElement = safeQuery(':scope > .a-list-item > .a-text-bold', item);
+                if (!labelElement) {
+                    continue;
+                }
+                const valueElement = labelElement.parentElement;
+                const label = readDetailText(labelElement);
+                add(label, valueElement, readDetailText(valueElement).slice(label.length));
+            }
+        }
+
+        // Product overview: <tr><td><span>Label</span></td><td><span>Value</span></td></tr>
+        for (const row of safeQueryAll('#productOverview_feature_div tr', doc)) {
+            const cells = safeQueryAll('td', row);
+            if (cells.length >= 2) {
+                add(readDetailText(cells[0]), cells[1], readDetailText(cells[1]));
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Gets the visible text of a details cell (ignores inline scripts and styles)
+     * @param {Element|null} element - Cell element
+     * @returns {string} Text ('' if none)
+     */
+    function readDetailText(element) {
+        if (!element) {
+            return '';
+        }
+        const copy = element.cloneNode(true);
+        for (const hidden of safeQueryAll('script, style', copy)) {
+            hidden.remove();
+        }
+        return (copy.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Removes direction marks and extra whitespace from a details label or value
+     * @param {string} text - Raw text
+     * @returns {string} Cleaned text
+     */
+    function cleanDetailText(text) {
+        return (text || '')
+            .replace(/[\u200e\u200f\u00a0]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Normalizes a unit name to its short form
+     * @param {string} unit - Unit as written on the page (e.g. 'Inches', 'lbs', '"')
+     * @returns {string|null} Normalized unit (e.g. 'in', 'lb') or null if unknown
+     */
+    function normalizeUnit(unit) {
+        return unit ? UNIT_ALIASES[unit.toLowerCase().replace(/\.$/, '')] || null : null;
+    }
+
+    /**
+     * Parses a dimensions value into numbers and a unit
+     * 
+     * @param {string} text - Dimensions text
+     * @returns {Object|null} { raw, length, width, height, unit } or null if unparseable
+     * 
+     * @example
+     * parseProductDimensions('10 x 5 x 3 inches');
+     * // { raw: '10 x 5 x 3 inches', length: 10, width: 5, height: 3, unit: 'in' }
+     * 
+     * parseProductDimensions('3.5"W x 12.6"H x 3.5"D');
+     * // { raw: '3.5"W x 12.6"H x 3.5"D', length: 3.5, width: 3.5, height: 12.6, unit: 'in' }
+     */
+    function parseProductDimensions(text) {
+        if (!text) {
+            return null;
+        }
+
+        const parts = text.split(/\s*[x×]\s*/i);
+        const measurements = [];
+        let unit = null;
+
+        for (const part of parts) {
+            const match = part.match(/(\d+(?:\.\d+)?)\s*("|[a-z]+\.?)?\s*([LWHD])?\b/i);
+            if (!match) {
+                continue;
+            }
+            // A trailing single letter is an axis ('12.6"L'), not a unit
+            const axis = match[3] || (match[2] && /^[LWHD]$/i.test(match[2]) ? match[2] : null);
+            const partUnit = axis === match[2] ? null : normalizeUnit(match[2]);
+            unit = unit || partUnit;
+            measurements.push({ value: parseFloat(match[1]), axis: axis ? axis.toUpperCase() : null });
+        }
+
+        if (measurements.length < 2) {
+            return null;
+        }
+
+        // Use the axis letters when every measurement has one (D counts as length)
+        const byAxis = {};
+        if (measurements.every(measurement => measurement.axis)) {
+            for (const { value, axis } of measurements) {
+                byAxis[axis === 'D' ? 'L' : axis] = value;
+            }
+        }
+        const [first, second, third] = measurements.map(measurement => measurement.value);
 
         return {
-            original: urlString,
-            originalClean: cleanUrl,
-            protocol: urlObj.protocol,
-            hostname: urlObj.hostname,
-            pathname: urlObj.pathname,
-            queryParams,
-            variantParams,
-            trackingParams
+            raw: text,
+            length: byAxis.L !== undefined ? byAxis.L : first,
+            width: byAxis.W !== undefined ? byAxis.W : second,
+            height: byAxis.H !== undefined ? byAxis.H : (third !== undefined ? third : null),
+            unit
         };
-    } catch (error) {
-        logError('Failed to parse URL:', error);
-        return null;
     }
-}
 
-/**
- * Checks if a query parameter is a variant parameter
- * @param {string} key - Parameter key
- * @returns {boolean} True if variant parameter
- */
-function isVariantParameter(key) {
-    const variantParams = ['th', 'psc', 'smid'];
-    return variantParams.includes(key.toLowerCase());
-}
+    /**
+     * Parses a weight value into a number, a unit and grams
+     * 
+     * @param {string} text - Weight text
+     * @returns {Object|null} { raw, value, unit, grams } or null if unparseable
+     * 
+     * @example
+     * parseProductWeight('0.63 Kilograms');  // { raw: '0.63 Kilograms', value: 0.63, unit: 'kg', grams: 630 }
+     * parseProductWeight('8 Ounces');        // { raw: '8 Ounces', value: 8, unit: 'oz', grams: 226.8 }
+     */
+    function parseProductWeight(text) {
+        if (!text) {
+            return null;
+        }
 
-/**
- * Checks if a query parameter is a tracking parameter
- * @param {string} key - Parameter key
- * @returns {boolean} True if tracking parameter
- */
-function isTrackingParameter(key) {
-    const trackingPrefixes = ['pd_rd_', 'pf_rd_', '_encoding', 'qid', 'sr', 'keywords', 'crid', 'sprefix', 'dib', 'tag', 'linkCode', 'linkId', 'ref', 'ref_'];
-    return trackingPrefixes.some(prefix => key.toLowerCase().startsWith(prefix));
-}
+        const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([a-z]+)/i);
+        const unit = match ? normalizeUnit(match[2]) : null;
+        if (!unit || !(unit in GRAMS_PER_UNIT)) {
+            return null;
+        }
 
-/**
- * Parses HTML string into DOM document
- * @param {string} htmlString - HTML string
- * @returns {Document|null} Parsed document
- */
-function parseHTMLString(htmlString) {
-    if (typeof DOMParser !== 'undefined') {
-        const parser = new DOMParser();
-        return parser.parseFromString(htmlString, 'text/html');
-    }
-    return null;
-}
-
-// Placeholder functions - these would be imported from shared_extractor and helpers
-function extractProductASIN(doc, url) { /* Implementation in shared_extractor.js */ return null; }
-function extractProductTitle(doc) { /* Implementation in shared_extractor.js */ return null; }
-function cleanProductTitle(title) { /* Implementation in shared_extractor.js */ return title; }
-function extractProductBrand(doc) { /* Implementation in shared_extractor.js */ return null; }
-function extractProductDescription(doc) { /* Implementation in shared_extractor.js */ return null; }
-function extractProductPrice(doc) { /* Implementation in shared_extractor.js */ return null; }
-function extractProductImageURL(doc) { /* Implementation in shared_extractor.js */ return null; }
-function extractProductVariant(doc) { /* Implementation in shared_extractor.js */ return null; }
-function safeQuery(selector, context) { /* Implementation in dom_helpers.js */ return null; }
-function safeQueryAll(selector, context) { /* Implementation in dom_helpers.js */ return []; }
-function safeText(element) { /* Implementation in dom_helpers.js */ return null; }
-function safeAttr(element, attr) { /* Implementation in dom_helpers.js */ return null; }
-function isAmazonImageURL(url) { /* Implementation in validation_helpers.js */ return false; }
-function logWarn(...args) { /* Implementation in logging_helpers.js */ }
-function logError(...args) { /* Implementation in logging_helpers.js */ }
-
-// Export functions
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
+        const value = parseFloat(match[1]);
+        return {
+            raw: text,
+            value,
+            unit,
+            grams: Math.round(value * GRAMS_PER_UNIT[unit] * 100) / 100
+        };
+    }
+
+    /**
+     * Parses an English date like 'June 26, 2024' or '26 June 2024' to YYYY-MM-DD
+     * 
+     * @param {string} text - Date text
+     * @returns {string|null} ISO date or null if unparseable
+     * 
+     * @example
+     * parseDetailDate('June 26, 2024');  // '2024-06-26'
+     */
+    function parseDetailDate(text) {
+        const months = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+            'august', 'september', 'october', 'november', 'december'];
+        const match = (text || '').match(/([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})/i) ||
+                      (text || '').match(/(\d{1,2})\s+([a-z]+)\.?,?\s+(\d{4})/i);
+        if (!match) {
+            return null;
+        }
+
+        const [monthName, day] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+        const month = months.findIndex(name => name.startsWith(monthName.toLowerCase().slice(0, 3))) + 1;
+        if (month === 0) {
+            return null;
+        }
+
+        return `${match[3]}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parses Best Sellers Rank entries ('#80,490 in Industrial & Scientific (See Top 100 ...)')
+     * 
+     * @param {string} text - Best Sellers Rank value
+     * @param {Element} [element] - Value element (its Best Sellers links become the entry URLs)
+     * @returns {Array<Object>} Entries: { rank, category, url }
+     * 
+     * @example
+     * parseBestSellersRank('#80,490 in Industrial & Scientific (See Top 100 in Industrial & Scientific) #60 in Lab Wash Bottles');
+     * // [{ rank: 80490, category: 'Industrial & Scientific', url: null }, { rank: 60, category: 'Lab Wash Bottles', url: null }]
+     */
+    function parseBestSellersRank(text, element) {
+        const entries = [];
+        const pattern = /#\s*([\d,.]+)\s+in\s+(.+?)\s*(?=\(|#\s*[\d,.]+\s+in\s|$)/g;
+        for (const match of (text || '').matchAll(pattern)) {
+            entries.push({
+                rank: parseInt(match[1].replace(/[,.]/g, ''), 10),
+                category: match[2].trim(),
+                url: null
+            });
+        }
+
+        // One Best Sellers link per entry ('See Top 100' for the top level, the category otherwise)
+        const links = element ? safeQueryAll('a[href*="/bestsellers/"], a[href*="/zgbs/"]', element) : [];
+        if (links.length === entries.length) {
+            links.forEach((link, index) => {
+                try {
+                    entries[index].url = new URL(safeAttr(link, 'href'), 'https://www.amazon.com').href;
+                } catch (error) {
+                    // Continue
+                }
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parses URL into comprehensive data structure
+     * Separates original URL, query parameters, variant parameters, and tracking parameters
+     * 
+     * @param {string} [url] - URL to parse
+     * @param {Document} [doc] - Document (fallback to extract URL from canonical)
+     * @returns {Object|null} URL data object
+     * 
+     * @example
+     * // Returns:
+     * {
+     *   original: 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&pd_rd_w=...',
+     *   originalClean: 'https://www.amazon.com/dp/B08N5WRWNW',
+     *   protocol: 'https:',
+     *   hostname: 'www.amazon.com',
+     *   pathname: '/dp/B08N5WRWNW',
+     *   queryParams: { th: '1', psc: '1', pd_rd_w: '...', ... },
+     *   variantParams: { th: '1', psc: '1' },
+     *   trackingParams: { pd_rd_w: '...', pd_rd_r: '...', ... }
+     * }
+     */
+    function parseURLData(url, doc) {
+        // Try to get URL from parameter or canonical link
+        let urlString = url;
+        if (!urlString && doc) {
+            const canonical = safeQuery('link[rel="canonical"]', doc);
+            if (canonical) {
+                urlString = safeAttr(canonical, 'href');
+            }
+        }
+
+        if (!urlString) {
+            return null;
+        }
+
+        try {
+            const urlObj = new URL(urlString);
+            const queryParams = {};
+            const variantParams = {};
+            const trackingParams = {};
+
+            // Parse all query parameters
+            for (const [key, value] of urlObj.searchParams.entries()) {
+                queryParams[key] = value;
+
+                // Categorize parameters
+                if (isVariantParameter(key)) {
+                    variantParams[key] = value;
+                } else if (isTrackingParameter(key)) {
+                    trackingParams[key] = value;
+                }
+            }
+
+            // Build clean URL (no tracking params)
+            const cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
+
+            return {
+                original: urlString,
+                originalClean: cleanUrl,
+                protocol: urlObj.protocol,
+                hostname: urlObj.hostname,
+                pathname: urlObj.pathname,
+                queryParams,
+                variantParams,
+                trackingParams
+            };
+        } catch (error) {
+            logError('Failed to parse URL:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Checks if a query parameter is a variant parameter
+     * @param {string} key - Parameter key
+     * @returns {boolean} True if variant parameter
+     */
+    function isVariantParameter(key) {
+        const variantParams = ['th', 'psc', 'smid'];
+        return variantParams.includes(key.toLowerCase());
+    }
+
+    /**
+     * Checks if a query parameter is a tracking parameter
+     * @param {string} key - Parameter key
+     * @returns {boolean} True if tracking parameter
+     */
+    function isTrackingParameter(key) {
+        const trackingPrefixes = ['pd_rd_', 'pf_rd_', '_encoding', 'qid', 'sr', 'keywords', 'crid', 'sprefix', 'dib', 'tag', 'linkCode', 'linkId', 'ref', 'ref_'];
+        return trackingPrefixes.some(prefix => key.toLowerCase().startsWith(prefix));
+    }
+
+    return {
         extractProductData,
         extractProductPriceData,
         extractProductImageData,
         extractProductImageID,
         extractProductAvailability,
         extractProductShipping,
+        extractProductSeller,
         extractProductRating,
+        extractRatingHistogram,
+        extractReviewSummary,
+        extractTopReviews,
+        extractProductVariations,
+        findVariationChild,
+        extractProductFeatureBullets,
+        extractProductAplusContent,
+        extractAplusImageID,
+        extractProductDetails,
+        parseProductDimensions,
+        parseProductWeight,
+        parseBestSellersRank,
         parseProductPriceValue,
         extractProductCurrency,
         parseURLData,
         isVariantParameter,
         isTrackingParameter
     };
-}
+});
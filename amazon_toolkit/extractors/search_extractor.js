@@ -0,0 +1,525 @@
+/**
+ * @file search_extractor.js
+ * @description Extracts result listings from Amazon search pages
+ * @author Zakk Hoyt
+ * @namespace AmazonToolkit.Extractors.Search
+ * 
+ * Extracts data from Amazon search results pages (/s?k=...) including:
+ * - Search keywords, department and sort order (from the URL)
+ * - Pagination (page number from the URL, total pages and next page from the page)
+ * - One item per result card: ASIN, title, price, rating, review count, image, badges, position
+ * 
+ * Result items use the same shape as product data (asin, title, titleCleaned, price,
+ * images, rating, url), so they can be passed directly to markdown_generator.
+ * 
+ * Supports search URL formats:
+ * - /s?k=KEYWORDS
+ * - /s?k=KEYWORDS&i=DEPARTMENT&page=2
+ * - /s?field-keywords=KEYWORDS
+ * 
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/URLSearchParams MDN URLSearchParams}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Element/querySelectorAll MDN querySelectorAll}
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('../../userscript_common/dom_helpers.js'),
+            require('../../userscript_common/logging_helpers.js'),
+            require('../helpers/validation_helpers.js'),
+            require('./shared_extractor.js'),
+            require('./product_extractor.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('AmazonToolkit.Extractors.Search', factory(
+            resolveNamespace('UserscriptCommon.DOM'),
+            resolveNamespace('UserscriptCommon.Logging'),
+            resolveNamespace('AmazonToolkit.Helpers.Validation'),
+            resolveNamespace('AmazonToolkit.Extractors.Shared'),
+            resolveNamespace('AmazonToolkit.Extractors.Product')
+        ));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(DOM, Logging, Validation, Shared, Product) {
+
+    const { safeQuery, safeQueryAll, safeText, safeAttr, parseHTML } = DOM;
+    const { logWarn, logError } = Logging;
+    const { isValidASIN, isAmazonImageURL, isAmazonProductURL } = Validation;
+    const { cleanProductTitle } = Shared;
+    const { parseProductPriceValue, extractProductCurrency, extractProductImageID, parseURLData } = Product;
+
+    /**
+     * Selectors for search result cards (in order of preference)
+     * @constant {Array<string>}
+     */
+    const RESULT_CARD_SELECTORS = [
+        '[data-component-type="s-search-result"][data-asin]',
+        '.s-result-item[data-asin]'
+    ];
+
+    /**
+     * Selectors that mark a result card as sponsored
+     * @constant {Array<string>}
+     */
+    const SPONSORED_SELECTORS = [
+        '.puis-sponsored-label-text',
+        '.puis-sponsored-label-info-icon',
+        '.s-sponsored-label-text',
+        '.s-sponsored-info-icon',
+        '.s-widget-sponsored-label-text',
+        '[data-component-type="sp-sponsored-result"]'
+    ];
+
+    /**
+     * Selectors for badge labels on a result card ("Best Seller", "Overall Pick", "Amazon's Choice", ...)
+     * @constant {Array<string>}
+     */
+    const BADGE_SELECTORS = [
+        '.a-badge-label .a-badge-text',
+        '.a-badge-text',
+        '[data-component-type="s-status-badge-component"]',
+        '.s-label-popover-default'
+    ];
+
+    /**
+     * Extracts search results data from an Amazon search page
+     * 
+     * @param {Document|string} source - DOM document or HTML string
+     * @param {string} [url] - Original URL (optional but recommended: keywords and page come from it)
+     * @returns {Object|null} Search results data structure or null if extraction fails
+     * 
+     * @example
+     * // Browser context
+     * const searchData = extractSearchResultsData(document, window.location.href);
+     * 
+     * // Returns:
+     * {
+     *   keywords: 'nintendo switch',
+     *   department: 'videogames',
+     *   sort: null,
+     *   pagination: {
+     *     page: 2,
+     *     totalPages: 7,
+     *     hasNextPage: true,
+     *     nextPageURL: 'https://www.amazon.com/s?k=nintendo+switch&page=3'
+     *   },
+     *   resultCount: 48,
+     *   results: [
+     *     {
+     *       position: 1,
+     *       asin: 'B08N5WRWNW',
+     *       title: 'Nintendo Switch – OLED Model w/ White Joy-Con',
+     *       titleCleaned: 'Nintendo Switch – OLED Model w/ White Joy-Con',
+     *       price: { current: '$349.99', currentValue: 349.99, currency: '$', list: null, listValue: null },
+     *       rating: { value: 4.8, count: 15234, stars: '4.8 out of 5 stars' },
+     *       images: { primary: 'https://m.media-amazon.com/images/I/61CGHv6kmWL._AC_UY218_.jpg', primaryId: '61CGHv6kmWL' },
+     *       badges: ['Best Seller'],
+     *       sponsored: false,
+     *       url: { original: 'https://www.amazon.com/Nintendo-Switch-OLED/dp/B08N5WRWNW', ... }
+     *     },
+     *     ...
+     *   ],
+     *   url: {...},
+     *   metadata: {
+     *     extractedAt: '2025-11-04T12:34:56.789Z',
+     *     extractionMethod: 'search_extractor',
+     *     pageType: 'search'
+     *   }
+     * }
+     */
+    function extractSearchResultsData(source, url) {
+        // Convert source to document if string
+        let doc;
+        if (typeof source === 'string') {
+            doc = parseHTML(source);
+            if (!doc) {
+                logError('Failed to parse HTML string');
+                return null;
+            }
+        } else {
+            doc = source;
+        }
+
+        const query = parseSearchQuery(url);
+        const baseURL = getBaseURL(url);
+
+        const cards = findSearchResultCards(doc);
+        if (cards.length === 0) {
+            logWarn('No search result cards found - may not be a search page');
+        }
+
+        const results = [];
+        for (const card of cards) {
+            const item = extractSearchResultItem(card, results.length + 1, baseURL);
+            if (item) {
+                results.push(item);
+            }
+        }
+
+        return {
+            keywords: query.keywords,
+            department: query.department,
+            sort: query.sort,
+            pagination: extractSearchPagination(doc, query.page, baseURL),
+            resultCount: results.length,
+            results,
+            url: parseURLData(url, doc),
+            metadata: {
+                extractedAt: new Date().toISOString(),
+                extractionMethod: 'search_extractor',
+                pageType: 'search'
+            }
+        };
+    }
+
+    /**
+     * Finds all result cards that carry an ASIN, in page order
+     * 
+     * @param {Document|Element} doc - DOM document or container element
+     * @returns {Array<Element>} Result card elements (deduplicated by ASIN)
+     */
+    function findSearchResultCards(doc) {
+        for (const selector of RESULT_CARD_SELECTORS) {
+            const cards = Array.from(safeQueryAll(selector, doc))
+                .filter(card => isValidASIN((safeAttr(card, 'data-asin') || '').toUpperCase()));
+            if (cards.length > 0) {
+                // Nested cards (e.g. carousels inside a result) can repeat an ASIN
+                const seen = new Set();
+                return cards.filter(card => {
+                    const asin = safeAttr(card, 'data-asin').toUpperCase();
+                    if (seen.has(asin)) {
+                        return false;
+                    }
+                    seen.add(asin);
+                    return true;
+                });
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Extracts product-shaped data from a single listing card
+     * 
+     * @param {Element} card - Result card element (must carry data-asin)
+     * @param {number} position - 1-based position of the card on the page
+     * @param {string} [baseURL='https://www.amazon.com'] - Origin used to resolve relative links
+     * @returns {Object|null} Result item or null if the card has no valid ASIN
+     * 
+     * @example
+     * const item = extractSearchResultItem(card, 1, 'https://www.amazon.com');
+     * // Returns: { position: 1, asin: 'B08N5WRWNW', title: '...', price: {...}, badges: [...], ... }
+     */
+    function extractSearchResultItem(card, position, baseURL = 'https://www.amazon.com') {
+        const asin = (safeAttr(card, 'data-asin') || '').toUpperCase();
+        if (!isValidASIN(asin)) {
+            return null;
+        }
+
+        const title = extractCardTitle(card);
+        const badges = extractCardBadges(card);
+        const image = extractCardImage(card);
+
+        return {
+            position,
+            asin,
+            title,
+            titleCleaned: title ? cleanProductTitle(title) : null,
+            price: extractCardPrice(card, baseURL),
+            rating: extractCardRating(card),
+            images: {
+                primary: image,
+                primaryId: image ? extractProductImageID(image) : null
+            },
+            badges,
+            sponsored: badges.includes('Sponsored'),
+            url: parseURLData(extractCardURL(card, asin, baseURL))
+        };
+    }
+
+    /**
+     * Extracts the product title from a listing card
+     * @param {Element} card - Listing card element
+     * @returns {string|null} Title or null
+     */
+    function extractCardTitle(card) {
+        const selectors = [
+            '[data-cy="title-recipe"] h2 span',
+            'h2 a span',
+            'h2 span',
+            'h2'
+        ];
+
+        for (const selector of selectors) {
+            const text = safeText(safeQuery(selector, card));
+            if (text) {
+                return text.replace(/\s+/g, ' ');
+            }
+        }
+
+        const ariaLabel = safeAttr(safeQuery('h2[aria-label]', card), 'aria-label');
+        return ariaLabel || null;
+    }
+
+    /**
+     * Extracts the product link from a listing card
+     * Sponsored cards link through /sspa/click redirects, so anything that is not a
+     * product URL is replaced by the canonical /dp/ASIN URL.
+     * 
+     * @param {Element} card - Listing card element
+     * @param {string} asin - Card ASIN
+     * @param {string} baseURL - Origin used to resolve relative links
+     * @returns {string} Absolute product URL
+     */
+    function extractCardURL(card, asin, baseURL) {
+        const selectors = [
+            '[data-cy="title-recipe"] a[href]',
+            'h2 a[href]',
+            'a.a-link-normal[href*="/dp/"]',
+            'a[href*="/dp/"]'
+        ];
+
+        for (const selector of selectors) {
+            const href = safeAttr(safeQuery(selector, card), 'href');
+            if (!href) {
+                continue;
+            }
+            try {
+                // Drop in-page anchors such as #customerReviews
+                const absolute = new URL(href, baseURL);
+                absolute.hash = '';
+                if (isAmazonProductURL(absolute.href)) {
+                    return absolute.href;
+                }
+            } catch (error) {
+                // Continue
+            }
+        }
+
+        return `${baseURL}/dp/${asin}`;
+    }
+
+    /**
+     * Extracts current and list price from a listing card
+     * 
+     * @param {Element} card - Listing card element
+     * @param {string} [baseURL] - Page origin (its marketplace decides the number format)
+     * @returns {Object|null} Price data: { current, currentValue, currency, list, listValue } or null
+     */
+    function extractCardPrice(card, baseURL) {
+        const current = safeText(safeQuery('.a-price:not(.a-text-price) .a-offscreen', card)) ||
+                        safeText(safeQuery('.a-price .a-offscreen', card));
+        if (!current) {
+            return null;
+        }
+
+        const list = safeText(safeQuery('.a-price.a-text-price .a-offscreen', card));
+        const hasList = list && list !== current;
+
+        return {
+            current,
+            currentValue: parseProductPriceValue(current, baseURL),
+            currency: extractProductCurrency(current, baseURL),
+            list: hasList ? list : null,
+            listValue: hasList ? parseProductPriceValue(list, baseURL) : null
+        };
+    }
+
+    /**
+     * Extracts star rating and review count from a listing card
+     * 
+     * @param {Element} card - Listing card element
+     * @returns {Object|null} Rating data: { value, count, stars } or null
+     * 
+     * @example
+     * // Returns: { value: 4.5, count: 1234, stars: '4.5 out of 5 stars' }
+     */
+    function extractCardRating(card) {
+        const stars = safeText(safeQuery('.a-icon-star-small .a-icon-alt', card)) ||
+                      safeText(safeQuery('.a-icon-alt', card)) ||
+                      safeAttr(safeQuery('[aria-label*="out of 5 stars"]', card), 'aria-label');
+        if (!stars) {
+            return null;
+        }
+
+        const ratingMatch = stars.match(/(\d+(?:\.\d+)?)\s*out of\s*5/i);
+        if (!ratingMatch) {
+            return null;
+        }
+
+        const countText = safeAttr(safeQuery('[aria-label$="ratings"], [aria-label$="rating"]', card), 'aria-label') ||
+                          safeText(safeQuery('a[href*="customerReviews"] span', card)) ||
+                          safeText(safeQuery('.s-underline-text', card));
+
+        return {
+            value: parseFloat(ratingMatch[1]),
+            count: parseReviewCount(countText),
+            stars
+        };
+    }
+
+    /**
+     * Parses a review count like '1,234', '(1.2K)' or '15,234 ratings'
+     * 
+     * @param {string} text - Review count text
+     * @returns {number|null} Review count or null
+     * 
+     * @example
+     * parseReviewCount('(1.2K)');       // 1200
+     * parseReviewCount('15,234 ratings'); // 15234
+     */
+    function parseReviewCount(text) {
+        if (!text) {
+            return null;
+        }
+
+        const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KM])?/i);
+        if (!match) {
+            return null;
+        }
+
+        const multiplier = { K: 1000, M: 1000000 }[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    }
+
+    /**
+     * Extracts the thumbnail image URL from a listing card
+     * @param {Element} card - Listing card element
+     * @returns {string|null} Image URL or null
+     */
+    function extractCardImage(card) {
+        const src = safeAttr(safeQuery('img.s-image', card), 'src') ||
+                    safeAttr(safeQuery('img', card), 'src');
+        return src && isAmazonImageURL(src) ? src : null;
+    }
+
+    /**
+     * Extracts badges from a listing card
+     * 'Sponsored' is listed first when the card is an ad.
+     * 
+     * @param {Element} card - Listing card element
+     * @returns {Array<string>} Badge labels (e.g. ['Sponsored', 'Best Seller'])
+     */
+    function extractCardBadges(card) {
+        const badges = [];
+
+        const isSponsored = SPONSORED_SELECTORS.some(selector => safeQuery(selector, card)) ||
+                            (card.classList && card.classList.contains('AdHolder'));
+        if (isSponsored) {
+            badges.push('Sponsored');
+        }
+
+        for (const selector of BADGE_SELECTORS) {
+            for (const element of safeQueryAll(selector, card)) {
+                const label = (safeText(element) || '').replace(/\s+/g, ' ');
+                if (label && !/^sponsored$/i.test(label) && !badges.includes(label)) {
+                    badges.push(label);
+                }
+            }
+        }
+
+        return badges;
+    }
+
+    /**
+     * Parses search keywords, department, sort order and page number from a search URL
+     * 
+     * @param {string} [url] - Search URL
+     * @returns {Object} { keywords, department, sort, page }
+     * 
+     * @example
+     * parseSearchQuery('https://www.amazon.com/s?k=nintendo+switch&i=videogames&page=2');
+     * // Returns: { keywords: 'nintendo switch', department: 'videogames', sort: null, page: 2 }
+     */
+    function parseSearchQuery(url) {
+        const query = { keywords: null, department: null, sort: null, page: 1 };
+        if (!url) {
+            return query;
+        }
+
+        try {
+            const params = new URL(url).searchParams;
+            query.keywords = params.get('k') || params.get('keywords') || params.get('field-keywords') || null;
+            query.department = params.get('i') || null;
+            query.sort = params.get('s') || null;
+
+            const page = parseInt(params.get('page'), 10);
+            if (page > 0) {
+                query.page = page;
+            }
+        } catch (error) {
+            logWarn('Failed to parse search URL:', error);
+        }
+
+        return query;
+    }
+
+    /**
+     * Extracts pagination info from the pagination strip
+     * 
+     * @param {Document} doc - DOM document
+     * @param {number} page - Current page (from the URL)
+     * @param {string} baseURL - Origin used to resolve the next page link
+     * @returns {Object} { page, totalPages, hasNextPage, nextPageURL }
+     */
+    function extractSearchPagination(doc, page, baseURL) {
+        const pagination = {
+            page,
+            totalPages: null,
+            hasNextPage: false,
+            nextPageURL: null
+        };
+
+        try {
+            // Highest page number shown in the strip (the last item is the total)
+            const pageNumbers = Array.from(safeQueryAll('.s-pagination-item', doc))
+                .map(element => parseInt(safeText(element), 10))
+                .filter(number => !isNaN(number));
+            if (pageNumbers.length > 0) {
+                pagination.totalPages = Math.max(page, ...pageNumbers);
+            }
+
+            const next = safeQuery('a.s-pagination-next[href]', doc);
+            if (next) {
+                pagination.hasNextPage = true;
+                pagination.nextPageURL = new URL(safeAttr(next, 'href'), baseURL).href;
+            }
+        } catch (error) {
+            // Pagination is optional
+        }
+
+        return pagination;
+    }
+
+    /**
+     * Gets the origin of a page URL (defaults to amazon.com)
+     * @param {string} [url] - Page URL
+     * @returns {string} Origin like 'https://www.amazon.com'
+     */
+    function getBaseURL(url) {
+        try {
+            return new URL(url).origin;
+        } catch (error) {
+            return 'https://www.amazon.com';
+        }
+    }
+
+    return {
+        extractSearchResultsData,
+        findSearchResultCards,
+        extractSearchResultItem,
+        extractCardTitle,
+        extractCardURL,
+        extractCardPrice,
+        extractCardRating,
+        extractCardImage,
+        extractCardBadges,
+        parseReviewCount,
+        parseSearchQuery,
+        getBaseURL
+    };
+});
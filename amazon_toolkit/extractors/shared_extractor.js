@@ -13,6 +13,14 @@
  * 
  * All extraction functions return null if data cannot be found.
  * 
+ * Each fallback chain is an ordered list of named strategies (e.g. 'jsonld', 'meta:og:title',
+ * 'selector:#productTitle', 'regex:asin-json'). Pass a trace from createExtractionTrace() as the
+ * last argument of an extract* function to record which strategies were tried and which one
+ * produced the value.
+ * 
+ * assessProductConfidence() runs every strategy for title, brand, price and image, scores how
+ * well the sources agree with the chosen values, and reports conflicts between them.
+ * 
  * @see {@link https://schema.org/ Schema.org}
  * @see {@link https://ogp.me/ Open Graph Protocol}
  * @see {@link https://developer.twitter.com/en/docs/twitter-for-websites/cards/overview/markup Twitter Cards}
@@ -20,434 +28,476 @@
 
 'use strict';
 
-// Import helpers (will work in both browser and Node.js when properly loaded)
-// In browser context with userscript, these would be loaded via @require
-// In Node.js, use require/import
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('../../userscript_common/dom_helpers.js'),
+            require('../helpers/validation_helpers.js'),
+            require('../helpers/marketplace_helpers.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('AmazonToolkit.Extractors.Shared', factory(
+            resolveNamespace('UserscriptCommon.DOM'),
+            resolveNamespace('AmazonToolkit.Helpers.Validation'),
+            resolveNamespace('AmazonToolkit.Helpers.Marketplace')
+        ));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(DOM, Validation, Marketplace) {
+
+    const { safeQuery, safeText, safeAttr, parseJsonLD, getMetaByProperty, getMetaByName } = DOM;
+    const { isValidASIN, isValidPrice, isAmazonImageURL } = Validation;
+    const { TITLE_SUFFIX_PATTERN, TITLE_PREFIX_PATTERN, PAGE_TITLE_SUFFIX_PATTERN, parsePrice } = Marketplace;
+
+    // ========================================================================
+    // Fallback Chain Runner
+    // ========================================================================
+
+    /**
+     * Creates a trace that records which fallback strategies an extractor tried
+     * Pass it as the last argument of any extract* function in this module.
+     * 
+     * @returns {Object} Trace: { source: string|null, attempts: Array<{ source, matched, error }> }
+     * 
+     * @example
+     * const trace = createExtractionTrace();
+     * const title = extractProductTitle(document, trace);
+     * // trace.source: 'selector:#productTitle'
+     * // trace.attempts: [
+     * //   { source: 'jsonld', matched: false },
+     * //   { source: 'meta:og:title', matched: false },
+     * //   { source: 'meta:twitter:title', matched: false },
+     * //   { source: 'selector:#productTitle', matched: true },
+     * //   ...
+     * // ]
+     */
+    function createExtractionTrace() {
+        return {
+            source: null,
+            attempts: []
+        };
+    }
 
-/**
- * Extracts Amazon product ASIN from various sources
- * ASIN Format: 10-character alphanumeric uppercase identifier
- * 
- * Fallback chain:
- * 1. JSON-LD sku property
- * 2. URL path (/dp/, /gp/product/, etc.)
- * 3. HTML data attributes
- * 4. Regex pattern in source code
- * 
- * @param {Document} doc - DOM document
- * @param {string} [url] - Optional URL to extract from
- * @returns {string|null} ASIN or null if not found
- * 
- * @example
- * const asin = extractProductASIN(document, window.location.href);
- * // Returns: 'B08N5WRWNW'
- */
-function extractProductASIN(doc, url) {
-    // Try JSON-LD
-    try {
-        const jsonLdData = parseJsonLD(doc);
-        for (const data of jsonLdData) {
-            if (data['@type'] === 'Product' && data.sku) {
-                const sku = String(data.sku).trim();
-                if (isValidASIN(sku)) {
-                    return sku;
-                }
-            }
-        }
-    } catch (error) {
-        // Continue to next method
+    /**
+     * Summarizes a trace into the strategy that produced the value and the ones that did not
+     * 
+     * @param {Object} trace - Trace from createExtractionTrace()
+     * @returns {Object} Summary: { source, tried: Array<string>, failed: Array<string> }
+     * 
+     * @example
+     * summarizeExtractionTrace(trace);
+     * // { source: 'selector:#productTitle', tried: ['jsonld', 'meta:og:title', ...], failed: ['jsonld', 'meta:og:title', 'meta:twitter:title'] }
+     */
+    function summarizeExtractionTrace(trace) {
+        return {
+            source: trace.source,
+            tried: trace.attempts.map(attempt => attempt.source),
+            failed: trace.attempts.filter(attempt => !attempt.matched).map(attempt => attempt.source)
+        };
     }
 
-    // Try URL patterns
-    if (url) {
+    /**
+     * Runs a single strategy, recording the attempt in the trace
+     * Errors thrown by the strategy count as a failed attempt.
+     * 
+     * @param {Object} strategy - Strategy: { source: string, extract: Function }
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {*} The strategy's value, or null if it found nothing
+     */
+    function runStrategy(strategy, trace) {
+        let value = null;
+        let errorMessage = null;
         try {
-            // Pattern: /dp/ASIN
-            const dpMatch = url.match(/\/dp\/([A-Z0-9]{10})/i);
-            if (dpMatch) {
-                const asin = dpMatch[1].toUpperCase();
-                if (isValidASIN(asin)) {
-                    return asin;
-                }
-            }
-
-            // Pattern: /gp/product/ASIN
-            const gpMatch = url.match(/\/gp\/product\/([A-Z0-9]{10})/i);
-            if (gpMatch) {
-                const asin = gpMatch[1].toUpperCase();
-                if (isValidASIN(asin)) {
-                    return asin;
-                }
-            }
-
-            // Pattern: /o/ASIN/ASIN
-            const oMatch = url.match(/\/o\/ASIN\/([A-Z0-9]{10})/i);
-            if (oMatch) {
-                const asin = oMatch[1].toUpperCase();
-                if (isValidASIN(asin)) {
-                    return asin;
-                }
-            }
-
-            // Pattern: /exec/obidos/ASIN/ASIN
-            const obidosMatch = url.match(/\/exec\/obidos\/ASIN\/([A-Z0-9]{10})/i);
-            if (obidosMatch) {
-                const asin = obidosMatch[1].toUpperCase();
-                if (isValidASIN(asin)) {
-                    return asin;
-                }
-            }
+            value = strategy.extract();
         } catch (error) {
-            // Continue to next method
+            errorMessage = error.message;
         }
-    }
-
-    // Try HTML data attributes
-    try {
-        const selectors = [
-            '[data-asin]',
-            '[data-product-asin]',
-            'input[name="ASIN"]'
-        ];
 
-        for (const selector of selectors) {
-            const element = safeQuery(selector, doc);
-            if (element) {
-                const asin = (safeAttr(element, 'data-asin') || 
-                             safeAttr(element, 'data-product-asin') ||
-                             safeAttr(element, 'value') || '').toUpperCase();
-                if (isValidASIN(asin)) {
-                    return asin;
-                }
+        const matched = value !== null && value !== undefined && value !== '';
+        if (trace) {
+            const attempt = { source: strategy.source, matched };
+            if (errorMessage) {
+                attempt.error = errorMessage;
             }
+            trace.attempts.push(attempt);
         }
-    } catch (error) {
-        // Continue to next method
+
+        return matched ? value : null;
     }
 
-    // Try regex in page source (last resort)
-    try {
-        const html = doc.documentElement.outerHTML;
-        
-        // Pattern: "asin":"B08N5WRWNW"
-        const asinMatch1 = html.match(/"asin"\s*:\s*"([A-Z0-9]{10})"/i);
-        if (asinMatch1) {
-            const asin = asinMatch1[1].toUpperCase();
-            if (isValidASIN(asin)) {
-                return asin;
+    /**
+     * Runs strategies in order and returns the first value found
+     * 
+     * @param {Array<Object>} strategies - Ordered strategies: { source: string, extract: Function }
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {*} First value found, or null
+     */
+    function runFallbackChain(strategies, trace) {
+        for (const strategy of strategies) {
+            const value = runStrategy(strategy, trace);
+            if (value !== null) {
+                if (trace) {
+                    trace.source = strategy.source;
+                }
+                return value;
             }
         }
+        return null;
+    }
 
-        // Pattern: asin: 'B08N5WRWNW'
-        const asinMatch2 = html.match(/asin\s*:\s*'([A-Z0-9]{10})'/i);
-        if (asinMatch2) {
-            const asin = asinMatch2[1].toUpperCase();
-            if (isValidASIN(asin)) {
-                return asin;
+    /**
+     * Runs every strategy and returns all values found
+     * 
+     * @param {Array<Object>} strategies - Strategies: { source: string, extract: Function }
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {Array<Object>} Candidates: { source, value }
+     */
+    function collectCandidates(strategies, trace) {
+        const candidates = [];
+        for (const strategy of strategies) {
+            const value = runStrategy(strategy, trace);
+            if (value !== null) {
+                candidates.push({ source: strategy.source, value });
             }
         }
-    } catch (error) {
-        // Failed all methods
+        return candidates;
     }
 
-    return null;
-}
-
-/**
- * Extracts product title with comprehensive fallback chain
- * 
- * Title hierarchy (in order of reliability):
- * 1. JSON-LD structured data (name property)
- * 2. Open Graph meta tag (og:title)
- * 3. Main title span (#productTitle)
- * 4. Feature bullets container title
- * 5. Page title tag (cleaned)
- * 
- * Processing:
- * - Trims whitespace
- * - Removes bracketed metadata [Sponsored], [Ad]
- * - Cleans HTML entities
- * - Strips "Amazon.com:" prefix from title tag
- * 
- * @param {Document} doc - DOM document
- * @returns {string|null} Cleaned product title or null if not found
- * 
- * @example
- * const title = extractProductTitle(document);
- * // Returns: 'Apple iPhone 15 Pro Max, 256GB, Blue Titanium'
- */
-function extractProductTitle(doc) {
-    const candidates = [];
-
-    // Try JSON-LD
-    try {
-        const jsonLdData = parseJsonLD(doc);
-        for (const data of jsonLdData) {
-            if (data['@type'] === 'Product' && data.name) {
-                candidates.push(String(data.name));
+    /**
+     * Returns the first non-empty value from the JSON-LD Product entries
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Function} getValue - Returns the value from a Product entry (or null)
+     * @returns {*} Value or null
+     */
+    function findJsonLdProductValue(doc, getValue) {
+        for (const data of parseJsonLD(doc)) {
+            if (data['@type'] === 'Product') {
+                const value = getValue(data);
+                if (value) {
+                    return value;
+                }
             }
         }
-    } catch (error) {
-        // Continue
+        return null;
     }
 
-    // Try meta tags
-    try {
-        const ogTitle = getMetaByProperty('og:title', doc);
-        if (ogTitle) candidates.push(ogTitle);
-
-        const twitterTitle = getMetaByProperty('twitter:title', doc);
-        if (twitterTitle) candidates.push(twitterTitle);
-    } catch (error) {
-        // Continue
-    }
+    // ========================================================================
+    // Field Extractors
+    // ========================================================================
+
+    /**
+     * Extracts Amazon product ASIN from various sources
+     * ASIN Format: 10-character alphanumeric uppercase identifier
+     * 
+     * Fallback chain:
+     * 1. JSON-LD sku property ('jsonld')
+     * 2. URL path ('url:/dp/', 'url:/gp/product/', 'url:/o/ASIN/', 'url:/exec/obidos/ASIN/')
+     * 3. HTML data attributes ('selector:[data-asin]', ...)
+     * 4. Regex pattern in source code ('regex:asin-json', 'regex:asin-js')
+     * 
+     * @param {Document} doc - DOM document
+     * @param {string} [url] - Optional URL to extract from
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {string|null} ASIN or null if not found
+     * 
+     * @example
+     * const asin = extractProductASIN(document, window.location.href);
+     * // Returns: 'B08N5WRWNW'
+     */
+    function extractProductASIN(doc, url, trace) {
+        const toASIN = (value) => {
+            const asin = String(value || '').trim().toUpperCase();
+            return isValidASIN(asin) ? asin : null;
+        };
+
+        const strategies = [
+            {
+                source: 'jsonld',
+                extract: () => findJsonLdProductValue(doc, data => (data.sku ? toASIN(data.sku) : null))
+            }
+        ];
 
-    // Try HTML elements
-    try {
-        const productTitle = safeQuery('#productTitle', doc);
-        if (productTitle) {
-            const text = safeText(productTitle);
-            if (text) candidates.push(text);
+        if (url) {
+            const urlPatterns = [
+                { path: '/dp/', pattern: /\/dp\/([A-Z0-9]{10})/i },
+                { path: '/gp/product/', pattern: /\/gp\/product\/([A-Z0-9]{10})/i },
+                { path: '/o/ASIN/', pattern: /\/o\/ASIN\/([A-Z0-9]{10})/i },
+                { path: '/exec/obidos/ASIN/', pattern: /\/exec\/obidos\/ASIN\/([A-Z0-9]{10})/i }
+            ];
+            for (const { path, pattern } of urlPatterns) {
+                strategies.push({
+                    source: `url:${path}`,
+                    extract: () => {
+                        const match = url.match(pattern);
+                        return match ? toASIN(match[1]) : null;
+                    }
+                });
+            }
         }
 
-        const itemName = safeQuery('span[id="productTitle"]', doc);
-        if (itemName) {
-            const text = safeText(itemName);
-            if (text) candidates.push(text);
+        for (const selector of ['[data-asin]', '[data-product-asin]', 'input[name="ASIN"]']) {
+            strategies.push({
+                source: `selector:${selector}`,
+                extract: () => {
+                    const element = safeQuery(selector, doc);
+                    if (!element) {
+                        return null;
+                    }
+                    return toASIN(safeAttr(element, 'data-asin') ||
+                                  safeAttr(element, 'data-product-asin') ||
+                                  safeAttr(element, 'value'));
+                }
+            });
         }
-    } catch (error) {
-        // Continue
-    }
 
-    // Try title tag (last resort - often has extra text)
-    try {
-        const titleElement = safeQuery('title', doc);
-        if (titleElement) {
-            let titleText = safeText(titleElement);
-            if (titleText) {
-                // Remove common Amazon suffix
-                titleText = titleText.replace(/\s*[-:]\s*Amazon\.(com|co\.uk|de|fr|es|it|ca|co\.jp|in|cn|com\.mx|com\.br|com\.au|nl|se|com\.tr|sg|ae|sa)\s*$/i, '');
-                if (titleText) candidates.push(titleText);
-            }
+        // Regex in page source (last resort)
+        const sourcePatterns = [
+            // Pattern: "asin":"B08N5WRWNW"
+            { source: 'regex:asin-json', pattern: /"asin"\s*:\s*"([A-Z0-9]{10})"/i },
+            // Pattern: asin: 'B08N5WRWNW'
+            { source: 'regex:asin-js', pattern: /asin\s*:\s*'([A-Z0-9]{10})'/i }
+        ];
+        for (const { source, pattern } of sourcePatterns) {
+            strategies.push({
+                source,
+                extract: () => {
+                    const match = doc.documentElement.outerHTML.match(pattern);
+                    return match ? toASIN(match[1]) : null;
+                }
+            });
         }
-    } catch (error) {
-        // Continue
-    }
 
-    // Clean all candidates and choose shortest
-    if (candidates.length === 0) {
-        return null;
+        return runFallbackChain(strategies, trace);
     }
 
-    const cleaned = candidates
-        .map(title => cleanProductTitle(title))
-        .filter(title => title && title.length > 0)
-        .sort((a, b) => a.length - b.length); // Shortest first
-
-    return cleaned.length > 0 ? cleaned[0] : null;
-}
-
-/**
- * Cleans a product title by removing common Amazon prefixes/suffixes
- * @param {string} title - Raw title to clean
- * @returns {string} Cleaned title
- * 
- * @example
- * cleanProductTitle('Amazon.com: Nintendo Switch – OLED Model : Electronics');
- * // Returns: 'Nintendo Switch – OLED Model'
- */
-function cleanProductTitle(title) {
-    if (!title) return '';
-    
-    let cleaned = title.trim();
-    
-    // Remove "Amazon.com:" or "Amazon.co.uk:" prefix
-    cleaned = cleaned.replace(/^Amazon\.(com|co\.uk|de|fr|es|it|ca|co\.jp|in|cn|com\.mx|com\.br|com\.au|nl|se|com\.tr|sg|ae|sa)\s*:\s*/i, '');
-    
-    // Remove "at Amazon.*" suffix
-    cleaned = cleaned.replace(/\s+at\s+Amazon\.(com|co\.uk|de|fr|es|it|ca|co\.jp|in|cn|com\.mx|com\.br|com\.au|nl|se|com\.tr|sg|ae|sa)\s*$/i, '');
-    
-    // Remove everything after " : " (category info)
-    const colonIndex = cleaned.indexOf(' : ');
-    if (colonIndex > 0) {
-        cleaned = cleaned.substring(0, colonIndex);
-    }
-    
-    return cleaned.trim();
-}
-
-/**
- * Extracts brand name from various sources
- * 
- * Fallback chain:
- * 1. JSON-LD brand.name
- * 2. HTML #bylineInfo
- * 3. HTML .a-size-small.a-color-secondary (brand link)
- * 4. Meta tag brand
- * 
- * @param {Document} doc - DOM document
- * @returns {string|null} Brand name or null if not found
- * 
- * @example
- * const brand = extractProductBrand(document);
- * // Returns: 'Nintendo'
- */
-function extractProductBrand(doc) {
-    // Try JSON-LD
-    try {
-        const jsonLdData = parseJsonLD(doc);
-        for (const data of jsonLdData) {
-            if (data['@type'] === 'Product' && data.brand) {
-                if (typeof data.brand === 'object' && data.brand.name) {
-                    return String(data.brand.name).trim();
-                } else if (typeof data.brand === 'string') {
-                    return data.brand.trim();
+    /**
+     * Collects every product title candidate, one per source
+     * 
+     * Sources (in order of reliability):
+     * 1. JSON-LD structured data name property ('jsonld')
+     * 2. Open Graph / Twitter meta tags ('meta:og:title', 'meta:twitter:title')
+     * 3. Main title span ('selector:#productTitle')
+     * 4. Page title tag, minus the Amazon suffix ('title-tag')
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {Array<Object>} Raw candidates: { source, value }
+     */
+    function collectProductTitleCandidates(doc, trace) {
+        const textOf = (selector) => safeText(safeQuery(selector, doc));
+
+        return collectCandidates([
+            {
+                source: 'jsonld',
+                extract: () => findJsonLdProductValue(doc, data => (data.name ? String(data.name) : null))
+            },
+            { source: 'meta:og:title', extract: () => getMetaByProperty('og:title', doc) },
+            { source: 'meta:twitter:title', extract: () => getMetaByProperty('twitter:title', doc) },
+            { source: 'selector:#productTitle', extract: () => textOf('#productTitle') },
+            { source: 'selector:span[id="productTitle"]', extract: () => textOf('span[id="productTitle"]') },
+            {
+                // Last resort - often has extra text
+                source: 'title-tag',
+                extract: () => {
+                    const titleText = textOf('title');
+                    if (!titleText) {
+                        return null;
+                    }
+                    // Remove common Amazon suffix
+                    return titleText.replace(PAGE_TITLE_SUFFIX_PATTERN, '');
                 }
             }
-        }
-    } catch (error) {
-        // Continue
+        ], trace);
     }
 
-    // Try byline info
-    try {
-        const bylineInfo = safeQuery('#bylineInfo', doc);
-        if (bylineInfo) {
-            let text = safeText(bylineInfo);
-            if (text) {
-                // Remove "Visit the", "Brand:", etc.
-                text = text.replace(/^(Visit the|Brand:)\s*/i, '');
-                text = text.replace(/\s+Store$/i, '');
-                if (text) return text.trim();
-            }
+    /**
+     * Extracts product title with comprehensive fallback chain
+     * 
+     * Title hierarchy (in order of reliability):
+     * 1. JSON-LD structured data (name property)
+     * 2. Open Graph meta tag (og:title)
+     * 3. Main title span (#productTitle)
+     * 4. Feature bullets container title
+     * 5. Page title tag (cleaned)
+     * 
+     * Every source is tried; the shortest cleaned candidate wins (the trace source is the
+     * candidate that was chosen).
+     * 
+     * Processing:
+     * - Trims whitespace
+     * - Removes bracketed metadata [Sponsored], [Ad]
+     * - Cleans HTML entities
+     * - Strips "Amazon.com:" prefix from title tag
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {string|null} Cleaned product title or null if not found
+     * 
+     * @example
+     * const title = extractProductTitle(document);
+     * // Returns: 'Apple iPhone 15 Pro Max, 256GB, Blue Titanium'
+     */
+    function extractProductTitle(doc, trace) {
+        const cleaned = collectProductTitleCandidates(doc, trace)
+            .map(candidate => ({ source: candidate.source, value: cleanProductTitle(candidate.value) }))
+            .filter(candidate => candidate.value && candidate.value.length > 0)
+            .sort((a, b) => a.value.length - b.value.length); // Shortest first
+
+        if (cleaned.length === 0) {
+            return null;
         }
-    } catch (error) {
-        // Continue
-    }
 
-    // Try brand link
-    try {
-        const brandLink = safeQuery('a#bylineInfo', doc);
-        if (brandLink) {
-            const text = safeText(brandLink);
-            if (text) {
-                const cleaned = text.replace(/^(Visit the|Brand:)\s*/i, '').replace(/\s+Store$/i, '');
-                if (cleaned) return cleaned.trim();
-            }
+        if (trace) {
+            trace.source = cleaned[0].source;
         }
-    } catch (error) {
-        // Continue
+        return cleaned[0].value;
     }
 
-    // Try meta tags
-    try {
-        const brandMeta = getMetaByName('brand', doc);
-        if (brandMeta) return brandMeta;
-    } catch (error) {
-        // Continue
-    }
-
-    return null;
-}
-
-/**
- * Extracts product description from various sources
- * 
- * Fallback chain:
- * 1. JSON-LD description
- * 2. Meta og:description
- * 3. Meta description
- * 4. HTML #productDescription
- * 5. HTML #feature-bullets
- * 
- * @param {Document} doc - DOM document
- * @returns {string|null} Description or null if not found
- * 
- * @example
- * const description = extractProductDescription(document);
- * // Returns: 'Meet the newest member of the Nintendo Switch family...'
- */
-function extractProductDescription(doc) {
-    // Try JSON-LD
-    try {
-        const jsonLdData = parseJsonLD(doc);
-        for (const data of jsonLdData) {
-            if (data['@type'] === 'Product' && data.description) {
-                return String(data.description).trim();
-            }
+    /**
+     * Cleans a product title by removing common Amazon prefixes/suffixes
+     * @param {string} title - Raw title to clean
+     * @returns {string} Cleaned title
+     * 
+     * @example
+     * cleanProductTitle('Amazon.com: Nintendo Switch – OLED Model : Electronics');
+     * // Returns: 'Nintendo Switch – OLED Model'
+     * 
+     * cleanProductTitle('Nintendo Switch – OLED-Modell bei Amazon.de');
+     * // Returns: 'Nintendo Switch – OLED-Modell'
+     */
+    function cleanProductTitle(title) {
+        if (!title) return '';
+
+        let cleaned = title.trim();
+
+        // Remove "Amazon.com:" or "Amazon.co.uk:" prefix
+        cleaned = cleaned.replace(TITLE_PREFIX_PATTERN, '');
+
+        // Remove the localized "at Amazon.com" / "bei Amazon.de" / "sur Amazon.fr" suffix
+        cleaned = cleaned.replace(TITLE_SUFFIX_PATTERN, '');
+
+        // Remove everything after " : " (category info)
+        const colonIndex = cleaned.indexOf(' : ');
+        if (colonIndex > 0) {
+            cleaned = cleaned.substring(0, colonIndex);
         }
-    } catch (error) {
-        // Continue
-    }
-
-    // Try meta tags
-    try {
-        const ogDesc = getMetaByProperty('og:description', doc);
-        if (ogDesc) return ogDesc;
 
-        const metaDesc = getMetaByName('description', doc);
-        if (metaDesc) return metaDesc;
-    } catch (error) {
-        // Continue
+        return cleaned.trim();
     }
 
-    // Try HTML elements
-    try {
-        const productDesc = safeQuery('#productDescription', doc);
-        if (productDesc) {
-            const text = safeText(productDesc);
-            if (text) return text;
-        }
+    /**
+     * Builds the brand fallback strategies (shared by extraction and candidate collection)
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Array<Object>} Strategies: { source, extract }
+     */
+    function productBrandStrategies(doc) {
+        // Remove "Visit the", "Brand:", etc.
+        const cleanByline = (text) => (text || '')
+            .replace(/^(Visit the|Brand:)\s*/i, '')
+            .replace(/\s+Store$/i, '')
+            .trim();
+
+        return [
+            {
+                source: 'jsonld',
+                extract: () => findJsonLdProductValue(doc, data => {
+                    if (data.brand && typeof data.brand === 'object' && data.brand.name) {
+                        return String(data.brand.name).trim();
+                    } else if (typeof data.brand === 'string') {
+                        return data.brand.trim();
+                    }
+                    return null;
+                })
+            },
+            { source: 'selector:#bylineInfo', extract: () => cleanByline(safeText(safeQuery('#bylineInfo', doc))) },
+            { source: 'selector:a#bylineInfo', extract: () => cleanByline(safeText(safeQuery('a#bylineInfo', doc))) },
+            { source: 'meta:brand', extract: () => getMetaByName('brand', doc) }
+        ];
+    }
 
-        const featureBullets = safeQuery('#feature-bullets', doc);
-        if (featureBullets) {
-            const text = safeText(featureBullets);
-            if (text) return text;
-        }
-    } catch (error) {
-        // Continue
+    /**
+     * Extracts brand name from various sources
+     * 
+     * Fallback chain:
+     * 1. JSON-LD brand.name ('jsonld')
+     * 2. HTML #bylineInfo ('selector:#bylineInfo')
+     * 3. HTML brand link ('selector:a#bylineInfo')
+     * 4. Meta tag brand ('meta:brand')
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {string|null} Brand name or null if not found
+     * 
+     * @example
+     * const brand = extractProductBrand(document);
+     * // Returns: 'Nintendo'
+     */
+    function extractProductBrand(doc, trace) {
+        return runFallbackChain(productBrandStrategies(doc), trace);
     }
 
-    return null;
-}
+    /**
+     * Extracts product description from various sources
+     * 
+     * Fallback chain:
+     * 1. JSON-LD description ('jsonld')
+     * 2. Meta og:description ('meta:og:description')
+     * 3. Meta description ('meta:description')
+     * 4. HTML #productDescription ('selector:#productDescription')
+     * 5. HTML #feature-bullets ('selector:#feature-bullets')
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {string|null} Description or null if not found
+     * 
+     * @example
+     * const description = extractProductDescription(document);
+     * // Returns: 'Meet the newest member of the Nintendo Switch family...'
+     */
+    function extractProductDescription(doc, trace) {
+        return runFallbackChain([
+            {
+                source: 'jsonld',
+                extract: () => findJsonLdProductValue(doc, data => (data.description ? String(data.description).trim() : null))
+            },
+            { source: 'meta:og:description', extract: () => getMetaByProperty('og:description', doc) },
+            { source: 'meta:description', extract: () => getMetaByName('description', doc) },
+            { source: 'selector:#productDescription', extract: () => safeText(safeQuery('#productDescription', doc)) },
+            { source: 'selector:#feature-bullets', extract: () => safeText(safeQuery('#feature-bullets', doc)) }
+        ], trace);
+    }
 
-/**
- * Extracts price from various sources
- * 
- * Fallback chain:
- * 1. JSON-LD offers.price
- * 2. HTML .a-price .a-offscreen
- * 3. HTML #priceblock_ourprice
- * 4. HTML #priceblock_dealprice
- * 5. Regex in source code
- * 
- * @param {Document} doc - DOM document
- * @returns {string|null} Price string or null if not found
- * 
- * @example
- * const price = extractProductPrice(document);
- * // Returns: '$349.99'
- */
-function extractProductPrice(doc) {
-    // Try JSON-LD
-    try {
-        const jsonLdData = parseJsonLD(doc);
-        for (const data of jsonLdData) {
-            if (data['@type'] === 'Product' && data.offers) {
-                const offers = Array.isArray(data.offers) ? data.offers : [data.offers];
-                for (const offer of offers) {
-                    if (offer.price) {
-                        const currency = offer.priceCurrency || '$';
-                        return `${currency}${offer.price}`;
+    /**
+     * Builds the price fallback strategies (shared by extraction and candidate collection)
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Array<Object>} Strategies: { source, extract }
+     */
+    function productPriceStrategies(doc) {
+        const strategies = [
+            {
+                source: 'jsonld',
+                extract: () => findJsonLdProductValue(doc, data => {
+                    if (!data.offers) {
+                        return null;
                     }
-                }
+                    const offers = Array.isArray(data.offers) ? data.offers : [data.offers];
+                    // offers.price is a machine-format number ('1299.00'), not a displayed price
+                    for (const offer of offers) {
+                        const price = Number(offer.price);
+                        if (offer.price && isFinite(price)) {
+                            return price;
+                        }
+                    }
+                    return null;
+                })
             }
-        }
-    } catch (error) {
-        // Continue
-    }
+        ];
 
-    // Try HTML price elements
-    try {
         const selectors = [
             '.a-price .a-offscreen',
             '#priceblock_ourprice',
@@ -455,246 +505,330 @@ function extractProductPrice(doc) {
             '#priceblock_saleprice',
             '.a-price-whole'
         ];
-
         for (const selector of selectors) {
-            const element = safeQuery(selector, doc);
-            if (element) {
-                const text = safeText(element);
-                if (text && isValidPrice(text)) {
-                    return text;
+            strategies.push({
+                source: `selector:${selector}`,
+                extract: () => {
+                    const text = safeText(safeQuery(selector, doc));
+                    return text && isValidPrice(text) ? text : null;
                 }
-            }
+            });
         }
-    } catch (error) {
-        // Continue
+
+        return strategies;
     }
 
-    return null;
-}
+    /**
+     * Extracts price from various sources
+     * 
+     * Fallback chain:
+     * 1. JSON-LD offers.price ('jsonld'), as a number
+     * 2. HTML .a-price .a-offscreen ('selector:.a-price .a-offscreen')
+     * 3. HTML #priceblock_ourprice
+     * 4. HTML #priceblock_dealprice
+     * 5. HTML #priceblock_saleprice
+     * 6. HTML .a-price-whole
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {string|number|null} Displayed price, the JSON-LD price value, or null if not found
+     * 
+     * @example
+     * const price = extractProductPrice(document);
+     * // Returns: '$349.99' (or 349.99 from JSON-LD)
+     */
+    function extractProductPrice(doc, trace) {
+        return runFallbackChain(productPriceStrategies(doc), trace);
+    }
 
-/**
- * Extracts primary product image URL from various sources
- * Prefers high-resolution versions (data-old-hires, data-a-dynamic-image)
- * 
- * Fallback chain:
- * 1. JSON-LD image (array or string)
- * 2. Meta og:image
- * 3. HTML #landingImage data-old-hires
- * 4. HTML #landingImage data-a-dynamic-image (largest)
- * 5. HTML #landingImage src
- * 6. HTML #imgBlkFront src
- * 
- * @param {Document} doc - DOM document
- * @returns {string|null} Image URL or null if not found
- * 
- * @example
- * const imageUrl = extractProductImageURL(document);
- * // Returns: 'https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1500_.jpg'
- */
-function extractProductImageURL(doc) {
-    // Try JSON-LD
-    try {
-        const jsonLdData = parseJsonLD(doc);
-        for (const data of jsonLdData) {
-            if (data['@type'] === 'Product' && data.image) {
-                if (Array.isArray(data.image) && data.image.length > 0) {
-                    return String(data.image[0]).trim();
-                } else if (typeof data.image === 'string') {
-                    return data.image.trim();
+    /**
+     * Builds the primary image fallback strategies (shared by extraction and candidate collection)
+     * 
+     * @param {Document} doc - DOM document
+     * @returns {Array<Object>} Strategies: { source, extract }
+     */
+    function productImageStrategies(doc) {
+        const amazonImageAttr = (selector, attribute) => {
+            const value = safeAttr(safeQuery(selector, doc), attribute);
+            return value && isAmazonImageURL(value) ? value : null;
+        };
+
+        return [
+            {
+                source: 'jsonld',
+                extract: () => findJsonLdProductValue(doc, data => {
+                    if (Array.isArray(data.image) && data.image.length > 0) {
+                        return String(data.image[0]).trim();
+                    } else if (typeof data.image === 'string') {
+                        return data.image.trim();
+                    }
+                    return null;
+                })
+            },
+            {
+                source: 'meta:og:image',
+                extract: () => {
+                    const ogImage = getMetaByProperty('og:image', doc);
+                    return ogImage && isAmazonImageURL(ogImage) ? ogImage : null;
                 }
-            }
-        }
-    } catch (error) {
-        // Continue
+            },
+            // data-old-hires is usually SL1500
+            { source: 'selector:#landingImage[data-old-hires]', extract: () => amazonImageAttr('#landingImage', 'data-old-hires') },
+            {
+                // JSON with multiple sizes; first URL is usually the highest resolution
+                source: 'selector:#landingImage[data-a-dynamic-image]',
+                extract: () => {
+                    const dynamicImage = safeAttr(safeQuery('#landingImage', doc), 'data-a-dynamic-image');
+                    if (!dynamicImage) {
+                        return null;
+                    }
+                    const urls = Object.keys(JSON.parse(dynamicImage));
+                    return urls.length > 0 ? urls[0] : null;
+                }
+            },
+            { source: 'selector:#landingImage[src]', extract: () => amazonImageAttr('#landingImage', 'src') },
+            { source: 'selector:#imgBlkFront[src]', extract: () => amazonImageAttr('#imgBlkFront', 'src') }
+        ];
     }
 
-    // Try meta tags
-    try {
-        const ogImage = getMetaByProperty('og:image', doc);
-        if (ogImage && isAmazonImageURL(ogImage)) {
-            return ogImage;
-        }
-    } catch (error) {
-        // Continue
+    /**
+     * Extracts primary product image URL from various sources
+     * Prefers high-resolution versions (data-old-hires, data-a-dynamic-image)
+     * 
+     * Fallback chain:
+     * 1. JSON-LD image (array or string) ('jsonld')
+     * 2. Meta og:image ('meta:og:image')
+     * 3. HTML #landingImage data-old-hires
+     * 4. HTML #landingImage data-a-dynamic-image (largest)
+     * 5. HTML #landingImage src
+     * 6. HTML #imgBlkFront src
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {string|null} Image URL or null if not found
+     * 
+     * @example
+     * const imageUrl = extractProductImageURL(document);
+     * // Returns: 'https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1500_.jpg'
+     */
+    function extractProductImageURL(doc, trace) {
+        return runFallbackChain(productImageStrategies(doc), trace);
     }
 
-    // Try HTML image elements (prefer high-res)
-    try {
-        const landingImage = safeQuery('#landingImage', doc);
-        if (landingImage) {
-            // Try data-old-hires first (usually SL1500)
-            const hiRes = safeAttr(landingImage, 'data-old-hires');
-            if (hiRes && isAmazonImageURL(hiRes)) {
-                return hiRes;
-            }
+    /**
+     * Extracts variant information (color, size, style, etc.)
+     * 
+     * Fallback chain:
+     * 1. HTML #variation_color_name .selection
+     * 2. HTML #variation_size_name .selection
+     * 3. HTML #variation_style_name .selection
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} [trace] - Trace from createExtractionTrace()
+     * @returns {Object|null} Variant object with type and value, or null
+     * 
+     * @example
+     * const variant = extractProductVariant(document);
+     * // Returns: { type: 'Color', value: 'White' }
+     */
+    function extractProductVariant(doc, trace) {
+        const variantSelectors = [
+            { selector: '#variation_color_name .selection', type: 'Color' },
+            { selector: '#variation_size_name .selection', type: 'Size' },
+            { selector: '#variation_style_name .selection', type: 'Style' }
+        ];
 
-            // Try data-a-dynamic-image (JSON with multiple sizes)
-            const dynamicImage = safeAttr(landingImage, 'data-a-dynamic-image');
-            if (dynamicImage) {
-                try {
-                    const imageData = JSON.parse(dynamicImage);
-                    const urls = Object.keys(imageData);
-                    if (urls.length > 0) {
-                        // Return first URL (usually highest resolution)
-                        return urls[0];
-                    }
-                } catch (jsonError) {
-                    // Continue
-                }
+        return runFallbackChain(variantSelectors.map(({ selector, type }) => ({
+            source: `selector:${selector}`,
+            extract: () => {
+                const value = safeText(safeQuery(selector, doc));
+                return value ? { type, value } : null;
             }
+        })), trace);
+    }
 
-            // Try src attribute
-            const src = safeAttr(landingImage, 'src');
-            if (src && isAmazonImageURL(src)) {
-                return src;
-            }
-        }
+    // ========================================================================
+    // Confidence Scoring
+    // ========================================================================
+
+    /**
+     * Reliability of each source type (0-1), used to weight candidates when scoring agreement
+     * A source type is the part of the strategy name before the first ':' (e.g. 'meta', 'selector').
+     * @constant {Object<string, number>}
+     */
+    const SOURCE_TYPE_RELIABILITY = {
+        'jsonld': 0.9,
+        'url': 0.85,
+        'meta': 0.75,
+        'selector': 0.7,
+        'title-tag': 0.5,
+        'regex': 0.4
+    };
 
-        // Try alternative image element
-        const imgBlkFront = safeQuery('#imgBlkFront', doc);
-        if (imgBlkFront) {
-            const src = safeAttr(imgBlkFront, 'src');
-            if (src && isAmazonImageURL(src)) {
-                return src;
-            }
+    /**
+     * How each scored field is compared across sources
+     * - normalize: maps a raw value to a comparable form (null if unusable); gets the page's
+     *   marketplace as its second argument
+     * - agrees: whether two normalized values describe the same thing
+     * @constant {Object<string, Object>}
+     */
+    const FIELD_COMPARISON = {
+        title: {
+            normalize: (value) => cleanProductTitle(String(value)).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim() || null,
+            // Meta and <title> variants are often truncated or padded, so containment counts as agreement
+            agrees: (a, b) => a === b || a.includes(b) || b.includes(a)
+        },
+        brand: {
+            normalize: (value) => String(value).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '') || null,
+            agrees: (a, b) => a === b
+        },
+        price: {
+            // '1.299,00 €' on amazon.de is 1299, not 1.299
+            normalize: (value, marketplace) => parsePrice(value, marketplace),
+            agrees: (a, b) => Math.abs(a - b) < 0.005
+        },
+        image: {
+            // Same image ID means the same image, whatever the size suffix
+            normalize: (value) => {
+                const match = String(value).match(/\/images\/I\/([A-Za-z0-9+_-]+)\./);
+                return match ? match[1] : String(value).toLowerCase();
+            },
+            agrees: (a, b) => a === b
         }
-    } catch (error) {
-        // Continue
-    }
+    };
 
-    return null;
-}
+    /**
+     * Gets the source type of a strategy name
+     * @param {string} source - Strategy name (e.g. 'meta:og:title')
+     * @returns {string} Source type (e.g. 'meta')
+     */
+    function sourceTypeOf(source) {
+        return source.split(':')[0];
+    }
 
-/**
- * Extracts variant information (color, size, style, etc.)
- * 
- * @param {Document} doc - DOM document
- * @returns {Object|null} Variant object with type and value, or null
- * 
- * @example
- * const variant = extractProductVariant(document);
- * // Returns: { type: 'Color', value: 'White' }
- */
-function extractProductVariant(doc) {
-    try {
-        // Try selected variant display
-        const selectors = [
-            '#variation_color_name .selection',
-            '#variation_size_name .selection',
-            '#variation_style_name .selection'
-        ];
+    /**
+     * Scores how well the sources that produced candidates agree with the chosen value
+     * 
+     * Candidates are grouped by source type so that several selectors reading the same part
+     * of the page do not count as independent evidence. Each source type either agrees with
+     * the chosen value (if any of its candidates does) or conflicts with it.
+     * 
+     * confidence = support × agreement, where
+     * - support = 1 − Π(1 − reliability) over agreeing source types (more agreeing sources → higher)
+     * - agreement = reliability of agreeing types / reliability of all types (conflicts → lower)
+     * 
+     * @param {string} field - Field name: 'title', 'brand', 'price' or 'image'
+     * @param {Array<Object>} candidates - Candidates: { source, value }
+     * @param {*} chosenValue - Value the extractor returned for the field
+     * @param {string|Object} [marketplace] - Page URL, hostname or marketplace (decides how prices are read)
+     * @returns {Object} { confidence: number (0-1), sources: Array<string>, conflicts: Array<{ source, value }> }
+     * 
+     * @example
+     * scoreFieldCandidates('price', [
+     *     { source: 'jsonld', value: 19.99 },
+     *     { source: 'selector:.a-price .a-offscreen', value: '$24.99' }
+     * ], 19.99);
+     * // { confidence: 0.51, sources: ['jsonld'], conflicts: [{ source: 'selector:.a-price .a-offscreen', value: '$24.99' }] }
+     * 
+     * scoreFieldCandidates('price', [
+     *     { source: 'jsonld', value: 1299 },
+     *     { source: 'selector:.a-price .a-offscreen', value: '1.299,00 €' }
+     * ], '1.299,00 €', 'www.amazon.de');
+     * // { confidence: 0.97, sources: ['jsonld', 'selector:.a-price .a-offscreen'], conflicts: [] }
+     */
+    function scoreFieldCandidates(field, candidates, chosenValue, marketplace) {
+        const { normalize, agrees } = FIELD_COMPARISON[field];
+        const result = { confidence: 0, sources: [], conflicts: [] };
+
+        const chosen = chosenValue === null || chosenValue === undefined ? null : normalize(chosenValue, marketplace);
+        if (chosen === null) {
+            return result;
+        }
 
-        for (const selector of selectors) {
-            const element = safeQuery(selector, doc);
-            if (element) {
-                const value = safeText(element);
-                if (value) {
-                    const type = selector.includes('color') ? 'Color' :
-                                selector.includes('size') ? 'Size' :
-                                selector.includes('style') ? 'Style' : 'Variant';
-                    return { type, value };
-                }
+        // Best candidate per source type: the first agreeing one, else the first one
+        const byType = new Map();
+        for (const candidate of candidates) {
+            const normalized = normalize(candidate.value, marketplace);
+            if (normalized === null) {
+                continue;
+            }
+            const type = sourceTypeOf(candidate.source);
+            const agreeing = agrees(normalized, chosen);
+            const current = byType.get(type);
+            if (!current || (agreeing && !current.agreeing)) {
+                byType.set(type, { candidate, agreeing });
             }
         }
-    } catch (error) {
-        // Failed
-    }
 
-    return null;
-}
-
-// These functions would be imported from helpers in a real implementation
-// Placeholder implementations for standalone use:
+        let unsupported = 1;
+        let agreeingWeight = 0;
+        let totalWeight = 0;
+        for (const [type, { candidate, agreeing }] of byType) {
+            const weight = SOURCE_TYPE_RELIABILITY[type] || 0.5;
+            totalWeight += weight;
+            if (agreeing) {
+                unsupported *= 1 - weight;
+                agreeingWeight += weight;
+                result.sources.push(candidate.source);
+            } else {
+                result.conflicts.push({ source: candidate.source, value: candidate.value });
+            }
+        }
 
-function safeQuery(selector, context = document) {
-    try {
-        return context.querySelector(selector);
-    } catch (e) {
-        return null;
+        if (totalWeight > 0) {
+            result.confidence = Math.round((1 - unsupported) * (agreeingWeight / totalWeight) * 100) / 100;
+        }
+        return result;
     }
-}
-
-function safeText(element) {
-    if (!element) return null;
-    const text = element.textContent || '';
-    return text.trim() || null;
-}
-
-function safeAttr(element, attr) {
-    if (!element) return null;
-    const value = element.getAttribute(attr);
-    return value ? value.trim() : null;
-}
-
-function parseJsonLD(doc) {
-    const results = [];
-    try {
-        const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
-        for (const script of scripts) {
-            try {
-                const text = script.textContent || script.innerText;
-                if (text) {
-                    results.push(JSON.parse(text));
-                }
-            } catch (e) {
-                continue;
+
+    /**
+     * Collects title, brand, price and image candidates from every source and scores them
+     * against the values the extractors chose
+     * 
+     * The overall confidence is the mean of the four field confidences (a missing field scores 0).
+     * 
+     * @param {Document} doc - DOM document
+     * @param {Object} chosen - Chosen values: { title, brand, price, image }
+     * @param {string|Object} [marketplace] - Page URL, hostname or marketplace (decides how prices are read)
+     * @returns {Object} Confidence report:
+     *     { overall: number, fields: { title, brand, price, image }, conflicts: Array<{ field, source, value }> }
+     * 
+     * @example
+     * const report = assessProductConfidence(document, {
+     *     title: extractProductTitle(document),
+     *     brand: extractProductBrand(document),
+     *     price: extractProductPrice(document),
+     *     image: extractProductImageURL(document)
+     * }, location.href);
+     * // report.overall: 0.74
+     * // report.fields.title: { confidence: 0.85, sources: ['selector:#productTitle', 'title-tag'], conflicts: [] }
+     */
+    function assessProductConfidence(doc, chosen, marketplace) {
+        const candidates = {
+            title: collectProductTitleCandidates(doc),
+            brand: collectCandidates(productBrandStrategies(doc)),
+            price: collectCandidates(productPriceStrategies(doc)),
+            image: collectCandidates(productImageStrategies(doc))
+        };
+
+        const report = { overall: 0, fields: {}, conflicts: [] };
+        let total = 0;
+        for (const field of Object.keys(candidates)) {
+            const score = scoreFieldCandidates(field, candidates[field], chosen[field], marketplace);
+            report.fields[field] = score;
+            total += score.confidence;
+            for (const conflict of score.conflicts) {
+                report.conflicts.push({ field, source: conflict.source, value: conflict.value });
             }
         }
-    } catch (e) {
-        // Return empty array
-    }
-    return results;
-}
-
-function getMetaByProperty(property, doc = document) {
-    try {
-        const meta = doc.querySelector(`meta[property="${property}"]`);
-        return meta ? (meta.getAttribute('content') || '').trim() || null : null;
-    } catch (e) {
-        return null;
-    }
-}
+        report.overall = Math.round((total / Object.keys(candidates).length) * 100) / 100;
 
-function getMetaByName(name, doc = document) {
-    try {
-        const meta = doc.querySelector(`meta[name="${name}"]`);
-        return meta ? (meta.getAttribute('content') || '').trim() || null : null;
-    } catch (e) {
-        return null;
-    }
-}
-
-function isValidASIN(value) {
-    if (!value || typeof value !== 'string') return false;
-    return /^[A-Z0-9]{10}$/.test(value);
-}
-
-function isValidPrice(value) {
-    if (!value || typeof value !== 'string') return false;
-    const cleaned = value.replace(/[$£€¥₹,\s]/g, '');
-    const num = parseFloat(cleaned);
-    return !isNaN(num) && num >= 0;
-}
-
-function isAmazonImageURL(value) {
-    if (!value || typeof value !== 'string') return false;
-    try {
-        const url = new URL(value);
-        const imageHosts = [
-            'm.media-amazon.com',
-            'images-na.ssl-images-amazon.com',
-            'images-amazon.com',
-            'ecx.images-amazon.com'
-        ];
-        return imageHosts.some(host => url.hostname === host || url.hostname.endsWith('.' + host));
-    } catch (e) {
-        return false;
+        return report;
     }
-}
 
-// Export all extraction functions
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
+    return {
+        createExtractionTrace,
+        summarizeExtractionTrace,
         extractProductASIN,
         extractProductTitle,
         cleanProductTitle,
@@ -702,6 +836,8 @@ if (typeof module !== 'undefined' && module.exports) {
         extractProductDescription,
         extractProductPrice,
         extractProductImageURL,
-        extractProductVariant
+        extractProductVariant,
+        scoreFieldCandidates,
+        assessProductConfidence
     };
-}
+});
@@ -0,0 +1,405 @@
+/**
+ * @file marketplace_helpers.js
+ * @description Amazon marketplace (locale) table and locale-aware price helpers
+ * @author Zakk Hoyt
+ * @namespace AmazonToolkit.Helpers.Marketplace
+ * 
+ * Each Amazon marketplace writes prices its own way:
+ * - amazon.com:   $1,299.00
+ * - amazon.de:    1.299,00 €
+ * - amazon.fr:    1 299,00 €
+ * - amazon.co.jp: ￥12,800
+ * 
+ * The marketplace table maps every domain in `AMAZON_DOMAIN_PATTERN` (validation_helpers.js)
+ * to its currency, decimal/grouping separators and language. The price parser, the title
+ * cleaner (localized "at Amazon.de" suffixes) and `formatPrice()` all read from it.
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory();
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('AmazonToolkit.Helpers.Marketplace', factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+
+    /**
+     * Marketplaces keyed by domain suffix (the part after 'amazon.')
+     * 
+     * - `currency` / `currencySymbol`: ISO 4217 code and the symbol Amazon shows
+     * - `decimalSeparator` / `groupSeparator`: number format of displayed prices
+     * - `decimals`: digits after the decimal separator (0 for yen)
+     * - `symbolPosition` / `symbolSpace`: where the symbol goes, and whether a space separates it
+     * - `grouping`: 'thousands' (1,299,999) or 'lakh' (12,99,999)
+     * - `language`: BCP 47 tag of the marketplace's default language
+     * - `titlePreposition`: the word in the "<word> Amazon.de" title suffix, or null
+     * 
+     * @constant {Object<string, Object>}
+     */
+    const MARKETPLACES = {
+        'com': {
+            countryCode: 'US', currency: 'USD', currencySymbol: '$',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'thousands',
+            language: 'en-US', titlePreposition: 'at'
+        },
+        'co.uk': {
+            countryCode: 'GB', currency: 'GBP', currencySymbol: '£',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'thousands',
+            language: 'en-GB', titlePreposition: 'at'
+        },
+        'ca': {
+            countryCode: 'CA', currency: 'CAD', currencySymbol: '$',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'thousands',
+            language: 'en-CA', titlePreposition: 'at'
+        },
+        'com.au': {
+            countryCode: 'AU', currency: 'AUD', currencySymbol: '$',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'thousands',
+            language: 'en-AU', titlePreposition: 'at'
+        },
+        'in': {
+            countryCode: 'IN', currency: 'INR', currencySymbol: '₹',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'lakh',
+            language: 'en-IN', titlePreposition: 'at'
+        },
+        'sg': {
+            countryCode: 'SG', currency: 'SGD', currencySymbol: 'S$',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'thousands',
+            language: 'en-SG', titlePreposition: 'at'
+        },
+        'ae': {
+            countryCode: 'AE', currency: 'AED', currencySymbol: 'AED',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: true, grouping: 'thousands',
+            language: 'en-AE', titlePreposition: 'at'
+        },
+        'sa': {
+            countryCode: 'SA', currency: 'SAR', currencySymbol: 'SAR',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: true, grouping: 'thousands',
+            language: 'ar-SA', titlePreposition: null
+        },
+        'de': {
+            countryCode: 'DE', currency: 'EUR', currencySymbol: '€',
+            decimalSeparator: ',', groupSeparator: '.', decimals: 2,
+            symbolPosition: 'after', symbolSpace: true, grouping: 'thousands',
+            language: 'de-DE', titlePreposition: 'bei'
+        },
+        'fr': {
+            countryCode: 'FR', currency: 'EUR', currencySymbol: '€',
+            decimalSeparator: ',', groupSeparator: ' ', decimals: 2,
+            symbolPosition: 'after', symbolSpace: true, grouping: 'thousands',
+            language: 'fr-FR', titlePreposition: 'sur'
+        },
+        'es': {
+            countryCode: 'ES', currency: 'EUR', currencySymbol: '€',
+            decimalSeparator: ',', groupSeparator: '.', decimals: 2,
+            symbolPosition: 'after', symbolSpace: true, grouping: 'thousands',
+            language: 'es-ES', titlePreposition: 'en'
+        },
+        'it': {
+            countryCode: 'IT', currency: 'EUR', currencySymbol: '€',
+            decimalSeparator: ',', groupSeparator: '.', decimals: 2,
+            symbolPosition: 'after', symbolSpace: true, grouping: 'thousands',
+            language: 'it-IT', titlePreposition: 'su'
+        },
+        'nl': {
+            countryCode: 'NL', currency: 'EUR', currencySymbol: '€',
+            decimalSeparator: ',', groupSeparator: '.', decimals: 2,
+            symbolPosition: 'before', symbolSpace: true, grouping: 'thousands',
+            language: 'nl-NL', titlePreposition: 'bij'
+        },
+        'se': {
+            countryCode: 'SE', currency: 'SEK', currencySymbol: 'kr',
+            decimalSeparator: ',', groupSeparator: ' ', decimals: 2,
+            symbolPosition: 'after', symbolSpace: true, grouping: 'thousands',
+            language: 'sv-SE', titlePreposition: 'på'
+        },
+        'com.tr': {
+            countryCode: 'TR', currency: 'TRY', currencySymbol: 'TL',
+            decimalSeparator: ',', groupSeparator: '.', decimals: 2,
+            symbolPosition: 'after', symbolSpace: true, grouping: 'thousands',
+            language: 'tr-TR', titlePreposition: null
+        },
+        'com.br': {
+            countryCode: 'BR', currency: 'BRL', currencySymbol: 'R$',
+            decimalSeparator: ',', groupSeparator: '.', decimals: 2,
+            symbolPosition: 'before', symbolSpace: true, grouping: 'thousands',
+            language: 'pt-BR', titlePreposition: 'na'
+        },
+        'com.mx': {
+            countryCode: 'MX', currency: 'MXN', currencySymbol: '$',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'thousands',
+            language: 'es-MX', titlePreposition: 'en'
+        },
+        'co.jp': {
+            countryCode: 'JP', currency: 'JPY', currencySymbol: '￥',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 0,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'thousands',
+            language: 'ja-JP', titlePreposition: null
+        },
+        'cn': {
+            countryCode: 'CN', currency: 'CNY', currencySymbol: '¥',
+            decimalSeparator: '.', groupSeparator: ',', decimals: 2,
+            symbolPosition: 'before', symbolSpace: false, grouping: 'thousands',
+            language: 'zh-CN', titlePreposition: null
+        }
+    };
+
+    /**
+     * Marketplace used when none is given or the hostname is not an Amazon domain
+     * @constant {string}
+     */
+    const DEFAULT_MARKETPLACE_DOMAIN = 'com';
+
+    /**
+     * Currency symbols recognized in price strings, longest first so 'R$' wins over '$'
+     * @constant {Array<string>}
+     */
+    const CURRENCY_SYMBOLS = [...new Set(
+        Object.values(MARKETPLACES).map(marketplace => marketplace.currencySymbol).concat(['¥', '€', '£', '$'])
+    )].sort((a, b) => b.length - a.length);
+
+    /**
+     * Looks up the marketplace for a hostname or URL
+     * 
+     * @param {string|URL} hostnameOrURL - Hostname ('www.amazon.de'), URL, or domain suffix ('de')
+     * @returns {Object|null} Marketplace ({ domain, hostname, ...table entry }) or null if not an Amazon marketplace
+     * 
+     * @example
+     * getMarketplace('https://www.amazon.de/dp/B08N5WRWNW').currency;  // 'EUR'
+     * getMarketplace('smile.amazon.co.uk').decimalSeparator;           // '.'
+     * getMarketplace('co.jp').currencySymbol;                          // '￥'
+     * getMarketplace('www.google.com');                                // null
+     */
+    function getMarketplace(hostnameOrURL) {
+        if (!hostnameOrURL) {
+            return null;
+        }
+
+        let hostname = String(hostnameOrURL).toLowerCase();
+        if (typeof hostnameOrURL === 'object' && hostnameOrURL.hostname) {
+            hostname = hostnameOrURL.hostname.toLowerCase();
+        } else if (hostname.includes('/')) {
+            try {
+                hostname = new URL(hostname).hostname;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        const match = hostname.match(/(?:^|\.)amazon\.([a-z.]+)$/);
+        const domain = match ? match[1] : hostname;
+        if (!Object.prototype.hasOwnProperty.call(MARKETPLACES, domain)) {
+            return null;
+        }
+
+        return { domain, hostname: `www.amazon.${domain}`, ...MARKETPLACES[domain] };
+    }
+
+    /**
+     * Gets the marketplace for a hostname or URL, falling back to amazon.com
+     * 
+     * @param {string|URL|Object} [hostnameOrMarketplace] - Hostname, URL, domain suffix, or a marketplace object
+     * @returns {Object} Marketplace
+     * 
+     * @example
+     * resolveMarketplace('www.amazon.fr').language;  // 'fr-FR'
+     * resolveMarketplace(undefined).domain;          // 'com'
+     */
+    function resolveMarketplace(hostnameOrMarketplace) {
+        return toMarketplace(hostnameOrMarketplace) || getMarketplace(DEFAULT_MARKETPLACE_DOMAIN);
+    }
+
+    /**
+     * Accepts a marketplace object as-is, otherwise looks it up with getMarketplace()
+     * @param {string|URL|Object} [value] - Hostname, URL, domain suffix, or a marketplace object
+     * @returns {Object|null} Marketplace or null
+     */
+    function toMarketplace(value) {
+        if (value && typeof value === 'object' && value.currency) {
+            return value;
+        }
+        return getMarketplace(value);
+    }
+
+    /**
+     * Parses a displayed price into a number
+     * 
+     * With a known marketplace, its separators decide what '.' and ',' mean. Otherwise the last
+     * separator is the decimal separator when 1 or 2 digits follow it, otherwise all
+     * separators are grouping ('￥12,800' is 12800).
+     * 
+     * @param {string} priceStr - Displayed price ('$1,299.00', '1.299,00 €', '￥12,800')
+     * @param {string|Object} [marketplace] - Marketplace, hostname, URL or domain suffix
+     * @returns {number|null} Price value, or null if the string has no number
+     * 
+     * @example
+     * parsePrice('$1,299.00');                  // 1299
+     * parsePrice('1.299,00 €');                 // 1299
+     * parsePrice('1.299 €', 'www.amazon.de');   // 1299
+     * parsePrice('R$ 49,90');                   // 49.9
+     * parsePrice('￥12,800');                   // 12800
+     */
+    function parsePrice(priceStr, marketplace) {
+        if (priceStr === null || priceStr === undefined) {
+            return null;
+        }
+        if (typeof priceStr === 'number') {
+            return isNaN(priceStr) ? null : priceStr;
+        }
+
+        // Keep the digits and separators of the first number ('1 299,00' in '1 299,00 € - 1 499,00 €')
+        const numberMatch = String(priceStr).match(/\d[\d.,'\s]*/);
+        if (!numberMatch) {
+            return null;
+        }
+        let digits = numberMatch[0].replace(/[\s']+/g, ' ').trim().replace(/ /g, '');
+
+        const known = toMarketplace(marketplace);
+        if (known) {
+            const group = known.groupSeparator === ' ' ? '' : known.groupSeparator;
+            if (group) {
+                digits = digits.split(group).join('');
+            }
+            digits = digits.replace(known.decimalSeparator, '.');
+        } else {
+            const lastSeparator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+            const decimalsAfter = lastSeparator >= 0 ? digits.length - lastSeparator - 1 : 0;
+            if (lastSeparator >= 0 && decimalsAfter > 0 && decimalsAfter <= 2) {
+                digits = digits.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + digits.slice(lastSeparator + 1);
+            } else {
+                digits = digits.replace(/[.,]/g, '');
+            }
+        }
+
+        const value = parseFloat(digits);
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * Finds the currency symbol in a displayed price
+     * 
+     * @param {string} priceStr - Displayed price
+     * @param {string|Object} [marketplace] - Marketplace used when the string has no symbol
+     * @returns {string} Currency symbol as written ('$', '€', 'R$', '￥', 'kr', ...)
+     * 
+     * @example
+     * extractCurrencySymbol('1.299,00 €');              // '€'
+     * extractCurrencySymbol('R$ 49,90');                // 'R$'
+     * extractCurrencySymbol('49,90', 'www.amazon.se');  // 'kr'
+     * extractCurrencySymbol('49.90');                   // '$'
+     */
+    function extractCurrencySymbol(priceStr, marketplace) {
+        const text = String(priceStr || '');
+        for (const symbol of CURRENCY_SYMBOLS) {
+            const index = text.indexOf(symbol);
+            // Letter symbols ('kr', 'TL', 'AED') must stand alone, not inside a word
+            if (index >= 0 && (!/^[A-Za-z]/.test(symbol) ||
+                !/[A-Za-z]/.test(text.charAt(index - 1) + text.charAt(index + symbol.length)))) {
+                return symbol;
+            }
+        }
+        return resolveMarketplace(marketplace).currencySymbol;
+    }
+
+    /**
+     * Formats a price value the way the marketplace displays it
+     * 
+     * @param {number} value - Price value
+     * @param {string|Object} [marketplace] - Marketplace, hostname or domain suffix (default: amazon.com)
+     * @returns {string} Formatted price, or '' for a non-number
+     * 
+     * @example
+     * formatPriceValue(1299, 'www.amazon.com');    // '$1,299.00'
+     * formatPriceValue(1299, 'www.amazon.de');     // '1.299,00 €'
+     * formatPriceValue(12800, 'www.amazon.co.jp'); // '￥12,800'
+     * formatPriceValue(129999, 'www.amazon.in');   // '₹1,29,999.00'
+     */
+    function formatPriceValue(value, marketplace) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            return '';
+        }
+
+        const locale = resolveMarketplace(marketplace);
+        const [whole, fraction] = Math.abs(value).toFixed(locale.decimals).split('.');
+
+        // Lakh grouping: last three digits, then groups of two
+        const groupPattern = locale.grouping === 'lakh' ? /(\d)(?=(\d\d)+\d{3}$)|(\d)(?=\d{3}$)/g : /(\d)(?=(\d{3})+$)/g;
+        const grouped = whole.replace(groupPattern, (digit) => digit + locale.groupSeparator);
+
+        const number = (value < 0 ? '-' : '') + grouped + (fraction ? locale.decimalSeparator + fraction : '');
+        const space = locale.symbolSpace ? ' ' : '';
+        return locale.symbolPosition === 'after'
+            ? `${number}${space}${locale.currencySymbol}`
+            : `${locale.currencySymbol}${space}${number}`;
+    }
+
+    /**
+     * Builds the alternation of every marketplace domain, longest first ('com.au' before 'com')
+     * 
+     * @returns {string} Pattern source: 'com\\.au|co\\.uk|...|com'
+     */
+    function buildDomainAlternation() {
+        return Object.keys(MARKETPLACES)
+            .sort((a, b) => b.length - a.length)
+            .map(domain => domain.replace(/\./g, '\\.'))
+            .join('|');
+    }
+
+    /**
+     * Builds the pattern for the localized "<word> Amazon.<domain>" title suffix
+     * ('... at Amazon.com', '... bei Amazon.de', '... sur Amazon.fr')
+     * 
+     * @returns {RegExp} Suffix pattern (anchored to the end of the title)
+     */
+    function buildTitleSuffixPattern() {
+        const words = [...new Set(Object.values(MARKETPLACES)
+            .map(marketplace => marketplace.titlePreposition)
+            .filter(Boolean))];
+        return new RegExp(`\\s+(?:${words.join('|')})\\s+Amazon\\.(?:${buildDomainAlternation()})\\s*$`, 'iu');
+    }
+
+    /**
+     * Localized "<word> Amazon.<domain>" title suffix
+     * @constant {RegExp}
+     */
+    const TITLE_SUFFIX_PATTERN = buildTitleSuffixPattern();
+
+    /**
+     * "Amazon.<domain>:" title prefix ('Amazon.com: ...', 'Amazon.co.jp: ...')
+     * @constant {RegExp}
+     */
+    const TITLE_PREFIX_PATTERN = new RegExp(`^Amazon\\.(?:${buildDomainAlternation()})\\s*:\\s*`, 'i');
+
+    /**
+     * " - Amazon.<domain>" / ": Amazon.<domain>" page title (<title>) suffix
+     * @constant {RegExp}
+     */
+    const PAGE_TITLE_SUFFIX_PATTERN = new RegExp(`\\s*[-:]\\s*Amazon\\.(?:${buildDomainAlternation()})\\s*$`, 'i');
+
+    return {
+        MARKETPLACES,
+        DEFAULT_MARKETPLACE_DOMAIN,
+        TITLE_SUFFIX_PATTERN,
+        TITLE_PREFIX_PATTERN,
+        PAGE_TITLE_SUFFIX_PATTERN,
+        getMarketplace,
+        resolveMarketplace,
+        parsePrice,
+        extractCurrencySymbol,
+        formatPriceValue
+    };
+});
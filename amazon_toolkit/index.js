@@ -7,7 +7,7 @@
  * Amazon Toolkit - Comprehensive Amazon data extraction and markdown generation
  * 
  * This module provides a unified interface to all Amazon Toolkit functionality:
- * - Extract product and store data from HTML
+ * - Extract product, store, search results and listing (Best Sellers, Deals, Category) data from HTML
  * - Parse URLs and HTML anchors
  * - Clean and build URLs
  * - Generate and manipulate image URLs
@@ -33,256 +33,411 @@
 
 'use strict';
 
-// ============================================================================
-// Module Imports
-// ============================================================================
-
-// NOTE: In a browser/userscript environment, these modules would be loaded
-// via @require directives or concatenated into a single file.
-// In Node.js, use proper require() statements.
-
-// For standalone use, these are placeholder imports.
-// In production, replace with actual imports:
-// const DOMHelpers = require('./helpers/dom_helpers.js');
-// const LoggingHelpers = require('./helpers/logging_helpers.js');
-// etc.
-
-// ============================================================================
-// Main Exports
-// ============================================================================
-
-const AmazonToolkit = {
-    // Version
-    version: '1.0.0',
-
-    // ========================================================================
-    // Helpers Namespace
-    // ========================================================================
-    Helpers: {
-        // DOM utilities
-        safeQuery: () => {},
-        safeQueryAll: () => {},
-        safeText: () => {},
-        safeAttr: () => {},
-        parseJsonLD: () => {},
-        getMetaByProperty: () => {},
-        getMetaByName: () => {},
-
-        // Logging utilities
-        setDebugMode: () => {},
-        log: () => {},
-        logInfo: () => {},
-        logWarn: () => {},
-        logError: () => {},
-        logFunctionBegin: () => {},
-        logFunctionEnd: () => {},
-
-        // Validation utilities
-        isValidASIN: () => {},
-        isValidURL: () => {},
-        isAmazonURL: () => {},
-        isAmazonProductURL: () => {},
-        isAmazonStoreURL: () => {},
-        isAmazonImageURL: () => {},
-    },
-
-    // ========================================================================
-    // Extractors Namespace
-    // ========================================================================
-    Extractors: {
-        // Shared extraction functions (Product-focused)
-        extractProductASIN: () => {},
-        extractProductTitle: () => {},
-        extractProductBrand: () => {},
-        extractProductDescription: () => {},
-        extractProductPrice: () => {},
-        extractProductImageURL: () => {},
-        extractProductVariant: () => {},
-        cleanProductTitle: () => {},
-
-        // Product extraction (main function)
-        extractProductData: () => {},
-        
-        // Product extraction (detailed helpers)
-        extractProductPriceData: () => {},
-        extractProductImageData: () => {},
-        extractProductImageID: () => {},
-        extractProductAvailability: () => {},
-        extractProductShipping: () => {},
-        extractProductRating: () => {},
-        parseProductPriceValue: () => {},
-        extractProductCurrency: () => {},
-
-        // Store extraction (main function)
-        extractStoreData: () => {},
-        isStorePage: () => {},
-        
-        // Store extraction (detailed helpers)
-        extractStoreName: () => {},
-        cleanStoreName: () => {},
-        extractStoreBrandName: () => {},
-        extractStoreDescription: () => {},
-        extractStoreLogo: () => {},
-        extractSellerId: () => {},
-        extractStoreId: () => {},
-        parseStoreURLData: () => {},
-        extractStoreImageID: () => {},
-    },
-
-    // ========================================================================
-    // Links Namespace
-    // ========================================================================
-    Links: {
-        // Parser
-        parseAmazonURL: () => {},
-        parseAmazonAnchor: () => {},
-        determineURLType: () => {},
-        extractAmazonAnchorsFromDOM: () => {},
-
-        // Cleaner
-        cleanAmazonURL: () => {},
-        buildAmazonURL: () => {},
-        cleanProductTitle: () => {},
-        shortenTitle: () => {},
-
-        // Image
-        extractImageID: () => {},
-        buildImageURL: () => {},
-        resizeImageURL: () => {},
-        generateImageVariants: () => {},
-        parseImageURL: () => {},
-    },
-
-    // ========================================================================
-    // Markdown Namespace
-    // ========================================================================
-    Markdown: {
-        // Formatter
-        escapeMarkdown: () => {},
-        formatTitle: () => {},
-        formatBrand: () => {},
-        formatVariant: () => {},
-        formatPrice: () => {},
-        formatCompleteTitle: () => {},
-
-        // Generator
-        generateProductLink: () => {},
-        generateProductImage: () => {},
-        generateProductImageLink: () => {},
-        generateProductCombined: () => {},
-        generateStoreLink: () => {},
-        generateAnchorLink: () => {},
-    },
-
-    // ========================================================================
-    // Convenience Methods (Top-level access to most common functions)
-    // ========================================================================
-
-    /**
-     * Extract complete product data from a page
-     * @param {Document|string} source - DOM document or HTML string
-     * @param {string} [url] - Original URL
-     * @returns {Object|null} Product data
-     */
-    extractProductData: function(source, url) {
-        return this.Extractors.extractProductData(source, url);
-    },
-
-    /**
-     * Extract complete store data from a page
-     * @param {Document|string} source - DOM document or HTML string
-     * @param {string} [url] - Original URL
-     * @returns {Object|null} Store data
-     */
-    extractStoreData: function(source, url) {
-        return this.Extractors.extractStoreData(source, url);
-    },
-
-    /**
-     * Parse an Amazon URL
-     * @param {string} urlString - URL to parse
-     * @returns {Object|null} Parsed URL data
-     */
-    parseURL: function(urlString) {
-        return this.Links.parseAmazonURL(urlString);
-    },
-
-    /**
-     * Parse an HTML anchor element
-     * @param {HTMLAnchorElement} anchor - Anchor element
-     * @returns {Object|null} Parsed anchor data
-     */
-    parseAnchor: function(anchor) {
-        return this.Links.parseAmazonAnchor(anchor);
-    },
-
-    /**
-     * Generate markdown link from product data
-     * @param {Object} productData - Product data structure
-     * @param {Object} [options] - Generation options
-     * @returns {string} Markdown link
-     */
-    generateProductLink: function(productData, options) {
-        return this.Markdown.generateProductLink(productData, options);
-    },
-
-    /**
-     * Generate markdown link from store data
-     * @param {Object} storeData - Store data structure
-     * @param {Object} [options] - Generation options
-     * @returns {string} Markdown link
-     */
-    generateStoreLink: function(storeData, options) {
-        return this.Markdown.generateStoreLink(storeData, options);
-    },
-
-    /**
-     * Clean an Amazon URL
-     * @param {string} urlString - URL to clean
-     * @param {Object} [options] - Cleaning options
-     * @returns {string|null} Cleaned URL
-     */
-    cleanURL: function(urlString, options) {
-        return this.Links.cleanAmazonURL(urlString, options);
-    },
-
-    /**
-     * Build an image URL from image ID
-     * @param {string} imageId - Image ID
-     * @param {Object} [options] - Image options
-     * @returns {string|null} Image URL
-     */
-    buildImageURL: function(imageId, options) {
-        return this.Links.buildImageURL(imageId, options);
-    },
-
-    /**
-     * Enable or disable debug logging
-     * @param {boolean} enabled - True to enable, false to disable
-     * @returns {void}
-     */
-    setDebugMode: function(enabled) {
-        this.Helpers.setDebugMode(enabled);
+// NOTE: In a browser/userscript environment, the toolkit modules are loaded via
+// @require directives (before this file) and register themselves under the
+// AmazonToolkit namespace (see userscript_common/namespace_helpers.js).
+// In Node.js, they are loaded with require().
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('../userscript_common/dom_helpers.js'),
+            require('../userscript_common/logging_helpers.js'),
+            require('./helpers/validation_helpers.js'),
+            require('./helpers/marketplace_helpers.js'),
+            require('./extractors/shared_extractor.js'),
+            require('./extractors/product_extractor.js'),
+            require('./extractors/store_extractor.js'),
+            require('./extractors/search_extractor.js'),
+            require('./extractors/listing_extractor.js'),
+            require('./links/link_parser.js'),
+            require('./links/link_cleaner.js'),
+            require('./links/link_image.js'),
+            require('./markdown/markdown_formatter.js'),
+            require('./markdown/markdown_generator.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        const AmazonToolkit = registerNamespace('AmazonToolkit', factory(
+            resolveNamespace('UserscriptCommon.DOM'),
+            resolveNamespace('UserscriptCommon.Logging'),
+            resolveNamespace('AmazonToolkit.Helpers.Validation'),
+            resolveNamespace('AmazonToolkit.Helpers.Marketplace'),
+            resolveNamespace('AmazonToolkit.Extractors.Shared'),
+            resolveNamespace('AmazonToolkit.Extractors.Product'),
+            resolveNamespace('AmazonToolkit.Extractors.Store'),
+            resolveNamespace('AmazonToolkit.Extractors.Search'),
+            resolveNamespace('AmazonToolkit.Extractors.Listing'),
+            resolveNamespace('AmazonToolkit.Links.Parser'),
+            resolveNamespace('AmazonToolkit.Links.Cleaner'),
+            resolveNamespace('AmazonToolkit.Links.Image'),
+            resolveNamespace('AmazonToolkit.Markdown.Formatter'),
+            resolveNamespace('AmazonToolkit.Markdown.Generator')
+        ));
+
+        // AMD
+        if (typeof define === 'function' && define.amd) {
+            define([], function() {
+                return AmazonToolkit;
+            });
+        }
     }
-};
-
-// ============================================================================
-// Export for different environments
-// ============================================================================
-
-// Node.js / CommonJS
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AmazonToolkit;
-}
-
-// Browser global
-if (typeof window !== 'undefined') {
-    window.AmazonToolkit = AmazonToolkit;
-}
-
-// AMD
-if (typeof define === 'function' && define.amd) {
-    define([], function() {
-        return AmazonToolkit;
-    });
-}
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(
+    DOMHelpers,
+    LoggingHelpers,
+    ValidationHelpers,
+    MarketplaceHelpers,
+    SharedExtractor,
+    ProductExtractor,
+    StoreExtractor,
+    SearchExtractor,
+    ListingExtractor,
+    LinkParser,
+    LinkCleaner,
+    LinkImage,
+    MarkdownFormatter,
+    MarkdownGenerator
+) {
+
+    // ============================================================================
+    // Main Exports
+    // ============================================================================
+
+    const AmazonToolkit = {
+        // Version
+        version: '1.0.0',
+
+        // ========================================================================
+        // Helpers Namespace
+        // ========================================================================
+        Helpers: {
+            // Module namespaces
+            DOM: DOMHelpers,
+            Logging: LoggingHelpers,
+            Validation: ValidationHelpers,
+            Marketplace: MarketplaceHelpers,
+
+            // DOM utilities
+            safeQuery: DOMHelpers.safeQuery,
+            safeQueryAll: DOMHelpers.safeQueryAll,
+            safeText: DOMHelpers.safeText,
+            safeAttr: DOMHelpers.safeAttr,
+            parseJsonLD: DOMHelpers.parseJsonLD,
+            getMetaByProperty: DOMHelpers.getMetaByProperty,
+            getMetaByName: DOMHelpers.getMetaByName,
+
+            // Logging utilities
+            setDebugMode: LoggingHelpers.setDebugMode,
+            log: LoggingHelpers.log,
+            logInfo: LoggingHelpers.logInfo,
+            logWarn: LoggingHelpers.logWarn,
+            logError: LoggingHelpers.logError,
+            logFunctionBegin: LoggingHelpers.logFunctionBegin,
+            logFunctionEnd: LoggingHelpers.logFunctionEnd,
+
+            // Validation utilities
+            isValidASIN: ValidationHelpers.isValidASIN,
+            isValidAffiliateTag: ValidationHelpers.isValidAffiliateTag,
+            isValidURL: ValidationHelpers.isValidURL,
+            isAmazonURL: ValidationHelpers.isAmazonURL,
+            isAmazonShortURL: ValidationHelpers.isAmazonShortURL,
+            isAmazonProductURL: ValidationHelpers.isAmazonProductURL,
+            isAmazonStoreURL: ValidationHelpers.isAmazonStoreURL,
+            isAmazonImageURL: ValidationHelpers.isAmazonImageURL,
+
+            // Marketplace (locale) utilities
+            getMarketplace: MarketplaceHelpers.getMarketplace,
+            parsePrice: MarketplaceHelpers.parsePrice,
+            extractCurrencySymbol: MarketplaceHelpers.extractCurrencySymbol,
+            formatPriceValue: MarketplaceHelpers.formatPriceValue,
+        },
+
+        // ========================================================================
+        // Extractors Namespace
+        // ========================================================================
+        Extractors: {
+            // Module namespaces
+            Shared: SharedExtractor,
+            Product: ProductExtractor,
+            Store: StoreExtractor,
+            Search: SearchExtractor,
+            Listing: ListingExtractor,
+
+            // Shared extraction functions (Product-focused)
+            extractProductASIN: SharedExtractor.extractProductASIN,
+            extractProductTitle: SharedExtractor.extractProductTitle,
+            extractProductBrand: SharedExtractor.extractProductBrand,
+            extractProductDescription: SharedExtractor.extractProductDescription,
+            extractProductPrice: SharedExtractor.extractProductPrice,
+            extractProductImageURL: SharedExtractor.extractProductImageURL,
+            extractProductVariant: SharedExtractor.extractProductVariant,
+            cleanProductTitle: SharedExtractor.cleanProductTitle,
+            createExtractionTrace: SharedExtractor.createExtractionTrace,
+            summarizeExtractionTrace: SharedExtractor.summarizeExtractionTrace,
+            assessProductConfidence: SharedExtractor.assessProductConfidence,
+
+            // Product extraction (main function)
+            extractProductData: ProductExtractor.extractProductData,
+
+            // Product extraction (detailed helpers)
+            extractProductPriceData: ProductExtractor.extractProductPriceData,
+            extractProductImageData: ProductExtractor.extractProductImageData,
+            extractProductImageID: ProductExtractor.extractProductImageID,
+            extractProductAvailability: ProductExtractor.extractProductAvailability,
+            extractProductShipping: ProductExtractor.extractProductShipping,
+            extractProductSeller: ProductExtractor.extractProductSeller,
+            extractProductRating: ProductExtractor.extractProductRating,
+            extractRatingHistogram: ProductExtractor.extractRatingHistogram,
+            extractReviewSummary: ProductExtractor.extractReviewSummary,
+            extractTopReviews: ProductExtractor.extractTopReviews,
+            extractProductVariations: ProductExtractor.extractProductVariations,
+            findVariationChild: ProductExtractor.findVariationChild,
+            extractProductFeatureBullets: ProductExtractor.extractProductFeatureBullets,
+            extractProductAplusContent: ProductExtractor.extractProductAplusContent,
+            extractProductDetails: ProductExtractor.extractProductDetails,
+            parseProductDimensions: ProductExtractor.parseProductDimensions,
+            parseProductWeight: ProductExtractor.parseProductWeight,
+            parseBestSellersRank: ProductExtractor.parseBestSellersRank,
+            parseProductPriceValue: ProductExtractor.parseProductPriceValue,
+            extractProductCurrency: ProductExtractor.extractProductCurrency,
+
+            // Store extraction (main function)
+            extractStoreData: StoreExtractor.extractStoreData,
+            isStorePage: StoreExtractor.isStorePage,
+
+            // Store extraction (detailed helpers)
+            extractStoreName: StoreExtractor.extractStoreName,
+            cleanStoreName: StoreExtractor.cleanStoreName,
+            extractStoreBrandName: StoreExtractor.extractStoreBrandName,
+            extractStoreDescription: StoreExtractor.extractStoreDescription,
+            extractStoreLogo: StoreExtractor.extractStoreLogo,
+            extractSellerId: StoreExtractor.extractSellerId,
+            extractStoreId: StoreExtractor.extractStoreId,
+            parseStoreURLData: StoreExtractor.parseStoreURLData,
+            extractStoreImageID: StoreExtractor.extractStoreImageID,
+
+            // Search results extraction
+            extractSearchResultsData: SearchExtractor.extractSearchResultsData,
+            extractSearchResultItem: SearchExtractor.extractSearchResultItem,
+            parseSearchQuery: SearchExtractor.parseSearchQuery,
+
+            // Listing extraction (Best Sellers, Deals, Category)
+            extractBestSellersData: ListingExtractor.extractBestSellersData,
+            extractDealsData: ListingExtractor.extractDealsData,
+            extractCategoryData: ListingExtractor.extractCategoryData,
+            extractListingItem: ListingExtractor.extractListingItem,
+            parseDealCountdown: ListingExtractor.parseDealCountdown
+        },
+
+        // ========================================================================
+        // Links Namespace
+        // ========================================================================
+        Links: {
+            // Module namespaces
+            Parser: LinkParser,
+            Cleaner: LinkCleaner,
+            Image: LinkImage,
+
+            // Parser
+            parseAmazonURL: LinkParser.parseAmazonURL,
+            resolveAmazonURL: LinkParser.resolveAmazonURL,
+            setShortLinkResolver: LinkParser.setShortLinkResolver,
+            unwrapRedirectURL: LinkParser.unwrapRedirectURL,
+            parseAmazonAnchor: LinkParser.parseAmazonAnchor,
+            determineURLType: LinkParser.determineURLType,
+            extractAmazonAnchorsFromDOM: LinkParser.extractAmazonAnchorsFromDOM,
+
+            // Cleaner
+            resolveAffiliateParams: LinkCleaner.resolveAffiliateParams,
+            cleanAmazonURL: LinkCleaner.cleanAmazonURL,
+            buildAmazonURL: LinkCleaner.buildAmazonURL,
+            cleanProductTitle: LinkCleaner.cleanProductTitle,
+            shortenTitle: LinkCleaner.shortenTitle,
+            convertToMarketplace: LinkCleaner.convertToMarketplace,
+            buildMarketplaceURLs: LinkCleaner.buildMarketplaceURLs,
+
+            // Image
+            extractImageID: LinkImage.extractImageID,
+            buildImageURL: LinkImage.buildImageURL,
+            resizeImageURL: LinkImage.resizeImageURL,
+            generateImageVariants: LinkImage.generateImageVariants,
+            parseImageURL: LinkImage.parseImageURL,
+        },
+
+        // ========================================================================
+        // Markdown Namespace
+        // ========================================================================
+        Markdown: {
+            // Module namespaces
+            Formatter: MarkdownFormatter,
+            Generator: MarkdownGenerator,
+
+            // Formatter
+            escapeMarkdown: MarkdownFormatter.escapeMarkdown,
+            formatTitle: MarkdownFormatter.formatTitle,
+            formatBrand: MarkdownFormatter.formatBrand,
+            formatVariant: MarkdownFormatter.formatVariant,
+            formatPrice: MarkdownFormatter.formatPrice,
+            formatCompleteTitle: MarkdownFormatter.formatCompleteTitle,
+
+            // Generator
+            generateProductLink: MarkdownGenerator.generateProductLink,
+            generateProductBullets: MarkdownGenerator.generateProductBullets,
+            generateMarketplaceLinks: MarkdownGenerator.generateMarketplaceLinks,
+            generateProductImage: MarkdownGenerator.generateProductImage,
+            generateProductImageLink: MarkdownGenerator.generateProductImageLink,
+            generateProductCombined: MarkdownGenerator.generateProductCombined,
+            generateRankedList: MarkdownGenerator.generateRankedList,
+            generateStoreLink: MarkdownGenerator.generateStoreLink,
+            generateAnchorLink: MarkdownGenerator.generateAnchorLink,
+            isLowConfidence: MarkdownGenerator.isLowConfidence,
+            passesConfidenceCheck: MarkdownGenerator.passesConfidenceCheck,
+        },
+
+        // ========================================================================
+        // Convenience Methods (Top-level access to most common functions)
+        // ========================================================================
+
+        /**
+         * Extract complete product data from a page
+         * @param {Document|string} source - DOM document or HTML string
+         * @param {string} [url] - Original URL
+         * @param {Object} [options] - Extraction options (e.g. { provenance: true })
+         * @returns {Object|null} Product data
+         */
+        extractProductData: function(source, url, options) {
+            return this.Extractors.extractProductData(source, url, options);
+        },
+
+        /**
+         * Extract complete store data from a page
+         * @param {Document|string} source - DOM document or HTML string
+         * @param {string} [url] - Original URL
+         * @returns {Object|null} Store data
+         */
+        extractStoreData: function(source, url) {
+            return this.Extractors.extractStoreData(source, url);
+        },
+
+        /**
+         * Extract result listings from a search page
+         * @param {Document|string} source - DOM document or HTML string
+         * @param {string} [url] - Original URL
+         * @returns {Object|null} Search results data
+         */
+        extractSearchResultsData: function(source, url) {
+            return this.Extractors.extractSearchResultsData(source, url);
+        },
+
+        /**
+         * Extract ranked items from a Best Sellers page
+         * @param {Document|string} source - DOM document or HTML string
+         * @param {string} [url] - Original URL
+         * @returns {Object|null} Listing data
+         */
+        extractBestSellersData: function(source, url) {
+            return this.Extractors.extractBestSellersData(source, url);
+        },
+
+        /**
+         * Extract deal items from a Deals page
+         * @param {Document|string} source - DOM document or HTML string
+         * @param {string} [url] - Original URL
+         * @returns {Object|null} Listing data
+         */
+        extractDealsData: function(source, url) {
+            return this.Extractors.extractDealsData(source, url);
+        },
+
+        /**
+         * Extract items from a Category page
+         * @param {Document|string} source - DOM document or HTML string
+         * @param {string} [url] - Original URL
+         * @returns {Object|null} Listing data
+         */
+        extractCategoryData: function(source, url) {
+            return this.Extractors.extractCategoryData(source, url);
+        },
+
+        /**
+         * Parse an Amazon URL
+         * @param {string} urlString - URL to parse
+         * @returns {Object|null} Parsed URL data
+         */
+        parseURL: function(urlString) {
+            return this.Links.parseAmazonURL(urlString);
+        },
+
+        /**
+         * Parse an HTML anchor element
+         * @param {HTMLAnchorElement} anchor - Anchor element
+         * @returns {Object|null} Parsed anchor data
+         */
+        parseAnchor: function(anchor) {
+            return this.Links.parseAmazonAnchor(anchor);
+        },
+
+        /**
+         * Generate markdown link from product data
+         * @param {Object} productData - Product data structure
+         * @param {Object} [options] - Generation options
+         * @returns {string} Markdown link
+         */
+        generateProductLink: function(productData, options) {
+            return this.Markdown.generateProductLink(productData, options);
+        },
+
+        /**
+         * Generate markdown link from store data
+         * @param {Object} storeData - Store data structure
+         * @param {Object} [options] - Generation options
+         * @returns {string} Markdown link
+         */
+        generateStoreLink: function(storeData, options) {
+            return this.Markdown.generateStoreLink(storeData, options);
+        },
+
+        /**
+         * Generate a markdown ordered list from ranked listing items
+         * @param {Array<Object>} items - Listing or search result items
+         * @param {Object} [options] - Generation options
+         * @returns {string} Markdown ordered list
+         */
+        generateRankedList: function(items, options) {
+            return this.Markdown.generateRankedList(items, options);
+        },
+
+        /**
+         * Clean an Amazon URL
+         * @param {string} urlString - URL to clean
+         * @param {Object} [options] - Cleaning options
+         * @returns {string|null} Cleaned URL
+         */
+        cleanURL: function(urlString, options) {
+            return this.Links.cleanAmazonURL(urlString, options);
+        },
+
+        /**
+         * Build an image URL from image ID
+         * @param {string} imageId - Image ID
+         * @param {Object} [options] - Image options
+         * @returns {string|null} Image URL
+         */
+        buildImageURL: function(imageId, options) {
+            return this.Links.buildImageURL(imageId, options);
+        },
+
+        /**
+         * Enable or disable debug logging
+         * @param {boolean} enabled - True to enable, false to disable
+         * @returns {void}
+         */
+        setDebugMode: function(enabled) {
+            this.Helpers.setDebugMode(enabled);
+        }
+    };
+
+    return AmazonToolkit;
+});
@@ -7,7 +7,9 @@
  * Provides functions to:
  * - Remove tracking parameters from URLs
  * - Preserve variant parameters (th, psc, smid)
+ * - Apply an affiliate policy to Amazon Associates tags: strip, replace or preserve
  * - Build clean URLs in short/long/medium formats
+ * - Convert product URLs to other marketplaces (amazon.co.uk, .de, .ca, ...)
  * - Clean and shorten titles
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/URL MDN URL API}
@@ -15,246 +17,473 @@
 
 'use strict';
 
-/**
- * Cleans an Amazon URL by removing tracking parameters
- * 
- * @param {string} urlString - URL to clean
- * @param {Object} [options={}] - Cleaning options
- * @param {boolean} [options.preserveVariants=true] - Keep variant parameters (th, psc)
- * @param {boolean} [options.preserveSeller=false] - Keep seller parameter (smid)
- * @returns {string|null} Cleaned URL or null
- * 
- * @example
- * cleanAmazonURL('https://amazon.com/dp/B08N5WRWNW?th=1&pd_rd_w=abc&psc=1')
- * // Returns: 'https://amazon.com/dp/B08N5WRWNW?th=1&psc=1'
- * 
- * cleanAmazonURL('https://amazon.com/dp/B08N5WRWNW?th=1&psc=1', { preserveVariants: false })
- * // Returns: 'https://amazon.com/dp/B08N5WRWNW'
- */
-function cleanAmazonURL(urlString, options = {}) {
-    const { preserveVariants = true, preserveSeller = false } = options;
-
-    try {
-        const urlObj = new URL(urlString);
-        
-        // Build clean URL with base path
-        let cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
-        
-        // Add back variant parameters if requested
-        if (preserveVariants || preserveSeller) {
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('../../userscript_common/logging_helpers.js'),
+            require('../helpers/validation_helpers.js'),
+            require('../helpers/marketplace_helpers.js'),
+            require('./link_parser.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('AmazonToolkit.Links.Cleaner', factory(
+            resolveNamespace('UserscriptCommon.Logging'),
+            resolveNamespace('AmazonToolkit.Helpers.Validation'),
+            resolveNamespace('AmazonToolkit.Helpers.Marketplace'),
+            resolveNamespace('AmazonToolkit.Links.Parser')
+        ));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(Logging, Validation, Marketplace, Parser) {
+
+    const { logWarn, logError } = Logging;
+    const { AFFILIATE_PARAM_KEYS, isValidASIN, isValidAffiliateTag, isAmazonURL } = Validation;
+    const { MARKETPLACES, TITLE_SUFFIX_PATTERN, getMarketplace } = Marketplace;
+    const { parseAmazonURL, unwrapRedirectURL } = Parser;
+
+    /**
+     * Short labels for marketplace links, where the country code is not what people write
+     * @constant {Object<string, string>}
+     */
+    const MARKETPLACE_LABELS = {
+        'co.uk': 'UK'
+    };
+
+    /**
+     * What happens to affiliate parameters (tag=...) when URLs are cleaned or built:
+     * - 'strip': remove them
+     * - 'replace': remove them and add our own tag
+     * - 'preserve': keep them as they are
+     * @constant {Array<string>}
+     */
+    const AFFILIATE_POLICIES = ['strip', 'replace', 'preserve'];
+
+    /**
+     * Affiliate policy of every call that does not pass options.affiliate
+     * Callers with their own policy (e.g. a user setting) pass it with each call.
+     * @constant {Object}
+     */
+    const DEFAULT_AFFILIATE_POLICY = Object.freeze({ policy: 'strip', tag: null });
+
+    /**
+     * Resolves the affiliate parameters a URL gets under an affiliate policy
+     * 
+     * Associates tracking IDs belong to one marketplace, so `tag` can also map
+     * domain suffixes to tags; URLs on marketplaces without a tag are stripped.
+     * 
+     * @param {Object} queryParams - Query parameters of the source URL
+     * @param {string} hostname - Hostname of the URL being built (selects the tag for per-marketplace tags)
+     * @param {Object} [options={}] - Affiliate policy
+     * @param {string} [options.policy='strip'] - 'strip', 'replace' or 'preserve'
+     * @param {string|Object<string, string>} [options.tag=null] - Our tag for 'replace' ('mystore-20'),
+     *     or tags by marketplace domain ({ com: 'mystore-20', 'co.uk': 'mystore-21' })
+     * @returns {Object} Affiliate parameters to append (empty when stripping)
+     * 
+     * @example
+     * resolveAffiliateParams({ th: '1', tag: 'other-20' }, 'www.amazon.com', { policy: 'preserve' })
+     * // Returns: { tag: 'other-20' }
+     * 
+     * resolveAffiliateParams({ tag: 'other-20' }, 'www.amazon.de', { policy: 'replace', tag: { com: 'mystore-20', de: 'mystore-21' } })
+     * // Returns: { tag: 'mystore-21' }
+     */
+    function resolveAffiliateParams(queryParams = {}, hostname, options = {}) {
+        const { policy = DEFAULT_AFFILIATE_POLICY.policy, tag = DEFAULT_AFFILIATE_POLICY.tag } = options;
+        if (!AFFILIATE_POLICIES.includes(policy)) {
+            logWarn('Unknown affiliate policy, stripping affiliate parameters:', policy);
+            return {};
+        }
+
+        if (policy === 'preserve') {
+            const params = {};
+            for (const key of AFFILIATE_PARAM_KEYS) {
+                if (queryParams[key]) {
+                    params[key] = queryParams[key];
+                }
+            }
+            return params;
+        }
+
+        if (policy === 'replace') {
+            const marketplace = getMarketplace(hostname);
+            const ownTag = typeof tag === 'object' && tag !== null
+                ? (marketplace ? tag[marketplace.domain] : null)
+                : tag;
+
+            if (isValidAffiliateTag(ownTag)) {
+                return { tag: ownTag };
+            }
+            if (ownTag) {
+                logWarn('Invalid affiliate tag, stripping affiliate parameters:', ownTag);
+            }
+        }
+
+        return {};
+    }
+
+    /**
+     * Cleans an Amazon URL by removing tracking parameters
+     * 
+     * @param {string} urlString - URL to clean
+     * @param {Object} [options={}] - Cleaning options
+     * @param {boolean} [options.preserveVariants=true] - Keep variant parameters (th, psc)
+     * @param {boolean} [options.preserveSeller=false] - Keep seller parameter (smid)
+     * @param {Object} [options.affiliate] - Affiliate policy { policy, tag } (default: strip)
+     * @returns {string|null} Cleaned URL or null (redirect wrappers such as /sspa/click are unwrapped first)
+     * 
+     * @example
+     * cleanAmazonURL('https://amazon.com/dp/B08N5WRWNW?th=1&pd_rd_w=abc&psc=1')
+     * // Returns: 'https://amazon.com/dp/B08N5WRWNW?th=1&psc=1'
+     * 
+     * cleanAmazonURL('https://amazon.com/dp/B08N5WRWNW?th=1&psc=1', { preserveVariants: false })
+     * // Returns: 'https://amazon.com/dp/B08N5WRWNW'
+     * 
+     * cleanAmazonURL('https://amazon.com/dp/B08N5WRWNW?tag=other-20', { affiliate: { policy: 'preserve' } })
+     * // Returns: 'https://amazon.com/dp/B08N5WRWNW?tag=other-20'
+     */
+    function cleanAmazonURL(urlString, options = {}) {
+        const { preserveVariants = true, preserveSeller = false, affiliate } = options;
+
+        try {
+            const urlObj = new URL(unwrapRedirectURL(urlString) || urlString);
+
+            // Build clean URL with base path
+            let cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
+
             const paramsToKeep = [];
-            
-            if (preserveVariants) {
-                const th = urlObj.searchParams.get('th');
-                const psc = urlObj.searchParams.get('psc');
-                if (th) paramsToKeep.push(`th=${th}`);
-                if (psc) paramsToKeep.push(`psc=${psc}`);
+
+            // Add back variant parameters if requested
+            if (preserveVariants || preserveSeller) {
+                if (preserveVariants) {
+                    const th = urlObj.searchParams.get('th');
+                    const psc = urlObj.searchParams.get('psc');
+                    if (th) paramsToKeep.push(`th=${th}`);
+                    if (psc) paramsToKeep.push(`psc=${psc}`);
+                }
+
+                if (preserveSeller) {
+                    const smid = urlObj.searchParams.get('smid');
+                    if (smid) paramsToKeep.push(`smid=${smid}`);
+                }
             }
-            
-            if (preserveSeller) {
-                const smid = urlObj.searchParams.get('smid');
-                if (smid) paramsToKeep.push(`smid=${smid}`);
+
+            // Affiliate parameters follow the affiliate policy (short links cannot carry a tag)
+            if (isAmazonURL(urlObj)) {
+                const queryParams = Object.fromEntries(urlObj.searchParams.entries());
+                const affiliateParams = resolveAffiliateParams(queryParams, urlObj.hostname, affiliate);
+                for (const [key, value] of Object.entries(affiliateParams)) {
+                    paramsToKeep.push(`${key}=${value}`);
+                }
             }
-            
+
             if (paramsToKeep.length > 0) {
                 cleanUrl += '?' + paramsToKeep.join('&');
             }
+
+            return cleanUrl;
+        } catch (error) {
+            logError('Failed to clean URL:', error);
+            return null;
         }
-        
-        return cleanUrl;
-    } catch (error) {
-        logError('Failed to clean URL:', error);
-        return null;
     }
-}
 
-/**
- * Builds Amazon URL from components
- * 
- * @param {Object} components - URL components
- * @param {string} components.asin - Product ASIN
- * @param {string} [components.hostname='www.amazon.com'] - Amazon hostname
- * @param {string} [components.protocol='https:'] - Protocol
- * @param {Object} [components.queryParams={}] - Query parameters
- * @param {string} [format='short'] - URL format: 'short', 'long', 'medium'
- * @returns {string|null} Built URL or null
- * 
- * @example
- * buildAmazonURL({ asin: 'B08N5WRWNW' }, 'short')
- * // Returns: 'https://www.amazon.com/dp/B08N5WRWNW'
- * 
- * buildAmazonURL({ asin: 'B08N5WRWNW', queryParams: { th: '1', psc: '1' } }, 'medium')
- * // Returns: 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1'
- */
-function buildAmazonURL(components, format = 'short') {
-    const {
-        asin,
-        hostname = 'www.amazon.com',
-        protocol = 'https:',
-        queryParams = {}
-    } = components;
-
-    if (!asin || !isValidASIN(asin)) {
-        logWarn('Invalid ASIN provided to buildAmazonURL');
-        return null;
-    }
+    /**
+     * Builds Amazon URL from components
+     * 
+     * @param {Object} components - URL components
+     * @param {string} components.asin - Product ASIN
+     * @param {string} [components.hostname='www.amazon.com'] - Amazon hostname
+     * @param {string} [components.protocol='https:'] - Protocol
+     * @param {Object} [components.queryParams={}] - Query parameters
+     * @param {string} [format='short'] - URL format: 'short', 'long', 'medium'
+     * @param {Object} [options={}] - Build options
+     * @param {Object} [options.affiliate] - Affiliate policy { policy, tag } (default: strip),
+     *     applied in every format; affiliate parameters always come last
+     * @returns {string|null} Built URL or null
+     * 
+     * @example
+     * buildAmazonURL({ asin: 'B08N5WRWNW' }, 'short')
+     * // Returns: 'https://www.amazon.com/dp/B08N5WRWNW'
+     * 
+     * buildAmazonURL({ asin: 'B08N5WRWNW', queryParams: { th: '1', psc: '1' } }, 'medium')
+     * // Returns: 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1'
+     * 
+     * buildAmazonURL({ asin: 'B08N5WRWNW' }, 'short', { affiliate: { policy: 'replace', tag: 'mystore-20' } })
+     * // Returns: 'https://www.amazon.com/dp/B08N5WRWNW?tag=mystore-20'
+     */
+    function buildAmazonURL(components, format = 'short', options = {}) {
+        const {
+            asin,
+            hostname = 'www.amazon.com',
+            protocol = 'https:',
+            queryParams = {}
+        } = components;
+
+        if (!asin || !isValidASIN(asin)) {
+            logWarn('Invalid ASIN provided to buildAmazonURL');
+            return null;
+        }
 
-    // Build base URL
-    let url = `${protocol}//${hostname}/dp/${asin}`;
+        // Build base URL
+        let url = `${protocol}//${hostname}/dp/${asin}`;
 
-    // Add parameters based on format
-    if (format === 'short') {
-        // No parameters
-        return url;
-    }
+        // Add parameters based on format
+        const params = [];
 
-    if (format === 'medium') {
-        // Only variant parameters
-        const variantParams = [];
-        if (queryParams.th) variantParams.push(`th=${queryParams.th}`);
-        if (queryParams.psc) variantParams.push(`psc=${queryParams.psc}`);
-        
-        if (variantParams.length > 0) {
-            url += '?' + variantParams.join('&');
+        if (format === 'medium') {
+            // Only variant parameters
+            if (queryParams.th) params.push(`th=${queryParams.th}`);
+            if (queryParams.psc) params.push(`psc=${queryParams.psc}`);
+        } else if (format === 'long') {
+            // All parameters except affiliate ones, which follow the affiliate policy
+            for (const [key, value] of Object.entries(queryParams)) {
+                if (!AFFILIATE_PARAM_KEYS.includes(key)) {
+                    params.push(`${key}=${value}`);
+                }
+            }
+        }
+
+        const affiliateParams = resolveAffiliateParams(queryParams, hostname, options.affiliate);
+        for (const [key, value] of Object.entries(affiliateParams)) {
+            params.push(`${key}=${value}`);
         }
+
+        if (params.length > 0) {
+            url += '?' + params.join('&');
+        }
+
         return url;
     }
 
-    if (format === 'long') {
-        // All parameters
-        const paramStr = Object.entries(queryParams)
-            .map(([key, value]) => `${key}=${value}`)
-            .join('&');
-        
-        if (paramStr) {
-            url += '?' + paramStr;
+    /**
+     * Cleans product title by removing Amazon-specific text
+     * 
+     * @param {string} title - Raw title
+     * @returns {string} Cleaned title
+     * 
+     * @example
+     * cleanProductTitle('Amazon.com: Nintendo Switch – OLED Model : Video Games')
+     * // Returns: 'Nintendo Switch – OLED Model'
+     */
+    function cleanProductTitle(title) {
+        if (!title) return '';
+
+        let cleaned = title.trim();
+
+        // Remove "Amazon.com:" prefix
+        cleaned = cleaned.replace(/^Amazon\.(com|co\.uk|de|fr|es|it|ca|co\.jp|in|cn|com\.mx|com\.br|com\.au|nl|se|com\.tr|sg|ae|sa)\s*:\s*/i, '');
+
+        // Remove the localized "at Amazon.com" / "bei Amazon.de" / "sur Amazon.fr" suffix
+        cleaned = cleaned.replace(TITLE_SUFFIX_PATTERN, '');
+
+        // Remove category after " : "
+        const colonIndex = cleaned.indexOf(' : ');
+        if (colonIndex > 0) {
+            cleaned = cleaned.substring(0, colonIndex);
         }
-        return url;
+
+        // Remove excessive whitespace
+        cleaned = cleaned.replace(/\s+/g, ' ');
+
+        return cleaned.trim();
     }
 
-    return url;
-}
+    /**
+     * Shortens title if it exceeds maximum length
+     * 
+     * @param {string} title - Title to shorten
+     * @param {number} [maxLength=80] - Maximum length
+     * @param {string} [ellipsis='...'] - Ellipsis to add
+     * @returns {string} Shortened title
+     * 
+     * @example
+     * shortenTitle('Very Long Product Title That Goes On And On', 30)
+     * // Returns: 'Very Long Product Title...'
+     */
+    function shortenTitle(title, maxLength = 80, ellipsis = '...') {
+        if (!title || title.length <= maxLength) {
+            return title || '';
+        }
 
-/**
- * Cleans product title by removing Amazon-specific text
- * 
- * @param {string} title - Raw title
- * @returns {string} Cleaned title
- * 
- * @example
- * cleanProductTitle('Amazon.com: Nintendo Switch – OLED Model : Video Games')
- * // Returns: 'Nintendo Switch – OLED Model'
- */
-function cleanProductTitle(title) {
-    if (!title) return '';
-    
-    let cleaned = title.trim();
-    
-    // Remove "Amazon.com:" prefix
-    cleaned = cleaned.replace(/^Amazon\.(com|co\.uk|de|fr|es|it|ca|co\.jp|in|cn|com\.mx|com\.br|com\.au|nl|se|com\.tr|sg|ae|sa)\s*:\s*/i, '');
-    
-    // Remove "at Amazon.*" suffix
-    cleaned = cleaned.replace(/\s+at\s+Amazon\.(com|co\.uk|de|fr|es|it|ca|co\.jp|in|cn|com\.mx|com\.br|com\.au|nl|se|com\.tr|sg|ae|sa)\s*$/i, '');
-    
-    // Remove category after " : "
-    const colonIndex = cleaned.indexOf(' : ');
-    if (colonIndex > 0) {
-        cleaned = cleaned.substring(0, colonIndex);
+        // Try to break at word boundary
+        const truncated = title.substring(0, maxLength - ellipsis.length);
+        const lastSpace = truncated.lastIndexOf(' ');
+
+        if (lastSpace > maxLength / 2) {
+            return truncated.substring(0, lastSpace) + ellipsis;
+        }
+
+        return truncated + ellipsis;
     }
-    
-    // Remove excessive whitespace
-    cleaned = cleaned.replace(/\s+/g, ' ');
-    
-    return cleaned.trim();
-}
 
-/**
- * Shortens title if it exceeds maximum length
- * 
- * @param {string} title - Title to shorten
- * @param {number} [maxLength=80] - Maximum length
- * @param {string} [ellipsis='...'] - Ellipsis to add
- * @returns {string} Shortened title
- * 
- * @example
- * shortenTitle('Very Long Product Title That Goes On And On', 30)
- * // Returns: 'Very Long Product Title...'
- */
-function shortenTitle(title, maxLength = 80, ellipsis = '...') {
-    if (!title || title.length <= maxLength) {
-        return title || '';
+    /**
+     * Removes tracking parameters from URL
+     * @param {string} urlString - URL with potential tracking params
+     * @returns {string|null} URL without tracking params
+     */
+    function removeTrackingParams(urlString) {
+        try {
+            const urlObj = new URL(urlString);
+            const trackingPrefixes = ['pd_rd_', 'pf_rd_', '_encoding', 'qid', 'sr', 'keywords', 'crid', 'sprefix', 'dib', 'tag', 'linkCode', 'linkId', 'ref', 'ref_'];
+
+            // Remove tracking parameters
+            for (const [key] of Array.from(urlObj.searchParams.entries())) {
+                if (trackingPrefixes.some(prefix => key.toLowerCase().startsWith(prefix))) {
+                    urlObj.searchParams.delete(key);
+                }
+            }
+
+            return urlObj.toString();
+        } catch (error) {
+            return null;
+        }
     }
-    
-    // Try to break at word boundary
-    const truncated = title.substring(0, maxLength - ellipsis.length);
-    const lastSpace = truncated.lastIndexOf(' ');
-    
-    if (lastSpace > maxLength / 2) {
-        return truncated.substring(0, lastSpace) + ellipsis;
+
+    /**
+     * Normalizes Amazon hostname to preferred domain
+     * @param {string} hostname - Current hostname
+     * @param {string} [preferredDomain='com'] - Preferred TLD
+     * @returns {string} Normalized hostname
+     */
+    function normalizeAmazonHostname(hostname, preferredDomain = 'com') {
+        // Remove 'www.' prefix if present
+        const clean = hostname.replace(/^www\./, '');
+
+        // If already on preferred domain, return with www
+        if (clean === `amazon.${preferredDomain}`) {
+            return `www.amazon.${preferredDomain}`;
+        }
+
+        // Otherwise return original with www
+        return hostname.startsWith('www.') ? hostname : `www.${hostname}`;
     }
-    
-    return truncated + ellipsis;
-}
 
-/**
- * Removes tracking parameters from URL
- * @param {string} urlString - URL with potential tracking params
- * @returns {string|null} URL without tracking params
- */
-function removeTrackingParams(urlString) {
-    try {
-        const urlObj = new URL(urlString);
-        const trackingPrefixes = ['pd_rd_', 'pf_rd_', '_encoding', 'qid', 'sr', 'keywords', 'crid', 'sprefix', 'dib', 'tag', 'linkCode', 'linkId', 'ref', 'ref_'];
-        
-        // Remove tracking parameters
-        for (const [key] of Array.from(urlObj.searchParams.entries())) {
-            if (trackingPrefixes.some(prefix => key.toLowerCase().startsWith(prefix))) {
-                urlObj.searchParams.delete(key);
+    /**
+     * Builds the equivalent product URL on another Amazon marketplace
+     * 
+     * Keeps the ASIN and the variant parameters (th, psc). Seller (smid), tracking and
+     * affiliate parameters are dropped: they do not carry over between marketplaces.
+     * With an affiliate policy of 'replace', the target marketplace's tag is added. Associates
+     * tags belong to one marketplace, so a single tag ('mystore-20') is only added when the
+     * target is the source URL's own marketplace; other marketplaces need a per-marketplace
+     * tag ({ com: 'mystore-20', de: 'mystore-21' }) and are stripped otherwise.
+     * 
+     * @param {string|Object} source - Product URL, parseAmazonURL() result, or product data ({ asin, url })
+     * @param {string|Object} marketplace - Target domain suffix ('co.uk'), hostname ('www.amazon.de') or marketplace
+     * @param {Object} [options={}] - Conversion options
+     * @param {boolean} [options.preserveVariants=true] - Keep variant parameters (th, psc)
+     * @param {Object} [options.affiliate] - Affiliate policy { policy, tag } (default: strip)
+     * @returns {string|null} URL on the target marketplace, or null if the source has no ASIN
+     *     or the target is not an Amazon marketplace
+     * 
+     * @example
+     * convertToMarketplace('https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&ref_=abc', 'de')
+     * // Returns: 'https://www.amazon.de/dp/B08N5WRWNW?th=1&psc=1'
+     * 
+     * convertToMarketplace(productData, 'www.amazon.co.uk', { preserveVariants: false })
+     * // Returns: 'https://www.amazon.co.uk/dp/B08N5WRWNW'
+     * 
+     * convertToMarketplace('https://www.amazon.com/dp/B08N5WRWNW', 'de', { affiliate: { policy: 'replace', tag: 'mystore-20' } })
+     * // Returns: 'https://www.amazon.de/dp/B08N5WRWNW' (mystore-20 is an amazon.com tag)
+     */
+    function convertToMarketplace(source, marketplace, options = {}) {
+        const { preserveVariants = true, affiliate } = options;
+
+        const target = typeof marketplace === 'object' && marketplace ? marketplace : getMarketplace(marketplace);
+        if (!target) {
+            logWarn('Unknown Amazon marketplace:', marketplace);
+            return null;
+        }
+
+        const parsed = typeof source === 'string' ? parseAmazonURL(source) : source;
+        if (!parsed || !parsed.asin) {
+            return null;
+        }
+
+        const sourceMarketplace = parsed.url && parsed.url.hostname ? getMarketplace(parsed.url.hostname) : null;
+        const isSameMarketplace = Boolean(sourceMarketplace) && sourceMarketplace.domain === target.domain;
+        const { policy = DEFAULT_AFFILIATE_POLICY.policy, tag = DEFAULT_AFFILIATE_POLICY.tag } = affiliate || {};
+        const targetAffiliate = policy === 'replace' && typeof tag === 'string' && !isSameMarketplace
+            ? { policy: 'strip', tag: null }
+            : { policy, tag };
+
+        // Only the variant parameters carry over (affiliate parameters follow targetAffiliate)
+        const sourceParams = (parsed.url && (parsed.url.variantParams || parsed.url.queryParams)) || {};
+        const queryParams = {};
+        for (const key of ['th', 'psc']) {
+            if (sourceParams[key]) {
+                queryParams[key] = sourceParams[key];
             }
         }
-        
-        return urlObj.toString();
-    } catch (error) {
-        return null;
+
+        return buildAmazonURL({
+            asin: parsed.asin,
+            hostname: normalizeAmazonHostname(`amazon.${target.domain}`, target.domain),
+            queryParams
+        }, preserveVariants ? 'medium' : 'short', { affiliate: targetAffiliate });
     }
-}
 
-/**
- * Normalizes Amazon hostname to preferred domain
- * @param {string} hostname - Current hostname
- * @param {string} [preferredDomain='com'] - Preferred TLD
- * @returns {string} Normalized hostname
- */
-function normalizeAmazonHostname(hostname, preferredDomain = 'com') {
-    // Remove 'www.' prefix if present
-    const clean = hostname.replace(/^www\./, '');
-    
-    // If already on preferred domain, return with www
-    if (clean === `amazon.${preferredDomain}`) {
-        return `www.amazon.${preferredDomain}`;
+    /**
+     * Builds the equivalent product URL on several marketplaces
+     * 
+     * @param {string|Object} source - Product URL, parseAmazonURL() result, or product data ({ asin, url })
+     * @param {Array<string>} [marketplaces] - Domain suffixes or hostnames (default: every marketplace)
+     * @param {Object} [options={}] - Conversion options (see convertToMarketplace)
+     * @param {boolean} [options.excludeSource=false] - Leave out the source URL's own marketplace
+     * @returns {Array<Object>} One { domain, label, countryCode, hostname, url } per marketplace, in the given order
+     * 
+     * @example
+     * buildMarketplaceURLs('https://www.amazon.com/dp/B08N5WRWNW', ['co.uk', 'de', 'ca'])
+     * // Returns:
+     * [
+     *   { domain: 'co.uk', label: 'UK', countryCode: 'GB', hostname: 'www.amazon.co.uk', url: 'https://www.amazon.co.uk/dp/B08N5WRWNW' },
+     *   { domain: 'de', label: 'DE', countryCode: 'DE', hostname: 'www.amazon.de', url: 'https://www.amazon.de/dp/B08N5WRWNW' },
+     *   { domain: 'ca', label: 'CA', countryCode: 'CA', hostname: 'www.amazon.ca', url: 'https://www.amazon.ca/dp/B08N5WRWNW' }
+     * ]
+     */
+    function buildMarketplaceURLs(source, marketplaces = Object.keys(MARKETPLACES), options = {}) {
+        const { excludeSource = false } = options;
+
+        const parsed = typeof source === 'string' ? parseAmazonURL(source) : source;
+        const sourceMarketplace = parsed && parsed.url ? getMarketplace(parsed.url.hostname) : null;
+
+        const links = [];
+        for (const value of marketplaces) {
+            const marketplace = getMarketplace(value);
+            if (!marketplace) {
+                logWarn('Unknown Amazon marketplace:', value);
+                continue;
+            }
+            if (excludeSource && sourceMarketplace && sourceMarketplace.domain === marketplace.domain) {
+                continue;
+            }
+
+            const url = convertToMarketplace(parsed, marketplace, options);
+            if (url) {
+                links.push({
+                    domain: marketplace.domain,
+                    label: MARKETPLACE_LABELS[marketplace.domain] || marketplace.countryCode,
+                    countryCode: marketplace.countryCode,
+                    hostname: marketplace.hostname,
+                    url
+                });
+            }
+        }
+
+        return links;
     }
-    
-    // Otherwise return original with www
-    return hostname.startsWith('www.') ? hostname : `www.${hostname}`;
-}
-
-// Placeholder functions
-function isValidASIN(value) {
-    if (!value || typeof value !== 'string') return false;
-    return /^[A-Z0-9]{10}$/.test(value);
-}
-
-function logWarn(...args) { /* Implementation in logging_helpers.js */ }
-function logError(...args) { /* Implementation in logging_helpers.js */ }
-
-// Export all functions
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
+
+    return {
+        AFFILIATE_POLICIES,
+        resolveAffiliateParams,
         cleanAmazonURL,
         buildAmazonURL,
         cleanProductTitle,
         shortenTitle,
         removeTrackingParams,
-        normalizeAmazonHostname
+        normalizeAmazonHostname,
+        convertToMarketplace,
+        buildMarketplaceURLs
     };
-}
+});
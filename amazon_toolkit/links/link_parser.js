@@ -12,6 +12,9 @@
  * - Parse HTML anchor elements (opt+click on anchor scenario)
  * - Extract anchor text and href for markdown generation
  * - Categorize URLs (product, store, search, etc.)
+ * - Detect affiliate (Amazon Associates) links and their tag
+ * - Unwrap redirect URLs (/gp/r.html, sponsored /sspa/click, /gp/slredirect/) offline
+ * - Recognize short links (amzn.to, a.co) and expand them through a pluggable resolver
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/URL MDN URL API}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/HTMLAnchorElement MDN Anchor Element}
@@ -19,443 +22,745 @@
 
 'use strict';
 
-/**
- * Parses an Amazon URL string into a structured data object
- * 
- * @param {string} urlString - URL to parse
- * @returns {Object|null} Parsed URL data or null if invalid
- * 
- * @example
- * const data = parseAmazonURL('https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1');
- * // Returns:
- * {
- *   type: 'product',
- *   asin: 'B08N5WRWNW',
- *   storeId: null,
- *   sellerId: null,
- *   url: {
- *     original: 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1',
- *     clean: 'https://www.amazon.com/dp/B08N5WRWNW',
- *     protocol: 'https:',
- *     hostname: 'www.amazon.com',
- *     pathname: '/dp/B08N5WRWNW',
- *     queryParams: { th: '1', psc: '1' },
- *     variantParams: { th: '1', psc: '1' },
- *     trackingParams: {}
- *   }
- * }
- */
-function parseAmazonURL(urlString) {
-    if (!urlString || typeof urlString !== 'string') {
-        return null;
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('../../userscript_common/dom_helpers.js'),
+            require('../../userscript_common/logging_helpers.js'),
+            require('../helpers/validation_helpers.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('AmazonToolkit.Links.Parser', factory(
+            resolveNamespace('UserscriptCommon.DOM'),
+            resolveNamespace('UserscriptCommon.Logging'),
+            resolveNamespace('AmazonToolkit.Helpers.Validation')
+        ));
     }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(DOM, Logging, Validation) {
+
+    const { safeQuery, safeQueryAll, safeText, safeAttr } = DOM;
+    const { logError } = Logging;
+    const { AFFILIATE_PARAM_KEYS, isAmazonURL, isAmazonShortURL, isValidASIN, isValidElement } = Validation;
+
+    /**
+     * Amazon paths that wrap the real destination in a query parameter
+     * @constant {Array<RegExp>}
+     */
+    const REDIRECT_PATH_PATTERNS = [
+        /^\/gp\/r\.html/i,
+        /^\/gp\/redirect\.html/i,
+        /^\/gp\/slredirect\//i,
+        /^\/sspa\/click/i
+    ];
+
+    /**
+     * Query parameters (lowercase) that carry a redirect destination
+     * @constant {Array<string>}
+     */
+    const REDIRECT_PARAM_KEYS = ['url', 'u', 'location', 'redirecturl'];
+
+    /**
+     * Maximum number of nested redirects unwrapped before giving up
+     * @constant {number}
+     */
+    const MAX_REDIRECT_DEPTH = 5;
+
+    /**
+     * Patterns that find an ASIN anywhere in a (decoded) URL string
+     * @constant {Array<RegExp>}
+     */
+    const EMBEDDED_ASIN_PATTERNS = [
+        /\/(?:dp|gp\/product|gp\/aw\/d|o\/ASIN|exec\/obidos\/ASIN)\/([A-Z0-9]{10})(?![A-Z0-9])/i,
+        /[?&]asin=([A-Z0-9]{10})(?![A-Z0-9])/i
+    ];
 
-    try {
-        const urlObj = new URL(urlString);
-        
-        // Verify it's an Amazon URL
-        if (!isAmazonURL(urlObj)) {
+    /**
+     * Resolver used by resolveAmazonURL() to expand short links (null until one is set)
+     * @type {Function|null}
+     */
+    let shortLinkResolver = null;
+
+    /**
+     * Parses an Amazon URL string into a structured data object
+     * 
+     * Redirect wrappers (/gp/r.html, /sspa/click, /gp/slredirect/) are unwrapped offline, so the
+     * result describes the page the link leads to; the wrappers are listed in `url.redirects`.
+     * Short links (amzn.to, a.co) have type 'shortlink' - see resolveAmazonURL() to expand them.
+     * 
+     * @param {string} urlString - URL to parse
+     * @returns {Object|null} Parsed URL data or null if invalid
+     * 
+     * @example
+     * const data = parseAmazonURL('https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1');
+     * // Returns:
+     * {
+     *   type: 'product',
+     *   asin: 'B08N5WRWNW',
+     *   storeId: null,
+     *   sellerId: null,
+     *   tracking: {
+     *     affiliateTag: null,
+     *     affiliateParams: {},
+     *     isAffiliateLink: false
+     *   },
+     *   url: {
+     *     original: 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1',
+     *     clean: 'https://www.amazon.com/dp/B08N5WRWNW',
+     *     protocol: 'https:',
+     *     hostname: 'www.amazon.com',
+     *     pathname: '/dp/B08N5WRWNW',
+     *     queryParams: { th: '1', psc: '1' },
+     *     variantParams: { th: '1', psc: '1' },
+     *     trackingParams: {},
+     *     redirects: []
+     *   }
+     * }
+     * 
+     * @example
+     * parseAmazonURL('https://www.amazon.com/sspa/click?ie=UTF8&spc=MTo&url=%2FSony-WH-1000XM4%2Fdp%2FB0863TXGM3%2Fref%3Dsr_1_1_sspa%3Fpsc%3D1');
+     * // Returns: { type: 'product', asin: 'B0863TXGM3', url: { clean: 'https://www.amazon.com/Sony-WH-1000XM4/dp/B0863TXGM3/ref=sr_1_1_sspa?psc=1', redirects: ['https://www.amazon.com/sspa/click?...'], ... }, ... }
+     * 
+     * parseAmazonURL('https://amzn.to/3xYzAbC');
+     * // Returns: { type: 'shortlink', asin: null, url: { clean: 'https://amzn.to/3xYzAbC', ... }, ... }
+     */
+    function parseAmazonURL(urlString) {
+        if (!urlString || typeof urlString !== 'string') {
             return null;
         }
 
-        // Determine URL type and extract relevant data
-        const type = determineURLType(urlObj);
-        const asin = extractASINFromURL(urlObj);
-        const storeId = extractStoreIDFromURL(urlObj);
-        const sellerId = extractSellerIDFromURL(urlObj);
-        const queryParams = parseQueryParams(urlObj);
-        const variantParams = extractVariantParams(queryParams);
-        const trackingParams = extractTrackingParams(queryParams);
+        try {
+            const originalObj = new URL(urlString);
+
+            // Verify it's an Amazon URL
+            if (!isAmazonURL(originalObj) && !isAmazonShortURL(originalObj)) {
+                return null;
+            }
 
-        // Build clean URL
-        const cleanUrl = buildCleanURL(urlObj, variantParams);
+            // Parse the page a redirect wrapper leads to, not the wrapper
+            const { target: urlObj, redirects } = unwrapRedirects(originalObj);
 
-        return {
-            type,
-            asin,
-            storeId,
-            sellerId,
-            url: {
-                original: urlString,
-                clean: cleanUrl,
-                protocol: urlObj.protocol,
-                hostname: urlObj.hostname,
-                pathname: urlObj.pathname,
-                queryParams,
-                variantParams,
-                trackingParams
+            // Determine URL type and extract relevant data
+            const type = determineURLType(urlObj);
+            let asin = extractASINFromURL(urlObj);
+            if (!asin && (redirects.length > 0 || type === 'redirect' || type === 'shortlink')) {
+                asin = findEmbeddedASIN(urlString);
             }
-        };
-    } catch (error) {
-        logError('Failed to parse Amazon URL:', error);
-        return null;
+            const storeId = extractStoreIDFromURL(urlObj);
+            const sellerId = extractSellerIDFromURL(urlObj);
+            const queryParams = parseQueryParams(urlObj);
+            const variantParams = extractVariantParams(queryParams);
+            const trackingParams = extractTrackingParams(queryParams);
+            const tracking = extractAffiliateData(queryParams);
+
+            // Build clean URL
+            const cleanUrl = buildCleanURL(urlObj, variantParams);
+
+            return {
+                type,
+                asin,
+                storeId,
+                sellerId,
+                tracking,
+                url: {
+                    original: urlString,
+                    clean: cleanUrl,
+                    protocol: urlObj.protocol,
+                    hostname: urlObj.hostname,
+                    pathname: urlObj.pathname,
+                    queryParams,
+                    variantParams,
+                    trackingParams,
+                    redirects
+                }
+            };
+        } catch (error) {
+            logError('Failed to parse Amazon URL:', error);
+            return null;
+        }
     }
-}
 
-/**
- * Parses an HTML anchor element to extract Amazon link data
- * 
- * @param {HTMLAnchorElement} anchorElement - Anchor element to parse
- * @returns {Object|null} Parsed anchor data or null if invalid
- * 
- * @example
- * const anchor = document.querySelector('a[href*="amazon"]');
- * const data = parseAmazonAnchor(anchor);
- * // Returns:
- * {
- *   text: 'Nintendo Switch – OLED Model',
- *   textCleaned: 'Nintendo Switch – OLED Model',
- *   href: 'https://www.amazon.com/dp/B08N5WRWNW',
- *   type: 'product',
- *   asin: 'B08N5WRWNW',
- *   title: 'Nintendo Switch – OLED Model',
- *   url: { ... }
- * }
- */
-function parseAmazonAnchor(anchorElement) {
-    if (!anchorElement || !isValidElement(anchorElement)) {
-        return null;
+    /**
+     * Sets the resolver resolveAmazonURL() uses to expand short links
+     * 
+     * The toolkit never makes network requests itself; the resolver receives the short link and
+     * returns (or resolves to) the URL it redirects to, e.g. via GM_xmlhttpRequest's finalUrl.
+     * 
+     * @param {Function|null} resolver - (urlString) => string|Promise<string>, or null to remove it
+     * @returns {void}
+     * 
+     * @example
+     * setShortLinkResolver(url => new Promise(resolve => GM_xmlhttpRequest({
+     *     method: 'HEAD',
+     *     url,
+     *     onload: response => resolve(response.finalUrl),
+     *     onerror: () => resolve(null)
+     * })));
+     */
+    function setShortLinkResolver(resolver) {
+        shortLinkResolver = typeof resolver === 'function' ? resolver : null;
     }
 
-    try {
-        const href = safeAttr(anchorElement, 'href');
-        if (!href) {
-            return null;
+    /**
+     * Gets the resolver set with setShortLinkResolver()
+     * @returns {Function|null} Current short-link resolver
+     */
+    function getShortLinkResolver() {
+        return shortLinkResolver;
+    }
+
+    /**
+     * Parses an Amazon URL, expanding short links through the resolver first
+     * 
+     * Anything that is not a short link is parsed offline exactly like parseAmazonURL(). When there
+     * is no resolver, or it fails, the short link is returned unexpanded (type 'shortlink').
+     * 
+     * @param {string} urlString - URL to parse
+     * @param {Object} [options={}] - Resolve options
+     * @param {Function} [options.resolver] - Resolver for this call (defaults to setShortLinkResolver())
+     * @returns {Promise<Object|null>} Parsed URL data; the short link is listed in `url.redirects`
+     * 
+     * @example
+     * const data = await resolveAmazonURL('https://amzn.to/3xYzAbC');
+     * // data.type: 'product', data.asin: 'B08N5WRWNW', data.url.original: 'https://amzn.to/3xYzAbC'
+     */
+    async function resolveAmazonURL(urlString, options = {}) {
+        const { resolver = shortLinkResolver } = options;
+
+        const urlData = parseAmazonURL(urlString);
+        if (!urlData || urlData.type !== 'shortlink' || typeof resolver !== 'function') {
+            return urlData;
         }
 
-        // Parse the URL
-        const urlData = parseAmazonURL(href);
-        if (!urlData) {
+        try {
+            const resolvedURL = await resolver(urlString);
+            const resolvedData = resolvedURL ? parseAmazonURL(String(resolvedURL)) : null;
+            if (!resolvedData || resolvedData.type === 'shortlink') {
+                return urlData;
+            }
+
+            return {
+                ...resolvedData,
+                url: {
+                    ...resolvedData.url,
+                    original: urlString,
+                    redirects: [...urlData.url.redirects, urlData.url.clean, ...resolvedData.url.redirects]
+                }
+            };
+        } catch (error) {
+            logError('Failed to resolve short link:', error);
+            return urlData;
+        }
+    }
+
+    /**
+     * Returns the URL a redirect wrapper leads to, decoding nested `url=` parameters offline
+     * 
+     * @param {string} urlString - URL to unwrap
+     * @returns {string|null} Destination URL (the input itself when it is not a redirect) or null if invalid
+     * 
+     * @example
+     * unwrapRedirectURL('https://www.amazon.com/gp/slredirect/picassoRedirect.html?url=%2Fdp%2FB0863TXGM3%3Fpsc%3D1');
+     * // Returns: 'https://www.amazon.com/dp/B0863TXGM3?psc=1'
+     */
+    function unwrapRedirectURL(urlString) {
+        try {
+            return unwrapRedirects(new URL(urlString)).target.href;
+        } catch (error) {
             return null;
         }
+    }
 
-        // Extract anchor text
-        const text = safeText(anchorElement);
-        const textCleaned = text ? cleanAnchorText(text) : null;
+    /**
+     * Follows redirect wrappers until reaching a URL that is not one
+     * @param {URL} urlObj - URL object
+     * @returns {Object} { target: URL, redirects: Array<string> } - wrappers in the order they were unwrapped
+     */
+    function unwrapRedirects(urlObj) {
+        const redirects = [];
+        let target = urlObj;
+
+        while (redirects.length < MAX_REDIRECT_DEPTH) {
+            const next = extractRedirectTarget(target);
+            if (!next) {
+                break;
+            }
+            redirects.push(target.href);
+            target = next;
+        }
 
-        // Extract title attribute
-        const title = safeAttr(anchorElement, 'title');
+        return { target, redirects };
+    }
 
-        // Extract image if anchor contains one
-        const img = safeQuery('img', anchorElement);
-        const imageData = img ? {
-            src: safeAttr(img, 'src'),
-            alt: safeAttr(img, 'alt'),
-            imageId: extractImageIDFromURL(safeAttr(img, 'src'))
-        } : null;
+    /**
+     * Extracts the destination of a single redirect wrapper
+     * Only Amazon destinations are followed; off-site targets leave the wrapper as-is.
+     * 
+     * @param {URL} urlObj - URL object
+     * @returns {URL|null} Destination URL or null if this is not a redirect wrapper
+     */
+    function extractRedirectTarget(urlObj) {
+        if (!isAmazonURL(urlObj) || !REDIRECT_PATH_PATTERNS.some(pattern => pattern.test(urlObj.pathname))) {
+            return null;
+        }
+
+        for (const [key, value] of urlObj.searchParams.entries()) {
+            if (!value || !REDIRECT_PARAM_KEYS.includes(key.toLowerCase())) {
+                continue;
+            }
+            try {
+                // Relative targets (/dp/...) stay on the wrapper's marketplace
+                const target = new URL(decodeRedirectParam(value), urlObj.origin);
+                if (isAmazonURL(target) || isAmazonShortURL(target)) {
+                    return target;
+                }
+            } catch (error) {
+                // Continue
+            }
+        }
 
-        return {
-            text,
-            textCleaned,
-            href,
-            title,
-            image: imageData,
-            ...urlData
-        };
-    } catch (error) {
-        logError('Failed to parse Amazon anchor:', error);
         return null;
     }
-}
 
-/**
- * Cleans anchor text by removing extra whitespace and common suffixes
- * @param {string} text - Raw anchor text
- * @returns {string} Cleaned text
- */
-function cleanAnchorText(text) {
-    if (!text) return '';
-    
-    let cleaned = text.trim();
-    
-    // Replace multiple whitespace with single space
-    cleaned = cleaned.replace(/\s+/g, ' ');
-    
-    // Remove "Visit the Amazon ... page" pattern
-    cleaned = cleaned.replace(/Visit the Amazon .+ page/gi, '');
-    
-    // Remove "Amazon.com:" prefix
-    cleaned = cleaned.replace(/^Amazon\.com:\s*/i, '');
-    
-    return cleaned.trim();
-}
-
-/**
- * Determines the type of Amazon URL
- * @param {URL} urlObj - URL object
- * @returns {string} URL type: 'product', 'store', 'search', 'category', 'other'
- */
-function determineURLType(urlObj) {
-    const pathname = urlObj.pathname.toLowerCase();
-    const search = urlObj.search.toLowerCase();
-
-    // Product URLs
-    if (pathname.includes('/dp/') || 
-        pathname.includes('/gp/product/') ||
-        pathname.includes('/o/asin/') ||
-        pathname.includes('/exec/obidos/asin/')) {
-        return 'product';
+    /**
+     * Decodes a redirect parameter that was URL-encoded more than once (%252F...)
+     * @param {string} value - Parameter value (already decoded once by URLSearchParams)
+     * @returns {string} Decoded value
+     */
+    function decodeRedirectParam(value) {
+        let decoded = value;
+        for (let pass = 0; pass < 3 && /^(https?%3A|%2F)/i.test(decoded); pass++) {
+            decoded = decodeURIComponent(decoded);
+        }
+        return decoded;
     }
 
-    // Store URLs
-    if (pathname.includes('/stores/')) {
-        return 'store';
-    }
+    /**
+     * Finds an ASIN anywhere in a URL, including encoded redirect parameters
+     * Used when the URL itself cannot be unwrapped (off-site redirect, short link with the ASIN in it).
+     * 
+     * @param {string} urlString - URL string
+     * @returns {string|null} ASIN or null
+     */
+    function findEmbeddedASIN(urlString) {
+        let text = urlString;
+
+        for (let pass = 0; pass < 3; pass++) {
+            for (const pattern of EMBEDDED_ASIN_PATTERNS) {
+                const match = text.match(pattern);
+                if (match && isValidASIN(match[1].toUpperCase())) {
+                    return match[1].toUpperCase();
+                }
+            }
 
-    // Seller/Store URLs by query parameter
-    if (search.includes('me=') || search.includes('marketplaceid=')) {
-        return 'store';
-    }
+            let decoded;
+            try {
+                decoded = decodeURIComponent(text);
+            } catch (error) {
+                break;
+            }
+            if (decoded === text) {
+                break;
+            }
+            text = decoded;
+        }
 
-    // Search URLs
-    if (pathname === '/s' || pathname === '/s/') {
-        return 'search';
+        return null;
     }
 
-    // Category/Browse URLs
-    if (pathname.includes('/b/') || pathname.includes('/gp/browse')) {
-        return 'category';
-    }
+    /**
+     * Parses an HTML anchor element to extract Amazon link data
+     * 
+     * @param {HTMLAnchorElement} anchorElement - Anchor element to parse
+     * @returns {Object|null} Parsed anchor data or null if invalid
+     * 
+     * @example
+     * const anchor = document.querySelector('a[href*="amazon"]');
+     * const data = parseAmazonAnchor(anchor);
+     * // Returns:
+     * {
+     *   text: 'Nintendo Switch – OLED Model',
+     *   textCleaned: 'Nintendo Switch – OLED Model',
+     *   href: 'https://www.amazon.com/dp/B08N5WRWNW',
+     *   type: 'product',
+     *   asin: 'B08N5WRWNW',
+     *   title: 'Nintendo Switch – OLED Model',
+     *   url: { ... }
+     * }
+     */
+    function parseAmazonAnchor(anchorElement) {
+        if (!anchorElement || !isValidElement(anchorElement)) {
+            return null;
+        }
 
-    // Best Sellers
-    if (pathname.includes('/best-sellers') || pathname.includes('/gp/bestsellers')) {
-        return 'bestsellers';
+        try {
+            const href = safeAttr(anchorElement, 'href');
+            if (!href) {
+                return null;
+            }
+
+            // Parse the URL (resolved, so relative /sspa/click links on Amazon pages work)
+            const urlData = parseAmazonURL(anchorElement.href || href);
+            if (!urlData) {
+                return null;
+            }
+
+            // Extract anchor text
+            const text = safeText(anchorElement);
+            const textCleaned = text ? cleanAnchorText(text) : null;
+
+            // Extract title attribute
+            const title = safeAttr(anchorElement, 'title');
+
+            // Extract image if anchor contains one
+            const img = safeQuery('img', anchorElement);
+            const imageData = img ? {
+                src: safeAttr(img, 'src'),
+                alt: safeAttr(img, 'alt'),
+                imageId: extractImageIDFromURL(safeAttr(img, 'src'))
+            } : null;
+
+            return {
+                text,
+                textCleaned,
+                href,
+                title,
+                image: imageData,
+                ...urlData
+            };
+        } catch (error) {
+            logError('Failed to parse Amazon anchor:', error);
+            return null;
+        }
     }
 
-    // Deals
-    if (pathname.includes('/deals') || pathname.includes('/goldbox')) {
-        return 'deals';
+    /**
+     * Cleans anchor text by removing extra whitespace and common suffixes
+     * @param {string} text - Raw anchor text
+     * @returns {string} Cleaned text
+     */
+    function cleanAnchorText(text) {
+        if (!text) return '';
+
+        let cleaned = text.trim();
+
+        // Replace multiple whitespace with single space
+        cleaned = cleaned.replace(/\s+/g, ' ');
+
+        // Remove "Visit the Amazon ... page" pattern
+        cleaned = cleaned.replace(/Visit the Amazon .+ page/gi, '');
+
+        // Remove "Amazon.com:" prefix
+        cleaned = cleaned.replace(/^Amazon\.com:\s*/i, '');
+
+        return cleaned.trim();
     }
 
-    return 'other';
-}
+    /**
+     * Determines the type of Amazon URL
+     * @param {URL} urlObj - URL object
+     * @returns {string} URL type: 'product', 'store', 'search', 'category', 'bestsellers', 'deals',
+     * 'shortlink', 'redirect', 'other'
+     */
+    function determineURLType(urlObj) {
+        const pathname = urlObj.pathname.toLowerCase();
+        const search = urlObj.search.toLowerCase();
+
+        // Short links (amzn.to, a.co) only reveal their target when followed
+        if (isAmazonShortURL(urlObj)) {
+            return 'shortlink';
+        }
 
-/**
- * Extracts ASIN from URL object
- * @param {URL} urlObj - URL object
- * @returns {string|null} ASIN or null
- */
-function extractASINFromURL(urlObj) {
-    const pathname = urlObj.pathname;
-
-    // Try different URL patterns
-    const patterns = [
-        /\/dp\/([A-Z0-9]{10})/i,
-        /\/gp\/product\/([A-Z0-9]{10})/i,
-        /\/o\/ASIN\/([A-Z0-9]{10})/i,
-        /\/exec\/obidos\/ASIN\/([A-Z0-9]{10})/i
-    ];
+        // Redirect wrappers whose target could not be unwrapped
+        if (REDIRECT_PATH_PATTERNS.some(pattern => pattern.test(pathname))) {
+            return 'redirect';
+        }
+
+        // Product URLs
+        if (pathname.includes('/dp/') || 
+            pathname.includes('/gp/product/') ||
+            pathname.includes('/o/asin/') ||
+            pathname.includes('/exec/obidos/asin/')) {
+            return 'product';
+        }
+
+        // Store URLs
+        if (pathname.includes('/stores/')) {
+            return 'store';
+        }
+
+        // Seller/Store URLs by query parameter
+        if (search.includes('me=') || search.includes('marketplaceid=')) {
+            return 'store';
+        }
+
+        // Search URLs
+        if (pathname === '/s' || pathname === '/s/') {
+            return 'search';
+        }
+
+        // Category/Browse URLs
+        if (pathname.includes('/b/') || pathname.includes('/gp/browse')) {
+            return 'category';
+        }
+
+        // Best Sellers
+        if (pathname.includes('/best-sellers') || pathname.includes('/gp/bestsellers')) {
+            return 'bestsellers';
+        }
+
+        // Deals
+        if (pathname.includes('/deals') || pathname.includes('/goldbox')) {
+            return 'deals';
+        }
 
-    for (const pattern of patterns) {
-        const match = pathname.match(pattern);
-        if (match) {
-            const asin = match[1].toUpperCase();
-            if (isValidASIN(asin)) {
-                return asin;
+        return 'other';
+    }
+
+    /**
+     * Extracts ASIN from URL object
+     * @param {URL} urlObj - URL object
+     * @returns {string|null} ASIN or null
+     */
+    function extractASINFromURL(urlObj) {
+        const pathname = urlObj.pathname;
+
+        // Legacy short links carry the ASIN as the whole path: amzn.com/B08N5WRWNW
+        if (isAmazonShortURL(urlObj)) {
+            const match = pathname.match(/^\/(?:dp\/)?([A-Z0-9]{10})\/?$/i);
+            return match && isValidASIN(match[1].toUpperCase()) ? match[1].toUpperCase() : null;
+        }
+
+        // Try different URL patterns
+        const patterns = [
+            /\/dp\/([A-Z0-9]{10})/i,
+            /\/gp\/product\/([A-Z0-9]{10})/i,
+            /\/o\/ASIN\/([A-Z0-9]{10})/i,
+            /\/exec\/obidos\/ASIN\/([A-Z0-9]{10})/i
+        ];
+
+        for (const pattern of patterns) {
+            const match = pathname.match(pattern);
+            if (match) {
+                const asin = match[1].toUpperCase();
+                if (isValidASIN(asin)) {
+                    return asin;
+                }
             }
         }
+
+        return null;
     }
 
-    return null;
-}
+    /**
+     * Extracts store ID from URL object
+     * @param {URL} urlObj - URL object
+     * @returns {string|null} Store ID or null
+     */
+    function extractStoreIDFromURL(urlObj) {
+        const pathname = urlObj.pathname;
+
+        // Pattern: /stores/BrandName/page/STORE_ID
+        const match1 = pathname.match(/\/stores\/[^\/]+\/page\/([A-Z0-9-]+)/i);
+        if (match1) {
+            return match1[1];
+        }
 
-/**
- * Extracts store ID from URL object
- * @param {URL} urlObj - URL object
- * @returns {string|null} Store ID or null
- */
-function extractStoreIDFromURL(urlObj) {
-    const pathname = urlObj.pathname;
+        // Pattern: /stores/page/STORE_ID
+        const match2 = pathname.match(/\/stores\/page\/([A-Z0-9-]+)/i);
+        if (match2) {
+            return match2[1];
+        }
 
-    // Pattern: /stores/BrandName/page/STORE_ID
-    const match1 = pathname.match(/\/stores\/[^\/]+\/page\/([A-Z0-9-]+)/i);
-    if (match1) {
-        return match1[1];
+        return null;
     }
 
-    // Pattern: /stores/page/STORE_ID
-    const match2 = pathname.match(/\/stores\/page\/([A-Z0-9-]+)/i);
-    if (match2) {
-        return match2[1];
+    /**
+     * Extracts seller ID from URL object
+     * @param {URL} urlObj - URL object
+     * @returns {string|null} Seller ID or null
+     */
+    function extractSellerIDFromURL(urlObj) {
+        return urlObj.searchParams.get('me') || null;
     }
 
-    return null;
-}
+    /**
+     * Parses all query parameters from URL
+     * @param {URL} urlObj - URL object
+     * @returns {Object} Object with all query parameters
+     */
+    function parseQueryParams(urlObj) {
+        const params = {};
+        for (const [key, value] of urlObj.searchParams.entries()) {
+            params[key] = value;
+        }
+        return params;
+    }
 
-/**
- * Extracts seller ID from URL object
- * @param {URL} urlObj - URL object
- * @returns {string|null} Seller ID or null
- */
-function extractSellerIDFromURL(urlObj) {
-    return urlObj.searchParams.get('me') || null;
-}
+    /**
+     * Extracts variant parameters from query params
+     * @param {Object} queryParams - Query parameters object
+     * @returns {Object} Object with only variant parameters
+     */
+    function extractVariantParams(queryParams) {
+        const variantKeys = ['th', 'psc', 'smid'];
+        const variantParams = {};
+
+        for (const key of variantKeys) {
+            if (queryParams[key]) {
+                variantParams[key] = queryParams[key];
+            }
+        }
 
-/**
- * Parses all query parameters from URL
- * @param {URL} urlObj - URL object
- * @returns {Object} Object with all query parameters
- */
-function parseQueryParams(urlObj) {
-    const params = {};
-    for (const [key, value] of urlObj.searchParams.entries()) {
-        params[key] = value;
+        return variantParams;
     }
-    return params;
-}
 
-/**
- * Extracts variant parameters from query params
- * @param {Object} queryParams - Query parameters object
- * @returns {Object} Object with only variant parameters
- */
-function extractVariantParams(queryParams) {
-    const variantKeys = ['th', 'psc', 'smid'];
-    const variantParams = {};
-    
-    for (const key of variantKeys) {
-        if (queryParams[key]) {
-            variantParams[key] = queryParams[key];
+    /**
+     * Extracts tracking parameters from query params
+     * @param {Object} queryParams - Query parameters object
+     * @returns {Object} Object with only tracking parameters
+     */
+    function extractTrackingParams(queryParams) {
+        const trackingPrefixes = ['pd_rd_', 'pf_rd_', '_encoding', 'qid', 'sr', 'keywords', 'crid', 'sprefix', 'dib', 'tag', 'linkCode', 'linkId', 'ref', 'ref_'];
+        const trackingParams = {};
+
+        for (const [key, value] of Object.entries(queryParams)) {
+            if (trackingPrefixes.some(prefix => key.toLowerCase().startsWith(prefix))) {
+                trackingParams[key] = value;
+            }
         }
+
+        return trackingParams;
     }
-    
-    return variantParams;
-}
 
-/**
- * Extracts tracking parameters from query params
- * @param {Object} queryParams - Query parameters object
- * @returns {Object} Object with only tracking parameters
- */
-function extractTrackingParams(queryParams) {
-    const trackingPrefixes = ['pd_rd_', 'pf_rd_', '_encoding', 'qid', 'sr', 'keywords', 'crid', 'sprefix', 'dib', 'tag', 'linkCode', 'linkId', 'ref', 'ref_'];
-    const trackingParams = {};
-    
-    for (const [key, value] of Object.entries(queryParams)) {
-        if (trackingPrefixes.some(prefix => key.toLowerCase().startsWith(prefix))) {
-            trackingParams[key] = value;
+    /**
+     * Extracts Amazon Associates affiliate data from query params
+     * 
+     * @param {Object} queryParams - Query parameters object
+     * @returns {Object} { affiliateTag, affiliateParams, isAffiliateLink }
+     * 
+     * @example
+     * extractAffiliateData({ th: '1', tag: 'mystore-20', linkCode: 'll1' })
+     * // Returns: { affiliateTag: 'mystore-20', affiliateParams: { tag: 'mystore-20', linkCode: 'll1' }, isAffiliateLink: true }
+     */
+    function extractAffiliateData(queryParams) {
+        const affiliateParams = {};
+
+        for (const key of AFFILIATE_PARAM_KEYS) {
+            if (queryParams[key]) {
+                affiliateParams[key] = queryParams[key];
+            }
         }
-    }
-    
-    return trackingParams;
-}
 
-/**
- * Builds a clean URL with optional variant parameters
- * @param {URL} urlObj - URL object
- * @param {Object} [variantParams={}] - Variant parameters to include
- * @returns {string} Clean URL
- */
-function buildCleanURL(urlObj, variantParams = {}) {
-    let cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
-    
-    // Add variant parameters if any
-    const paramKeys = Object.keys(variantParams);
-    if (paramKeys.length > 0) {
-        const paramString = paramKeys
-            .map(key => `${key}=${variantParams[key]}`)
-            .join('&');
-        cleanUrl += `?${paramString}`;
+        const affiliateTag = affiliateParams.tag || affiliateParams.associateTag || null;
+
+        return {
+            affiliateTag,
+            affiliateParams,
+            isAffiliateLink: affiliateTag !== null
+        };
     }
-    
-    return cleanUrl;
-}
 
-/**
- * Extracts image ID from image URL
- * @param {string} imageUrl - Image URL
- * @returns {string|null} Image ID or null
- */
-function extractImageIDFromURL(imageUrl) {
-    if (!imageUrl) return null;
-    const match = imageUrl.match(/\/images\/[ISP]\/([A-Za-z0-9+_-]+)\./);
-    return match ? match[1] : null;
-}
+    /**
+     * Builds a clean URL with optional variant parameters
+     * @param {URL} urlObj - URL object
+     * @param {Object} [variantParams={}] - Variant parameters to include
+     * @returns {string} Clean URL
+     */
+    function buildCleanURL(urlObj, variantParams = {}) {
+        let cleanUrl = `${urlObj.protocol}//${urlObj.hostname}${urlObj.pathname}`;
+
+        // Add variant parameters if any
+        const paramKeys = Object.keys(variantParams);
+        if (paramKeys.length > 0) {
+            const paramString = paramKeys
+                .map(key => `${key}=${variantParams[key]}`)
+                .join('&');
+            cleanUrl += `?${paramString}`;
+        }
 
-/**
- * Parses multiple Amazon URLs from text content
- * Useful for extracting all Amazon links from a page or text block
- * 
- * @param {string} text - Text content to parse
- * @returns {Array<Object>} Array of parsed URL data objects
- * 
- * @example
- * const text = 'Check out https://amazon.com/dp/B08N5WRWNW and https://amazon.com/dp/B09ABCDEFG';
- * const urls = parseAmazonURLsFromText(text);
- * // Returns array with 2 parsed URL objects
- */
-function parseAmazonURLsFromText(text) {
-    if (!text || typeof text !== 'string') {
-        return [];
+        return cleanUrl;
     }
 
-    // Regex to match Amazon URLs
-    const amazonURLPattern = /https?:\/\/(?:www\.)?amazon\.[a-z.]{2,}\/[^\s<>"]+/gi;
-    const matches = text.match(amazonURLPattern);
-    
-    if (!matches) {
-        return [];
+    /**
+     * Extracts image ID from image URL
+     * @param {string} imageUrl - Image URL
+     * @returns {string|null} Image ID or null
+     */
+    function extractImageIDFromURL(imageUrl) {
+        if (!imageUrl) return null;
+        const match = imageUrl.match(/\/images\/[ISP]\/([A-Za-z0-9+_-]+)\./);
+        return match ? match[1] : null;
     }
 
-    const parsedURLs = [];
-    for (const urlString of matches) {
-        const parsed = parseAmazonURL(urlString);
-        if (parsed) {
-            parsedURLs.push(parsed);
+    /**
+     * Parses multiple Amazon URLs from text content
+     * Useful for extracting all Amazon links from a page or text block
+     * 
+     * @param {string} text - Text content to parse
+     * @returns {Array<Object>} Array of parsed URL data objects
+     * 
+     * @example
+     * const text = 'Check out https://amazon.com/dp/B08N5WRWNW and https://amazon.com/dp/B09ABCDEFG';
+     * const urls = parseAmazonURLsFromText(text);
+     * // Returns array with 2 parsed URL objects
+     */
+    function parseAmazonURLsFromText(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
         }
-    }
 
-    return parsedURLs;
-}
+        // Regex to match Amazon URLs
+        const amazonURLPattern = /https?:\/\/(?:www\.)?(?:amazon\.[a-z.]{2,}|amzn\.(?:to|eu|asia|com)|a\.co)\/[^\s<>"]+/gi;
+        const matches = text.match(amazonURLPattern);
 
-/**
- * Extracts Amazon URLs from all anchors in a document or element
- * @param {Document|Element} context - Context to search within
- * @returns {Array<Object>} Array of parsed anchor data objects
- * 
- * @example
- * const anchors = extractAmazonAnchorsFromDOM(document);
- * // Returns array of all parsed Amazon anchors on page
- */
-function extractAmazonAnchorsFromDOM(context = document) {
-    const anchors = safeQueryAll('a[href*="amazon"]', context);
-    const parsed = [];
+        if (!matches) {
+            return [];
+        }
+
+        const parsedURLs = [];
+        for (const urlString of matches) {
+            const parsed = parseAmazonURL(urlString);
+            if (parsed) {
+                parsedURLs.push(parsed);
+            }
+        }
 
-    for (const anchor of anchors) {
-        const data = parseAmazonAnchor(anchor);
-        if (data) {
-            parsed.push(data);
+        return parsedURLs;
+    }
+
+    /**
+     * Extracts Amazon URLs from all anchors in a document or element
+     * @param {Document|Element} context - Context to search within
+     * @returns {Array<Object>} Array of parsed anchor data objects
+     * 
+     * @example
+     * const anchors = extractAmazonAnchorsFromDOM(document);
+     * // Returns array of all parsed Amazon anchors on page
+     */
+    function extractAmazonAnchorsFromDOM(context = document) {
+        const anchors = safeQueryAll('a[href*="amazon"], a[href*="amzn."], a[href*="a.co/"]', context);
+        const parsed = [];
+
+        for (const anchor of anchors) {
+            const data = parseAmazonAnchor(anchor);
+            if (data) {
+                parsed.push(data);
+            }
         }
+
+        return parsed;
     }
 
-    return parsed;
-}
-
-// Placeholder functions - these would be imported from helpers
-function isAmazonURL(urlObj) {
-    const amazonDomainPattern = /^(www\.)?amazon\.(com|co\.uk|de|fr|es|it|ca|co\.jp|in|cn|com\.mx|com\.br|com\.au|nl|se|com\.tr|sg|ae|sa)$/i;
-    return amazonDomainPattern.test(urlObj.hostname);
-}
-
-function isValidASIN(value) {
-    if (!value || typeof value !== 'string') return false;
-    return /^[A-Z0-9]{10}$/.test(value);
-}
-
-function isValidElement(element) {
-    return element instanceof Element || (element && element.nodeType === 1);
-}
-
-function safeQuery(selector, context) { /* Implementation in dom_helpers.js */ return null; }
-function safeQueryAll(selector, context) { /* Implementation in dom_helpers.js */ return []; }
-function safeText(element) { /* Implementation in dom_helpers.js */ return null; }
-function safeAttr(element, attr) { /* Implementation in dom_helpers.js */ return null; }
-function logError(...args) { /* Implementation in logging_helpers.js */ }
-
-// Export all functions
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
+    return {
         parseAmazonURL,
+        resolveAmazonURL,
+        setShortLinkResolver,
+        getShortLinkResolver,
+        unwrapRedirectURL,
+        findEmbeddedASIN,
         parseAmazonAnchor,
         cleanAnchorText,
         determineURLType,
@@ -465,9 +770,10 @@ if (typeof module !== 'undefined' && module.exports) {
         parseQueryParams,
         extractVariantParams,
         extractTrackingParams,
+        extractAffiliateData,
         buildCleanURL,
         extractImageIDFromURL,
         parseAmazonURLsFromText,
         extractAmazonAnchorsFromDOM
     };
-}
+});
@@ -6,10 +6,11 @@
  * 
  * Generates markdown formatted links from product and store data structures.
  * Supports multiple markdown formats:
- * - Text link: [Title](url)
+ * - Text link: [Title](url), optionally with other-marketplace links ([UK](url) | [DE](url)) and the feature bullets
  * - Image: ![Alt](image_url)
  * - Image link: [![Alt](image_url)](url)
  * - Combined: [Title](url) with image
+ * - Ranked list: 1. [Title](url) - $price (from listing/search results)
  * 
  * @see {@link https://www.markdownguide.org/basic-syntax/#links Markdown Links}
  * @see {@link https://www.markdownguide.org/basic-syntax/#images Markdown Images}
@@ -17,335 +18,522 @@
 
 'use strict';
 
-/**
- * Generates a markdown text link from product data
- * 
- * @param {Object} productData - Product data structure
- * @param {Object} [options={}] - Generation options
- * @param {string} [options.urlFormat='short'] - URL format: 'short', 'medium', 'long'
- * @param {number} [options.maxTitleLength] - Maximum title length
- * @param {boolean} [options.includeBrand=true] - Include brand in title
- * @param {boolean} [options.includeVariant=true] - Include variant in title
- * @returns {string} Markdown link
- * 
- * @example
- * generateProductLink(productData)
- * // Returns: '[Nintendo Switch – OLED Model (White)](https://www.amazon.com/dp/B08N5WRWNW)'
- * 
- * generateProductLink(productData, { urlFormat: 'medium', includeBrand: false })
- * // Returns: '[Switch – OLED Model (White)](https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1)'
- */
-function generateProductLink(productData, options = {}) {
-    if (!productData || !productData.asin) {
-        return '';
-    }
-
-    const {
-        urlFormat = 'short',
-        maxTitleLength,
-        includeBrand = true,
-        includeVariant = true
-    } = options;
-
-    // Build title
-    let title = '';
-    if (includeBrand && productData.brand) {
-        title += formatBrand(productData.brand) + ' ';
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('../../userscript_common/logging_helpers.js'),
+            require('./markdown_formatter.js'),
+            require('../links/link_image.js'),
+            require('../links/link_cleaner.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('AmazonToolkit.Markdown.Generator', factory(
+            resolveNamespace('UserscriptCommon.Logging'),
+            resolveNamespace('AmazonToolkit.Markdown.Formatter'),
+            resolveNamespace('AmazonToolkit.Links.Image'),
+            resolveNamespace('AmazonToolkit.Links.Cleaner')
+        ));
     }
-    if (productData.titleCleaned || productData.title) {
-        title += formatTitle(productData.titleCleaned || productData.title, {
-            maxLength: maxTitleLength,
-            escape: true
-        });
-    }
-    if (includeVariant && productData.variant) {
-        title += ' ' + formatVariant(productData.variant);
-    }
-
-    title = title.trim();
-    if (!title) {
-        title = 'Amazon Product';
-    }
-
-    // Build URL
-    const url = buildProductURL(productData, urlFormat);
-    if (!url) {
-        return title; // Return just title if URL building fails
-    }
-
-    return `[${title}](${url})`;
-}
-
-/**
- * Generates a markdown image from product data
- * 
- * @param {Object} productData - Product data structure
- * @param {Object} [options={}] - Image options
- * @param {number} [options.imageSize=500] - Image size
- * @param {string} [options.alt] - Alt text (defaults to title)
- * @returns {string} Markdown image
- * 
- * @example
- * generateProductImage(productData)
- * // Returns: '![Nintendo Switch – OLED Model](https://m.media-amazon.com/images/I/61CGHv6kmWL._SL500_.jpg)'
- * 
- * generateProductImage(productData, { imageSize: 1000 })
- * // Returns: '![Nintendo Switch – OLED Model](https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1000_.jpg)'
- */
-function generateProductImage(productData, options = {}) {
-    if (!productData || !productData.images || !productData.images.primaryId) {
-        return '';
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(Logging, Formatter, LinkImage, LinkCleaner) {
+
+    const { logWarn } = Logging;
+    const { escapeMarkdown, formatBrand, formatTitle, formatVariant, formatCompleteTitle, truncateText } = Formatter;
+    const { buildImageURL } = LinkImage;
+    const { buildAmazonURL, buildMarketplaceURLs } = LinkCleaner;
+
+    /**
+     * Generates a markdown text link from product data
+     * 
+     * @param {Object} productData - Product data structure
+     * @param {Object} [options={}] - Generation options
+     * @param {string} [options.urlFormat='short'] - URL format: 'short', 'medium', 'long'
+     * @param {number} [options.maxTitleLength] - Maximum title length
+     * @param {boolean} [options.includeBrand=true] - Include brand in title
+     * @param {boolean} [options.includeVariant=true] - Include variant in title
+     * @param {boolean} [options.includeBullets=false] - Add the feature bullets as a markdown list under the link
+     *     (see generateProductBullets for maxBullets / maxBulletLength)
+     * @param {Array<string>} [options.marketplaceLinks] - Marketplaces to append mini-links for, e.g. ['co.uk', 'de', 'ca']
+     *     (the product's own marketplace is skipped)
+     * @param {Object} [options.affiliate] - Affiliate policy { policy, tag } for the URLs (default: strip)
+     * @param {number} [options.minConfidence] - Confidence check, with options.onLowConfidence (see passesConfidenceCheck)
+     * @returns {string} Markdown link
+     * 
+     * @example
+     * generateProductLink(productData)
+     * // Returns: '[Nintendo Switch – OLED Model (White)](https://www.amazon.com/dp/B08N5WRWNW)'
+     * 
+     * generateProductLink(productData, { urlFormat: 'medium', includeBrand: false })
+     * // Returns: '[Switch – OLED Model (White)](https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1)'
+     * 
+     * generateProductLink(productData, { minConfidence: 0.6, onLowConfidence: 'refuse' })
+     * // Returns: '' if the extracted data's overall confidence is below 0.6
+     * 
+     * generateProductLink(productData, { includeBullets: true, maxBullets: 2 })
+     * // Returns: '[Nintendo Switch – OLED Model (White)](https://www.amazon.com/dp/B08N5WRWNW)\n' +
+     * //          '- 7-inch OLED screen...\n- 64 GB internal storage...'
+     * 
+     * generateProductLink(productData, { marketplaceLinks: ['co.uk', 'de', 'ca'] })
+     * // Returns: '[Nintendo Switch – OLED Model (White)](https://www.amazon.com/dp/B08N5WRWNW) ' +
+     * //          '([UK](https://www.amazon.co.uk/dp/B08N5WRWNW) | [DE](https://www.amazon.de/dp/B08N5WRWNW) | ' +
+     * //          '[CA](https://www.amazon.ca/dp/B08N5WRWNW))'
+     */
+    function generateProductLink(productData, options = {}) {
+        if (!productData || !productData.asin) {
+            return '';
+        }
+        if (!passesConfidenceCheck(productData, options)) {
+            return '';
+        }
+
+        const {
+            urlFormat = 'short',
+            maxTitleLength,
+            includeBrand = true,
+            includeVariant = true,
+            includeBullets = false,
+            marketplaceLinks,
+            affiliate
+        } = options;
+
+        // Build title
+        let title = '';
+        if (includeBrand && productData.brand) {
+            title += formatBrand(productData.brand) + ' ';
+        }
+        if (productData.titleCleaned || productData.title) {
+            title += formatTitle(productData.titleCleaned || productData.title, {
+                maxLength: maxTitleLength,
+                escape: true
+            });
+        }
+        if (includeVariant && productData.variant) {
+            title += ' ' + formatVariant(productData.variant);
+        }
+
+        title = title.trim();
+        if (!title) {
+            title = 'Amazon Product';
+        }
+
+        // Build URL
+        const url = buildProductURL(productData, urlFormat, affiliate);
+        let link = url ? `[${title}](${url})` : title; // Just the title if URL building fails
+
+        if (Array.isArray(marketplaceLinks) && marketplaceLinks.length > 0) {
+            const miniLinks = generateMarketplaceLinks(productData, marketplaceLinks, { urlFormat, affiliate });
+            if (miniLinks) {
+                link += ` (${miniLinks})`;
+            }
+        }
+
+        const bullets = includeBullets ? generateProductBullets(productData, options) : '';
+        return bullets ? `${link}\n${bullets}` : link;
     }
 
-    const {
-        imageSize = 500,
-        alt
-    } = options;
-
-    const altText = alt || formatCompleteTitle({
-        brand: productData.brand,
-        title: productData.titleCleaned || productData.title,
-        variant: productData.variant
-    });
-
-    const imageUrl = buildImageURL(productData.images.primaryId, { size: imageSize });
-    if (!imageUrl) {
-        return '';
+    /**
+     * Generates "UK | DE | CA" mini-links to the same product on other marketplaces
+     * 
+     * @param {Object} productData - Product data structure (or any { asin, url } object)
+     * @param {Array<string>} marketplaces - Domain suffixes or hostnames, e.g. ['co.uk', 'de', 'ca']
+     * @param {Object} [options={}] - Generation options
+     * @param {string} [options.urlFormat='short'] - 'short' drops the variant parameters; 'medium' / 'long' keep th and psc
+     * @param {string} [options.separator=' | '] - Text between the links
+     * @param {Object} [options.affiliate] - Affiliate policy { policy, tag } (default: strip)
+     * @returns {string} Markdown links ('' if none could be built)
+     * 
+     * @example
+     * generateMarketplaceLinks(productData, ['co.uk', 'de'])
+     * // Returns: '[UK](https://www.amazon.co.uk/dp/B08N5WRWNW) | [DE](https://www.amazon.de/dp/B08N5WRWNW)'
+     */
+    function generateMarketplaceLinks(productData, marketplaces, options = {}) {
+        if (!productData || !productData.asin) {
+            return '';
+        }
+
+        const { urlFormat = 'short', separator = ' | ', affiliate } = options;
+
+        return buildMarketplaceURLs(productData, marketplaces, {
+            excludeSource: true,
+            preserveVariants: urlFormat !== 'short',
+            affiliate
+        })
+            .map(link => `[${link.label}](${link.url})`)
+            .join(separator);
     }
 
-    return `![${altText}](${imageUrl})`;
-}
-
-/**
- * Generates a markdown image link (clickable image) from product data
- * 
- * @param {Object} productData - Product data structure
- * @param {Object} [options={}] - Generation options
- * @param {string} [options.urlFormat='short'] - URL format
- * @param {number} [options.imageSize=500] - Image size
- * @param {string} [options.alt] - Alt text
- * @returns {string} Markdown image link
- * 
- * @example
- * generateProductImageLink(productData)
- * // Returns: '[![Nintendo Switch – OLED Model](image_url)](product_url)'
- */
-function generateProductImageLink(productData, options = {}) {
-    if (!productData || !productData.asin) {
-        return '';
+    /**
+     * Generates a markdown list from the product's "About this item" feature bullets
+     * 
+     * @param {Object} productData - Product data structure (featureBullets from product_extractor)
+     * @param {Object} [options={}] - Generation options
+     * @param {number} [options.maxBullets] - Maximum number of bullets (all if omitted)
+     * @param {number} [options.maxBulletLength] - Maximum length of each bullet (no limit if omitted)
+     * @returns {string} Markdown list ('' if the product has no bullets)
+     * 
+     * @example
+     * generateProductBullets(productData, { maxBullets: 2 })
+     * // Returns: '- Six pack Wash Bottles, 1000ml capacity each\n- Made of low density polyethylene'
+     */
+    function generateProductBullets(productData, options = {}) {
+        if (!productData || !Array.isArray(productData.featureBullets)) {
+            return '';
+        }
+
+        const { maxBullets, maxBulletLength } = options;
+
+        return productData.featureBullets
+            .slice(0, typeof maxBullets === 'number' ? maxBullets : undefined)
+            .map(bullet => maxBulletLength ? truncateText(bullet, maxBulletLength) : bullet)
+            // Parentheses are only special after a ']', which is escaped
+            .map(bullet => `- ${escapeMarkdown(bullet, { escapeParens: false })}`)
+            .join('\n');
     }
 
-    const {
-        urlFormat = 'short',
-        imageSize = 500,
-        alt
-    } = options;
+    /**
+     * Generates a markdown image from product data
+     * 
+     * @param {Object} productData - Product data structure
+     * @param {Object} [options={}] - Image options
+     * @param {number} [options.imageSize=500] - Image size
+     * @param {string} [options.alt] - Alt text (defaults to title)
+     * @param {number} [options.minConfidence] - Confidence check, with options.onLowConfidence (see passesConfidenceCheck)
+     * @returns {string} Markdown image
+     * 
+     * @example
+     * generateProductImage(productData)
+     * // Returns: '![Nintendo Switch – OLED Model](https://m.media-amazon.com/images/I/61CGHv6kmWL._SL500_.jpg)'
+     * 
+     * generateProductImage(productData, { imageSize: 1000 })
+     * // Returns: '![Nintendo Switch – OLED Model](https://m.media-amazon.com/images/I/61CGHv6kmWL._SL1000_.jpg)'
+     */
+    function generateProductImage(productData, options = {}) {
+        if (!productData || !productData.images || !productData.images.primaryId) {
+            return '';
+        }
+        if (!passesConfidenceCheck(productData, options)) {
+            return '';
+        }
+
+        const {
+            imageSize = 500,
+            alt
+        } = options;
+
+        const altText = alt || formatCompleteTitle({
+            brand: productData.brand,
+            title: productData.titleCleaned || productData.title,
+            variant: productData.variant
+        });
 
-    const image = generateProductImage(productData, { imageSize, alt });
-    if (!image) {
-        return '';
-    }
+        const imageUrl = buildImageURL(productData.images.primaryId, { size: imageSize });
+        if (!imageUrl) {
+            return '';
+        }
 
-    const url = buildProductURL(productData, urlFormat);
-    if (!url) {
-        return image;
+        return `![${altText}](${imageUrl})`;
     }
 
-    return `[${image}](${url})`;
-}
-
-/**
- * Generates a combined markdown with both text link and image
- * 
- * @param {Object} productData - Product data structure
- * @param {Object} [options={}] - Generation options
- * @param {string} [options.format='inline'] - Layout: 'inline', 'block', 'table'
- * @param {string} [options.urlFormat='short'] - URL format
- * @param {number} [options.imageSize=160] - Image size
- * @returns {string} Combined markdown
- * 
- * @example
- * generateProductCombined(productData, { format: 'inline' })
- * // Returns: '[![...](image)](url) [Title](url)'
- * 
- * generateProductCombined(productData, { format: 'block' })
- * // Returns: multi-line markdown with image and link on separate lines
- */
-function generateProductCombined(productData, options = {}) {
-    if (!productData || !productData.asin) {
-        return '';
+    /**
+     * Generates a markdown image link (clickable image) from product data
+     * 
+     * @param {Object} productData - Product data structure
+     * @param {Object} [options={}] - Generation options
+     * @param {string} [options.urlFormat='short'] - URL format
+     * @param {number} [options.imageSize=500] - Image size
+     * @param {string} [options.alt] - Alt text
+     * @param {Object} [options.affiliate] - Affiliate policy { policy, tag } for the URL (default: strip)
+     * @param {number} [options.minConfidence] - Confidence check, with options.onLowConfidence (see passesConfidenceCheck)
+     * @returns {string} Markdown image link
+     * 
+     * @example
+     * generateProductImageLink(productData)
+     * // Returns: '[![Nintendo Switch – OLED Model](image_url)](product_url)'
+     */
+    function generateProductImageLink(productData, options = {}) {
+        if (!productData || !productData.asin) {
+            return '';
+        }
+        if (!passesConfidenceCheck(productData, options)) {
+            return '';
+        }
+
+        const {
+            urlFormat = 'short',
+            imageSize = 500,
+            alt,
+            affiliate
+        } = options;
+
+        const image = generateProductImage(productData, { imageSize, alt });
+        if (!image) {
+            return '';
+        }
+
+        const url = buildProductURL(productData, urlFormat, affiliate);
+        if (!url) {
+            return image;
+        }
+
+        return `[${image}](${url})`;
     }
 
-    const {
-        format = 'inline',
-        urlFormat = 'short',
-        imageSize = 160
-    } = options;
+    /**
+     * Generates a combined markdown with both text link and image
+     * 
+     * @param {Object} productData - Product data structure
+     * @param {Object} [options={}] - Generation options
+     * @param {string} [options.format='inline'] - Layout: 'inline', 'block', 'table'
+     * @param {string} [options.urlFormat='short'] - URL format
+     * @param {number} [options.imageSize=160] - Image size
+     * @param {Object} [options.affiliate] - Affiliate policy { policy, tag } for the URLs (default: strip)
+     * @param {number} [options.minConfidence] - Confidence check, with options.onLowConfidence (see passesConfidenceCheck)
+     * @returns {string} Combined markdown
+     * 
+     * @example
+     * generateProductCombined(productData, { format: 'inline' })
+     * // Returns: '[![...](image)](url) [Title](url)'
+     * 
+     * generateProductCombined(productData, { format: 'block' })
+     * // Returns: multi-line markdown with image and link on separate lines
+     */
+    function generateProductCombined(productData, options = {}) {
+        if (!productData || !productData.asin) {
+            return '';
+        }
+        if (!passesConfidenceCheck(productData, options)) {
+            return '';
+        }
+
+        const {
+            format = 'inline',
+            urlFormat = 'short',
+            imageSize = 160,
+            affiliate
+        } = options;
+
+        const textLink = generateProductLink(productData, { urlFormat, affiliate });
+        const imageLink = generateProductImageLink(productData, { urlFormat, imageSize, affiliate });
+
+        if (format === 'inline') {
+            return `${imageLink} ${textLink}`;
+        }
+
+        if (format === 'block') {
+            return `${imageLink}\n\n${textLink}`;
+        }
+
+        if (format === 'table') {
+            return `| ${imageLink} | ${textLink} |`;
+        }
 
-    const textLink = generateProductLink(productData, { urlFormat });
-    const imageLink = generateProductImageLink(productData, { urlFormat, imageSize });
-
-    if (format === 'inline') {
         return `${imageLink} ${textLink}`;
     }
 
-    if (format === 'block') {
-        return `${imageLink}\n\n${textLink}`;
-    }
-
-    if (format === 'table') {
-        return `| ${imageLink} | ${textLink} |`;
-    }
-
-    return `${imageLink} ${textLink}`;
-}
-
-/**
- * Generates a markdown link from store data
- * 
- * @param {Object} storeData - Store data structure
- * @param {Object} [options={}] - Generation options
- * @returns {string} Markdown link
- * 
- * @example
- * generateStoreLink(storeData)
- * // Returns: '[Nintendo Store](https://www.amazon.com/stores/page/ABC-123)'
- */
-function generateStoreLink(storeData, options = {}) {
-    if (!storeData || !storeData.url) {
-        return '';
+    /**
+     * Generates a markdown ordered list from ranked listing items
+     * Items come from listing_extractor (Best Sellers, Deals, Category) or search_extractor;
+     * each line is a product link numbered by `rank` (or `position`).
+     * 
+     * @param {Array<Object>} items - Listing items (product data shape plus rank)
+     * @param {Object} [options={}] - Generation options (also passed to generateProductLink)
+     * @param {boolean} [options.includePrice=true] - Append the current price
+     * @param {boolean} [options.includeDeal=true] - Append the deal label (e.g. '25% off')
+     * @param {number} [options.limit] - Maximum number of items
+     * @returns {string} Markdown ordered list (one item per line)
+     * 
+     * @example
+     * generateRankedList(bestSellers.items, { limit: 3 })
+     * // Returns:
+     * // '1. [6PK Wash Bottle for Acetone, 1000ml](https://www.amazon.com/dp/B07ZZHSWSF) - $18.99\n' +
+     * // '2. [Wash Bottle, 500ml](https://www.amazon.com/dp/B0C1234567) - $9.49 (25% off)\n' + ...
+     */
+    function generateRankedList(items, options = {}) {
+        if (!Array.isArray(items) || items.length === 0) {
+            return '';
+        }
+
+        const { includePrice = true, includeDeal = true, limit } = options;
+
+        const ranked = items
+            .filter(item => item && item.asin)
+            .map((item, index) => ({ item, rank: item.rank || item.position || index + 1 }))
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, typeof limit === 'number' ? limit : undefined);
+
+        const lines = [];
+        for (const { item, rank } of ranked) {
+            const link = generateProductLink(item, { ...options, includeBullets: false });
+            if (!link) {
+                continue;
+            }
+
+            let line = `${rank}. ${link}`;
+            if (includePrice && item.price && item.price.current) {
+                line += ` - ${item.price.current}`;
+            }
+            if (includeDeal && item.deal && item.deal.label) {
+                line += ` (${item.deal.label})`;
+            }
+            lines.push(line);
+        }
+
+        return lines.join('\n');
     }
 
-    const title = formatBrand(storeData.storeNameCleaned || storeData.storeName || 'Amazon Store');
-    const url = storeData.url.originalClean || storeData.url.original;
-
-    if (!url) {
-        return title;
+    /**
+     * Generates a markdown link from store data
+     * 
+     * @param {Object} storeData - Store data structure
+     * @param {Object} [options={}] - Generation options
+     * @returns {string} Markdown link
+     * 
+     * @example
+     * generateStoreLink(storeData)
+     * // Returns: '[Nintendo Store](https://www.amazon.com/stores/page/ABC-123)'
+     */
+    function generateStoreLink(storeData, options = {}) {
+        if (!storeData || !storeData.url) {
+            return '';
+        }
+
+        const title = formatBrand(storeData.storeNameCleaned || storeData.storeName || 'Amazon Store');
+        const url = storeData.url.originalClean || storeData.url.original;
+
+        if (!url) {
+            return title;
+        }
+
+        return `[${title}](${url})`;
     }
 
-    return `[${title}](${url})`;
-}
-
-/**
- * Generates markdown from generic anchor data
- * 
- * @param {Object} anchorData - Anchor data from link_parser
- * @param {Object} [options={}] - Generation options
- * @returns {string} Markdown link
- * 
- * @example
- * generateAnchorLink(anchorData)
- * // Returns: '[Link Text](url)'
- */
-function generateAnchorLink(anchorData, options = {}) {
-    if (!anchorData) {
-        return '';
+    /**
+     * Generates markdown from generic anchor data
+     * 
+     * @param {Object} anchorData - Anchor data from link_parser
+     * @param {Object} [options={}] - Generation options
+     * @returns {string} Markdown link
+     * 
+     * @example
+     * generateAnchorLink(anchorData)
+     * // Returns: '[Link Text](url)'
+     */
+    function generateAnchorLink(anchorData, options = {}) {
+        if (!anchorData) {
+            return '';
+        }
+
+        const title = formatTitle(
+            anchorData.textCleaned || 
+            anchorData.text || 
+            anchorData.title || 
+            'Amazon Link',
+            { escape: true }
+        );
+
+        const url = anchorData.url?.clean || anchorData.href;
+
+        if (!url) {
+            return title;
+        }
+
+        return `[${title}](${url})`;
     }
 
-    const title = formatTitle(
-        anchorData.textCleaned || 
-        anchorData.text || 
-        anchorData.title || 
-        'Amazon Link',
-        { escape: true }
-    );
-
-    const url = anchorData.url?.clean || anchorData.href;
-
-    if (!url) {
-        return title;
+    /**
+     * Determines whether product data is below a minimum extraction confidence
+     * Data without a confidence report (e.g. built by hand) is never considered low.
+     * 
+     * @param {Object} productData - Product data structure
+     * @param {number} [minConfidence] - Minimum overall confidence (0-1)
+     * @returns {boolean} True if the data has a confidence report below minConfidence
+     * 
+     * @example
+     * isLowConfidence(productData, 0.6)
+     * // Returns: true if productData.metadata.confidence.overall < 0.6
+     */
+    function isLowConfidence(productData, minConfidence) {
+        if (typeof minConfidence !== 'number') {
+            return false;
+        }
+        const report = productData && productData.metadata && productData.metadata.confidence;
+        if (!report || typeof report.overall !== 'number') {
+            return false;
+        }
+        return report.overall < minConfidence;
     }
 
-    return `[${title}](${url})`;
-}
-
-/**
- * Builds product URL from product data
- * @param {Object} productData - Product data
- * @param {string} format - URL format
- * @returns {string|null} URL or null
- */
-function buildProductURL(productData, format = 'short') {
-    if (!productData.asin) {
-        return null;
+    /**
+     * Applies the minConfidence / onLowConfidence options every product generator accepts
+     * 
+     * @param {Object} productData - Product data structure
+     * @param {Object} options - Generation options
+     * @param {number} [options.minConfidence] - Minimum `metadata.confidence.overall` (0-1); no check if omitted
+     * @param {string|Function} [options.onLowConfidence='warn'] - Below minConfidence: 'warn' (log and continue),
+     *     'refuse' (return ''), or a function receiving the confidence report that returns true to continue
+     * @returns {boolean} True if markdown should be generated
+     * 
+     * @example
+     * passesConfidenceCheck(productData, { minConfidence: 0.6, onLowConfidence: 'refuse' })
+     * // Returns: false if productData.metadata.confidence.overall < 0.6
+     */
+    function passesConfidenceCheck(productData, options) {
+        const { minConfidence, onLowConfidence = 'warn' } = options;
+        if (!isLowConfidence(productData, minConfidence)) {
+            return true;
+        }
+
+        const report = productData.metadata.confidence;
+        if (typeof onLowConfidence === 'function') {
+            return onLowConfidence(report) === true;
+        }
+
+        const message = `Low-confidence product data (${report.overall} < ${minConfidence})`;
+        if (onLowConfidence === 'refuse') {
+            logWarn(`${message} - refusing to generate markdown`, report.conflicts);
+            return false;
+        }
+
+        logWarn(message, report.conflicts);
+        return true;
     }
 
-    const hostname = productData.url?.hostname || 'www.amazon.com';
-    const protocol = productData.url?.protocol || 'https:';
-    const queryParams = productData.url?.queryParams || {};
-
-    return buildAmazonURL(
-        { asin: productData.asin, hostname, protocol, queryParams },
-        format
-    );
-}
-
-// Placeholder functions - these would be imported from other modules
-function formatBrand(brand) {
-    if (!brand) return '';
-    return brand.trim().replace(/\s+Store$/i, '');
-}
-
-function formatTitle(title, options = {}) {
-    if (!title) return '';
-    let formatted = title.trim();
-    if (options.maxLength && formatted.length > options.maxLength) {
-        formatted = formatted.substring(0, options.maxLength - 3) + '...';
+    /**
+     * Builds product URL from product data
+     * @param {Object} productData - Product data
+     * @param {string} format - URL format
+     * @param {Object} [affiliate] - Affiliate policy { policy, tag } (default: strip)
+     * @returns {string|null} URL or null
+     */
+    function buildProductURL(productData, format = 'short', affiliate) {
+        if (!productData.asin) {
+            return null;
+        }
+
+        const hostname = productData.url?.hostname || 'www.amazon.com';
+        const protocol = productData.url?.protocol || 'https:';
+        const queryParams = productData.url?.queryParams || {};
+
+        return buildAmazonURL(
+            { asin: productData.asin, hostname, protocol, queryParams },
+            format,
+            { affiliate }
+        );
     }
-    if (options.escape) {
-        formatted = formatted.replace(/\[/g, '\\[').replace(/\]/g, '\\]');
-    }
-    return formatted;
-}
-
-function formatVariant(variant) {
-    if (!variant) return '';
-    const text = typeof variant === 'object' ? variant.value : variant;
-    return text ? `(${text})` : '';
-}
-
-function formatCompleteTitle(components) {
-    const parts = [];
-    if (components.brand) parts.push(components.brand);
-    if (components.title) parts.push(components.title);
-    let result = parts.join(' ');
-    if (components.variant) result += ' ' + formatVariant(components.variant);
-    return result;
-}
-
-function buildImageURL(imageId, options = {}) {
-    if (!imageId) return null;
-    const size = options.size || 500;
-    return `https://m.media-amazon.com/images/I/${imageId}._SL${size}_.jpg`;
-}
-
-function buildAmazonURL(components, format = 'short') {
-    const { asin, hostname = 'www.amazon.com', protocol = 'https:', queryParams = {} } = components;
-    if (!asin) return null;
-
-    let url = `${protocol}//${hostname}/dp/${asin}`;
-
-    if (format === 'medium') {
-        const params = [];
-        if (queryParams.th) params.push(`th=${queryParams.th}`);
-        if (queryParams.psc) params.push(`psc=${queryParams.psc}`);
-        if (params.length > 0) url += '?' + params.join('&');
-    } else if (format === 'long') {
-        const paramStr = Object.entries(queryParams).map(([k, v]) => `${k}=${v}`).join('&');
-        if (paramStr) url += '?' + paramStr;
-    }
-
-    return url;
-}
 
-// Export all functions
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
+    return {
         generateProductLink,
+        generateProductBullets,
+        generateMarketplaceLinks,
         generateProductImage,
         generateProductImageLink,
         generateProductCombined,
+        generateRankedList,
         generateStoreLink,
-        generateAnchorLink
+        generateAnchorLink,
+        isLowConfidence,
+        passesConfidenceCheck
     };
-}
+});
@@ -7,8 +7,33 @@
 // @match        *://*/*
 // @grant        GM_setClipboard
 // @grant        GM_registerMenuCommand
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_addValueChangeListener
 // @run-at       document-idle
 // @noframes
+// @require      ../userscript_common/namespace_helpers.js
+// @require      ../userscript_common/dom_helpers.js
+// @require      ../userscript_common/logging_helpers.js
+// @require      ../amazon_toolkit/helpers/validation_helpers.js
+// @require      ../amazon_toolkit/helpers/marketplace_helpers.js
+// @require      ../amazon_toolkit/markdown/markdown_formatter.js
+// @require      ../amazon_toolkit/extractors/shared_extractor.js
+// @require      ../amazon_toolkit/extractors/store_extractor.js
+// @require      ../amazon_toolkit/extractors/product_extractor.js
+// @require      ../amazon_toolkit/extractors/search_extractor.js
+// @require      ../amazon_toolkit/extractors/listing_extractor.js
+// @require      ../amazon_toolkit/links/link_parser.js
+// @require      ../amazon_toolkit/links/link_cleaner.js
+// @require      ../amazon_toolkit/links/link_image.js
+// @require      ../amazon_toolkit/markdown/markdown_generator.js
+// @require      ../amazon_toolkit/index.js
+// @require      url_rules.js
+// @require      markdown_templates.js
+// @require      shortcuts.js
+// @require      rich_clipboard.js
+// @require      output_formats.js
+// @require      settings.js
 // ==/UserScript==
 
 /*
@@ -27,6 +52,7 @@
  * 
  * KEY APIS:
  * - ViolentMonkey GM_setClipboard: https://violentmonkey.github.io/api/gm/#gm_setclipboard
+ * - Async Clipboard API (text/plain + text/html): https://developer.mozilla.org/en-US/docs/Web/API/ClipboardItem
  * - DOM Selection API: https://developer.mozilla.org/en-US/docs/Web/API/Selection
  * - Event.closest(): https://developer.mozilla.org/en-US/docs/Web/API/Element/closest
  * - Event capture phase: https://developer.mozilla.org/en-US/docs/Learn/JavaScript/Building_blocks/Events#event_bubbling_and_capture
@@ -43,10 +69,20 @@
  *   - Reference: https://violentmonkey.github.io/api/metadata-block/#grant
  * 
  * @grant GM_registerMenuCommand
- *   - Requests permission for menu command API (reserved for future use)
- *   - Allows adding items to ViolentMonkey popup menu
+ *   - Requests permission for menu command API
+ *   - Adds "Settings..." to the ViolentMonkey popup menu (opens the settings panel)
  *   - Reference: https://violentmonkey.github.io/api/gm/#gm_registermenucommand
  * 
+ * @grant GM_getValue, GM_setValue
+ *   - Requests permission for the script's own storage
+ *   - Settings are persisted under the 'settings' key (see settings.js)
+ *   - Reference: https://violentmonkey.github.io/api/gm/#gm_getvalue
+ * 
+ * @grant GM_addValueChangeListener
+ *   - Notifies the script when stored settings change (in this tab or another)
+ *   - Used to apply saved settings without reloading the page
+ *   - Reference: https://violentmonkey.github.io/api/gm/#gm_addvaluechangelistener
+ * 
  * @run-at document-idle
  *   - Script runs after DOM is fully loaded but before all resources (images, etc.)
  *   - Better than document-end for performance and reliability
@@ -57,6 +93,14 @@
  *   - Reduces overhead and prevents duplicate executions
  *   - Reference: https://violentmonkey.github.io/api/metadata-block/#noframes
  * 
+ * @require
+ *   - Loads userscript_common, amazon_toolkit and this folder's modules (url_rules.js, markdown_templates.js,
+ *     shortcuts.js, rich_clipboard.js, output_formats.js, settings.js) before this script
+ *   - Paths are relative to this file; namespace_helpers.js must come first and
+ *     amazon_toolkit/index.js last (see amazon_toolkit/README.md)
+ *   - Publish with `node scripts/build_userscript.js markdown_linker/markdown_linker.user.js`
+ *   - Reference: https://violentmonkey.github.io/api/metadata-block/#require
+ * 
  * BROWSER COMPATIBILITY:
  * Tested on Firefox 144.0.2 with ViolentMonkey 2.31.0 on macOS
  */
@@ -73,9 +117,24 @@
     // CONFIGURATION
     // ============================================================================
     
-    // Enable debug mode to show error dialogs with debugger option
-    // Type: boolean
-    const isDebug = true;
+    // Shortcut parsing and matching (markdown_linker/shortcuts.js)
+    // Type: Object
+    const Shortcuts = MarkdownLinker.Shortcuts;
+    
+    // Shortcuts that apply on this site, from settings (menuShortcuts, bufferShortcuts, per-site lists and overrides)
+    // Set by applySettings(); shortcuts.menu and shortcuts.buffer hold parsed bindings
+    // Type: {enabled: boolean, site: string|null, shortcuts: {menu: Array<Object>, buffer: Array<Object>}}
+    let activeShortcuts = null;
+    
+    // Settings schema, validation and storage (markdown_linker/settings.js)
+    // Type: Object
+    const Settings = MarkdownLinker.Settings;
+    
+    // Current settings: defaults until the stored settings are loaded, replaced on every change
+    // Edited in the settings panel (ViolentMonkey menu > Settings...); see Settings.SETTINGS_SCHEMA
+    // settings.isDebug enables debug logging and error dialogs with debugger option
+    // Type: Object
+    let settings = Settings.getDefaultSettings();
     
     // Script identifier prefix for all console.log statements
     // Type: string
@@ -102,6 +161,36 @@
     // Type: Function | null
     let menuClickHandler = null;
     let menuEscapeHandler = null;
+    
+    // Per-site URL cleaning rules (markdown_linker/url_rules.js)
+    // Type: Object
+    const UrlRules = MarkdownLinker.UrlRules;
+    
+    // Output templates (markdown_linker/markdown_templates.js)
+    // Type: Object
+    const Templates = MarkdownLinker.Templates;
+    
+    // HTML clipboard output (markdown_linker/rich_clipboard.js)
+    // Type: Object
+    const RichClipboard = MarkdownLinker.RichClipboard;
+    
+    // Output formats: Markdown, Org, reST, AsciiDoc, BBCode, Jira, MediaWiki, HTML (markdown_linker/output_formats.js)
+    // Type: Object
+    const Formats = MarkdownLinker.Formats;
+    
+    // Output formats for copied links, selectable from the menu (settings.outputFormat)
+    // Add entries here for other markup languages; see output_formats.js for the format object
+    // Type: Array<{name: string, markdown?: boolean, escapeTitle: Function, escapeUrl: Function, link: Function, list?: Function}>
+    const outputFormats = [
+        ...Formats.DEFAULT_FORMATS
+    ];
+    
+    // Named templates for copied links, selectable from the menu (settings.templateName)
+    // Add entries here for other note conventions; placeholders: {title} {url} {host} {date} {selection} {description}
+    // Type: Array<{name: string, link: string, item?: string, definition?: string}>
+    const markdownTemplates = [
+        ...Templates.DEFAULT_TEMPLATES
+    ];
 
     // ============================================================================
     // LOGGING UTILITIES
@@ -113,7 +202,7 @@
      * Reference: https://developer.mozilla.org/en-US/docs/Web/API/Console/log
      */
     function log(message) {
-        if (isDebug) {
+        if (settings.isDebug) {
             console.log(`${logBase}: ${message}`);
         }
     }
@@ -141,7 +230,7 @@
      * @param {string} functionName - Name of the function being entered
      */
     function logFunctionBegin(functionName) {
-        if (isDebug) {
+        if (settings.isDebug) {
             console.log(`${logBase}: begin ${functionName}`);
         }
     }
@@ -151,7 +240,7 @@
      * @param {string} functionName - Name of the function being exited
      */
     function logFunctionEnd(functionName) {
-        if (isDebug) {
+        if (settings.isDebug) {
             console.log(`${logBase}: end ${functionName}`);
         }
     }
@@ -169,6 +258,97 @@
 
     log('begin script');
 
+    // ============================================================================
+    // SETTINGS
+    // ============================================================================
+
+    // Storage used by Settings.loadSettings() / Settings.saveSettings()
+    // Type: {getValue: Function, setValue: Function}
+    // Reference: https://violentmonkey.github.io/api/gm/#gm_getvalue
+    const settingsStorage = { getValue: GM_getValue, setValue: GM_setValue };
+
+    /**
+     * Makes new settings the running script's configuration
+     * Every setting is read when it is used, so nothing else needs to be updated
+     * @param {Object} newSettings - Complete, validated settings
+     * 
+     * Type returned: void
+     */
+    function applySettings(newSettings) {
+        logFunctionBegin('applySettings');
+        
+        for (const name of Object.keys(newSettings)) {
+            if (JSON.stringify(newSettings[name]) !== JSON.stringify(settings[name])) {
+                log(`Setting changed: ${name} = ${JSON.stringify(newSettings[name])}`);
+            }
+        }
+        settings = newSettings;
+        
+        activeShortcuts = Shortcuts.resolveShortcuts({
+            shortcuts: { menu: settings.menuShortcuts, buffer: settings.bufferShortcuts },
+            enabledSites: settings.shortcutSitesEnabled,
+            disabledSites: settings.shortcutSitesDisabled,
+            overrides: settings.shortcutOverrides
+        }, window.location.hostname);
+        
+        log(`Shortcuts ${activeShortcuts.enabled ? 'enabled' : 'disabled'} on ${window.location.hostname}` +
+            `${activeShortcuts.site ? ` (overrides for ${activeShortcuts.site})` : ''}: ` +
+            `menu ${formatBindings(activeShortcuts.shortcuts.menu)}, buffer ${formatBindings(activeShortcuts.shortcuts.buffer)}`);
+        
+        logFunctionEnd('applySettings');
+    }
+
+    /**
+     * Formats parsed bindings for logging
+     * @param {Array<Object>} bindings - Parsed bindings
+     * @returns {string} e.g. 'Alt+Click, Alt+M' or '(none)'
+     * 
+     * Type returned: string
+     */
+    function formatBindings(bindings) {
+        return bindings.length > 0 ? bindings.map(binding => binding.text).join(', ') : '(none)';
+    }
+
+    /**
+     * Validates, stores and applies settings
+     * Nothing is stored or applied if any setting is invalid
+     * @param {Object} newSettings - Settings to save
+     * @returns {Array<string>} Validation errors (empty if saved)
+     * 
+     * Type returned: Array<string>
+     * Reference: https://violentmonkey.github.io/api/gm/#gm_setvalue
+     */
+    function saveSettings(newSettings) {
+        logFunctionBegin('saveSettings');
+        
+        const result = Settings.saveSettings(settingsStorage, newSettings);
+        if (result.errors.length === 0) {
+            log('Did save settings');
+            applySettings(result.settings);
+        } else {
+            logWarn(`Did not save settings: ${result.errors.join('; ')}`);
+        }
+        
+        logFunctionEnd('saveSettings');
+        return result.errors;
+    }
+
+    log('Will load stored settings');
+    const storedSettings = Settings.loadSettings(settingsStorage);
+    storedSettings.errors.forEach(error => logWarn(`Ignoring stored setting: ${error}`));
+    applySettings(storedSettings.settings);
+    log('Did load stored settings');
+
+    // Live reload: apply settings saved in another tab (or the settings panel) without reloading the page
+    // Reference: https://violentmonkey.github.io/api/gm/#gm_addvaluechangelistener
+    if (typeof GM_addValueChangeListener === 'function') {
+        GM_addValueChangeListener(Settings.STORAGE_KEY, (name, oldValue, newValue, remote) => {
+            log(`Stored settings changed${remote ? ' in another tab' : ''}, will apply`);
+            applySettings(Settings.validateSettings(newValue).settings);
+        });
+        log('Did add settings change listener');
+    }
+
     // ============================================================================
     // URL VALIDATION
     // ============================================================================
@@ -181,7 +361,7 @@
      * @param {string} source - Description of where this validation is being called from
      * @returns {boolean} True if URL is valid, false otherwise
      * 
-     * If validation fails and isDebug is true, prompts user with debugger option
+     * If validation fails and settings.isDebug is true, prompts user with debugger option
      * Logs comprehensive debugging information about the failure
      * 
      * Type returned: boolean
@@ -217,7 +397,7 @@
         logError(`  window.location.href: ${window.location.href}`);
         
         // Show debug dialog if in debug mode
-        // if (isDebug) {
+        // if (settings.isDebug) {
             const debugMessage = 
                 `URL Validation Failed!\n\n` +
                 `Source: ${source}\n` +
@@ -256,16 +436,14 @@
      * @param {string} url - The URL to clean
      * @returns {string} Cleaned URL
      * 
-     * Common tracking parameters removed:
-     * - utm_* (Google Analytics)
-     * - fbclid (Facebook)
-     * - gclid (Google Ads)
-     * - ref, ref_* (Various referral tracking)
-     * - mc_* (Marketing campaign)
-     * - _ga (Google Analytics)
+     * Cleaning is done by the per-site rules in url_rules.js (UrlRules.DEFAULT_RULES):
+     * - Every site: settings.trackingParams (utm_*, fbclid, gclid, mc_* and other common tracking parameters)
+     * - Google: unwraps /url?q= redirects
+     * - YouTube, GitHub, Reddit, Twitter/X, LinkedIn: site tracking parameters (si=, trk=, s=, ...)
+     * - eBay, AliExpress: short /itm/{id} and /item/{id}.html URLs
+     * - Amazon: clean /dp/{ASIN} URLs via AmazonToolkit, with settings.affiliatePolicy applied
      * 
-     * Site-specific cleaning:
-     * - Amazon: Extracts clean /dp/{ASIN} URLs
+     * To support another site, add a rule to url_rules.js; this function does not change.
      * 
      * Type returned: string
      * Reference: https://developer.mozilla.org/en-US/docs/Web/API/URL
@@ -275,74 +453,14 @@
         log(`Original URL: "${url}"`);
         
         try {
-            const urlObj = new URL(url);
+            const rule = UrlRules.findRule(url);
+            log(`Cleaning rule: ${rule ? rule.name : '(none, tracking parameters only)'}`);
             
-            // Amazon-specific cleaning
-            if (urlObj.hostname.includes('amazon.')) {
-                log('Detected Amazon URL, will extract clean product URL');
-                
-                // Try to extract ASIN from path (format: /dp/{ASIN} or /gp/product/{ASIN})
-                const dpMatch = urlObj.pathname.match(/\/dp\/([A-Z0-9]{10})/);
-                const gpMatch = urlObj.pathname.match(/\/gp\/product\/([A-Z0-9]{10})/);
-                
-                if (dpMatch) {
-                    const asin = dpMatch[1];
-                    const cleanAmazonUrl = `${urlObj.protocol}//${urlObj.hostname}/dp/${asin}`;
-                    log(`Extracted clean Amazon URL: "${cleanAmazonUrl}"`);
-                    logFunctionEnd('cleanUrl');
-                    return cleanAmazonUrl;
-                } else if (gpMatch) {
-                    const asin = gpMatch[1];
-                    const cleanAmazonUrl = `${urlObj.protocol}//${urlObj.hostname}/dp/${asin}`;
-                    log(`Extracted clean Amazon URL from /gp/product: "${cleanAmazonUrl}"`);
-                    logFunctionEnd('cleanUrl');
-                    return cleanAmazonUrl;
-                }
-                
-                log('Could not extract ASIN, will fall through to general cleaning');
-            }
-            
-            // General tracking parameter removal
-            log('Removing common tracking parameters');
-            const trackingParams = [
-                // Google Analytics
-                'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
-                // Facebook
-                'fbclid',
-                // Google Ads
-                'gclid', 'gclsrc',
-                // Amazon tracking
-                'ref', 'ref_', 'pf_rd_r', 'pf_rd_p', 'pf_rd_m', 'pf_rd_s', 'pf_rd_t', 'pf_rd_i',
-                'pd_rd_r', 'pd_rd_w', 'pd_rd_wg',
-                'qid', 'sr', 'keywords', 'crid', 'sprefix', 'th', 'psc',
-                'dib', 'dib_tag',
-                // Marketing campaign
-                'mc_cid', 'mc_eid',
-                // General analytics
-                '_ga', '_gl',
-                // Other common tracking
-                'msclkid', 'twclid'
-            ];
-            
-            // Remove tracking parameters
-            trackingParams.forEach(param => {
-                urlObj.searchParams.delete(param);
+            const cleanedUrl = UrlRules.cleanUrl(url, {
+                amazonToolkit: AmazonToolkit,
+                affiliate: getAffiliatePolicy(),
+                trackingParams: settings.trackingParams
             });
-            
-            // Also remove any param that starts with tracked prefixes
-            const paramsToDelete = [];
-            for (const [key] of urlObj.searchParams) {
-                if (key.startsWith('utm_') || 
-                    key.startsWith('ref') || 
-                    key.startsWith('pf_') || 
-                    key.startsWith('pd_') ||
-                    key.startsWith('mc_')) {
-                    paramsToDelete.push(key);
-                }
-            }
-            paramsToDelete.forEach(param => urlObj.searchParams.delete(param));
-            
-            const cleanedUrl = urlObj.toString();
             log(`Cleaned URL: "${cleanedUrl}"`);
             logFunctionEnd('cleanUrl');
             return cleanedUrl;
@@ -465,7 +583,7 @@
         logError(`  anchor.getAttribute('href'): ${anchor ? anchor.getAttribute('href') : 'null'}`);
         
         // Show error dialog if in debug mode
-        if (isDebug) {
+        if (settings.isDebug) {
             const debugMessage = 
                 `URL extraction failed!\n\n` +
                 `Target element: ${unwrap(event.target, 'tagName')}\n` +
@@ -711,23 +829,24 @@
         
         // Create markdown link
         log('Will create markdown');
-        const markdown = createMarkdown(title, url);
+        const markdown = createMarkdown(title, url, { selection: getSelectedText(), description: getMetaDescription() });
         log(`Did create markdown: "${markdown}"`);
         
         // Copy to clipboard
         log('Will copy to clipboard');
-        try {
-            GM_setClipboard(markdown, 'text/plain');
-            log('Did copy to clipboard');
-            
-            // Show success notification with preview of what was copied
-            const preview = markdown.length > 60 ? markdown.substring(0, 57) + '...' : markdown;
-            showNotification(`Copied: ${preview}`);
-            log(`Did show notification with preview: "${preview}"`);
-        } catch (error) {
-            logError(`Failed to copy to clipboard: ${error}`);
-            showNotification('Failed to copy to clipboard - check console for errors');
-        }
+        writeClipboard(markdown, [Templates.buildValues(title, url)])
+            .then(() => {
+                log('Did copy to clipboard');
+                
+                // Show success notification with preview of what was copied
+                const preview = markdown.length > 60 ? markdown.substring(0, 57) + '...' : markdown;
+                showNotification(`Copied: ${preview}`);
+                log(`Did show notification with preview: "${preview}"`);
+            })
+            .catch((error) => {
+                logError(`Failed to copy to clipboard: ${error}`);
+                showNotification('Failed to copy to clipboard - check console for errors');
+            });
         
         logFunctionEnd('autoInferAndCopyMarkdown');
     }
@@ -737,12 +856,14 @@
      * Called when Alt+Z keys are released after buffering multiple clicks
      * @param {Array<{url: string, anchor: HTMLElement|null}>} buffer - Array of buffered link data
      * 
-     * Creates a flat markdown list:
+     * Creates a flat markdown list with the current template's list item:
      * * [Title 1](url1)
      * * [Title 2](url2)
      * * [Title 3](url3)
      * 
+     * Other output formats (settings.outputFormat) write their own list syntax
      * Each title is auto-inferred using getAutoInferredTitle() priority logic
+     * A single link is written like createMarkdown() (no list item)
      */
     function compileAndCopyBufferedLinks(buffer) {
         logFunctionBegin('compileAndCopyBufferedLinks');
@@ -754,105 +875,343 @@
             return;
         }
         
-        // Helper to format a single item with title inference
-        const formatBufferItem = (item, asList = true) => {
-            const title = getAutoInferredTitle(item.anchor);
+        // Type: Object (format and template chosen in the menu)
+        const format = getCurrentFormat();
+        const template = getCurrentTemplate();
+        log(`Using format: "${format.name}", template: "${template.name}"`);
+        
+        // Page context shared by all links: {selection}, {description}, {date}
+        const context = { selection: getSelectedText(), description: getMetaDescription(), date: new Date() };
+        
+        // Helper to build the template values for a single item with title inference
+        const getBufferItemValues = (item) => {
+            let title = getAutoInferredTitle(item.anchor);
             if (!title) {
                 try {
-                    const url = new URL(item.url);
-                    const fallbackTitle = url.hostname || 'Link';
-                    return asList ? `* [${fallbackTitle}](${item.url})` : `[${fallbackTitle}](${item.url})`;
+                    title = new URL(item.url).hostname || 'Link';
                 } catch (e) {
-                    return asList ? `* [Link](${item.url})` : `[Link](${item.url})`;
+                    title = 'Link';
                 }
             }
-            return asList ? `* [${title}](${item.url})` : `[${title}](${item.url})`;
+            return Templates.buildValues(title, item.url, context);
         };
         
         // Special case: single link - no list formatting
         if (buffer.length === 1) {
             log('Buffer contains single link, skipping list formatting');
-            const fullMarkdown = formatBufferItem(buffer[0], false);
+            const values = getBufferItemValues(buffer[0]);
+            const fullMarkdown = Formats.renderLink(format, values, template);
             log(`Did compile single link markdown (${fullMarkdown.length} characters):`);
             log(fullMarkdown);
             
-            try {
-                GM_setClipboard(fullMarkdown, 'text/plain');
-                log('Did copy to clipboard');
-                showNotification(`Copied link to clipboard`);
-                log(`Did show notification for 1 link`);
-            } catch (error) {
-                logError(`Failed to copy to clipboard: ${error}`);
-                showNotification(`Failed to copy link - check console for errors`);
-            }
+            writeClipboard(fullMarkdown, [values])
+                .then(() => {
+                    log('Did copy to clipboard');
+                    showNotification(`Copied link to clipboard`);
+                    log(`Did show notification for 1 link`);
+                })
+                .catch((error) => {
+                    logError(`Failed to copy to clipboard: ${error}`);
+                    showNotification(`Failed to copy link - check console for errors`);
+                });
         } else {
             // Build markdown list for multiple links
             log('Will infer titles and build markdown list');
-            const markdownLines = buffer.map((item, index) => {
+            const valuesList = buffer.map((item, index) => {
                 log(`Processing buffered link ${index + 1}/${buffer.length}: ${item.url}`);
-                return formatBufferItem(item, true);
+                return getBufferItemValues(item);
             });
             
-            // Join all lines with newlines
-            const fullMarkdown = markdownLines.join('\n');
+            // One list item per line (plus reference definitions if the template has them)
+            const fullMarkdown = Formats.renderList(format, valuesList, template);
             log(`Did compile full markdown list (${fullMarkdown.length} characters):`);
             log(fullMarkdown);
             
             // Copy to clipboard
             log('Will copy markdown list to clipboard');
-            try {
-                GM_setClipboard(fullMarkdown, 'text/plain');
-                log('Did copy to clipboard');
-                
-                // Show notification with count
-                showNotification(`Copied ${buffer.length} links to clipboard`);
-                log(`Did show notification for ${buffer.length} links`);
-            } catch (error) {
-                logError(`Failed to copy to clipboard: ${error}`);
-                showNotification(`Failed to copy ${buffer.length} links - check console for errors`);
-            }
+            // Written as a <ul> list in text/html (see writeClipboard())
+            writeClipboard(fullMarkdown, valuesList)
+                .then(() => {
+                    log('Did copy to clipboard');
+                    
+                    // Show notification with count
+                    showNotification(`Copied ${buffer.length} links to clipboard`);
+                    log(`Did show notification for ${buffer.length} links`);
+                })
+                .catch((error) => {
+                    logError(`Failed to copy to clipboard: ${error}`);
+                    showNotification(`Failed to copy ${buffer.length} links - check console for errors`);
+                });
         }
         
         logFunctionEnd('compileAndCopyBufferedLinks');
     }
 
+    // ============================================================================
+    // AMAZON PAGE DATA (AmazonToolkit menu entries)
+    // ============================================================================
+
+    /**
+     * Returns the affiliate policy from settings (affiliatePolicy, affiliateTag)
+     * @returns {{policy: string, tag: string|null}} Policy passed as `affiliate` to AmazonToolkit calls that build URLs
+     * 
+     * AmazonToolkit itself always defaults to 'strip'; cleanUrl and the Amazon menu entries
+     * pass this policy with each call.
+     * 
+     * Type returned: Object
+     * Reference: ../amazon_toolkit/README.md
+     */
+    function getAffiliatePolicy() {
+        return { policy: settings.affiliatePolicy, tag: settings.affiliateTag || null };
+    }
+
+    /**
+     * Extracts AmazonToolkit product or store data when the menu targets the current Amazon page
+     * @param {string} url - The menu's target URL (anchor href or current page URL)
+     * @returns {{type: string, data: Object}|null} Page data, or null if url is not this page's product/store
+     * 
+     * Data is only extracted from `document`, so it is only returned when url points to the
+     * page that is open: the page itself, or an anchor to the same ASIN (e.g. a variant swatch)
+     * or the same store page. Links to other products keep the regular title options.
+     * 
+     * Type returned: Object | null ({ type: 'product' | 'store', data: productData | storeData })
+     * Reference: ../amazon_toolkit/README.md
+     */
+    function getAmazonPageData(url) {
+        logFunctionBegin('getAmazonPageData');
+        
+        try {
+            // Type: Object | null (AmazonToolkit URL data)
+            const targetData = AmazonToolkit.parseURL(url);
+            const pageData = AmazonToolkit.parseURL(window.location.href);
+            if (!targetData || !pageData || targetData.url.hostname !== pageData.url.hostname) {
+                log('Target is not on this Amazon page, no AmazonToolkit data');
+                logFunctionEnd('getAmazonPageData');
+                return null;
+            }
+            log(`Target URL type: ${targetData.type}, page URL type: ${pageData.type}`);
+            
+            if (targetData.type === 'product' && pageData.type === 'product' && targetData.asin === pageData.asin) {
+                log(`Will extract product data for ASIN ${pageData.asin}`);
+                const productData = AmazonToolkit.extractProductData(document, window.location.href);
+                log(`Did extract product data: ${productData ? `"${productData.titleCleaned || productData.title}"` : 'null'}`);
+                logFunctionEnd('getAmazonPageData');
+                return productData ? { type: 'product', data: productData } : null;
+            }
+            
+            if (targetData.type === 'store' && pageData.type === 'store' && targetData.url.clean === pageData.url.clean) {
+                log(`Will extract store data for store ${pageData.storeId}`);
+                const storeData = AmazonToolkit.extractStoreData(document, window.location.href);
+                log(`Did extract store data: ${storeData ? `"${storeData.storeNameCleaned || storeData.storeName}"` : 'null'}`);
+                logFunctionEnd('getAmazonPageData');
+                return storeData ? { type: 'store', data: storeData } : null;
+            }
+        } catch (error) {
+            logError(`Error extracting Amazon page data: ${error.message}`);
+        }
+        
+        log('No AmazonToolkit data for this target');
+        logFunctionEnd('getAmazonPageData');
+        return null;
+    }
+
+    /**
+     * Builds the Amazon menu entries for the target URL
+     * Each entry's getMarkdown returns complete markdown (title and URL chosen by AmazonToolkit)
+     * @param {string} url - The menu's target URL
+     * @returns {Array<{label: string, getMarkdown: () => string}>} Menu entries (empty if not an Amazon product/store page)
+     * 
+     * Product pages: "Product (Brand + Title + Variant)", "Product with price", "Image link", "Combined"
+     * Store pages: "Store"
+     * URLs are built with the affiliate policy from settings (affiliatePolicy, affiliateTag)
+     * 
+     * Type returned: Array<Object>
+     * Reference: ../amazon_toolkit/README.md
+     */
+    function getAmazonMenuOptions(url) {
+        logFunctionBegin('getAmazonMenuOptions');
+        
+        // Type: Array<{label: string, getMarkdown: () => string}>
+        const options = [];
+        const pageData = getAmazonPageData(url);
+        const affiliate = getAffiliatePolicy();
+        
+        if (pageData && pageData.type === 'product') {
+            const productData = pageData.data;
+            log('Will add Amazon product options');
+            options.push({
+                label: 'Product (Brand + Title + Variant)',
+                getMarkdown: () => AmazonToolkit.Markdown.generateProductLink(productData, { includeBrand: true, includeVariant: true, affiliate })
+            });
+            
+            // Prices are formatted for the marketplace the page is on (e.g. '12,99 €' on amazon.de)
+            // Type: string
+            const price = productData.price
+                ? AmazonToolkit.Markdown.formatPrice(productData.price, { marketplace: window.location.hostname })
+                : '';
+            if (price) {
+                options.push({
+                    label: `Product with price: ${price}`,
+                    getMarkdown: () => `${AmazonToolkit.Markdown.generateProductLink(productData, { affiliate })} - ${price}`
+                });
+            } else {
+                log('No price available, skipping "Product with price"');
+            }
+            
+            if (productData.images && productData.images.primaryId) {
+                options.push({
+                    label: 'Image link',
+                    getMarkdown: () => AmazonToolkit.Markdown.generateProductImageLink(productData, { affiliate })
+                });
+                options.push({
+                    label: 'Combined',
+                    getMarkdown: () => AmazonToolkit.Markdown.generateProductCombined(productData, { affiliate })
+                });
+            } else {
+                log('No product image available, skipping "Image link" and "Combined"');
+            }
+        } else if (pageData && pageData.type === 'store') {
+            log('Will add Amazon store option');
+            options.push({
+                label: 'Store',
+                getMarkdown: () => AmazonToolkit.Markdown.generateStoreLink(pageData.data)
+            });
+        }
+        
+        log(`Did build ${options.length} Amazon options`);
+        logFunctionEnd('getAmazonMenuOptions');
+        return options;
+    }
+
     // ============================================================================
     // MARKDOWN GENERATION AND CLIPBOARD
     // ============================================================================
 
     /**
-     * Creates markdown-formatted link: [title](url)
+     * Returns the template currently selected for copied links
+     * @returns {Object} Template from markdownTemplates (the first one if settings.templateName is unknown)
+     * 
+     * Type returned: Object ({ name, link, item?, definition? })
+     */
+    function getCurrentTemplate() {
+        return Templates.findTemplate(settings.templateName, markdownTemplates);
+    }
+
+    /**
+     * Returns the output format currently selected for copied links
+     * @returns {Object} Format from outputFormats (the first one if settings.outputFormat is unknown)
+     * 
+     * Type returned: Object ({ name, markdown?, escapeTitle, escapeUrl, link, list? })
+     */
+    function getCurrentFormat() {
+        return Formats.findFormat(settings.outputFormat, outputFormats);
+    }
+
+    /**
+     * Creates a link in the current output format, e.g. [title](url) with the Markdown format and template
      * Standard markdown link syntax used by GitHub, Reddit, Stack Overflow, etc.
      * @param {string} title - The link text/title
      * @param {string} url - The URL to link to (assumed to be already validated)
-     * @returns {string} Markdown-formatted link
+     * @param {Object} [context={}] - Page context for {selection} and {description}
+     * @returns {string} Formatted link (title and URL escaped for the format)
      * 
-     * Template literal (backticks): Allows ${} interpolation for embedding expressions
+     * The format and template are chosen in the menu (settings.outputFormat, settings.templateName);
+     * see output_formats.js for formats and markdown_templates.js for placeholders
      * Markdown link syntax reference: https://www.markdownguide.org/basic-syntax/#links
-     * Parameter types: Both strings
+     * Parameter types: title and url are strings, context is { selection?: string, description?: string }
      * Return type: string
-     * Reference: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals
      * 
      * Note: URL should be validated with validateUrl() before calling this function
      */
-    function createMarkdown(title, url) {
+    function createMarkdown(title, url, context = {}) {
         logFunctionBegin('createMarkdown');
-        log(`Will create markdown with title: "${title}", url: "${url}"`);
+        log(`Will create markdown with title: "${title}", url: "${url}", format: "${settings.outputFormat}", template: "${settings.templateName}"`);
         
-        // Template literal creates string with embedded title and url values
         // Type: string
-        const markdown = `[${title}](${url})`;
+        const markdown = Formats.renderLink(getCurrentFormat(), Templates.buildValues(title, url, context), getCurrentTemplate());
         
         log(`Did create markdown: "${markdown}"`);
         logFunctionEnd('createMarkdown');
         return markdown;
     }
 
+    /**
+     * Writes markdown to the clipboard in the formats chosen in settings (settings.clipboardFormats)
+     * @param {string} markdown - The markdown string to copy (or text in the current output format)
+     * @param {Array<Object>} [valuesList] - Placeholder values of the copied links, for text/html when the
+     *   output format is not Markdown (omitted for AmazonToolkit markdown)
+     * @param {Array<number>} [depths] - DOM depth of each link in valuesList, for a nested list in text/html
+     * @returns {Promise<Array<string>>} MIME types written; rejects if nothing could be written
+     * 
+     * - text/html is converted from the markdown (RichClipboard.markdownToHtml()), or written with the HTML
+     *   output format from valuesList when the output format is not Markdown (Org, Jira, ...), nested with depths
+     * - One format: GM_setClipboard(data, type) (text/plain markdown, or text/html)
+     * - Markdown and HTML: navigator.clipboard.write() with one ClipboardItem holding both types, so rich editors
+     *   (Google Docs, Slack, Confluence) paste links and plain text editors paste markdown.
+     *   GM_setClipboard only writes one type per call, so it cannot do this
+     * - If the Clipboard API is unavailable or refuses (insecure page, no recent click/keypress),
+     *   falls back to GM_setClipboard(markdown, 'text/plain')
+     * 
+     * Type returned: Promise<Array<string>>
+     * Reference: https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/write
+     * Reference: https://violentmonkey.github.io/api/gm/#gm_setclipboard
+     */
+    function writeClipboard(markdown, valuesList = null, depths = null) {
+        logFunctionBegin('writeClipboard');
+        
+        // Type: string | undefined (undefined: convert the markdown)
+        let html;
+        if (valuesList && !getCurrentFormat().markdown) {
+            const htmlFormat = Formats.findFormat('HTML', Formats.DEFAULT_FORMATS);
+            if (depths) {
+                html = Formats.renderNestedList(htmlFormat, valuesList.map((values, index) => ({ values, depth: depths[index] })));
+            } else {
+                html = valuesList.length === 1 ? Formats.renderLink(htmlFormat, valuesList[0]) : Formats.renderList(htmlFormat, valuesList);
+            }
+        }
+        
+        // Type: Object<string, string> (data by MIME type)
+        const data = RichClipboard.buildClipboardData(markdown, settings.clipboardFormats, html);
+        const types = Object.keys(data);
+        log(`Will write clipboard formats: ${types.join(', ')}`);
+        
+        const writeWithGM = (text, type) => new Promise((resolve) => {
+            GM_setClipboard(text, type);
+            log(`Did write ${type} with GM_setClipboard`);
+            resolve([type]);
+        });
+        
+        let result;
+        if (types.length === 1) {
+            result = writeWithGM(data[types[0]], types[0]);
+        } else if (typeof ClipboardItem === 'undefined' || !navigator.clipboard || !navigator.clipboard.write) {
+            log('Clipboard API (ClipboardItem) unavailable, will write text/plain only');
+            result = writeWithGM(markdown, 'text/plain');
+        } else {
+            // Type: ClipboardItem (one item, one Blob per MIME type)
+            const item = new ClipboardItem(Object.fromEntries(types.map(type => [type, new Blob([data[type]], { type })])));
+            result = navigator.clipboard.write([item])
+                .then(() => {
+                    log(`Did write ${types.join(', ')} with navigator.clipboard.write`);
+                    return types;
+                })
+                .catch((error) => {
+                    log(`Clipboard API write failed (${error}), will write text/plain only`);
+                    return writeWithGM(markdown, 'text/plain');
+                });
+        }
+        
+        logFunctionEnd('writeClipboard');
+        return result;
+    }
+
     /**
      * Copies markdown link to system clipboard using ViolentMonkey API
      * @param {string} markdown - The markdown string to copy
      * @param {string} title - The title (for logging)
      * @param {string} url - The URL (for logging)
+     * @param {Object} [values] - Placeholder values the link was created from (see writeClipboard());
+     *   omitted for AmazonToolkit markdown
      * 
      * VIOLENTMONKEY API: GM_setClipboard
      * - Privileged API requiring @grant GM_setClipboard in metadata block
@@ -866,53 +1225,54 @@
      * 2. Recent user interaction (within ~5 seconds)
      * 3. Clipboard permission granted
      * GM_setClipboard bypasses these restrictions via browser extension privileges
+     * The Clipboard API is only used to write markdown and HTML together (see writeClipboard())
      * 
      * Parameter types: All strings
      * Return type: void (undefined)
      * Reference: https://violentmonkey.github.io/api/gm/#gm_setclipboard
      */
-    function copyToClipboard(markdown, title, url) {
+    function copyToClipboard(markdown, title, url, values = null) {
         logFunctionBegin('copyToClipboard');
         log(`Will copy to clipboard: "${markdown}"`);
         
-        try {
-            // GM_setClipboard is a privileged ViolentMonkey API
-            // Requires @grant GM_setClipboard in metadata block
-            // Type: void (returns undefined)
-            GM_setClipboard(markdown, 'text/plain');
-            log('Did copy to clipboard successfully');
-            log(`  Title: ${title}`);
-            log(`  URL: ${url}`);
-            log(`  Markdown: ${markdown}`);
-            
-            log('Will show notification');
-            showNotification('Markdown link copied to clipboard!');
-            log('Did show notification');
-        } catch (error) {
-            // Type: Error object
-            // Reference: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error
-            log(`ERROR: Failed to copy to clipboard: ${error}`);
-            console.error(`${logBase}: Failed to copy to clipboard:`, error);
-            alert('Failed to copy to clipboard. Check console for details.');
-        }
+        writeClipboard(markdown, values ? [values] : null)
+            .then((types) => {
+                log(`Did copy to clipboard successfully (${types.join(', ')})`);
+                log(`  Title: ${title}`);
+                log(`  URL: ${url}`);
+                log(`  Markdown: ${markdown}`);
+                
+                log('Will show notification');
+                showNotification('Markdown link copied to clipboard!');
+                log('Did show notification');
+            })
+            .catch((error) => {
+                // Type: Error object
+                // Reference: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error
+                log(`ERROR: Failed to copy to clipboard: ${error}`);
+                console.error(`${logBase}: Failed to copy to clipboard:`, error);
+                alert('Failed to copy to clipboard. Check console for details.');
+            });
         
         logFunctionEnd('copyToClipboard');
     }
 
     /**
-     * Extracts all links from the page and converts them to markdown format (flat list)
-     * @returns {string} All links as markdown, one per line
+     * Collects every link on the page, with its depth in the DOM
+     * @returns {Array<{values: Object, depth: number}>} Template values (Templates.buildValues()) and depth of each link
      * 
-     * Type returned: string
+     * Type returned: Array<Object>
      */
-    function extractAllLinksFlat() {
-        logFunctionBegin('extractAllLinksFlat');
+    function collectPageLinks() {
+        logFunctionBegin('collectPageLinks');
         log('Will extract all anchor elements from page');
         
         const anchors = document.querySelectorAll('a[href]');
         log(`Found ${anchors.length} anchor elements`);
         
-        const markdownLinks = [];
+        // Page context shared by all links: {selection}, {description}, {date}
+        const context = { selection: getSelectedText(), description: getMetaDescription(), date: new Date() };
+        const links = [];
         
         anchors.forEach((anchor, index) => {
             const href = anchor.href;
@@ -921,79 +1281,71 @@
                 return;
             }
             
+            // Calculate depth by counting parent elements
+            let depth = 0;
+            let element = anchor.parentElement;
+            while (element && element !== document.body) {
+                depth++;
+                element = element.parentElement;
+            }
+            
             // Clean the URL
             const cleanedUrl = cleanUrl(href);
             
             // Get link text
             const text = getLinkText(anchor) || cleanedUrl;
             
-            // Create markdown link
-            const markdown = `[${text}](${cleanedUrl})`;
-            markdownLinks.push(markdown);
-            log(`Added link ${index}: ${markdown}`);
+            links.push({ values: Templates.buildValues(text, cleanedUrl, context), depth });
+            log(`Added link ${index} at depth ${depth}: ${cleanedUrl}`);
         });
         
-        const result = markdownLinks.join('\n');
-        log(`Generated ${markdownLinks.length} markdown links`);
+        logFunctionEnd('collectPageLinks');
+        return links;
+    }
+
+    /**
+     * Lists all links on the page in the current output format (flat list)
+     * @returns {{text: string, valuesList: Array<Object>}} The list ('' if the page has no links) and its links' values
+     * 
+     * Rendered like the multi-link buffer: Formats.renderList() with the format and template chosen in the menu
+     * 
+     * Type returned: Object
+     */
+    function extractAllLinksFlat() {
+        logFunctionBegin('extractAllLinksFlat');
+        
+        const valuesList = collectPageLinks().map(link => link.values);
+        const text = valuesList.length > 0 ? Formats.renderList(getCurrentFormat(), valuesList, getCurrentTemplate()) : '';
+        
+        log(`Generated ${valuesList.length} links in format "${getCurrentFormat().name}"`);
         logFunctionEnd('extractAllLinksFlat');
-        return result;
+        return { text, valuesList };
     }
 
     /**
-     * Extracts all links from the page and converts them to markdown format (hierarchical)
-     * Preserves HTML structure with indentation
-     * @returns {string} All links as markdown with indentation
+     * Lists all links on the page in the current output format (hierarchical)
+     * Preserves HTML structure: deeper links are nested with the format's list syntax
+     * @returns {{text: string, valuesList: Array<Object>, depths: Array<number>}} The nested list ('' if the page has
+     *   no links), its links' values and their DOM depths
      * 
-     * Type returned: string
+     * DOM depths are converted to list levels by Formats.renderNestedList() (see Formats.toListLevels())
+     * 
+     * Type returned: Object
      */
     function extractAllLinksHierarchical() {
         logFunctionBegin('extractAllLinksHierarchical');
-        log('Will extract all anchor elements from page with hierarchy');
-        
-        const anchors = document.querySelectorAll('a[href]');
-        log(`Found ${anchors.length} anchor elements`);
         
-        const markdownLinks = [];
+        const links = collectPageLinks();
+        const text = links.length > 0 ? Formats.renderNestedList(getCurrentFormat(), links, getCurrentTemplate()) : '';
         
-        anchors.forEach((anchor, index) => {
-            const href = anchor.href;
-            if (!href || href === '#' || href.startsWith('javascript:')) {
-                log(`Skipping anchor ${index}: invalid href`);
-                return;
-            }
-            
-            // Calculate depth by counting parent elements
-            let depth = 0;
-            let element = anchor.parentElement;
-            while (element && element !== document.body) {
-                depth++;
-                element = element.parentElement;
-            }
-            
-            // Create indentation (2 spaces per level)
-            const indent = '  '.repeat(Math.min(depth, 10)); // Cap at 10 levels
-            
-            // Clean the URL
-            const cleanedUrl = cleanUrl(href);
-            
-            // Get link text
-            const text = getLinkText(anchor) || cleanedUrl;
-            
-            // Create markdown link with indentation
-            const markdown = `${indent}- [${text}](${cleanedUrl})`;
-            markdownLinks.push(markdown);
-            log(`Added link ${index} at depth ${depth}: ${markdown}`);
-        });
-        
-        const result = markdownLinks.join('\n');
-        log(`Generated ${markdownLinks.length} hierarchical markdown links`);
+        log(`Generated ${links.length} hierarchical links in format "${getCurrentFormat().name}"`);
         logFunctionEnd('extractAllLinksHierarchical');
-        return result;
+        return { text, valuesList: links.map(link => link.values), depths: links.map(link => link.depth) };
     }
 
     /**
      * Displays temporary success notification to user
-     * Creates a fixed-position overlay that auto-dismisses after 3 seconds
+     * Creates a fixed-position overlay that auto-dismisses after settings.notificationDuration ms
      * @param {string} message - The message to display
      * 
      * Creates ephemeral DOM element that doesn't require cleanup tracking
@@ -1004,7 +1356,11 @@
     function showNotification(message) {
         logFunctionBegin('showNotification');
         log(`Will create notification with message: "${message}"`);
-        
+
+        // Read once so the fade-out and the removal use the same duration
+        // Type: number (milliseconds)
+        const duration = settings.notificationDuration;
+
         // Type: HTMLDivElement
         // Reference: https://developer.mozilla.org/en-US/docs/Web/API/HTMLDivElement
         const notification = document.createElement('div');
@@ -1030,7 +1386,7 @@
             z-index: 999999;
             font-family: sans-serif;
             font-size: 14px;
-            animation: mdLinkerFadeIn 0.3s, mdLinkerFadeOut 0.3s 2.7s;
+            animation: mdLinkerFadeIn 0.3s, mdLinkerFadeOut 0.3s ${(duration - 300) / 1000}s;
         `;
         
         log('Will append notification to body');
@@ -1040,7 +1396,7 @@
         document.body.appendChild(notification);
         log('Did append notification to body');
         
-        log('Will schedule notification removal in 3000ms');
+        log(`Will schedule notification removal in ${duration}ms`);
         // setTimeout schedules function execution after delay
         // Arrow function captures notification variable from closure
         // Type: number (setTimeout returns a timeout ID, unused here)
@@ -1052,7 +1408,7 @@
             // Reference: https://developer.mozilla.org/en-US/docs/Web/API/Element/remove
             notification.remove();
             log('Did remove notification');
-        }, 3000);
+        }, duration);
         
         logFunctionEnd('showNotification');
     }
@@ -1243,8 +1599,9 @@
 
         log('Will build menu options array');
         
-        // Array of option objects, each with label text and getValue callback
-        // Type: Array<{label: string, getValue: () => string|null, isCancel?: boolean}>
+        // Array of option objects, each with label text and a getValue (title) or getMarkdown (complete markdown) callback,
+        // or the name of a template to select
+        // Type: Array<{label: string, getValue?: () => string|null, getMarkdown?: () => string, templateName?: string, isCancel?: boolean}>
         // Reference: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array
         const options = [];
         
@@ -1253,7 +1610,7 @@
             const linkText = getLinkText(anchor);
             if (linkText) {
                 log(`Did get link text, adding to options: "${linkText}"`);
-                options.push({ label: `Link Text: "${truncate(linkText, 25)}"`, getValue: () => linkText });
+                options.push({ label: `Link Text: "${truncate(linkText, settings.truncateLength)}"`, getValue: () => linkText });
             } else {
                 log('No link text available');
             }
@@ -1264,7 +1621,7 @@
         const selectedText = getSelectedText();
         if (selectedText) {
             log(`Did get selected text, adding to options: "${selectedText}"`);
-            options.push({ label: `Selected Text: "${truncate(selectedText, 25)}"`, getValue: () => selectedText });
+            options.push({ label: `Selected Text: "${truncate(selectedText, settings.truncateLength)}"`, getValue: () => selectedText });
         } else {
             log('No selected text available');
         }
@@ -1273,7 +1630,7 @@
         const pageTitle = getPageTitle();
         if (pageTitle) {
             log(`Did get page title, adding to options: "${pageTitle}"`);
-            options.push({ label: `Page Title: "${truncate(pageTitle, 25)}"`, getValue: () => pageTitle });
+            options.push({ label: `Page Title: "${truncate(pageTitle, settings.truncateLength)}"`, getValue: () => pageTitle });
         } else {
             log('No page title available');
         }
@@ -1283,7 +1640,7 @@
             const metaDesc = getMetaDescription();
             if (metaDesc) {
                 log(`Did get meta description, adding to options: "${metaDesc}"`);
-                options.push({ label: `Meta Description: "${truncate(metaDesc, 25)}"`, getValue: () => metaDesc });
+                options.push({ label: `Meta Description: "${truncate(metaDesc, settings.truncateLength)}"`, getValue: () => metaDesc });
             } else {
                 log('No meta description available');
             }
@@ -1293,6 +1650,13 @@
         log('Adding custom title option');
         options.push({ label: 'Custom Title...', getValue: promptCustomTitle });
         
+        // Amazon product/store options (only when the target is the Amazon page that is open)
+        log('Will get Amazon options');
+        const amazonOptions = getAmazonMenuOptions(capturedUrl);
+        amazonOptions.forEach((option, index) => {
+            options.push({ ...option, isSeparator: index === 0 });
+        });
+        
         // Add separator and "All Links" options at the bottom
         log('Adding extract all links options');
         options.push({ 
@@ -1307,6 +1671,26 @@
             isAllLinks: true 
         });
         
+        // Template choices: selecting one keeps the menu open so a title can be picked next
+        log('Adding template options');
+        markdownTemplates.forEach((template, index) => {
+            options.push({
+                label: template.name,
+                templateName: template.name,
+                isSeparator: index === 0
+            });
+        });
+        
+        // Output format choices: selecting one keeps the menu open, like templates
+        log('Adding output format options');
+        outputFormats.forEach((format, index) => {
+            options.push({
+                label: format.name,
+                formatName: format.name,
+                isSeparator: index === 0
+            });
+        });
+        
         log(`Did build ${options.length} menu options`);
 
         // Create menu items
@@ -1314,7 +1698,13 @@
         options.forEach((option, index) => {
             log(`Creating menu item ${index}: "${option.label}"`);
             const item = document.createElement('div');
-            item.textContent = option.label;
+            if (option.templateName) {
+                item.textContent = formatTemplateLabel(option.templateName);
+            } else if (option.formatName) {
+                item.textContent = formatOutputFormatLabel(option.formatName);
+            } else {
+                item.textContent = option.label;
+            }
             item.style.cssText = `
                 padding: 4px 10px;
                 cursor: pointer;
@@ -1324,6 +1714,13 @@
                 ${option.isSeparator ? 'border-top: 1px solid #ccc; margin-top: 4px; padding-top: 8px;' : ''}
             `;
 
+            if (option.templateName) {
+                item.dataset.templateName = option.templateName;
+            }
+            if (option.formatName) {
+                item.dataset.formatName = option.formatName;
+            }
+
             item.addEventListener('mouseenter', () => {
                 item.style.backgroundColor = '#f0f0f0';
             });
@@ -1335,25 +1732,59 @@
             item.addEventListener('click', () => {
                 log(`Menu item clicked: "${option.label}"`);
 
+                // Template option: select it and refresh the check marks, menu stays open
+                if (option.templateName) {
+                    log(`Will select template: "${option.templateName}"`);
+                    saveSettings({ ...settings, templateName: option.templateName });
+                    menu.querySelectorAll('[data-template-name]').forEach(templateItem => {
+                        templateItem.textContent = formatTemplateLabel(templateItem.dataset.templateName);
+                    });
+                    log('Did select template');
+                    return;
+                }
+
+                // Output format option: select it and refresh the check marks, menu stays open
+                if (option.formatName) {
+                    log(`Will select output format: "${option.formatName}"`);
+                    saveSettings({ ...settings, outputFormat: option.formatName });
+                    menu.querySelectorAll('[data-format-name]').forEach(formatItem => {
+                        formatItem.textContent = formatOutputFormatLabel(formatItem.dataset.formatName);
+                    });
+                    log('Did select output format');
+                    return;
+                }
+
                 // Check if this is an "All Links" option
                 if (option.isAllLinks) {
                     log('All Links option selected, will extract all links');
-                    const allLinksMarkdown = option.getValue();
+                    const allLinks = option.getValue();
                     
-                    if (allLinksMarkdown) {
-                        log(`Generated all links markdown (${allLinksMarkdown.length} characters)`);
+                    if (allLinks.text) {
+                        log(`Generated all links (${allLinks.text.length} characters)`);
                         log('Will copy to clipboard');
-                        try {
-                            GM_setClipboard(allLinksMarkdown, 'text/plain');
-                            log('Did copy all links to clipboard');
-                            showNotification('All page links copied to clipboard!');
-                        } catch (error) {
-                            logError(`Failed to copy all links: ${error}`);
-                            alert('Failed to copy to clipboard. Check console for details.');
-                        }
+                        writeClipboard(allLinks.text, allLinks.valuesList, allLinks.depths)
+                            .then(() => {
+                                log('Did copy all links to clipboard');
+                                showNotification('All page links copied to clipboard!');
+                            })
+                            .catch((error) => {
+                                logError(`Failed to copy all links: ${error}`);
+                                alert('Failed to copy to clipboard. Check console for details.');
+                            });
                     } else {
                         logError('Failed to generate all links markdown');
                     }
+                } else if (option.getMarkdown) {
+                    // Amazon option: AmazonToolkit builds the complete markdown
+                    log('Will generate markdown from AmazonToolkit data');
+                    const markdown = option.getMarkdown();
+                    
+                    if (markdown) {
+                        log(`Did generate markdown: "${markdown}"`);
+                        copyToClipboard(markdown, option.label, capturedUrl);
+                    } else {
+                        logError('AmazonToolkit markdown generation failed (returned empty string)');
+                    }
                 } else {
                     // Regular single link option
                     log('Will get title value from option');
@@ -1362,12 +1793,15 @@
                     
                     if (title) {
                         log(`Will create markdown with title: "${title}", url: "${capturedUrl}"`);
-                        const markdown = createMarkdown(title, capturedUrl);
+                        const markdown = createMarkdown(title, capturedUrl, {
+                            selection: selectedText,
+                            description: getMetaDescription()
+                        });
                         
                         if (markdown) {
                             log(`Did create markdown: "${markdown}"`);
                             log('Will copy to clipboard');
-                            copyToClipboard(markdown, title, capturedUrl);
+                            copyToClipboard(markdown, title, capturedUrl, Templates.buildValues(title, capturedUrl));
                             log('Did copy to clipboard');
                         } else {
                             logError('Markdown creation failed (returned null)');
@@ -1513,26 +1947,325 @@
         return result;
     }
 
+    /**
+     * Formats a template menu item label, with a check mark on the current template
+     * @param {string} templateName - Template name
+     * @returns {string} Label, e.g. '✓ Template: Inline link'
+     *
+     * Type returned: string
+     */
+    function formatTemplateLabel(templateName) {
+        const mark = templateName === settings.templateName ? '✓' : ' ';
+        return `${mark} Template: ${templateName}`;
+    }
+
+    /**
+     * Formats an output format menu item label, with a check mark on the current format
+     * @param {string} formatName - Format name
+     * @returns {string} Label, e.g. '✓ Format: Markdown'
+     *
+     * Type returned: string
+     */
+    function formatOutputFormatLabel(formatName) {
+        const mark = formatName === settings.outputFormat ? '✓' : ' ';
+        return `${mark} Format: ${formatName}`;
+    }
+
+    // ============================================================================
+    // SETTINGS PANEL
+    // ============================================================================
+
+    // Settings panel overlay while it is open
+    // Type: HTMLDivElement | null
+    let settingsPanel = null;
+
+    /**
+     * Creates the input element for one setting
+     * @param {string} name - Setting name
+     * @param {Object} schema - Setting schema entry (Settings.SETTINGS_SCHEMA[name])
+     * @returns {HTMLElement} Input, select or textarea with data-setting-name
+     * 
+     * boolean: checkbox, enum, templateName and outputFormat: select, list and shortcuts: textarea (one entry per line),
+     * overrides: textarea (JSON), integer: number input, string: text input
+     * 
+     * Type returned: HTMLElement
+     * Reference: https://developer.mozilla.org/en-US/docs/Web/HTML/Element/input
+     */
+    function createSettingInput(name, schema) {
+        let input;
+        if (schema.type === 'enum' || name === 'templateName' || name === 'outputFormat') {
+            input = document.createElement('select');
+            let values = schema.values;
+            if (name === 'templateName') {
+                values = markdownTemplates.map(template => template.name);
+            } else if (name === 'outputFormat') {
+                values = outputFormats.map(format => format.name);
+            }
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                input.appendChild(option);
+            });
+        } else if (schema.type === 'list' || schema.type === 'shortcuts' || schema.type === 'overrides') {
+            input = document.createElement('textarea');
+            input.rows = schema.type === 'overrides' ? 8 : 4;
+        } else {
+            input = document.createElement('input');
+            input.type = schema.type === 'boolean' ? 'checkbox' : schema.type === 'integer' ? 'number' : 'text';
+            if (schema.type === 'integer') {
+                input.min = schema.min;
+                input.max = schema.max;
+            }
+        }
+        input.dataset.settingName = name;
+        return input;
+    }
+
+    /**
+     * Shows settings in the panel's inputs
+     * @param {Object} values - Settings to show (e.g. current, defaults or imported)
+     * 
+     * Type returned: void
+     */
+    function fillSettingsPanel(values) {
+        settingsPanel.querySelectorAll('[data-setting-name]').forEach(input => {
+            const value = values[input.dataset.settingName];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (Settings.SETTINGS_SCHEMA[input.dataset.settingName].type === 'overrides') {
+                input.value = JSON.stringify(value, null, 2);
+            } else if (Array.isArray(value)) {
+                input.value = value.join('\n');
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    /**
+     * Reads settings from the panel's inputs (not validated)
+     * @returns {Object} Settings as entered
+     * 
+     * Type returned: Object
+     */
+    function readSettingsPanel() {
+        const values = {};
+        settingsPanel.querySelectorAll('[data-setting-name]').forEach(input => {
+            const schema = Settings.SETTINGS_SCHEMA[input.dataset.settingName];
+            if (schema.type === 'boolean') {
+                values[input.dataset.settingName] = input.checked;
+            } else if (schema.type === 'integer') {
+                values[input.dataset.settingName] = input.value === '' ? null : Number(input.value);
+            } else if (schema.type === 'list' || schema.type === 'shortcuts') {
+                values[input.dataset.settingName] = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+            } else if (schema.type === 'overrides') {
+                // Invalid JSON is kept as text so validation reports it
+                try {
+                    values[input.dataset.settingName] = JSON.parse(input.value);
+                } catch (error) {
+                    values[input.dataset.settingName] = input.value;
+                }
+            } else {
+                values[input.dataset.settingName] = input.value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Opens the settings panel (ViolentMonkey menu > Settings...)
+     * Save validates and stores the settings, which apply immediately (no page reload)
+     * Export copies the saved settings as JSON; Import loads JSON pasted in the text box into the form
+     * 
+     * Type returned: void
+     * Reference: https://violentmonkey.github.io/api/gm/#gm_registermenucommand
+     */
+    function openSettingsPanel() {
+        logFunctionBegin('openSettingsPanel');
+        
+        if (settingsPanel) {
+            log('Settings panel is already open');
+            logFunctionEnd('openSettingsPanel');
+            return;
+        }
+        
+        log('Will create settings panel');
+        // Full-screen overlay; clicking outside the panel closes it
+        // Type: HTMLDivElement
+        settingsPanel = document.createElement('div');
+        settingsPanel.id = 'markdown-linker-settings';
+        settingsPanel.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: rgba(0,0,0,0.3);
+            z-index: 1000000;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+            font-size: 12px;
+            color: #222;
+        `;
+        settingsPanel.addEventListener('click', (event) => {
+            if (event.target === settingsPanel) {
+                closeSettingsPanel();
+            }
+        });
+        
+        // Type: HTMLDivElement
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            background: white;
+            border-radius: 4px;
+            box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+            padding: 12px 16px;
+            width: 420px;
+            max-height: 85vh;
+            overflow: auto;
+        `;
+        
+        const heading = document.createElement('div');
+        heading.textContent = 'Markdown Linker Settings';
+        heading.style.cssText = 'font-size: 14px; font-weight: bold; margin-bottom: 8px;';
+        panel.appendChild(heading);
+        
+        // One row per setting: label, input, description
+        for (const [name, schema] of Object.entries(Settings.SETTINGS_SCHEMA)) {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: block; margin: 8px 0;';
+            
+            const label = document.createElement('div');
+            label.textContent = schema.label;
+            label.style.cssText = 'font-weight: bold;';
+            row.appendChild(label);
+            
+            const input = createSettingInput(name, schema);
+            if (input.tagName === 'TEXTAREA') {
+                input.style.cssText = 'width: 100%; box-sizing: border-box; font-family: monospace;';
+            }
+            row.appendChild(input);
+            
+            const description = document.createElement('div');
+            description.textContent = schema.description;
+            description.style.cssText = 'color: #666; font-size: 11px;';
+            row.appendChild(description);
+            
+            panel.appendChild(row);
+        }
+        
+        // Validation errors and import problems
+        // Type: HTMLDivElement
+        const messages = document.createElement('div');
+        messages.style.cssText = 'color: #c62828; white-space: pre-line; margin: 8px 0;';
+        panel.appendChild(messages);
+        
+        // Export/import text box
+        // Type: HTMLTextAreaElement
+        const json = document.createElement('textarea');
+        json.rows = 5;
+        json.placeholder = 'Export / Import (JSON)';
+        json.style.cssText = 'width: 100%; box-sizing: border-box; font-family: monospace;';
+        panel.appendChild(json);
+        
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end; margin-top: 8px;';
+        const addButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        };
+        
+        addButton('Export', () => {
+            log('Will export settings');
+            json.value = Settings.exportSettings(settings);
+            GM_setClipboard(json.value, 'text/plain');
+            messages.textContent = '';
+            showNotification('Settings copied to clipboard as JSON');
+        });
+        addButton('Import', () => {
+            log('Will import settings from JSON');
+            const result = Settings.importSettings(json.value);
+            if (result.settings) {
+                fillSettingsPanel(result.settings);
+            }
+            messages.textContent = result.errors.length > 0
+                ? result.errors.join('\n')
+                : 'Imported. Review the settings, then Save.';
+        });
+        addButton('Reset to defaults', () => {
+            log('Will reset settings panel to defaults');
+            fillSettingsPanel(Settings.getDefaultSettings());
+            messages.textContent = 'Defaults restored. Save to keep them.';
+        });
+        addButton('Cancel', closeSettingsPanel);
+        addButton('Save', () => {
+            log('Will save settings from panel');
+            const errors = saveSettings(readSettingsPanel());
+            if (errors.length > 0) {
+                messages.textContent = errors.join('\n');
+                return;
+            }
+            closeSettingsPanel();
+            showNotification('Settings saved');
+        });
+        panel.appendChild(buttons);
+        
+        settingsPanel.appendChild(panel);
+        document.body.appendChild(settingsPanel);
+        fillSettingsPanel(settings);
+        log('Did create settings panel');
+        
+        logFunctionEnd('openSettingsPanel');
+    }
+
+    /**
+     * Closes the settings panel without saving
+     * 
+     * Type returned: void
+     */
+    function closeSettingsPanel() {
+        logFunctionBegin('closeSettingsPanel');
+        
+        if (settingsPanel) {
+            settingsPanel.remove();
+            settingsPanel = null;
+            log('Did close settings panel');
+        }
+        
+        logFunctionEnd('closeSettingsPanel');
+    }
+
     // ============================================================================
     // EVENT HANDLERS
     // ============================================================================
 
     /**
      * Determines if event should trigger the markdown menu
-     * Currently checks for Alt/Option key modifier
+     * Checks the event against the menu shortcuts for this site (settings.menuShortcuts, Alt+Click etc. by default)
      * @param {Event} event - The DOM event (click, contextmenu, keydown)
-     * @returns {boolean} True if Alt key is pressed
+     * @returns {Object|null} The matching binding, or null
      * Reference: https://developer.mozilla.org/en-US/docs/Web/API/MouseEvent/altKey
      */
     function shouldTrigger(event) {
         logFunctionBegin('shouldTrigger');
-        log(`Checking if Alt key is pressed: ${event.altKey}`);
         
-        const result = event.altKey;
-        log(`Should trigger: ${result}`);
+        const binding = activeShortcuts.shortcuts.menu.find(menuBinding => Shortcuts.matchesEvent(menuBinding, event)) || null;
+        log(`Should trigger: ${binding ? binding.text : 'no'}`);
         
         logFunctionEnd('shouldTrigger');
-        return result;
+        return binding;
+    }
+
+    /**
+     * Determines if a buffer shortcut (settings.bufferShortcuts, Alt+Z by default) is held during a click
+     * @param {MouseEvent} event - The click event
+     * @returns {boolean} True if the binding's modifiers and key are down
+     */
+    function isBufferShortcutHeld(event) {
+        return activeShortcuts.shortcuts.buffer.some(binding => Shortcuts.isHeld(binding, pressedKeys, event));
     }
 
     /**
@@ -1545,13 +2278,13 @@
         logFunctionBegin('handleClick');
         log('Click event received');
         
-        // Debug: Log Alt+Z status
-        const isAltPressed = event.altKey;
-        const isZPressed = isZKeyDown;
-        log(`Click: altKey=${isAltPressed}, z down=${isZPressed}, buffer active=${isAltZBufferActive}, buffer size=${altZClickBuffer.length}`);
+        // Check if Alt+Z (a buffer shortcut) is held (auto-infer mode), before the menu shortcuts
+        log('Will check if a buffer shortcut is held (auto-infer mode)');
+        const isAutoInferMode = isBufferShortcutHeld(event);
+        log(`Click: keys down=[${Array.from(pressedKeys).join(', ')}], auto-infer=${isAutoInferMode}, buffer active=${isAltZBufferActive}, buffer size=${altZClickBuffer.length}`);
 
-        if (!shouldTrigger(event)) {
-            log('Should not trigger (Alt key not pressed), returning');
+        if (!isAutoInferMode && !shouldTrigger(event)) {
+            log('Should not trigger (no shortcut matches), returning');
             logFunctionEnd('handleClick');
             return;
         }
@@ -1563,13 +2296,6 @@
         event.stopPropagation();
         log('Did prevent default and stop propagation');
 
-        // Check if Alt+Z are both pressed (auto-infer mode)
-        // Use event.altKey directly for Alt
-        // Use isZKeyDown for Z (simple boolean flag)
-        log('Will check if Alt+Z keys are pressed (auto-infer mode)');
-        const isAutoInferMode = event.altKey && isZKeyDown;
-        log(`Is auto-infer mode (Alt+Z+Click): ${isAutoInferMode}`);
-        
         // If we just entered auto-infer mode, mark that the buffer is now active
         if (isAutoInferMode && !isAltZBufferActive) {
             isAltZBufferActive = true;
@@ -1659,7 +2385,7 @@
         log('Context menu (right-click) event received');
         
         if (!shouldTrigger(event)) {
-            log('Should not trigger (Alt key not pressed), returning');
+            log('Should not trigger (no shortcut matches), returning');
             logFunctionEnd('handleContextMenu');
             return;
         }
@@ -1746,26 +2472,27 @@
     }
 
     /**
-     * Handles keyboard shortcuts: Alt+M or M alone
+     * Handles keyboard shortcuts: the menu shortcuts for this site (Alt+M or M alone by default)
      * Checks element under mouse cursor to determine context
      * @param {KeyboardEvent} event - The keydown event
+     * 
+     * Bindings are matched by Shortcuts.matchesEvent(), which uses event.code where macOS Option
+     * changes event.key (Option+M types 'µ')
      * Reference: https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/key
+     * Reference: https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code
      */
     function handleKeydown(event) {
-        // Check if M key pressed (case-insensitive)
-        // Alt+M or M alone (without Ctrl/Shift/Meta)
-        const isM = event.key === 'm' || event.key === 'M';
-        const isAltM = isM && event.altKey;
-        const isMalone = isM && !event.ctrlKey && !event.shiftKey && !event.metaKey && !event.altKey;
+        // Mouse bindings never match keydown events, so only keyboard bindings are checked here
+        const binding = activeShortcuts.shortcuts.menu.find(menuBinding => Shortcuts.matchesEvent(menuBinding, event));
 
-        if (isAltM || isMalone) {
+        if (binding) {
             logFunctionBegin('handleKeydown');
-            log('Trigger key combination detected');
+            log(`Trigger key combination detected: ${binding.text}`);
             
-            // Check if we're in an input context - skip M alone trigger if so
+            // Check if we're in an input context - skip bindings that type text (M alone) if so
             // Alt+M should still work in input fields, but M alone should not
-            if (isMalone && isInEditableContext(event)) {
-                log('M alone in editable context (input/textarea/contenteditable), skipping trigger');
+            if (Shortcuts.isTypingBinding(binding) && isInEditableContext(event)) {
+                log(`${binding.text} in editable context (input/textarea/contenteditable), skipping trigger`);
                 logFunctionEnd('handleKeydown');
                 return;
             }
@@ -1841,8 +2568,9 @@
     log('Did add mousemove listener');
 
     // Set to track currently pressed keys
-    // Used to detect Alt+Z+Click combinations for auto-infer mode
-    // Type: Set<string> (stores key names like 'Alt', 'z', 'Z')
+    // Used to detect Alt+Z+Click combinations (buffer shortcuts) for auto-infer mode
+    // Stores KeyboardEvent.code, which does not change with modifiers (Option+Z on macOS is 'Ω', code is still 'KeyZ')
+    // Type: Set<string> (stores key codes like 'KeyZ', 'AltLeft')
     // Reference: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set
     const pressedKeys = new Set();
     
@@ -1858,20 +2586,19 @@
     
     // Keyboard shortcuts: Alt+M or M alone - register FIRST so key tracker captures SECOND (fires second during capture)
     log('Will add keydown listener to track pressed keys (using capture phase, registered FIRST so fires FIRST)');
-    // Simple state tracking: just remember if z is currently down
-    let isZKeyDown = false;
     
     document.addEventListener('keydown', (event) => {
-        if (event.key === 'z' || event.key === 'Z') {
-            isZKeyDown = true;
-        }
+        pressedKeys.add(event.code);
     }, true);
     
     document.addEventListener('keyup', (event) => {
-        if (event.key === 'z' || event.key === 'Z') {
-            isZKeyDown = false;
-        }
+        pressedKeys.delete(event.code);
     }, true);
+    
+    // Keys released while the window is in the background never send keyup
+    window.addEventListener('blur', () => {
+        pressedKeys.clear();
+    });
     log('Did add keydown listener for key tracking');
     
     log('Registering keydown listener for Alt+M handler (registered SECOND so fires SECOND during capture)');
@@ -1888,14 +2615,13 @@
         
         // Check if Alt+Z combo WAS active before this key release
         // At keyup time: event.altKey is already false for the Alt key, so we check what's being released
-        const isAltReleasing = event.key === 'Alt';
-        const isZReleasing = event.key === 'z' || event.key === 'Z';
+        const isBufferKeyReleasing = activeShortcuts.shortcuts.buffer.some(binding => Shortcuts.isReleasing(binding, event));
         const wasAltZActive = isAltZBufferActive;  // We use the flag we set during clicks
         
-        log(`Alt releasing: ${isAltReleasing}, Z releasing: ${isZReleasing}, Was Alt+Z active: ${wasAltZActive}`);
+        log(`Buffer shortcut key releasing: ${isBufferKeyReleasing}, Was Alt+Z active: ${wasAltZActive}`);
         
         // If Alt+Z combo was active and we're releasing Alt or Z, process buffer
-        if (wasAltZActive && (isAltReleasing || isZReleasing)) {
+        if (wasAltZActive && isBufferKeyReleasing) {
             log(`Alt+Z was deactivated, processing buffer with ${altZClickBuffer.length} buffered links`);
             
             // Deactivate buffer mode
@@ -1938,8 +2664,15 @@
     document.addEventListener('contextmenu', handleContextMenu, true);
     log('Did register contextmenu listener');
 
+    // Settings panel in the ViolentMonkey popup menu
+    // Reference: https://violentmonkey.github.io/api/gm/#gm_registermenucommand
+    log('Registering settings menu command');
+    GM_registerMenuCommand('Settings...', openSettingsPanel);
+    log('Did register settings menu command');
+
     log('All event listeners registered');
-    log('Triggers: Alt+Click (show menu), Alt+Z+Click (auto-infer), Alt+Right-Click, or Alt+M');
+    log(`Triggers: ${formatBindings(activeShortcuts.shortcuts.menu)} (show menu), ` +
+        `${formatBindings(activeShortcuts.shortcuts.buffer)} held + Click (auto-infer)`);
     log('Script initialization complete');
 
 })();
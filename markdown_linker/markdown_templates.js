@@ -0,0 +1,210 @@
+/**
+ * @file markdown_templates.js
+ * @description Named output templates for Markdown Linker links and link lists
+ * @author Zakk Hoyt
+ * @namespace MarkdownLinker.Templates
+ *
+ * A template describes how one link is written, with `{placeholder}` values filled per link:
+ * - `link`       - a single link, e.g. '[{title}]({url})'
+ * - `item`       - one list item when several links are copied (default: '* ' + link)
+ * - `definition` - written once per link after the link or list, e.g. reference definitions '[{title}]: {url}'
+ * - `tableCell`  - true if placeholders are inside Markdown table cells ('|' is escaped, see output_formats.js)
+ *
+ * Placeholders (PLACEHOLDERS):
+ * - {title}       - link title chosen in the menu (or auto-inferred)
+ * - {url}         - cleaned URL
+ * - {host}        - URL hostname without 'www.'
+ * - {date}        - date copied, YYYY-MM-DD (local time)
+ * - {selection}   - text selected on the page ('' if none)
+ * - {description} - page meta description ('' if none)
+ *
+ * Unknown placeholders are left as written, so typos are visible in the output.
+ *
+ * @see {@link https://www.markdownguide.org/basic-syntax/#links Markdown Links}
+ * @see {@link https://spec.commonmark.org/0.31.2/#reference-link CommonMark Reference links}
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory();
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('MarkdownLinker.Templates', factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+
+    /**
+     * Placeholder names filled by buildValues()
+     * @constant {Array<string>}
+     */
+    const PLACEHOLDERS = ['title', 'url', 'host', 'date', 'selection', 'description'];
+
+    /**
+     * Built-in templates, in menu order; the first one is the default
+     * @constant {Array<Object>}
+     */
+    const DEFAULT_TEMPLATES = [
+        {
+            name: 'Inline link',
+            link: '[{title}]({url})'
+        },
+        {
+            name: 'Reference link',
+            link: '[{title}][]',
+            definition: '[{title}]: {url}'
+        },
+        {
+            name: 'Task item',
+            link: '- [ ] [{title}]({url})',
+            item: '- [ ] [{title}]({url})'
+        },
+        {
+            name: 'Link with host',
+            link: '[{title}]({url}) — {host}'
+        },
+        {
+            // One row per link, to paste into an existing table
+            name: 'Table row',
+            link: '| [{title}]({url}) | {host} |',
+            item: '| [{title}]({url}) | {host} |',
+            tableCell: true
+        }
+    ];
+
+    /**
+     * Finds a template by name
+     *
+     * @param {string} name - Template name
+     * @param {Array<Object>} [templates=DEFAULT_TEMPLATES] - Available templates
+     * @returns {Object} The named template, or the first template if there is none with that name
+     *
+     * @example
+     * findTemplate('Reference link').definition;  // '[{title}]: {url}'
+     * findTemplate('Missing').name;               // 'Inline link'
+     */
+    function findTemplate(name, templates = DEFAULT_TEMPLATES) {
+        return templates.find(template => template.name === name) || templates[0];
+    }
+
+    /**
+     * Formats a date as YYYY-MM-DD in local time
+     *
+     * @param {Date} date - Date to format
+     * @returns {string} Formatted date
+     *
+     * @example
+     * formatDate(new Date(2025, 10, 4));  // '2025-11-04'
+     */
+    function formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Builds the placeholder values for one link
+     *
+     * @param {string} title - Link title
+     * @param {string} url - Link URL
+     * @param {Object} [context={}] - Page context
+     * @param {string} [context.selection] - Selected text
+     * @param {string} [context.description] - Page meta description
+     * @param {Date} [context.date=new Date()] - Date copied
+     * @returns {Object} Values by placeholder name (see PLACEHOLDERS)
+     *
+     * @example
+     * buildValues('Example', 'https://www.example.com/a').host;  // 'example.com'
+     */
+    function buildValues(title, url, context = {}) {
+        let host = '';
+        try {
+            host = new URL(url).hostname.replace(/^www\./, '');
+        } catch (error) {
+            // Optional field
+        }
+
+        return {
+            title: title || '',
+            url: url || '',
+            host,
+            date: formatDate(context.date || new Date()),
+            selection: context.selection || '',
+            description: context.description || ''
+        };
+    }
+
+    /**
+     * Fills `{placeholder}` values in a template string
+     *
+     * @param {string} text - Template string
+     * @param {Object} values - Values by placeholder name
+     * @returns {string} Filled string (unknown placeholders are kept as written)
+     *
+     * @example
+     * fillPlaceholders('[{title}]({url})', { title: 'Example', url: 'https://example.com' });
+     * // Returns: '[Example](https://example.com)'
+     */
+    function fillPlaceholders(text, values) {
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder));
+    }
+
+    /**
+     * Renders one link with a template
+     *
+     * @param {Object} template - Template ({ name, link, item?, definition?, tableCell? })
+     * @param {Object} values - Placeholder values from buildValues() (escaped for the output format)
+     * @returns {string} Markdown
+     *
+     * @example
+     * renderLink(findTemplate('Reference link'), buildValues('Example', 'https://example.com'));
+     * // Returns: '[Example][]\n\n[Example]: https://example.com'
+     */
+    function renderLink(template, values) {
+        const link = fillPlaceholders(template.link, values);
+        return template.definition ? `${link}\n\n${fillPlaceholders(template.definition, values)}` : link;
+    }
+
+    /**
+     * Renders several links as a list with a template
+     *
+     * @param {Object} template - Template ({ name, link, item?, definition?, tableCell? })
+     * @param {Array<Object>} valuesList - Placeholder values from buildValues() (escaped for the output format), one per link
+     * @param {Array<number>} [levels=[]] - Nesting level of each item (0 = top), indented two spaces per level;
+     *   ignored by table-cell templates, whose rows cannot be nested
+     * @returns {string} Markdown list (one item per line), followed by the definitions if the template has them
+     *
+     * @example
+     * renderList(findTemplate('Inline link'), [buildValues('A', 'https://a.com'), buildValues('B', 'https://b.com')]);
+     * // Returns: '* [A](https://a.com)\n* [B](https://b.com)'
+     *
+     * renderList(findTemplate('Inline link'), [buildValues('A', 'https://a.com'), buildValues('B', 'https://b.com')], [0, 1]);
+     * // Returns: '* [A](https://a.com)\n  * [B](https://b.com)'
+     */
+    function renderList(template, valuesList, levels = []) {
+        const item = template.item || `* ${template.link}`;
+        const list = valuesList
+            .map((values, index) => `${template.tableCell ? '' : '  '.repeat(levels[index] || 0)}${fillPlaceholders(item, values)}`)
+            .join('\n');
+        if (!template.definition) {
+            return list;
+        }
+
+        const definitions = valuesList.map(values => fillPlaceholders(template.definition, values)).join('\n');
+        return `${list}\n\n${definitions}`;
+    }
+
+    return {
+        PLACEHOLDERS,
+        DEFAULT_TEMPLATES,
+        findTemplate,
+        formatDate,
+        buildValues,
+        fillPlaceholders,
+        renderLink,
+        renderList
+    };
+});
@@ -0,0 +1,474 @@
+/**
+ * @file output_formats.js
+ * @description Output formats for Markdown Linker links and link lists: Markdown, Org, reST, AsciiDoc,
+ * BBCode, Jira, MediaWiki and HTML
+ * @author Zakk Hoyt
+ * @namespace MarkdownLinker.Formats
+ *
+ * A format is an object in a formats array (DEFAULT_FORMATS, or a copy with more entries):
+ * - `name`             - shown in the menu and stored in settings (outputFormat)
+ * - `markdown`         - true for Markdown output (copied HTML is converted from it, see rich_clipboard.js)
+ * - `escapeTitle(text, options)` - makes a title safe inside the format's link syntax
+ * - `escapeUrl(url, options)`    - makes a URL safe inside the format's link syntax
+ * - `escapeText(text, options)`  - other placeholder values: {host} {date} {selection} {description} (optional)
+ * - `link(values, template)`      - one link; values are from Templates.buildValues(), already escaped
+ * - `list(valuesList, template)`  - several links (optional; default: `link` per line, each prefixed '* ')
+ * - `nestedList(items, template)` - links at nesting levels, items are { values, level } (optional; default:
+ *   `link` per line, prefixed with one '*' per level as in AsciiDoc, Jira and MediaWiki: '* ', '** ', ...)
+ *
+ * `template` is the Markdown template chosen in the menu; only the Markdown format uses it.
+ * Escaping options are { tableCell } - true for templates with `tableCell: true` (Markdown table rows),
+ * where '|' ends the cell and must be escaped too.
+ *
+ * Markdown titles are escaped contextually (escapeMarkdownText): characters that would end the link text
+ * or start formatting (\ [ ] * ` <, '_' at word edges, '|' in table cells); line breaks become spaces.
+ * Markdown URLs are percent-encoded where they would end the destination (escapeMarkdownUrl):
+ * spaces, parentheses (Wikipedia 'Mercury_(planet)'), < >, and '|' in table cells.
+ *
+ * @see {@link https://spec.commonmark.org/0.31.2/#links CommonMark Links}
+ * @see {@link https://github.github.com/gfm/#tables-extension- GFM Tables}
+ * @see {@link https://orgmode.org/manual/Link-Format.html Org Link Format}
+ * @see {@link https://docutils.sourceforge.io/docs/ref/rst/restructuredtext.html#embedded-uris-and-aliases reST Embedded URIs}
+ * @see {@link https://docs.asciidoctor.org/asciidoc/latest/macros/url-macro/ AsciiDoc URL macro}
+ * @see {@link https://www.bbcode.org/reference.php BBCode reference}
+ * @see {@link https://jira.atlassian.com/secure/WikiRendererHelpAction.jspa?section=all Jira text formatting}
+ * @see {@link https://www.mediawiki.org/wiki/Help:Links#External_links MediaWiki external links}
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('./markdown_templates.js'),
+            require('./rich_clipboard.js'),
+            require('../amazon_toolkit/markdown/markdown_formatter.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('MarkdownLinker.Formats', factory(
+            resolveNamespace('MarkdownLinker.Templates'),
+            resolveNamespace('MarkdownLinker.RichClipboard'),
+            resolveNamespace('AmazonToolkit.Markdown.Formatter')
+        ));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(Templates, RichClipboard, MarkdownFormatter) {
+
+    const { escapeHtml } = RichClipboard;
+    const { escapeMarkdown } = MarkdownFormatter;
+
+    /**
+     * Percent-encodes characters a link syntax cannot hold in a URL
+     *
+     * @param {string} url - URL
+     * @param {string} characters - Characters to encode
+     * @returns {string} URL with those characters as %XX
+     *
+     * @example
+     * percentEncode('https://example.com/a b]', ' ]');  // 'https://example.com/a%20b%5D'
+     */
+    function percentEncode(url, characters) {
+        return [...url].map(character => (characters.includes(character)
+            ? `%${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+            : character)).join('');
+    }
+
+    /**
+     * Backslash-escapes characters
+     *
+     * @param {string} text - Text
+     * @param {RegExp} pattern - Characters to escape (global character class)
+     * @returns {string} Escaped text
+     */
+    function backslashEscape(text, pattern) {
+        return text.replace(pattern, '\\$&');
+    }
+
+    /**
+     * Replaces characters that have no escape in a syntax
+     *
+     * @param {string} text - Text
+     * @param {Object<string, string>} replacements - Replacement per character
+     * @returns {string} Text with replacements
+     */
+    function replaceCharacters(text, replacements) {
+        return [...text].map(character => replacements[character] || character).join('');
+    }
+
+    /**
+     * Escapes text for Markdown link text
+     * Parentheses are left alone (they cannot end link text); '_' is only escaped at word edges,
+     * since intraword underscores are not emphasis ('snake_case').
+     *
+     * @param {string} text - Title
+     * @param {Object} [options={}] - Escaping options
+     * @param {boolean} [options.tableCell=false] - Also escape '|' (inside a table cell)
+     * @returns {string} Escaped text
+     *
+     * @example
+     * escapeMarkdownText('Notes [draft] *new* `x`');  // 'Notes \\[draft\\] \\*new\\* \\`x\\`'
+     * escapeMarkdownText('A | B', { tableCell: true });  // 'A \\| B'
+     */
+    function escapeMarkdownText(text, options = {}) {
+        const { tableCell = false } = options;
+
+        // AmazonToolkit escapes \ [ ] * ` (see amazon_toolkit/markdown/markdown_formatter.js)
+        let escaped = escapeMarkdown(text.replace(/\s*\n\s*/g, ' '), { escapeParens: false, escapeUnderscores: false });
+        escaped = escaped.replace(/(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])/gu, '\\_');
+        escaped = backslashEscape(escaped, /</g);
+        return tableCell ? escapeTableCell(escaped) : escaped;
+    }
+
+    /**
+     * Makes a URL safe as a Markdown link destination by percent-encoding the characters that end it
+     *
+     * @param {string} url - URL
+     * @param {Object} [options={}] - Escaping options
+     * @param {boolean} [options.tableCell=false] - Also encode '|' (inside a table cell)
+     * @returns {string} URL
+     *
+     * @example
+     * escapeMarkdownUrl('https://en.wikipedia.org/wiki/Mercury_(planet)');
+     * // Returns: 'https://en.wikipedia.org/wiki/Mercury_%28planet%29'
+     */
+    function escapeMarkdownUrl(url, options = {}) {
+        const { tableCell = false } = options;
+        return percentEncode(url, tableCell ? ' ()<>|' : ' ()<>');
+    }
+
+    /**
+     * Escapes text for a Markdown table cell: '|' is escaped, line breaks become spaces
+     *
+     * @param {string} text - Cell text
+     * @returns {string} Escaped text
+     *
+     * @example
+     * escapeTableCell('a|b\nc');  // 'a\\|b c'
+     */
+    function escapeTableCell(text) {
+        return text.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+    }
+
+    /**
+     * Org link: '[[url][title]]', or '[[url]]' without a title
+     *
+     * @param {Object} values - Escaped placeholder values
+     * @returns {string} Org link
+     */
+    function orgLink(values) {
+        return values.title ? `[[${values.url}][${values.title}]]` : `[[${values.url}]]`;
+    }
+
+    /**
+     * BBCode link: '[url=url]title[/url]'
+     *
+     * @param {Object} values - Escaped placeholder values
+     * @returns {string} BBCode link
+     */
+    function bbcodeLink(values) {
+        return `[url=${values.url}]${values.title || values.url}[/url]`;
+    }
+
+    /**
+     * HTML anchor: '<a href="url">title</a>'
+     *
+     * @param {Object} values - Escaped placeholder values
+     * @returns {string} HTML
+     */
+    function htmlLink(values) {
+        return `<a href="${values.url}">${values.title || values.url}</a>`;
+    }
+
+    /**
+     * reStructuredText link: '`title <url>`_', or '`<url>`_' without a title
+     *
+     * @param {Object} values - Escaped placeholder values
+     * @returns {string} reStructuredText link
+     */
+    function rstLink(values) {
+        return values.title ? `\`${values.title} <${values.url}>\`_` : `\`<${values.url}>\`_`;
+    }
+
+    /**
+     * Indented list lines: each item's bullet is indented two spaces per level
+     *
+     * @param {Array<Object>} items - Escaped items { values, level }
+     * @param {string} bullet - Bullet before each link, e.g. '- '
+     * @param {Function} link - Renders one link from escaped values
+     * @returns {Array<string>} One line per item
+     */
+    function indentedLines(items, bullet, link) {
+        return items.map(item => `${'  '.repeat(item.level)}${bullet}${link(item.values)}`);
+    }
+
+    /**
+     * Turns items with levels into a tree, for formats whose nested lists are wrapped in tags
+     *
+     * @param {Array<Object>} items - Items { values, level }; each level is at most one more than the previous item's
+     * @returns {Array<Object>} Top-level nodes { values, children }
+     */
+    function buildListTree(items) {
+        const root = { children: [] };
+        const path = [root];
+        for (const item of items) {
+            const node = { values: item.values, children: [] };
+            path.length = item.level + 1;
+            path[item.level].children.push(node);
+            path.push(node);
+        }
+        return root.children;
+    }
+
+    /**
+     * BBCode list: '[list]' with one '[*]' per link; children are a '[list]' after their parent's link
+     *
+     * @param {Array<Object>} nodes - Nodes { values, children } (see buildListTree)
+     * @returns {string} BBCode list
+     */
+    function bbcodeList(nodes) {
+        const items = nodes.map(node => `[*]${bbcodeLink(node.values)}${node.children.length > 0 ? `\n${bbcodeList(node.children)}` : ''}`);
+        return `[list]\n${items.join('\n')}\n[/list]`;
+    }
+
+    /**
+     * HTML list: '<ul>' with one '<li>' per link; children are a '<ul>' inside their parent's '<li>'
+     *
+     * @param {Array<Object>} nodes - Nodes { values, children } (see buildListTree)
+     * @param {string} [indent=''] - Indentation of the '<ul>' tags
+     * @returns {string} HTML list
+     */
+    function htmlList(nodes, indent = '') {
+        const items = nodes.map(node => {
+            const children = node.children.length > 0 ? `\n${htmlList(node.children, `${indent}    `)}\n${indent}  ` : '';
+            return `${indent}  <li>${htmlLink(node.values)}${children}</li>`;
+        });
+        return `${indent}<ul>\n${items.join('\n')}\n${indent}</ul>`;
+    }
+
+    /**
+     * Built-in formats, in menu order; the first one is the default
+     * @constant {Array<Object>}
+     */
+    const DEFAULT_FORMATS = [
+        {
+            // Uses the template chosen in the menu ('[{title}]({url})' by default)
+            name: 'Markdown',
+            markdown: true,
+            escapeTitle: escapeMarkdownText,
+            escapeUrl: escapeMarkdownUrl,
+            escapeText: (text, options) => (options.tableCell ? escapeTableCell(text) : text),
+            link: (values, template) => Templates.renderLink(template || Templates.DEFAULT_TEMPLATES[0], values),
+            list: (valuesList, template) => Templates.renderList(template || Templates.DEFAULT_TEMPLATES[0], valuesList),
+            nestedList: (items, template) => Templates.renderList(template || Templates.DEFAULT_TEMPLATES[0],
+                items.map(item => item.values), items.map(item => item.level))
+        },
+        {
+            // Numbered references: '[title][1]' with '[1]: url' after the link or list
+            name: 'Markdown reference',
+            markdown: true,
+            escapeTitle: escapeMarkdownText,
+            escapeUrl: escapeMarkdownUrl,
+            link: values => `[${values.title}][1]\n\n[1]: ${values.url}`,
+            list: valuesList => [
+                valuesList.map((values, index) => `* [${values.title}][${index + 1}]`).join('\n'),
+                valuesList.map((values, index) => `[${index + 1}]: ${values.url}`).join('\n')
+            ].join('\n\n'),
+            nestedList: items => [
+                items.map((item, index) => `${'  '.repeat(item.level)}* [${item.values.title}][${index + 1}]`).join('\n'),
+                items.map((item, index) => `[${index + 1}]: ${item.values.url}`).join('\n')
+            ].join('\n\n')
+        },
+        {
+            // Org has no escape for brackets in descriptions; Org itself writes them as braces
+            name: 'Org',
+            escapeTitle: text => replaceCharacters(text, { '[': '{', ']': '}' }),
+            escapeUrl: url => percentEncode(url, ' []'),
+            link: orgLink,
+            list: valuesList => valuesList.map(values => `- ${orgLink(values)}`).join('\n'),
+            nestedList: items => indentedLines(items, '- ', orgLink).join('\n')
+        },
+        {
+            name: 'reStructuredText',
+            escapeTitle: text => backslashEscape(text, /[\\`<>]/g),
+            escapeUrl: url => percentEncode(url, ' <>`'),
+            link: rstLink,
+            // Nested lists are separated from their parent items by blank lines
+            nestedList: items => indentedLines(items, '* ', rstLink)
+                .map((line, index) => (index > 0 && items[index].level !== items[index - 1].level ? `\n${line}` : line))
+                .join('\n')
+        },
+        {
+            // URLs with brackets use the pass-through form: link:++url++[title]
+            name: 'AsciiDoc',
+            escapeTitle: text => backslashEscape(text, /[\]{]/g),
+            escapeUrl: url => percentEncode(url, ' '),
+            link: values => (/[[\]]/.test(values.url) ? `link:++${values.url}++[${values.title}]` : `${values.url}[${values.title}]`)
+        },
+        {
+            // BBCode has no escape; brackets in titles become parentheses
+            name: 'BBCode',
+            escapeTitle: text => replaceCharacters(text, { '[': '(', ']': ')' }),
+            escapeUrl: url => percentEncode(url, ' []"'),
+            link: bbcodeLink,
+            list: valuesList => `[list]\n${valuesList.map(values => `[*]${bbcodeLink(values)}`).join('\n')}\n[/list]`,
+            nestedList: items => bbcodeList(buildListTree(items))
+        },
+        {
+            // Jira and Confluence wiki markup
+            name: 'Jira',
+            escapeTitle: text => backslashEscape(text, /[[\]{}|*_+^~!-]/g),
+            escapeUrl: url => percentEncode(url, ' []|'),
+            link: values => (values.title ? `[${values.title}|${values.url}]` : `[${values.url}]`)
+        },
+        {
+            name: 'MediaWiki',
+            escapeTitle: text => replaceCharacters(text, {
+                '&': '&amp;', '<': '&lt;', '>': '&gt;', '[': '&#91;', ']': '&#93;', '{': '&#123;', '}': '&#125;', "'": '&#39;'
+            }),
+            escapeUrl: url => percentEncode(url, ' []<>"'),
+            link: values => (values.title ? `[${values.url} ${values.title}]` : `[${values.url}]`)
+        },
+        {
+            name: 'HTML',
+            escapeTitle: escapeHtml,
+            escapeUrl: url => escapeHtml(percentEncode(url, ' ')),
+            link: htmlLink,
+            list: valuesList => `<ul>\n${valuesList.map(values => `  <li>${htmlLink(values)}</li>`).join('\n')}\n</ul>`,
+            nestedList: items => htmlList(buildListTree(items))
+        }
+    ];
+
+    /**
+     * Finds a format by name
+     *
+     * @param {string} name - Format name
+     * @param {Array<Object>} [formats=DEFAULT_FORMATS] - Available formats
+     * @returns {Object} The named format, or the first format if there is none with that name
+     *
+     * @example
+     * findFormat('Org').name;      // 'Org'
+     * findFormat('Missing').name;  // 'Markdown'
+     */
+    function findFormat(name, formats = DEFAULT_FORMATS) {
+        return formats.find(format => format.name === name) || formats[0];
+    }
+
+    /**
+     * Escapes placeholder values for a format
+     *
+     * @param {Object} format - Format
+     * @param {Object} values - Placeholder values from Templates.buildValues()
+     * @param {Object} [template] - Markdown template (`tableCell: true` for table rows)
+     * @returns {Object} Copy of values with `title` and `url` (and other values, if the format escapes them) escaped
+     */
+    function escapeValues(format, values, template) {
+        const options = { tableCell: Boolean(template && template.tableCell) };
+        const escaped = { ...values };
+        if (format.escapeText) {
+            for (const [name, value] of Object.entries(values)) {
+                escaped[name] = format.escapeText(value, options);
+            }
+        }
+        escaped.title = format.escapeTitle(values.title, options);
+        escaped.url = format.escapeUrl(values.url, options);
+        return escaped;
+    }
+
+    /**
+     * Renders one link in a format
+     *
+     * @param {Object} format - Format (see DEFAULT_FORMATS)
+     * @param {Object} values - Placeholder values from Templates.buildValues() (not escaped)
+     * @param {Object} [template] - Markdown template (Markdown format only)
+     * @returns {string} Formatted link
+     *
+     * @example
+     * renderLink(findFormat('Org'), Templates.buildValues('Example [1]', 'https://example.com'));
+     * // Returns: '[[https://example.com][Example {1}]]'
+     */
+    function renderLink(format, values, template) {
+        return format.link(escapeValues(format, values, template), template);
+    }
+
+    /**
+     * Renders several links as a list in a format
+     *
+     * @param {Object} format - Format (see DEFAULT_FORMATS)
+     * @param {Array<Object>} valuesList - Placeholder values from Templates.buildValues() (not escaped), one per link
+     * @param {Object} [template] - Markdown template (Markdown format only)
+     * @returns {string} Formatted list
+     *
+     * @example
+     * renderList(findFormat('Jira'), [Templates.buildValues('A', 'https://a.com'), Templates.buildValues('B', 'https://b.com')]);
+     * // Returns: '* [A|https://a.com]\n* [B|https://b.com]'
+     */
+    function renderList(format, valuesList, template) {
+        const escapedList = valuesList.map(values => escapeValues(format, values, template));
+        if (format.list) {
+            return format.list(escapedList, template);
+        }
+        return escapedList.map(values => `* ${format.link(values, template)}`).join('\n');
+    }
+
+    /**
+     * Converts depths (e.g. of links in the DOM) to list levels
+     * The first item is at level 0 and each item is at most one level deeper than the previous one;
+     * items at the same depth share a level.
+     *
+     * @param {Array<number>} depths - Depth of each item
+     * @returns {Array<number>} Level of each item
+     *
+     * @example
+     * toListLevels([5, 9, 9, 7, 5, 3]);  // [0, 1, 1, 1, 0, 0]
+     */
+    function toListLevels(depths) {
+        const openDepths = [];
+        return depths.map(depth => {
+            while (openDepths.length > 0 && openDepths[openDepths.length - 1] > depth) {
+                openDepths.pop();
+            }
+            if (openDepths.length === 0 || openDepths[openDepths.length - 1] < depth) {
+                openDepths.push(depth);
+            }
+            return openDepths.length - 1;
+        });
+    }
+
+    /**
+     * Renders links as a nested list in a format
+     *
+     * @param {Object} format - Format (see DEFAULT_FORMATS)
+     * @param {Array<{values: Object, depth: number}>} items - Placeholder values (not escaped) and depth of each link;
+     *   depths only need to be ordered, they are converted with toListLevels()
+     * @param {Object} [template] - Markdown template (Markdown format only)
+     * @returns {string} Formatted nested list
+     *
+     * @example
+     * renderNestedList(findFormat('Jira'), [{ values: Templates.buildValues('A', 'https://a.com'), depth: 3 },
+     *     { values: Templates.buildValues('B', 'https://b.com'), depth: 6 }]);
+     * // Returns: '* [A|https://a.com]\n** [B|https://b.com]'
+     */
+    function renderNestedList(format, items, template) {
+        const levels = toListLevels(items.map(item => item.depth));
+        const escapedItems = items.map((item, index) => ({ values: escapeValues(format, item.values, template), level: levels[index] }));
+        if (format.nestedList) {
+            return format.nestedList(escapedItems, template);
+        }
+        return escapedItems.map(item => `${'*'.repeat(item.level + 1)} ${format.link(item.values, template)}`).join('\n');
+    }
+
+    return {
+        DEFAULT_FORMATS,
+        percentEncode,
+        escapeMarkdownText,
+        escapeMarkdownUrl,
+        escapeTableCell,
+        findFormat,
+        renderLink,
+        renderList,
+        toListLevels,
+        renderNestedList
+    };
+});
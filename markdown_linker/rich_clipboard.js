@@ -0,0 +1,320 @@
+/**
+ * @file rich_clipboard.js
+ * @description HTML clipboard output for Markdown Linker: copied markdown is also written as text/html,
+ * so rich editors (Google Docs, Slack, Confluence) paste links instead of raw brackets
+ * @author Zakk Hoyt
+ * @namespace MarkdownLinker.RichClipboard
+ *
+ * markdownToHtml() converts the markdown Markdown Linker writes (not arbitrary markdown):
+ * - inline links '[title](url)', images '![alt](src)' and linked images '[![alt](src)](url)'
+ * - reference links '[title][]' / '[title][label]' with their '[label]: url' definitions
+ * - list items ('* ', '- ', '+ ', '1. ', task items '- [ ] ') as <ul> / <ol>; indented items are nested
+ *   in their parent's <li>
+ * - other lines as paragraphs (consecutive lines joined with <br>)
+ * Everything else is text: HTML in titles is escaped, markdown backslash escapes are removed.
+ *
+ * CLIPBOARD_FORMATS lists the MIME types written for each `clipboardFormats` setting.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/ClipboardItem MDN ClipboardItem}
+ * @see {@link https://violentmonkey.github.io/api/gm/#gm_setclipboard Violentmonkey GM_setClipboard}
+ * @see {@link https://spec.commonmark.org/0.31.2/#links CommonMark Links}
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory();
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('MarkdownLinker.RichClipboard', factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+
+    /**
+     * MIME types written to the clipboard for each `clipboardFormats` setting value; the first one is the default
+     * @constant {Object<string, Array<string>>}
+     */
+    const CLIPBOARD_FORMATS = {
+        'markdown+html': ['text/plain', 'text/html'],
+        'markdown': ['text/plain'],
+        'html': ['text/html']
+    };
+
+    /**
+     * Link text in brackets, allowing backslash-escaped brackets: '[a \] b]'
+     * @constant {string}
+     */
+    const BRACKETED = String.raw`\[((?:\\.|[^\]\\])*)\]`;
+
+    /**
+     * Link destination in parentheses: '(url)' or '(<url with spaces>)'
+     * @constant {string}
+     */
+    const DESTINATION = String.raw`\((<[^>\n]*>|[^)\s]+)\)`;
+
+    /**
+     * Inline markdown Markdown Linker writes, in match order (linked image before image before link)
+     * Groups: 1-3 linked image (alt, src, url), 4-5 image (alt, src), 6-7 link (title, url), 8-9 reference (title, label)
+     * @constant {RegExp}
+     */
+    const INLINE_PATTERN = new RegExp([
+        `\\[!${BRACKETED}${DESTINATION}\\]${DESTINATION}`,
+        `!${BRACKETED}${DESTINATION}`,
+        `${BRACKETED}${DESTINATION}`,
+        `${BRACKETED}\\[((?:\\\\.|[^\\]\\\\])*)\\]`
+    ].join('|'), 'g');
+
+    /**
+     * Reference definition line: '[label]: url'
+     * @constant {RegExp}
+     */
+    const DEFINITION_PATTERN = new RegExp(String.raw`^\s*${BRACKETED}:\s*(<[^>\n]*>|\S+)\s*$`);
+
+    /**
+     * List item line: marker, optional task box, text
+     * @constant {RegExp}
+     */
+    const LIST_ITEM_PATTERN = /^\s*([*+-]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+
+    /**
+     * Escapes text for HTML content and attribute values
+     *
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     *
+     * @example
+     * escapeHtml('Tom & Jerry <"2">');  // 'Tom &amp; Jerry &lt;&quot;2&quot;&gt;'
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Removes markdown backslash escapes ('\[' -> '[')
+     *
+     * @param {string} text - Markdown text
+     * @returns {string} Text
+     */
+    function unescapeMarkdown(text) {
+        return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+    }
+
+    /**
+     * Reads a link destination ('<url>' or 'url')
+     *
+     * @param {string} destination - Destination as written
+     * @returns {string} URL (spaces, allowed in '<url>', are percent-encoded)
+     */
+    function readDestination(destination) {
+        return destination.startsWith('<') ? destination.slice(1, -1).replace(/ /g, '%20') : destination;
+    }
+
+    /**
+     * Reference label key: case-insensitive, whitespace collapsed
+     *
+     * @param {string} label - Label as written
+     * @returns {string} Key for the definitions map
+     */
+    function normalizeLabel(label) {
+        return unescapeMarkdown(label).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Builds an anchor element
+     *
+     * @param {string} url - Link URL
+     * @param {string} content - Anchor content (already HTML)
+     * @returns {string} HTML
+     */
+    function anchor(url, content) {
+        return `<a href="${escapeHtml(url)}">${content}</a>`;
+    }
+
+    /**
+     * Builds an image element
+     *
+     * @param {string} src - Image URL
+     * @param {string} alt - Alt text (markdown)
+     * @returns {string} HTML
+     */
+    function image(src, alt) {
+        return `<img src="${escapeHtml(readDestination(src))}" alt="${escapeHtml(unescapeMarkdown(alt))}">`;
+    }
+
+    /**
+     * Converts the links and images in one line of markdown
+     *
+     * @param {string} text - Markdown line
+     * @param {Map<string, string>} definitions - Reference URLs by normalized label
+     * @returns {string} HTML
+     */
+    function convertInline(text, definitions) {
+        let html = '';
+        let index = 0;
+
+        for (const match of text.matchAll(INLINE_PATTERN)) {
+            html += escapeHtml(unescapeMarkdown(text.slice(index, match.index)));
+            index = match.index + match[0].length;
+
+            if (match[1] !== undefined) {
+                html += anchor(readDestination(match[3]), image(match[2], match[1]));
+            } else if (match[4] !== undefined) {
+                html += image(match[5], match[4]);
+            } else if (match[6] !== undefined) {
+                html += anchor(readDestination(match[7]), escapeHtml(unescapeMarkdown(match[6])));
+            } else {
+                const url = definitions.get(normalizeLabel(match[9] || match[8]));
+                html += url
+                    ? anchor(url, escapeHtml(unescapeMarkdown(match[8])))
+                    : escapeHtml(unescapeMarkdown(match[0]));
+            }
+        }
+
+        return html + escapeHtml(unescapeMarkdown(text.slice(index)));
+    }
+
+    /**
+     * Renders a list block and its nested lists
+     *
+     * @param {Object} list - List { type: 'ul' | 'ol', items: [{ html, children }] } (children: nested list or null)
+     * @returns {string} HTML
+     */
+    function renderListBlock(list) {
+        const items = list.items.map(item => `<li>${item.html}${item.children ? renderListBlock(item.children) : ''}</li>`);
+        return `<${list.type}>${items.join('')}</${list.type}>`;
+    }
+
+    /**
+     * Converts markdown written by Markdown Linker to HTML
+     *
+     * @param {string} markdown - Markdown (a link, a list, Amazon markdown, ...)
+     * @returns {string} HTML fragment
+     *
+     * @example
+     * markdownToHtml('[Example](https://example.com)');
+     * // Returns: '<a href="https://example.com">Example</a>'
+     *
+     * markdownToHtml('* [A](https://a.com)\n* [B](https://b.com)');
+     * // Returns: '<ul><li><a href="https://a.com">A</a></li><li><a href="https://b.com">B</a></li></ul>'
+     *
+     * markdownToHtml('* [A](https://a.com)\n  * [B](https://b.com)');
+     * // Returns: '<ul><li><a href="https://a.com">A</a><ul><li><a href="https://b.com">B</a></li></ul></li></ul>'
+     */
+    function markdownToHtml(markdown) {
+        const definitions = new Map();
+        const lines = [];
+        for (const line of String(markdown).split('\n')) {
+            const definition = line.match(DEFINITION_PATTERN);
+            if (definition) {
+                const label = normalizeLabel(definition[1]);
+                if (!definitions.has(label)) {
+                    definitions.set(label, readDestination(definition[2]));
+                }
+            } else {
+                lines.push(line);
+            }
+        }
+
+        // Blocks: { type: 'p', items: [html] } or a list { type: 'ul' | 'ol', items: [{ html, children }] }
+        const blocks = [];
+        // Lists open in the current list block, outermost first: { indent, list }
+        let openLists = [];
+        for (const line of lines) {
+            const previous = blocks[blocks.length - 1];
+            if (!line.trim()) {
+                blocks.push(null);
+                openLists = [];
+                continue;
+            }
+
+            const item = line.match(LIST_ITEM_PATTERN);
+            if (item) {
+                const type = /\d/.test(item[1]) ? 'ol' : 'ul';
+                const box = item[2] === undefined ? '' : (item[2] === ' ' ? '☐ ' : '☑ ');
+                const node = { html: box + convertInline(item[3], definitions), children: null };
+                const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+                while (openLists.length > 1 && indent < openLists[openLists.length - 1].indent) {
+                    openLists.pop();
+                }
+                const current = openLists[openLists.length - 1];
+                const parent = current && current.list.items[current.list.items.length - 1];
+
+                if (current && indent > current.indent && parent) {
+                    // Deeper than its list: nested in the previous item
+                    parent.children = parent.children || { type, items: [] };
+                    parent.children.items.push(node);
+                    openLists.push({ indent, list: parent.children });
+                } else if (current && (current.list.type === type || openLists.length > 1)) {
+                    current.list.items.push(node);
+                } else {
+                    const list = { type, items: [node] };
+                    blocks.push(list);
+                    openLists = [{ indent, list }];
+                }
+                continue;
+            }
+
+            openLists = [];
+            const html = convertInline(line.trim(), definitions);
+            if (previous && previous.type === 'p') {
+                previous.items.push(html);
+            } else {
+                blocks.push({ type: 'p', items: [html] });
+            }
+        }
+
+        const filledBlocks = blocks.filter(Boolean);
+
+        // A single line (one link) is pasted inline, without a paragraph break
+        if (filledBlocks.length === 1 && filledBlocks[0].type === 'p' && filledBlocks[0].items.length === 1) {
+            return filledBlocks[0].items[0];
+        }
+
+        return filledBlocks.map(block => {
+            if (block.type === 'p') {
+                return `<p>${block.items.join('<br>')}</p>`;
+            }
+            return renderListBlock(block);
+        }).join('');
+    }
+
+    /**
+     * Builds the clipboard contents for a `clipboardFormats` setting
+     *
+     * @param {string} markdown - Markdown to copy (or text in another output format, with `html`)
+     * @param {string} [formats='markdown+html'] - Key of CLIPBOARD_FORMATS
+     * @param {string} [html] - HTML to write (default: markdownToHtml(markdown))
+     * @returns {Object<string, string>} Data by MIME type, in CLIPBOARD_FORMATS order
+     *
+     * @example
+     * buildClipboardData('[A](https://a.com)', 'markdown+html');
+     * // Returns: { 'text/plain': '[A](https://a.com)', 'text/html': '<a href="https://a.com">A</a>' }
+     */
+    function buildClipboardData(markdown, formats = 'markdown+html', html = undefined) {
+        const data = {};
+        for (const type of CLIPBOARD_FORMATS[formats] || CLIPBOARD_FORMATS['markdown+html']) {
+            if (type === 'text/html') {
+                data[type] = html === undefined ? markdownToHtml(markdown) : html;
+            } else {
+                data[type] = markdown;
+            }
+        }
+        return data;
+    }
+
+    return {
+        CLIPBOARD_FORMATS,
+        escapeHtml,
+        markdownToHtml,
+        buildClipboardData
+    };
+});
@@ -0,0 +1,424 @@
+/**
+ * @file settings.js
+ * @description Settings schema, validation, storage and JSON export/import for Markdown Linker
+ * @author Zakk Hoyt
+ * @namespace MarkdownLinker.Settings
+ *
+ * Settings are one object stored under STORAGE_KEY. Every setting is described in SETTINGS_SCHEMA
+ * (type, default, limits, label); validateSettings() checks an object against it, so stored,
+ * imported and edited settings are all handled the same way:
+ * - missing settings get their default
+ * - invalid values are replaced by the default and reported in `errors`
+ * - unknown settings are dropped and reported in `errors`
+ *
+ * Storage is passed in ({ getValue, setValue }), e.g. GM_getValue / GM_setValue in the userscript.
+ *
+ * Setting types:
+ * - 'boolean'   - true / false
+ * - 'integer'   - whole number between `min` and `max`
+ * - 'enum'      - one of `values`
+ * - 'string'    - non-empty string
+ * - 'list'      - array of non-empty strings without whitespace
+ * - 'shortcuts' - array of bindings ('Alt+Shift+L', 'Alt+Click'; see shortcuts.js), stored in canonical form
+ * - 'overrides' - per-site bindings: { 'site.com': { menu: [...], buffer: [...] } }
+ * - 'affiliateTag' - Amazon Associates tracking ID ('mystore-20') or '' for none
+ *
+ * A binding may not be used by two actions (menuShortcuts, bufferShortcuts), on any site.
+ *
+ * @see {@link https://violentmonkey.github.io/api/gm/#gm_getvalue Violentmonkey GM_getValue}
+ * @see {@link https://violentmonkey.github.io/api/gm/#gm_setvalue Violentmonkey GM_setValue}
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory(
+            require('./url_rules.js'),
+            require('./markdown_templates.js'),
+            require('./shortcuts.js'),
+            require('./rich_clipboard.js'),
+            require('./output_formats.js'),
+            require('../amazon_toolkit/links/link_cleaner.js'),
+            require('../amazon_toolkit/helpers/validation_helpers.js')
+        );
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { resolveNamespace, registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('MarkdownLinker.Settings', factory(
+            resolveNamespace('MarkdownLinker.UrlRules'),
+            resolveNamespace('MarkdownLinker.Templates'),
+            resolveNamespace('MarkdownLinker.Shortcuts'),
+            resolveNamespace('MarkdownLinker.RichClipboard'),
+            resolveNamespace('MarkdownLinker.Formats'),
+            resolveNamespace('AmazonToolkit.Links.Cleaner'),
+            resolveNamespace('AmazonToolkit.Helpers.Validation')
+        ));
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(UrlRules, Templates, Shortcuts, RichClipboard, Formats, Cleaner, Validation) {
+
+    /**
+     * Storage key holding the settings object
+     * @constant {string}
+     */
+    const STORAGE_KEY = 'settings';
+
+    /**
+     * Every setting, in settings panel order
+     * @constant {Object<string, Object>}
+     */
+    const SETTINGS_SCHEMA = {
+        isDebug: {
+            type: 'boolean',
+            default: true,
+            label: 'Debug logging',
+            description: 'Log every step to the console and show debug dialogs'
+        },
+        menuShortcuts: {
+            type: 'shortcuts',
+            default: Shortcuts.DEFAULT_SHORTCUTS.menu,
+            label: 'Menu shortcuts',
+            description: 'One per line, e.g. Alt+Click, Alt+RightClick, Alt+Shift+L. Keys without Ctrl/Alt/Meta are ignored in text fields'
+        },
+        bufferShortcuts: {
+            type: 'shortcuts',
+            keyboardOnly: true,
+            default: Shortcuts.DEFAULT_SHORTCUTS.buffer,
+            label: 'Multi-link shortcuts',
+            description: 'Hold these keys and click links; release to copy them as a list'
+        },
+        shortcutSitesEnabled: {
+            type: 'list',
+            default: [],
+            label: 'Shortcuts only on these sites',
+            description: 'One site per line (example.com includes its subdomains); empty for every site'
+        },
+        shortcutSitesDisabled: {
+            type: 'list',
+            default: [],
+            label: 'No shortcuts on these sites',
+            description: 'One site per line (example.com includes its subdomains)'
+        },
+        shortcutOverrides: {
+            type: 'overrides',
+            default: Shortcuts.DEFAULT_SITE_OVERRIDES,
+            label: 'Per-site shortcuts',
+            description: 'JSON: { "site.com": { "menu": [...], "buffer": [...] } }. Default: no bare M on Gmail, YouTube and GitHub'
+        },
+        trackingParams: {
+            type: 'list',
+            default: UrlRules.TRACKING_PARAMS,
+            label: 'Tracking parameters',
+            description: 'Removed from every URL: name, prefix* or name=value'
+        },
+        affiliatePolicy: {
+            type: 'enum',
+            values: Cleaner.AFFILIATE_POLICIES,
+            default: 'strip',
+            label: 'Amazon affiliate links',
+            description: 'strip: remove affiliate parameters (tag=...); replace: remove them and add your tag; preserve: keep them'
+        },
+        affiliateTag: {
+            type: 'affiliateTag',
+            default: '',
+            label: 'Amazon affiliate tag',
+            description: 'Your Associates tracking ID, e.g. mystore-20, added by "replace" on its own marketplace'
+        },
+        outputFormat: {
+            type: 'string',
+            default: Formats.DEFAULT_FORMATS[0].name,
+            label: 'Output format',
+            description: 'Format of copied links: Markdown, Org, reStructuredText, AsciiDoc, BBCode, Jira, MediaWiki, HTML'
+        },
+        templateName: {
+            type: 'string',
+            default: Templates.DEFAULT_TEMPLATES[0].name,
+            label: 'Template',
+            description: 'Markdown template for copied links (Markdown output format)'
+        },
+        clipboardFormats: {
+            type: 'enum',
+            values: Object.keys(RichClipboard.CLIPBOARD_FORMATS),
+            default: Object.keys(RichClipboard.CLIPBOARD_FORMATS)[0],
+            label: 'Clipboard formats',
+            description: 'markdown+html: rich editors (Google Docs, Slack) paste links, plain text editors paste markdown; markdown: text only; html: HTML only'
+        },
+        truncateLength: {
+            type: 'integer',
+            min: 10,
+            max: 200,
+            default: 25,
+            label: 'Menu text length',
+            description: 'Characters of link text, selection and titles shown in the menu'
+        },
+        notificationDuration: {
+            type: 'integer',
+            min: 500,
+            max: 30000,
+            default: 3000,
+            label: 'Notification duration (ms)',
+            description: 'How long the "copied" notification stays on screen'
+        }
+    };
+
+    /**
+     * Returns a new settings object with every default
+     *
+     * @returns {Object} Default settings
+     *
+     * @example
+     * getDefaultSettings().bufferShortcuts;  // ['Alt+Z']
+     */
+    function getDefaultSettings() {
+        const settings = {};
+        for (const [name, schema] of Object.entries(SETTINGS_SCHEMA)) {
+            settings[name] = typeof schema.default === 'object' ? JSON.parse(JSON.stringify(schema.default)) : schema.default;
+        }
+        return settings;
+    }
+
+    /**
+     * Checks one value against its schema entry
+     *
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema entry
+     * @returns {{value: *, error: string|null}} Normalized value, or an error
+     */
+    function validateValue(value, schema) {
+        const { type } = schema;
+
+        if (type === 'boolean') {
+            return typeof value === 'boolean'
+                ? { value, error: null }
+                : { value: null, error: 'must be true or false' };
+        }
+        if (type === 'integer') {
+            return Number.isInteger(value) && value >= schema.min && value <= schema.max
+                ? { value, error: null }
+                : { value: null, error: `must be a whole number from ${schema.min} to ${schema.max}` };
+        }
+        if (type === 'enum') {
+            return schema.values.includes(value)
+                ? { value, error: null }
+                : { value: null, error: `must be one of ${schema.values.join(', ')}` };
+        }
+        if (type === 'string') {
+            return typeof value === 'string' && value.trim()
+                ? { value: value.trim(), error: null }
+                : { value: null, error: 'must not be empty' };
+        }
+        if (type === 'list') {
+            return Array.isArray(value) && value.every(item => typeof item === 'string' && /^\S+$/.test(item))
+                ? { value: [...value], error: null }
+                : { value: null, error: 'must be a list of names without spaces' };
+        }
+        if (type === 'shortcuts') {
+            return validateBindings(value, schema.keyboardOnly);
+        }
+        if (type === 'overrides') {
+            return validateOverrides(value);
+        }
+        if (type === 'affiliateTag') {
+            return value === '' || Validation.isValidAffiliateTag(value)
+                ? { value, error: null }
+                : { value: null, error: 'must be an Associates tracking ID like mystore-20, or empty' };
+        }
+        return { value: null, error: `has unknown type ${type}` };
+    }
+
+    /**
+     * Checks a list of bindings
+     *
+     * @param {*} value - Bindings to check
+     * @param {boolean} [keyboardOnly=false] - Reject mouse bindings (Click, RightClick)
+     * @returns {{value: Array<string>|null, error: string|null}} Bindings in canonical form, or an error
+     */
+    function validateBindings(value, keyboardOnly = false) {
+        if (!Array.isArray(value)) {
+            return { value: null, error: 'must be a list of shortcuts' };
+        }
+
+        const bindings = [];
+        for (const text of value) {
+            const binding = Shortcuts.parseBinding(text);
+            if (!binding) {
+                return { value: null, error: `has an invalid shortcut: ${JSON.stringify(text)}` };
+            }
+            if (keyboardOnly && binding.mouse) {
+                return { value: null, error: `cannot use a mouse button: ${binding.text}` };
+            }
+            bindings.push(binding.text);
+        }
+        return { value: bindings, error: null };
+    }
+
+    /**
+     * Checks per-site bindings ({ 'site.com': { menu: [...], buffer: [...] } })
+     *
+     * @param {*} value - Overrides to check
+     * @returns {{value: Object|null, error: string|null}} Overrides with bindings in canonical form, or an error
+     */
+    function validateOverrides(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return { value: null, error: 'must be an object of sites' };
+        }
+
+        const overrides = {};
+        for (const [site, actions] of Object.entries(value)) {
+            if (!/^\S+$/.test(site) || !actions || typeof actions !== 'object' || Array.isArray(actions)) {
+                return { value: null, error: `has an invalid site: ${JSON.stringify(site)}` };
+            }
+
+            overrides[site] = {};
+            for (const [action, bindings] of Object.entries(actions)) {
+                if (!Object.prototype.hasOwnProperty.call(Shortcuts.DEFAULT_SHORTCUTS, action)) {
+                    return { value: null, error: `has an unknown action for ${site}: ${action}` };
+                }
+
+                const result = validateBindings(bindings, action === 'buffer');
+                if (result.error) {
+                    return { value: null, error: `for ${site} ${result.error}` };
+                }
+                overrides[site][action] = result.value;
+            }
+        }
+        return { value: overrides, error: null };
+    }
+
+    /**
+     * Finds bindings used by both the menu and the buffer, globally or on an override site
+     *
+     * @param {Object} settings - Validated settings
+     * @returns {Array<string>} One message per conflict
+     */
+    function findShortcutConflicts(settings) {
+        const shortcuts = { menu: settings.menuShortcuts, buffer: settings.bufferShortcuts };
+        const sites = [[null, shortcuts]];
+        for (const [site, actions] of Object.entries(settings.shortcutOverrides)) {
+            sites.push([site, { ...shortcuts, ...actions }]);
+        }
+
+        const messages = [];
+        for (const [site, siteShortcuts] of sites) {
+            for (const conflict of Shortcuts.findConflicts(siteShortcuts)) {
+                messages.push(`${conflict.binding} is used by both ${conflict.actions.join(' and ')}${site ? ` on ${site}` : ''}`);
+            }
+        }
+        return messages;
+    }
+
+    /**
+     * Validates a settings object against SETTINGS_SCHEMA
+     *
+     * @param {Object} input - Settings to validate (e.g. stored or imported)
+     * @returns {{settings: Object, errors: Array<string>}} Complete, valid settings and the problems found
+     *
+     * @example
+     * validateSettings({ truncateLength: 5, color: 'red' })
+     * // Returns: { settings: { ...defaults }, errors: [
+     * //     'truncateLength must be a whole number from 10 to 200', 'color is not a setting' ] }
+     */
+    function validateSettings(input) {
+        const settings = getDefaultSettings();
+        const errors = [];
+
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { settings, errors: ['Settings must be an object'] };
+        }
+
+        for (const [name, value] of Object.entries(input)) {
+            const schema = SETTINGS_SCHEMA[name];
+            if (!schema) {
+                errors.push(`${name} is not a setting`);
+                continue;
+            }
+
+            const result = validateValue(value, schema);
+            if (result.error) {
+                errors.push(`${name} ${result.error}`);
+            } else {
+                settings[name] = result.value;
+            }
+        }
+
+        // Conflicting shortcuts: keep the default shortcuts, which do not conflict
+        const conflicts = findShortcutConflicts(settings);
+        if (conflicts.length > 0) {
+            errors.push(...conflicts);
+            const defaults = getDefaultSettings();
+            settings.menuShortcuts = defaults.menuShortcuts;
+            settings.bufferShortcuts = defaults.bufferShortcuts;
+            settings.shortcutOverrides = defaults.shortcutOverrides;
+        }
+
+        return { settings, errors };
+    }
+
+    /**
+     * Loads settings from storage
+     *
+     * @param {{getValue: Function}} storage - Storage (getValue(key, defaultValue), e.g. GM_getValue)
+     * @returns {{settings: Object, errors: Array<string>}} Stored settings (defaults where missing or invalid)
+     */
+    function loadSettings(storage) {
+        return validateSettings(storage.getValue(STORAGE_KEY, {}));
+    }
+
+    /**
+     * Validates and saves settings to storage
+     * Nothing is saved if any setting is invalid.
+     *
+     * @param {{setValue: Function}} storage - Storage (setValue(key, value), e.g. GM_setValue)
+     * @param {Object} input - Settings to save
+     * @returns {{settings: Object, errors: Array<string>}} Saved settings, or the problems found
+     */
+    function saveSettings(storage, input) {
+        const result = validateSettings(input);
+        if (result.errors.length === 0) {
+            storage.setValue(STORAGE_KEY, result.settings);
+        }
+        return result;
+    }
+
+    /**
+     * Serializes settings for export
+     *
+     * @param {Object} settings - Settings to export
+     * @returns {string} Indented JSON
+     */
+    function exportSettings(settings) {
+        return JSON.stringify(settings, null, 4);
+    }
+
+    /**
+     * Parses and validates exported settings
+     *
+     * @param {string} json - JSON from exportSettings()
+     * @returns {{settings: Object|null, errors: Array<string>}} Settings (null if the JSON cannot be parsed) and problems found
+     *
+     * @example
+     * importSettings('{"bufferShortcuts": ["alt+x"]}').settings.bufferShortcuts;  // ['Alt+X']
+     * importSettings('{bufferShortcuts').settings;                               // null
+     */
+    function importSettings(json) {
+        let input;
+        try {
+            input = JSON.parse(json);
+        } catch (error) {
+            return { settings: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+        return validateSettings(input);
+    }
+
+    return {
+        STORAGE_KEY,
+        SETTINGS_SCHEMA,
+        getDefaultSettings,
+        validateSettings,
+        loadSettings,
+        saveSettings,
+        exportSettings,
+        importSettings
+    };
+});
@@ -0,0 +1,381 @@
+/**
+ * @file shortcuts.js
+ * @description Keyboard and mouse shortcut parsing, matching, per-site resolution and conflict detection
+ * for Markdown Linker
+ * @author Zakk Hoyt
+ * @namespace MarkdownLinker.Shortcuts
+ *
+ * A binding is written as modifiers and one key, joined with '+': 'Alt+Shift+L', 'Alt+Click', 'M'.
+ * - Modifiers: Ctrl (Control), Alt (Option, Opt), Shift, Meta (Cmd, Command)
+ * - Keys: a letter or digit, F1-F24, a key name from NAMED_KEYS ('Space', 'Slash', 'ArrowUp', ...),
+ *   or a mouse button: Click, RightClick
+ * Modifiers must match exactly: 'M' does not fire for Ctrl+M, and 'Alt+M' does not fire for Alt+Shift+M.
+ *
+ * Actions (see DEFAULT_SHORTCUTS):
+ * - menu   - opens the menu (any binding: key or mouse)
+ * - buffer - keys held while clicking links to collect them; released to copy them as a list
+ *
+ * Keys are matched with KeyboardEvent.key where it is the character on the key, and with
+ * KeyboardEvent.code (the physical key) where it is not: macOS Option composes characters
+ * (Option+M is 'µ', Option+E is the 'Dead' accent key), and Shift changes digits and punctuation.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/key MDN KeyboardEvent.key}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code MDN KeyboardEvent.code}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/UI_Events/Keyboard_event_code_values MDN Code values}
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory();
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('MarkdownLinker.Shortcuts', factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+
+    /**
+     * Modifiers in canonical order, with their event property and KeyboardEvent.key value
+     * @constant {Array<{name: string, eventProperty: string, key: string}>}
+     */
+    const MODIFIERS = [
+        { name: 'Ctrl', eventProperty: 'ctrlKey', key: 'Control' },
+        { name: 'Alt', eventProperty: 'altKey', key: 'Alt' },
+        { name: 'Shift', eventProperty: 'shiftKey', key: 'Shift' },
+        { name: 'Meta', eventProperty: 'metaKey', key: 'Meta' }
+    ];
+
+    /**
+     * Other spellings of modifier names (lower case)
+     * @constant {Object<string, string>}
+     */
+    const MODIFIER_ALIASES = {
+        ctrl: 'Ctrl', control: 'Ctrl',
+        alt: 'Alt', option: 'Alt', opt: 'Alt',
+        shift: 'Shift',
+        meta: 'Meta', cmd: 'Meta', command: 'Meta'
+    };
+
+    /**
+     * Named keys; each name is also its KeyboardEvent.code
+     * @constant {Array<string>}
+     */
+    const NAMED_KEYS = [
+        'Space', 'Enter', 'Tab', 'Escape', 'Backspace', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+        'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+        'Backquote', 'Minus', 'Equal', 'BracketLeft', 'BracketRight', 'Backslash', 'Semicolon', 'Quote',
+        'Comma', 'Period', 'Slash'
+    ];
+
+    /**
+     * Mouse buttons and the event type each one fires
+     * @constant {Object<string, string>}
+     */
+    const MOUSE_BUTTONS = {
+        Click: 'click',
+        RightClick: 'contextmenu'
+    };
+
+    /**
+     * Default bindings per action
+     * Bare 'M' is convenient, but not in text fields (see isTypingBinding())
+     * @constant {Object<string, Array<string>>}
+     */
+    const DEFAULT_SHORTCUTS = {
+        menu: ['Alt+Click', 'Alt+RightClick', 'Alt+M', 'M'],
+        buffer: ['Alt+Z']
+    };
+
+    /**
+     * Default per-site overrides: sites whose own shortcuts use bare M
+     * (Gmail: mute conversation, YouTube: mute, GitHub: milestone)
+     * @constant {Object<string, Object<string, Array<string>>>}
+     */
+    const DEFAULT_SITE_OVERRIDES = {
+        'mail.google.com': { menu: ['Alt+Click', 'Alt+RightClick', 'Alt+M'] },
+        'youtube.com': { menu: ['Alt+Click', 'Alt+RightClick', 'Alt+M'] },
+        'github.com': { menu: ['Alt+Click', 'Alt+RightClick', 'Alt+M'] }
+    };
+
+    /**
+     * Parses a binding
+     *
+     * @param {string} text - Binding, e.g. 'Alt+Shift+L'
+     * @returns {Object|null} Parsed binding, or null if it is not a valid binding
+     *   { text, ctrl, alt, shift, meta, key, code, mouse }
+     *
+     * @example
+     * parseBinding('option+shift+l')
+     * // Returns: { text: 'Alt+Shift+L', ctrl: false, alt: true, shift: true, meta: false, key: 'L', code: 'KeyL', mouse: false }
+     *
+     * parseBinding('Alt+Shift');  // null (no key)
+     */
+    function parseBinding(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return null;
+        }
+
+        const binding = { ctrl: false, alt: false, shift: false, meta: false, key: null, code: null, mouse: false };
+        for (const part of text.split('+').map(value => value.trim())) {
+            const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+            if (modifier) {
+                binding[modifier.toLowerCase()] = true;
+                continue;
+            }
+            if (binding.key || !part) {
+                return null; // Two keys, or an empty part ('Alt++')
+            }
+
+            const key = parseKey(part);
+            if (!key) {
+                return null;
+            }
+            Object.assign(binding, key);
+        }
+
+        if (!binding.key) {
+            return null;
+        }
+
+        binding.text = formatBinding(binding);
+        return binding;
+    }
+
+    /**
+     * Parses the key part of a binding
+     *
+     * @param {string} part - Key name
+     * @returns {{key: string, code: string|null, mouse: boolean}|null} Key, code and whether it is a mouse button
+     */
+    function parseKey(part) {
+        if (/^[a-z]$/i.test(part)) {
+            return { key: part.toUpperCase(), code: `Key${part.toUpperCase()}`, mouse: false };
+        }
+        if (/^[0-9]$/.test(part)) {
+            return { key: part, code: `Digit${part}`, mouse: false };
+        }
+
+        const functionKey = part.match(/^f([1-9]|1[0-9]|2[0-4])$/i);
+        if (functionKey) {
+            return { key: `F${functionKey[1]}`, code: `F${functionKey[1]}`, mouse: false };
+        }
+
+        const mouseButton = Object.keys(MOUSE_BUTTONS).find(name => name.toLowerCase() === part.toLowerCase());
+        if (mouseButton) {
+            return { key: mouseButton, code: null, mouse: true };
+        }
+
+        const namedKey = NAMED_KEYS.find(name => name.toLowerCase() === part.toLowerCase());
+        return namedKey ? { key: namedKey, code: namedKey, mouse: false } : null;
+    }
+
+    /**
+     * Formats a parsed binding in canonical form (modifiers in MODIFIERS order, then the key)
+     *
+     * @param {Object} binding - Parsed binding
+     * @returns {string} Binding text
+     *
+     * @example
+     * formatBinding({ shift: true, alt: true, key: 'L' });  // 'Alt+Shift+L'
+     */
+    function formatBinding(binding) {
+        const modifiers = MODIFIERS.filter(modifier => binding[modifier.name.toLowerCase()]).map(modifier => modifier.name);
+        return [...modifiers, binding.key].join('+');
+    }
+
+    /**
+     * Tests whether an event has exactly the binding's modifiers
+     *
+     * @param {Object} binding - Parsed binding
+     * @param {KeyboardEvent|MouseEvent} event - Event
+     * @returns {boolean} True if the modifiers match
+     */
+    function modifiersMatch(binding, event) {
+        return MODIFIERS.every(modifier => !!event[modifier.eventProperty] === binding[modifier.name.toLowerCase()]);
+    }
+
+    /**
+     * Tests whether a keyboard event is the binding's key
+     * event.key is used while it is the character on the key; event.code (physical key) is used
+     * when Alt is held (macOS Option composes 'µ', 'å', ...), for dead and unidentified keys,
+     * with Shift (which changes digits and punctuation), and for punctuation named keys.
+     *
+     * @param {Object} binding - Parsed binding
+     * @param {KeyboardEvent} event - keydown or keyup event
+     * @returns {boolean} True if the key matches
+     */
+    function keyMatches(binding, event) {
+        const eventKey = event.key === ' ' ? 'Space' : (event.key || '');
+        const isComposed = event.altKey || eventKey === 'Dead' || eventKey === 'Unidentified' || !eventKey;
+
+        if (!isComposed && (eventKey.length === 1 ? eventKey.toUpperCase() : eventKey) === binding.key) {
+            return true;
+        }
+
+        const usesCode = isComposed || event.shiftKey || binding.code === binding.key;
+        return usesCode && !!event.code && event.code === binding.code;
+    }
+
+    /**
+     * Tests whether an event triggers a binding
+     *
+     * @param {Object} binding - Parsed binding
+     * @param {KeyboardEvent|MouseEvent} event - keydown, click or contextmenu event
+     * @returns {boolean} True if the event triggers the binding
+     *
+     * @example
+     * // macOS: Option+M types 'µ'
+     * matchesEvent(parseBinding('Alt+M'), { type: 'keydown', key: 'µ', code: 'KeyM', altKey: true });  // true
+     */
+    function matchesEvent(binding, event) {
+        if (!modifiersMatch(binding, event)) {
+            return false;
+        }
+        if (binding.mouse) {
+            return event.type === MOUSE_BUTTONS[binding.key];
+        }
+        return event.type === 'keydown' && keyMatches(binding, event);
+    }
+
+    /**
+     * Tests whether a binding's keys are held during an event (e.g. Alt+Z held while clicking)
+     *
+     * @param {Object} binding - Parsed keyboard binding
+     * @param {Set<string>} pressedCodes - KeyboardEvent.code of every key currently down
+     * @param {MouseEvent} event - Event with the current modifier state
+     * @returns {boolean} True if the modifiers match and the key is down
+     */
+    function isHeld(binding, pressedCodes, event) {
+        return !binding.mouse && modifiersMatch(binding, event) && pressedCodes.has(binding.code);
+    }
+
+    /**
+     * Tests whether a keyup event releases one of a binding's keys (its key or one of its modifiers)
+     *
+     * @param {Object} binding - Parsed keyboard binding
+     * @param {KeyboardEvent} event - keyup event
+     * @returns {boolean} True if the released key is part of the binding
+     */
+    function isReleasing(binding, event) {
+        if (event.code && event.code === binding.code) {
+            return true;
+        }
+        return MODIFIERS.some(modifier => binding[modifier.name.toLowerCase()] && event.key === modifier.key);
+    }
+
+    /**
+     * Tests whether a binding would fire while typing (no modifier other than Shift)
+     * Such bindings are ignored in text fields.
+     *
+     * @param {Object} binding - Parsed binding
+     * @returns {boolean} True for bindings like 'M' or 'Shift+M'
+     */
+    function isTypingBinding(binding) {
+        return !binding.mouse && !binding.ctrl && !binding.alt && !binding.meta;
+    }
+
+    /**
+     * Tests whether a hostname matches a site pattern
+     * 'example.com' and '*.example.com' both match example.com and all of its subdomains.
+     *
+     * @param {string} pattern - Site pattern
+     * @param {string} hostname - Hostname (location.hostname)
+     * @returns {boolean} True if the hostname is the site or one of its subdomains
+     *
+     * @example
+     * matchesSite('youtube.com', 'www.youtube.com');  // true
+     * matchesSite('youtube.com', 'notyoutube.com');   // false
+     */
+    function matchesSite(pattern, hostname) {
+        const site = pattern.toLowerCase().replace(/^\*\./, '');
+        const host = hostname.toLowerCase();
+        return host === site || host.endsWith(`.${site}`);
+    }
+
+    /**
+     * Resolves the bindings that apply on a site
+     *
+     * @param {Object} config - Shortcut configuration
+     * @param {Object<string, Array<string>>} [config.shortcuts=DEFAULT_SHORTCUTS] - Bindings per action
+     * @param {Array<string>} [config.enabledSites=[]] - Only these sites (all sites if empty)
+     * @param {Array<string>} [config.disabledSites=[]] - No shortcuts on these sites
+     * @param {Object<string, Object>} [config.overrides={}] - Per-site bindings per action; the most specific matching site wins
+     * @param {string} hostname - Hostname (location.hostname)
+     * @returns {{enabled: boolean, site: string|null, shortcuts: Object<string, Array<Object>>}} Parsed bindings per action
+     *   (invalid bindings are left out), and the override site used
+     *
+     * @example
+     * resolveShortcuts({ overrides: DEFAULT_SITE_OVERRIDES }, 'www.youtube.com').shortcuts.menu.map(binding => binding.text)
+     * // Returns: ['Alt+Click', 'Alt+RightClick', 'Alt+M']
+     */
+    function resolveShortcuts(config, hostname) {
+        const {
+            shortcuts = DEFAULT_SHORTCUTS,
+            enabledSites = [],
+            disabledSites = [],
+            overrides = {}
+        } = config;
+
+        const enabled = (enabledSites.length === 0 || enabledSites.some(site => matchesSite(site, hostname))) &&
+            !disabledSites.some(site => matchesSite(site, hostname));
+
+        // Most specific site first: 'mail.google.com' before 'google.com'
+        const site = Object.keys(overrides)
+            .filter(pattern => matchesSite(pattern, hostname))
+            .sort((a, b) => b.replace(/^\*\./, '').length - a.replace(/^\*\./, '').length)[0] || null;
+
+        const resolved = {};
+        for (const action of Object.keys(shortcuts)) {
+            const texts = site && overrides[site][action] ? overrides[site][action] : shortcuts[action];
+            resolved[action] = enabled ? texts.map(parseBinding).filter(Boolean) : [];
+        }
+
+        return { enabled, site, shortcuts: resolved };
+    }
+
+    /**
+     * Finds bindings used by more than one action
+     *
+     * @param {Object<string, Array<string>>} shortcuts - Bindings per action
+     * @returns {Array<{binding: string, actions: Array<string>}>} One entry per conflicting binding (canonical text)
+     *
+     * @example
+     * findConflicts({ menu: ['Alt+M', 'alt+z'], buffer: ['Alt+Z'] })
+     * // Returns: [{ binding: 'Alt+Z', actions: ['menu', 'buffer'] }]
+     */
+    function findConflicts(shortcuts) {
+        const actionsByBinding = new Map();
+        for (const [action, texts] of Object.entries(shortcuts)) {
+            for (const binding of texts.map(parseBinding).filter(Boolean)) {
+                const actions = actionsByBinding.get(binding.text) || [];
+                if (!actions.includes(action)) {
+                    actions.push(action);
+                }
+                actionsByBinding.set(binding.text, actions);
+            }
+        }
+
+        return Array.from(actionsByBinding.entries())
+            .filter(([, actions]) => actions.length > 1)
+            .map(([binding, actions]) => ({ binding, actions }));
+    }
+
+    return {
+        MODIFIERS,
+        NAMED_KEYS,
+        DEFAULT_SHORTCUTS,
+        DEFAULT_SITE_OVERRIDES,
+        parseBinding,
+        formatBinding,
+        matchesEvent,
+        isHeld,
+        isReleasing,
+        isTypingBinding,
+        matchesSite,
+        resolveShortcuts,
+        findConflicts
+    };
+});
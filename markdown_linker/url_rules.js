@@ -0,0 +1,407 @@
+/**
+ * @file url_rules.js
+ * @description Declarative per-site URL cleaning rules for Markdown Linker
+ * @author Zakk Hoyt
+ * @namespace MarkdownLinker.UrlRules
+ *
+ * cleanUrl() finds the first rule whose `hosts` pattern matches the hostname (and whose `path`
+ * pattern matches the pathname, if the rule has one) and applies it in this order:
+ * 1. `unwrap` - redirect links (google.com/url?q=...) are replaced by their target, which is cleaned again
+ * 2. `clean` - custom function; a string result is final (Amazon delegates to AmazonToolkit.cleanURL)
+ * 3. `rewrite` - new pathname, filled from the `path` pattern's named groups ('/dp/{asin}')
+ * 4. `hostname` - canonical hostname (mobile.twitter.com -> x.com)
+ * 5. `keep` / `drop` - query parameters to keep (everything else is dropped) or to drop
+ *
+ * TRACKING_PARAMS (or the `trackingParams` option) are dropped from every URL, with or without a rule.
+ * New sites only need a new entry in DEFAULT_RULES (or a `rules` option); cleanUrl() stays the same.
+ *
+ * Parameter patterns (`keep`, `drop`, TRACKING_PARAMS):
+ * - 'name'       - exact parameter name
+ * - 'prefix*'    - any parameter starting with prefix
+ * - 'name=value' - the parameter only when it has this value
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/URL MDN URL API}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Regular_expressions/Named_capturing_group MDN Named capturing groups}
+ */
+
+'use strict';
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS
+        module.exports = factory();
+    } else {
+        // Browser / userscript (@require): shared namespace
+        const { registerNamespace } = root.UserscriptCommon.Namespace;
+        registerNamespace('MarkdownLinker.UrlRules', factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+
+    /**
+     * Tracking parameters dropped from every URL
+     * @constant {Array<string>}
+     */
+    const TRACKING_PARAMS = [
+        // Google Analytics
+        'utm_*', '_ga', '_gl',
+        // Ad click IDs (Facebook, Google Ads, Microsoft, Twitter, Yandex, Instagram)
+        'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'twclid', 'yclid', 'igshid',
+        // Mailchimp, HubSpot, Marketo
+        'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok'
+    ];
+
+    /**
+     * Maximum number of redirect links unwrapped for one URL
+     * @constant {number}
+     */
+    const MAX_UNWRAP_DEPTH = 5;
+
+    /**
+     * Amazon product page path: /Product-Slug/dp/ASIN, /gp/product/ASIN
+     * @constant {RegExp}
+     */
+    const AMAZON_PRODUCT_PATH = /\/(?:dp|gp\/product)\/(?<asin>[A-Z0-9]{10})(?:[/?]|$)/;
+
+    /**
+     * Amazon tracking parameters, dropped from Amazon pages that are not product pages
+     * Affiliate parameters (tag, linkCode, ...) are not listed: the `affiliate` option decides.
+     * @constant {Array<string>}
+     */
+    const AMAZON_TRACKING_PARAMS = [
+        'ref', 'ref_', 'pf_rd_*', 'pd_rd_*', 'qid', 'sr', 'crid', 'sprefix', 'dib', 'dib_tag',
+        'content-id', '_encoding'
+    ];
+
+    /**
+     * Cleans Amazon product URLs with AmazonToolkit when the script loaded it
+     * Product URLs (including sponsored /sspa/click redirects to them) become /dp/ASIN, with the
+     * `affiliate` option applied. Other pages return null: AmazonToolkit.cleanURL drops
+     * their whole query (search terms included), so the rule's drop list is used instead, after
+     * the affiliate policy is applied to urlObj. Without the toolkit, affiliate parameters are kept.
+     *
+     * @param {URL} urlObj - URL to clean
+     * @param {Object} context - cleanUrl() options
+     * @returns {string|null} Cleaned URL, or null to fall back to the rule's rewrite/keep/drop
+     */
+    function cleanWithAmazonToolkit(urlObj, context) {
+        const toolkit = context.amazonToolkit;
+        if (!toolkit) {
+            return null;
+        }
+        if (!(toolkit.parseURL(urlObj.href) || {}).asin) {
+            applyAffiliatePolicy(urlObj, toolkit, context.affiliate);
+            return null;
+        }
+
+        const cleaned = toolkit.cleanURL(urlObj.href, { preserveVariants: false, affiliate: context.affiliate });
+        const urlData = cleaned ? toolkit.parseURL(cleaned) : null;
+        if (!urlData || !urlData.asin) {
+            return cleaned;
+        }
+
+        return toolkit.Links.buildAmazonURL({
+            asin: urlData.asin,
+            hostname: urlData.url.hostname,
+            protocol: urlData.url.protocol,
+            queryParams: urlData.url.queryParams
+        }, 'short', { affiliate: context.affiliate });
+    }
+
+    /**
+     * Replaces a URL's affiliate parameters with those the affiliate policy allows
+     *
+     * @param {URL} urlObj - URL to update in place
+     * @param {Object} toolkit - AmazonToolkit
+     * @param {Object} [affiliate] - Affiliate policy { policy, tag } (the toolkit default strips)
+     */
+    function applyAffiliatePolicy(urlObj, toolkit, affiliate) {
+        const queryParams = Object.fromEntries(urlObj.searchParams);
+        const affiliateParams = toolkit.Links.resolveAffiliateParams(queryParams, urlObj.hostname, affiliate);
+
+        for (const key of toolkit.Helpers.Validation.AFFILIATE_PARAM_KEYS) {
+            urlObj.searchParams.delete(key);
+        }
+        for (const [key, value] of Object.entries(affiliateParams)) {
+            urlObj.searchParams.append(key, value);
+        }
+    }
+
+    /**
+     * Built-in rules, tried in order; the first matching rule wins
+     *
+     * Rule fields:
+     * - name {string} - Shown in logs
+     * - hosts {RegExp} - Tested against the hostname
+     * - path {RegExp} - Optional; tested against the pathname, its named groups fill `rewrite`
+     * - unwrap {Array<string>} - Parameters holding a redirect target
+     * - clean {Function} - (urlObj, context, groups) => cleaned URL string, or null to continue
+     * - rewrite {string} - Pathname template ('/itm/{id}')
+     * - hostname {string} - Canonical hostname
+     * - keep {Array<string>} - Parameter patterns to keep; all others are dropped
+     * - drop {Array<string>} - Parameter patterns to drop
+     *
+     * @constant {Array<Object>}
+     */
+    const DEFAULT_RULES = [
+        {
+            name: 'Google redirect',
+            hosts: /^(www\.)?google\.[a-z.]+$/i,
+            path: /^\/url$/,
+            unwrap: ['q', 'url']
+        },
+        {
+            name: 'Google search',
+            hosts: /^(www\.)?google\.[a-z.]+$/i,
+            path: /^\/search$/,
+            keep: ['q', 'tbm', 'tbs']
+        },
+        {
+            name: 'YouTube short link',
+            hosts: /^youtu\.be$/i,
+            keep: ['t']
+        },
+        {
+            name: 'YouTube',
+            hosts: /^((www|m)\.)?youtube\.com$/i,
+            hostname: 'www.youtube.com',
+            keep: ['v', 't', 'list', 'index', 'search_query']
+        },
+        {
+            name: 'GitHub',
+            hosts: /^github\.com$/i,
+            drop: ['tab=readme-ov-file', 'ref_cta', 'ref_loc', 'ref_page', 'source', 'email_source', 'email_token', 'notification_referrer_id']
+        },
+        {
+            name: 'Reddit',
+            hosts: /^((www|old|new|np|m|amp)\.)?reddit\.com$/i,
+            drop: ['share_id', 'rdt', 'ref', 'ref_source', 'ref_campaign', 'correlation_id', 'post_fullname', 'post_index', '$deep_link', '_branch_*']
+        },
+        {
+            name: 'Twitter / X',
+            hosts: /^((www|mobile)\.)?(twitter|x)\.com$/i,
+            hostname: 'x.com',
+            keep: ['q', 'f']
+        },
+        {
+            name: 'LinkedIn',
+            hosts: /^([a-z]{2,3}\.)?linkedin\.com$/i,
+            hostname: 'www.linkedin.com',
+            drop: ['trk*', 'lipi', 'refId', 'trackingId', 'midToken', 'midSig', 'eid', 'originalSubdomain', 'li_fat_id', 'rcm']
+        },
+        {
+            name: 'eBay item',
+            hosts: /^((www|m)\.)?ebay\.[a-z.]+$/i,
+            path: /^\/itm\/(?:[^/]+\/)?(?<id>\d+)/,
+            rewrite: '/itm/{id}',
+            keep: ['var']
+        },
+        {
+            name: 'AliExpress item',
+            hosts: /^([a-z]+\.)?aliexpress\.(com|us|ru)$/i,
+            path: /^\/item\/(?<id>\d+)\.html/,
+            rewrite: '/item/{id}.html',
+            keep: ['sku_id']
+        },
+        {
+            name: 'Amazon product',
+            hosts: /^((www|smile)\.)?amazon\.[a-z.]+$/i,
+            path: AMAZON_PRODUCT_PATH,
+            clean: cleanWithAmazonToolkit,
+            rewrite: '/dp/{asin}',
+            keep: []
+        },
+        {
+            name: 'Amazon',
+            hosts: /^((www|smile)\.)?amazon\.[a-z.]+$/i,
+            clean: cleanWithAmazonToolkit,
+            drop: AMAZON_TRACKING_PARAMS
+        }
+    ];
+
+    /**
+     * Tests a query parameter against a parameter pattern ('name', 'prefix*', 'name=value')
+     *
+     * @param {string} pattern - Parameter pattern
+     * @param {string} key - Parameter name
+     * @param {string} value - Parameter value
+     * @returns {boolean} True if the parameter matches
+     *
+     * @example
+     * matchesParam('utm_*', 'utm_source', 'newsletter');           // true
+     * matchesParam('tab=readme-ov-file', 'tab', 'repositories');  // false
+     */
+    function matchesParam(pattern, key, value) {
+        if (pattern.endsWith('*')) {
+            return key.startsWith(pattern.slice(0, -1));
+        }
+
+        const separatorIndex = pattern.indexOf('=');
+        if (separatorIndex > 0) {
+            return key === pattern.slice(0, separatorIndex) && value === pattern.slice(separatorIndex + 1);
+        }
+
+        return key === pattern;
+    }
+
+    /**
+     * Fills a `{name}` template from named groups
+     *
+     * @param {string} template - Template ('/dp/{asin}')
+     * @param {Object} [values={}] - Values by name
+     * @returns {string} Filled template (unknown names become '')
+     *
+     * @example
+     * fillTemplate('/itm/{id}', { id: '123456789012' });  // '/itm/123456789012'
+     */
+    function fillTemplate(template, values = {}) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] || '');
+    }
+
+    /**
+     * Finds the rule that applies to a URL
+     *
+     * @param {string|URL} url - URL to match
+     * @param {Array<Object>} [rules=DEFAULT_RULES] - Rules, in priority order
+     * @returns {Object|null} The first matching rule, or null
+     *
+     * @example
+     * findRule('https://youtu.be/dQw4w9WgXcQ?si=abc').name;  // 'YouTube short link'
+     */
+    function findRule(url, rules = DEFAULT_RULES) {
+        let urlObj;
+        try {
+            urlObj = typeof url === 'string' ? new URL(url) : url;
+        } catch (error) {
+            return null;
+        }
+
+        return rules.find(rule =>
+            rule.hosts.test(urlObj.hostname) && (!rule.path || rule.path.test(urlObj.pathname))
+        ) || null;
+    }
+
+    /**
+     * Removes query parameters according to a rule and the tracking parameters
+     * @param {URL} urlObj - URL to modify in place
+     * @param {Object|null} rule - Matching rule
+     * @param {Array<string>} trackingParams - Parameter patterns dropped from every URL
+     * @returns {void}
+     */
+    function filterParams(urlObj, rule, trackingParams) {
+        const drop = rule && rule.drop ? [...trackingParams, ...rule.drop] : trackingParams;
+        const keep = rule ? rule.keep : undefined;
+
+        for (const [key, value] of Array.from(urlObj.searchParams.entries())) {
+            const isKept = !keep || keep.some(pattern => matchesParam(pattern, key, value));
+            const isDropped = drop.some(pattern => matchesParam(pattern, key, value));
+            if (!isKept || isDropped) {
+                urlObj.searchParams.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Returns the redirect target held in one of the rule's `unwrap` parameters
+     * @param {URL} urlObj - Redirect URL
+     * @param {Object} rule - Matching rule
+     * @returns {string|null} Absolute target URL or null
+     */
+    function extractRedirectTarget(urlObj, rule) {
+        for (const param of rule.unwrap) {
+            const value = urlObj.searchParams.get(param);
+            if (!value) {
+                continue;
+            }
+            try {
+                return new URL(value, urlObj.origin).href;
+            } catch (error) {
+                // Continue
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Cleans a URL using the per-site rules
+     *
+     * @param {string} url - URL to clean
+     * @param {Object} [options={}] - Cleaning options (also passed to rule `clean` functions)
+     * @param {Array<Object>} [options.rules=DEFAULT_RULES] - Rules, in priority order
+     * @param {Object} [options.amazonToolkit] - AmazonToolkit, used by the Amazon rules when available
+     * @param {Object} [options.affiliate] - Affiliate policy { policy, tag } for Amazon URLs (default: strip)
+     * @param {Array<string>} [options.trackingParams=TRACKING_PARAMS] - Parameter patterns dropped from every URL
+     * @returns {string} Cleaned URL (the input unchanged if it is not a valid URL)
+     *
+     * @example
+     * cleanUrl('https://youtu.be/dQw4w9WgXcQ?si=AbC123&t=42')
+     * // Returns: 'https://youtu.be/dQw4w9WgXcQ?t=42'
+     *
+     * cleanUrl('https://www.google.com/url?q=https://example.com/page%3Futm_source%3Dgoogle&sa=U')
+     * // Returns: 'https://example.com/page'
+     *
+     * cleanUrl('https://www.amazon.com/Some-Product/dp/B08N5WRWNW/ref=sr_1_1?th=1', { amazonToolkit: AmazonToolkit })
+     * // Returns: 'https://www.amazon.com/dp/B08N5WRWNW'
+     */
+    function cleanUrl(url, options = {}) {
+        return cleanUrlAtDepth(url, options, 0);
+    }
+
+    /**
+     * cleanUrl() with a redirect depth counter
+     * @param {string} url - URL to clean
+     * @param {Object} options - cleanUrl() options
+     * @param {number} depth - Number of redirects unwrapped so far
+     * @returns {string} Cleaned URL
+     */
+    function cleanUrlAtDepth(url, options, depth) {
+        const { rules = DEFAULT_RULES, trackingParams = TRACKING_PARAMS } = options;
+
+        let urlObj;
+        try {
+            urlObj = new URL(url);
+        } catch (error) {
+            return url;
+        }
+
+        const rule = findRule(urlObj, rules);
+        if (!rule) {
+            filterParams(urlObj, null, trackingParams);
+            return urlObj.toString();
+        }
+
+        if (rule.unwrap && depth < MAX_UNWRAP_DEPTH) {
+            const target = extractRedirectTarget(urlObj, rule);
+            if (target) {
+                return cleanUrlAtDepth(target, options, depth + 1);
+            }
+        }
+
+        const groups = rule.path ? (urlObj.pathname.match(rule.path) || {}).groups || {} : {};
+
+        if (rule.clean) {
+            const cleaned = rule.clean(urlObj, options, groups);
+            if (typeof cleaned === 'string' && cleaned) {
+                return cleaned;
+            }
+        }
+
+        if (rule.rewrite) {
+            urlObj.pathname = fillTemplate(rule.rewrite, groups);
+        }
+        if (rule.hostname) {
+            urlObj.hostname = rule.hostname;
+        }
+
+        filterParams(urlObj, rule, trackingParams);
+        return urlObj.toString();
+    }
+
+    return {
+        TRACKING_PARAMS,
+        DEFAULT_RULES,
+        matchesParam,
+        fillTemplate,
+        findRule,
+        cleanUrl
+    };
+});
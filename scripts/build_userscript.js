@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+/**
+ * @file build_userscript.js
+ * @description Bundles a userscript and its local @require modules into a single .user.js
+ * @author Zakk Hoyt
+ *
+ * During development, userscripts load shared libraries (userscript_common, amazon_toolkit)
+ * with `@require file://...` directives. Those only work on the machine that has the files.
+ * This script produces a self-contained copy that can be published:
+ *
+ * 1. Reads the userscript's metadata block (`// ==UserScript==` ... `// ==/UserScript==`)
+ * 2. Resolves each local `@require` (file:// URL or relative path) to a file in this repo.
+ *    Remote (http/https) `@require` lines are kept as-is.
+ * 3. Wraps each module in its own function scope and inlines it, in @require order
+ * 4. Bumps `@version` in the bundled metadata (the source file is not modified)
+ * 5. Verifies that every namespace the modules and the userscript use is registered,
+ *    and fails without writing the bundle if anything is unresolved
+ *
+ * Usage:
+ *   node scripts/build_userscript.js <path/to/script.user.js> [--out <path>] [--bump major|minor|patch|none]
+ *
+ * Output defaults to `dist/<script name>.user.js` at the repository root.
+ *
+ * @see {@link https://violentmonkey.github.io/api/metadata-block/ ViolentMonkey Metadata Block}
+ * @see {@link https://nodejs.org/api/vm.html Node.js vm}
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const DEFAULT_OUT_DIR = path.join(REPO_ROOT, 'dist');
+
+const METADATA_BEGIN = '// ==UserScript==';
+const METADATA_END = '// ==/UserScript==';
+
+/**
+ * Version components, by bump level
+ * @constant {Object<string, number>}
+ */
+const BUMP_LEVELS = { major: 0, minor: 1, patch: 2 };
+
+/**
+ * Globals available to modules while verifying the bundle in the vm sandbox
+ * @constant {Object}
+ */
+const SANDBOX_GLOBALS = { console, URL, URLSearchParams, setTimeout, clearTimeout };
+
+// ============================================================================
+// Metadata
+// ============================================================================
+
+/**
+ * Splits a userscript into its metadata block and the code that follows it
+ * @param {string} source - Userscript source
+ * @returns {Object} { metadataLines: Array<string>, body: string }
+ * @throws {Error} If the source has no complete metadata block
+ *
+ * @example
+ * const { metadataLines, body } = parseUserscript(fs.readFileSync('markdown_linker.user.js', 'utf8'));
+ * // metadataLines: ['// @name         Markdown Linker', '// @version      1.0.0', ...]
+ */
+function parseUserscript(source) {
+    const lines = source.split('\n');
+    const beginIndex = lines.findIndex(line => line.trim() === METADATA_BEGIN);
+    const endIndex = lines.findIndex(line => line.trim() === METADATA_END);
+
+    if (beginIndex === -1 || endIndex === -1 || endIndex < beginIndex) {
+        throw new Error(`Missing metadata block (${METADATA_BEGIN} ... ${METADATA_END})`);
+    }
+
+    return {
+        metadataLines: lines.slice(beginIndex + 1, endIndex),
+        body: lines.slice(endIndex + 1).join('\n')
+    };
+}
+
+/**
+ * Parses a single metadata line into its key and value
+ * @param {string} line - Metadata line (e.g. '// @require      file:///path/to/file.js')
+ * @returns {Object|null} { key, value }, or null if the line is not a metadata entry
+ *
+ * @example
+ * parseMetadataLine('// @version      1.0.0');  // { key: 'version', value: '1.0.0' }
+ */
+function parseMetadataLine(line) {
+    const match = line.match(/^\s*\/\/\s*@(\S+)\s*(.*?)\s*$/);
+    if (!match) {
+        return null;
+    }
+    return { key: match[1], value: match[2] };
+}
+
+/**
+ * Increments a version string
+ * Missing components are treated as 0 (e.g. '0.1' → '0.1.1' for a patch bump).
+ * @param {string} version - Current version (e.g. '1.2.3')
+ * @param {string} level - 'major', 'minor', 'patch' or 'none'
+ * @returns {string} Bumped version
+ * @throws {Error} If the version or level is invalid
+ *
+ * @example
+ * bumpVersion('1.0.0', 'patch');  // '1.0.1'
+ * bumpVersion('1.2.3', 'minor');  // '1.3.0'
+ */
+function bumpVersion(version, level) {
+    if (level === 'none') {
+        return version;
+    }
+    if (!(level in BUMP_LEVELS)) {
+        throw new Error(`Invalid bump level '${level}' (expected major, minor, patch or none)`);
+    }
+    if (!/^\d+(\.\d+)*$/.test(version)) {
+        throw new Error(`Cannot bump non-numeric @version '${version}'`);
+    }
+
+    const parts = version.split('.').map(Number);
+    while (parts.length < 3) {
+        parts.push(0);
+    }
+
+    const index = BUMP_LEVELS[level];
+    parts[index]++;
+    for (let i = index + 1; i < parts.length; i++) {
+        parts[i] = 0;
+    }
+    return parts.join('.');
+}
+
+// ============================================================================
+// @require Resolution
+// ============================================================================
+
+/**
+ * Resolves an @require value to a local file
+ * Tries, in order:
+ * 1. The path as given (absolute, or relative to the userscript)
+ * 2. The path relative to the repository root, starting at the first path segment that is a
+ *    top-level directory of this repo (so `file://path/to/amazon_toolkit/index.js` or another
+ *    machine's checkout path still resolves)
+ * @param {string} value - @require value (file:// URL or path)
+ * @param {string} scriptDir - Directory of the userscript being bundled
+ * @returns {string|null} Absolute path of the file, or null if it cannot be found
+ *
+ * @example
+ * resolveLocalRequire('file:///Users/me/greasemonkey/userscript_common/dom_helpers.js', scriptDir);
+ * // '<repo>/userscript_common/dom_helpers.js'
+ */
+function resolveLocalRequire(value, scriptDir) {
+    let requirePath = value;
+    if (requirePath.startsWith('file://')) {
+        requirePath = decodeURI(requirePath.slice('file://'.length));
+    }
+
+    // 1. As given
+    const directPath = path.resolve(scriptDir, requirePath);
+    if (fs.existsSync(directPath) && fs.statSync(directPath).isFile()) {
+        return directPath;
+    }
+
+    // 2. From the first segment that names a top-level directory of the repo
+    const segments = requirePath.split('/').filter(segment => segment.length > 0);
+    for (let i = 0; i < segments.length; i++) {
+        const topLevelDir = path.join(REPO_ROOT, segments[i]);
+        if (!fs.existsSync(topLevelDir) || !fs.statSync(topLevelDir).isDirectory()) {
+            continue;
+        }
+        const repoPath = path.join(REPO_ROOT, ...segments.slice(i));
+        if (fs.existsSync(repoPath) && fs.statSync(repoPath).isFile()) {
+            return repoPath;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Determines whether an @require value points to a remote resource
+ * @param {string} value - @require value
+ * @returns {boolean} True for http(s) URLs
+ */
+function isRemoteRequire(value) {
+    return /^https?:\/\//i.test(value);
+}
+
+// ============================================================================
+// Bundling
+// ============================================================================
+
+/**
+ * Wraps a module's source in its own function scope
+ * Top-level declarations stay private to the module; modules share state only through
+ * the namespaces they register on the global object.
+ * @param {string} relativePath - Module path relative to the repo root (used in comments)
+ * @param {string} source - Module source
+ * @returns {string} Wrapped module source
+ */
+function wrapModule(relativePath, source) {
+    return [
+        `// ---- Begin bundled module: ${relativePath} ----`,
+        '(function() {',
+        source.replace(/\s+$/, ''),
+        '}).call(this);',
+        `// ---- End bundled module: ${relativePath} ----`
+    ].join('\n');
+}
+
+/**
+ * Finds namespace references in userscript code (e.g. `AmazonToolkit.Links.parseAmazonURL`)
+ * @param {string} code - Userscript code
+ * @param {Array<string>} roots - Top-level namespace names registered by the bundled modules
+ * @returns {Array<string>} Unique dot-separated references, in order of appearance
+ *
+ * @example
+ * findNamespaceReferences("AmazonToolkit.Links.parseAmazonURL(url)", ['AmazonToolkit']);
+ * // ['AmazonToolkit.Links.parseAmazonURL']
+ */
+function findNamespaceReferences(code, roots) {
+    if (roots.length === 0) {
+        return [];
+    }
+
+    // Drop comments so documentation examples are not treated as code
+    const strippedCode = code
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/(^|[^:'"`\\])\/\/.*$/gm, '$1');
+
+    const references = new Set();
+
+    const chainPattern = new RegExp(`\\b(?:${roots.join('|')})(?:\\s*\\.\\s*[A-Za-z_$][\\w$]*)+`, 'g');
+    for (const match of strippedCode.matchAll(chainPattern)) {
+        references.add(match[0].replace(/\s+/g, ''));
+    }
+
+    const resolvePattern = /resolveNamespace\(\s*['"]([\w$.]+)['"]/g;
+    for (const match of strippedCode.matchAll(resolvePattern)) {
+        references.add(match[1]);
+    }
+
+    return [...references];
+}
+
+/**
+ * Checks whether a namespace reference resolves in the sandbox
+ * Resolution stops successfully at the first non-namespace value (e.g. a function), so
+ * `AmazonToolkit.extractProductData.call` is accepted.
+ * @param {Object} context - vm context the modules were loaded into
+ * @param {string} reference - Dot-separated reference
+ * @returns {boolean} True if every namespace along the path exists
+ */
+function isResolvable(context, reference) {
+    let node = context;
+    for (const key of reference.split('.')) {
+        if (node === null || typeof node !== 'object') {
+            return true;
+        }
+        if (!(key in node)) {
+            return false;
+        }
+        node = node[key];
+    }
+    return true;
+}
+
+/**
+ * Loads the bundled modules in a vm sandbox and lists every unresolved symbol
+ * Module load errors (e.g. `Namespace not registered: ...` from a missing or misordered
+ * @require, or a ReferenceError) and userscript references to unregistered namespaces
+ * are both reported.
+ * @param {Array<Object>} modules - Modules in @require order: { relativePath, wrapped }
+ * @param {string} body - Userscript code after the metadata block
+ * @returns {Array<string>} Problems found (empty if the bundle is consistent)
+ */
+function verifyBundle(modules, body) {
+    const problems = [];
+    const context = vm.createContext(Object.assign({}, SANDBOX_GLOBALS));
+    const initialKeys = new Set(Object.keys(context));
+
+    for (const bundledModule of modules) {
+        try {
+            vm.runInContext(bundledModule.wrapped, context, { filename: bundledModule.relativePath });
+        } catch (error) {
+            problems.push(`${bundledModule.relativePath}: ${error.message}`);
+        }
+    }
+
+    const roots = Object.keys(context).filter(key => !initialKeys.has(key));
+    for (const reference of findNamespaceReferences(body, roots)) {
+        if (!isResolvable(context, reference)) {
+            problems.push(`userscript: '${reference}' is not registered by any @require'd module`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Builds a bundled userscript
+ * @param {string} scriptPath - Path to the userscript (.user.js)
+ * @param {Object} [options={}] - Build options
+ * @param {string} [options.bump='patch'] - Version bump level: 'major', 'minor', 'patch' or 'none'
+ * @returns {Object} { output: string, version: string, bundledPaths: Array<string> }
+ * @throws {Error} If the metadata is invalid, a local @require cannot be found,
+ *     or the bundle has unresolved symbols
+ *
+ * @example
+ * const { output } = buildUserscript('markdown_linker/markdown_linker.user.js');
+ */
+function buildUserscript(scriptPath, options = {}) {
+    const { bump = 'patch' } = options;
+
+    const source = fs.readFileSync(scriptPath, 'utf8');
+    const scriptDir = path.dirname(path.resolve(scriptPath));
+    const { metadataLines, body } = parseUserscript(source);
+
+    const outputMetadata = [];
+    const modules = [];
+    const missing = [];
+    let version = null;
+
+    for (const line of metadataLines) {
+        const entry = parseMetadataLine(line);
+
+        if (entry && entry.key === 'version') {
+            version = bumpVersion(entry.value, bump);
+            outputMetadata.push(line.replace(entry.value, version));
+            continue;
+        }
+
+        if (entry && entry.key === 'require' && !isRemoteRequire(entry.value)) {
+            const resolvedPath = resolveLocalRequire(entry.value, scriptDir);
+            if (!resolvedPath) {
+                missing.push(entry.value);
+                continue;
+            }
+            const relativePath = path.relative(REPO_ROOT, resolvedPath).split(path.sep).join('/');
+            modules.push({
+                relativePath,
+                wrapped: wrapModule(relativePath, fs.readFileSync(resolvedPath, 'utf8'))
+            });
+            continue;
+        }
+
+        outputMetadata.push(line);
+    }
+
+    if (missing.length > 0) {
+        throw new Error(`Cannot resolve local @require:\n  ${missing.join('\n  ')}`);
+    }
+    if (version === null) {
+        throw new Error('Missing @version in metadata block');
+    }
+
+    const problems = verifyBundle(modules, body);
+    if (problems.length > 0) {
+        throw new Error(`Unresolved symbols:\n  ${problems.join('\n  ')}`);
+    }
+
+    const relativeScriptPath = path.relative(REPO_ROOT, path.resolve(scriptPath)).split(path.sep).join('/');
+    const output = [
+        METADATA_BEGIN,
+        ...outputMetadata,
+        METADATA_END,
+        '',
+        `// Generated by scripts/build_userscript.js from ${relativeScriptPath}. Do not edit.`,
+        '',
+        ...modules.map(bundledModule => bundledModule.wrapped + '\n'),
+        body.replace(/^\n+/, '')
+    ].join('\n');
+
+    return { output, version, bundledPaths: modules.map(bundledModule => bundledModule.relativePath) };
+}
+
+// ============================================================================
+// Command Line
+// ============================================================================
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} args - Arguments (without node and script path)
+ * @returns {Object} { scriptPath, outPath, bump }
+ * @throws {Error} If arguments are missing or unknown
+ */
+function parseArguments(args) {
+    const parsed = { scriptPath: null, outPath: null, bump: 'patch' };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--out') {
+            parsed.outPath = args[++i];
+        } else if (arg === '--bump') {
+            parsed.bump = args[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!parsed.scriptPath) {
+            parsed.scriptPath = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!parsed.scriptPath) {
+        throw new Error('Usage: node scripts/build_userscript.js <path/to/script.user.js> [--out <path>] [--bump major|minor|patch|none]');
+    }
+    if (!parsed.outPath) {
+        parsed.outPath = path.join(DEFAULT_OUT_DIR, path.basename(parsed.scriptPath));
+    }
+
+    return parsed;
+}
+
+/**
+ * Entry point: builds the bundle and writes it to disk
+ * @param {Array<string>} args - Command line arguments (without node and script path)
+ * @returns {void}
+ */
+function main(args) {
+    try {
+        const { scriptPath, outPath, bump } = parseArguments(args);
+        const { output, version, bundledPaths } = buildUserscript(scriptPath, { bump });
+
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, output);
+
+        console.log(`Bundled ${bundledPaths.length} module(s) into ${outPath} (@version ${version})`);
+        for (const bundledPath of bundledPaths) {
+            console.log(`  ${bundledPath}`);
+        }
+    } catch (error) {
+        console.error(`build_userscript: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    buildUserscript,
+    bumpVersion,
+    parseUserscript,
+    resolveLocalRequire,
+    findNamespaceReferences
+};
@@ -0,0 +1,119 @@
+/**
+ * @file build_userscript.test.js
+ * @description Unit tests for the userscript bundler: metadata, @require resolution, versions and unresolved symbols
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Builder = require('../scripts/build_userscript.js');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const NAMESPACE_HELPERS = path.join(REPO_ROOT, 'userscript_common', 'namespace_helpers.js');
+const DOM_HELPERS = path.join(REPO_ROOT, 'userscript_common', 'dom_helpers.js');
+
+/**
+ * Creates a temporary directory
+ * @param {Object} t - Test context (the directory is removed after the test)
+ * @returns {string} Path of the directory
+ */
+function createTempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'build_userscript-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+/**
+ * Writes a userscript to a temporary directory
+ * @param {Object} t - Test context (the directory is removed after the test)
+ * @param {Array<string>} requires - @require values
+ * @param {string} body - Code after the metadata block
+ * @returns {string} Path of the userscript
+ */
+function writeUserscript(t, requires, body) {
+    const scriptPath = path.join(createTempDirectory(t), 'fixture.user.js');
+    fs.writeFileSync(scriptPath, [
+        '// ==UserScript==',
+        '// @name         Fixture',
+        '// @version      1.2.3',
+        ...requires.map(value => `// @require      ${value}`),
+        '// ==/UserScript==',
+        body
+    ].join('\n'));
+    return scriptPath;
+}
+
+test('parseUserscript splits the metadata block from the body', () => {
+    const source = '// ==UserScript==\n// @name Test\n// @version 1.0\n// ==/UserScript==\n\nrun();';
+
+    assert.deepEqual(Builder.parseUserscript(source), {
+        metadataLines: ['// @name Test', '// @version 1.0'],
+        body: '\nrun();'
+    });
+    assert.throws(() => Builder.parseUserscript('run();'), /Missing metadata block/);
+    assert.throws(() => Builder.parseUserscript('// ==/UserScript==\n// ==UserScript=='), /Missing metadata block/);
+});
+
+test('bumpVersion increments one component and resets the ones after it', () => {
+    assert.equal(Builder.bumpVersion('1.0.0', 'patch'), '1.0.1');
+    assert.equal(Builder.bumpVersion('1.2.3', 'minor'), '1.3.0');
+    assert.equal(Builder.bumpVersion('1.2.3', 'major'), '2.0.0');
+    assert.equal(Builder.bumpVersion('0.1', 'patch'), '0.1.1');
+    assert.equal(Builder.bumpVersion('1.0-beta', 'none'), '1.0-beta');
+
+    assert.throws(() => Builder.bumpVersion('1.0-beta', 'patch'), /non-numeric/);
+    assert.throws(() => Builder.bumpVersion('1.0.0', 'micro'), /Invalid bump level/);
+});
+
+test('resolveLocalRequire finds files by path, file:// URL or another checkout path', () => {
+    const scriptDir = path.join(REPO_ROOT, 'markdown_linker');
+
+    assert.equal(Builder.resolveLocalRequire('../userscript_common/dom_helpers.js', scriptDir), DOM_HELPERS);
+    assert.equal(Builder.resolveLocalRequire(`file://${DOM_HELPERS}`, scriptDir), DOM_HELPERS);
+    assert.equal(Builder.resolveLocalRequire('file:///Users/someone/greasemonkey/userscript_common/dom_helpers.js', scriptDir),
+        DOM_HELPERS);
+    assert.equal(Builder.resolveLocalRequire('file:///Users/someone/greasemonkey/userscript_common/missing.js', scriptDir), null);
+    assert.equal(Builder.resolveLocalRequire('../userscript_common', scriptDir), null);
+});
+
+test('buildUserscript inlines local @require modules and bumps the version', (t) => {
+    const scriptPath = writeUserscript(t, [`file://${NAMESPACE_HELPERS}`, 'https://example.com/remote.js'],
+        "UserscriptCommon.Namespace.resolveNamespace('UserscriptCommon.Namespace');");
+
+    const { output, version, bundledPaths } = Builder.buildUserscript(scriptPath, { bump: 'minor' });
+
+    assert.equal(version, '1.3.0');
+    assert.deepEqual(bundledPaths, ['userscript_common/namespace_helpers.js']);
+    assert.match(output, /\/\/ @version {6}1\.3\.0\n/);
+    assert.match(output, /\/\/ @require {6}https:\/\/example\.com\/remote\.js\n/);
+    assert.doesNotMatch(output, /@require {6}file:/);
+    assert.match(output, /\/\/ ---- Begin bundled module: userscript_common\/namespace_helpers\.js ----/);
+});
+
+test('buildUserscript fails on unresolved symbols and missing modules', (t) => {
+    // A module that uses an undeclared name while it loads
+    const modulePath = path.join(createTempDirectory(t), 'broken_module.js');
+    fs.writeFileSync(modulePath, "UserscriptCommon.Namespace.registerNamespace('Broken', { query: safeQeury('a') });\n");
+    const typo = writeUserscript(t, [`file://${NAMESPACE_HELPERS}`, `file://${modulePath}`], '');
+    assert.throws(() => Builder.buildUserscript(typo), /Unresolved symbols:\n.*broken_module\.js: safeQeury is not defined/);
+
+    const unregistered = writeUserscript(t, [`file://${NAMESPACE_HELPERS}`], 'UserscriptCommon.DOM.safeQuery("a");');
+    assert.throws(() => Builder.buildUserscript(unregistered), /'UserscriptCommon\.DOM\.safeQuery' is not registered/);
+
+    const misordered = writeUserscript(t, [`file://${DOM_HELPERS}`, `file://${NAMESPACE_HELPERS}`], '');
+    assert.throws(() => Builder.buildUserscript(misordered), /userscript_common\/dom_helpers\.js: /);
+
+    const missing = writeUserscript(t, ['file:///nowhere/missing_module.js'], '');
+    assert.throws(() => Builder.buildUserscript(missing), /Cannot resolve local @require:\n {2}file:\/\/\/nowhere\/missing_module\.js/);
+});
@@ -0,0 +1,114 @@
+/**
+ * @file link_cleaner.test.js
+ * @description Unit tests for the affiliate tag policy in URL cleaning and building, and for marketplace links
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Cleaner = require('../amazon_toolkit/links/link_cleaner.js');
+const Markdown = require('../amazon_toolkit/markdown/markdown_generator.js');
+const { parseAmazonURL } = require('../amazon_toolkit/links/link_parser.js');
+
+const AFFILIATE_URL = 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&tag=other-20&linkCode=ll1&linkId=abc123&ref_=as_li_ss_tl';
+
+test('parseAmazonURL reports affiliate links in tracking', () => {
+    assert.deepEqual(parseAmazonURL(AFFILIATE_URL).tracking, {
+        affiliateTag: 'other-20',
+        affiliateParams: { tag: 'other-20', linkCode: 'll1', linkId: 'abc123' },
+        isAffiliateLink: true
+    });
+    assert.equal(parseAmazonURL('https://www.amazon.com/dp/B08N5WRWNW').tracking.isAffiliateLink, false);
+});
+
+test('buildAmazonURL applies the policy in every format', () => {
+    const { queryParams } = parseAmazonURL(AFFILIATE_URL).url;
+    const build = (format, affiliate) => Cleaner.buildAmazonURL({ asin: 'B08N5WRWNW', queryParams }, format, { affiliate });
+
+    assert.equal(build('short', { policy: 'strip' }), 'https://www.amazon.com/dp/B08N5WRWNW');
+    assert.equal(build('medium', { policy: 'strip' }), 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1');
+    assert.equal(build('long', { policy: 'strip' }), 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&ref_=as_li_ss_tl');
+
+    assert.equal(build('short', { policy: 'replace', tag: 'mystore-20' }), 'https://www.amazon.com/dp/B08N5WRWNW?tag=mystore-20');
+    assert.equal(build('long', { policy: 'replace', tag: 'mystore-20' }),
+        'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&ref_=as_li_ss_tl&tag=mystore-20');
+
+    assert.equal(build('medium', { policy: 'preserve' }),
+        'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&tag=other-20&linkCode=ll1&linkId=abc123');
+});
+
+test('replace uses the tag for the marketplace and strips where there is none', () => {
+    const affiliate = { policy: 'replace', tag: { com: 'mystore-20', de: 'mystore-21' } };
+
+    assert.deepEqual(
+        Cleaner.buildMarketplaceURLs(AFFILIATE_URL, ['de', 'fr'], { affiliate }).map(link => link.url),
+        ['https://www.amazon.de/dp/B08N5WRWNW?th=1&psc=1&tag=mystore-21', 'https://www.amazon.fr/dp/B08N5WRWNW?th=1&psc=1']
+    );
+
+    // Invalid tags are never added
+    assert.equal(Cleaner.cleanAmazonURL(AFFILIATE_URL, { affiliate: { policy: 'replace', tag: 'not a tag' } }),
+        'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1');
+});
+
+test('cleanAmazonURL strips affiliate parameters without an affiliate option', () => {
+    assert.equal(Cleaner.cleanAmazonURL(AFFILIATE_URL), 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1');
+    assert.deepEqual(Cleaner.resolveAffiliateParams({ tag: 'other-20' }, 'www.amazon.com'), {});
+
+    // Unknown policies strip too
+    assert.equal(Cleaner.cleanAmazonURL(AFFILIATE_URL, { affiliate: { policy: 'keep' } }),
+        'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1');
+});
+
+test('convertToMarketplace keeps only the variant parameters', () => {
+    const url = 'https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&smid=A1B2C3&ref_=abc';
+
+    assert.equal(Cleaner.convertToMarketplace(url, 'de'), 'https://www.amazon.de/dp/B08N5WRWNW?th=1&psc=1');
+    assert.equal(Cleaner.convertToMarketplace(url, 'www.amazon.co.uk', { preserveVariants: false }),
+        'https://www.amazon.co.uk/dp/B08N5WRWNW');
+});
+
+test('convertToMarketplace returns null for unknown marketplaces and short links', () => {
+    assert.equal(Cleaner.convertToMarketplace(AFFILIATE_URL, 'xx'), null);
+    // amzn.to links carry no ASIN until they are resolved
+    assert.equal(Cleaner.convertToMarketplace('https://amzn.to/3abcDEF', 'de'), null);
+    assert.deepEqual(Cleaner.buildMarketplaceURLs('https://amzn.to/3abcDEF', ['de']), []);
+});
+
+test('buildMarketplaceURLs skips unknown marketplaces and can exclude the source', () => {
+    const domains = (options) => Cleaner.buildMarketplaceURLs(AFFILIATE_URL, ['com', 'xx', 'co.uk'], options)
+        .map(link => `${link.label} ${link.domain}`);
+
+    assert.deepEqual(domains(), ['US com', 'UK co.uk']);
+    assert.deepEqual(domains({ excludeSource: true }), ['UK co.uk']);
+});
+
+test('a single replace tag is only used on the source marketplace', () => {
+    const affiliate = { policy: 'replace', tag: 'mystore-20' };
+
+    assert.deepEqual(
+        Cleaner.buildMarketplaceURLs(AFFILIATE_URL, ['com', 'de'], { affiliate }).map(link => link.url),
+        ['https://www.amazon.com/dp/B08N5WRWNW?th=1&psc=1&tag=mystore-20', 'https://www.amazon.de/dp/B08N5WRWNW?th=1&psc=1']
+    );
+
+    // A preserved tag belongs to the source marketplace and is not carried over either
+    assert.equal(Cleaner.convertToMarketplace(AFFILIATE_URL, 'de', { affiliate: { policy: 'preserve' } }),
+        'https://www.amazon.de/dp/B08N5WRWNW?th=1&psc=1');
+});
+
+test('generateMarketplaceLinks renders mini-links without the source marketplace', () => {
+    const productData = parseAmazonURL(AFFILIATE_URL);
+
+    assert.equal(Markdown.generateMarketplaceLinks(productData, ['com', 'co.uk', 'de']),
+        '[UK](https://www.amazon.co.uk/dp/B08N5WRWNW) | [DE](https://www.amazon.de/dp/B08N5WRWNW)');
+    assert.equal(Markdown.generateMarketplaceLinks(productData, ['co.uk'], { urlFormat: 'medium', separator: ' · ' }),
+        '[UK](https://www.amazon.co.uk/dp/B08N5WRWNW?th=1&psc=1)');
+    assert.equal(Markdown.generateMarketplaceLinks(productData, ['com']), '');
+});
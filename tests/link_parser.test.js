@@ -0,0 +1,96 @@
+/**
+ * @file link_parser.test.js
+ * @description Unit tests for redirect unwrapping, short links and the short-link resolver hook
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Parser = require('../amazon_toolkit/links/link_parser.js');
+const { cleanAmazonURL } = require('../amazon_toolkit/links/link_cleaner.js');
+
+const SPONSORED_URL = 'https://www.amazon.com/sspa/click?ie=UTF8&spc=MTo0NTQ0&sp_csd=d2lk' +
+    '&url=%2FSony-WH-1000XM4-Canceling-Headphones-phone-call%2Fdp%2FB0863TXGM3%2Fref%3Dsr_1_1_sspa%3Fkeywords%3Dheadphones%26qid%3D1700000000%26sr%3D8-1-spons%26psc%3D1';
+
+test('sponsored /sspa/click links parse as the product they lead to', () => {
+    const urlData = Parser.parseAmazonURL(SPONSORED_URL);
+
+    assert.equal(urlData.type, 'product');
+    assert.equal(urlData.asin, 'B0863TXGM3');
+    assert.equal(urlData.url.original, SPONSORED_URL);
+    assert.deepEqual(urlData.url.redirects, [SPONSORED_URL]);
+    assert.deepEqual(urlData.url.variantParams, { psc: '1' });
+    assert.equal(cleanAmazonURL(SPONSORED_URL),
+        'https://www.amazon.com/Sony-WH-1000XM4-Canceling-Headphones-phone-call/dp/B0863TXGM3/ref=sr_1_1_sspa?psc=1');
+});
+
+test('nested and double-encoded redirect targets are decoded', () => {
+    const doubleEncoded = 'https://www.amazon.com/gp/r.html?C=ABC&R=DEF&T=C' +
+        '&U=https%253A%252F%252Fwww.amazon.co.uk%252Fdp%252FB0863TXGM3%253Fth%253D1&A=GHI';
+    assert.equal(Parser.unwrapRedirectURL(doubleEncoded), 'https://www.amazon.co.uk/dp/B0863TXGM3?th=1');
+
+    const nested = 'https://www.amazon.com/gp/slredirect/picassoRedirect.html/ref=pa_sp_atf_aps_sr_pg1_1?ie=UTF8' +
+        '&adId=A01&url=%2Fgp%2Fr.html%3FU%3D%252Fdp%252FB08N5WRWNW%253Fpsc%253D1';
+    const urlData = Parser.parseAmazonURL(nested);
+    assert.equal(urlData.type, 'product');
+    assert.equal(urlData.asin, 'B08N5WRWNW');
+    assert.equal(urlData.url.clean, 'https://www.amazon.com/dp/B08N5WRWNW?psc=1');
+    assert.equal(urlData.url.redirects.length, 2);
+});
+
+test('off-site redirect targets are not followed, but the ASIN is still recovered', () => {
+    const urlData = Parser.parseAmazonURL(
+        'https://www.amazon.com/gp/redirect.html?location=https%3A%2F%2Fexample.com%2Fgo%3Fasin%3DB08N5WRWNW');
+
+    assert.equal(urlData.type, 'redirect');
+    assert.equal(urlData.asin, 'B08N5WRWNW');
+    assert.deepEqual(urlData.url.redirects, []);
+});
+
+test('short links are classified without network access', () => {
+    assert.equal(Parser.parseAmazonURL('https://amzn.to/3xYzAbC').type, 'shortlink');
+    assert.equal(Parser.parseAmazonURL('https://a.co/d/1AbCdEf').asin, null);
+    assert.equal(Parser.parseAmazonURL('https://amzn.com/B08N5WRWNW').asin, 'B08N5WRWNW');
+    assert.equal(Parser.parseAmazonURL('https://bit.ly/3xYzAbC'), null);
+
+    const found = Parser.parseAmazonURLsFromText('Deal: https://amzn.to/3xYzAbC or https://a.co/d/1AbCdEf');
+    assert.deepEqual(found.map(urlData => urlData.type), ['shortlink', 'shortlink']);
+});
+
+test('resolveAmazonURL expands short links through the resolver', async () => {
+    const resolved = await Parser.resolveAmazonURL('https://amzn.to/3xYzAbC', {
+        resolver: async () => 'https://www.amazon.com/dp/B08N5WRWNW?th=1&tag=example-20'
+    });
+    assert.equal(resolved.type, 'product');
+    assert.equal(resolved.asin, 'B08N5WRWNW');
+    assert.equal(resolved.url.original, 'https://amzn.to/3xYzAbC');
+    assert.deepEqual(resolved.url.redirects, ['https://amzn.to/3xYzAbC']);
+
+    // No resolver, or a failing one: the short link comes back unexpanded
+    assert.equal((await Parser.resolveAmazonURL('https://amzn.to/3xYzAbC')).type, 'shortlink');
+    const failed = await Parser.resolveAmazonURL('https://a.co/d/1AbCdEf', {
+        resolver: async () => { throw new Error('offline'); }
+    });
+    assert.equal(failed.type, 'shortlink');
+});
+
+test('setShortLinkResolver sets the default resolver', async (t) => {
+    t.after(() => Parser.setShortLinkResolver(null));
+
+    Parser.setShortLinkResolver(url => url.replace('https://amzn.to/3xYzAbC', 'https://www.amazon.de/dp/B0863TXGM3'));
+    const resolved = await Parser.resolveAmazonURL('https://amzn.to/3xYzAbC');
+    assert.equal(resolved.url.hostname, 'www.amazon.de');
+    assert.equal(resolved.asin, 'B0863TXGM3');
+
+    // Regular URLs never reach the resolver
+    Parser.setShortLinkResolver(() => assert.fail('resolver called'));
+    assert.equal((await Parser.resolveAmazonURL('https://www.amazon.com/dp/B08N5WRWNW')).asin, 'B08N5WRWNW');
+});
@@ -0,0 +1,39 @@
+/**
+ * @file listing_extractor.test.js
+ * @description Unit tests for the listing extractor's deal countdown parsing
+ * @author Zakk Hoyt
+ *
+ * Page-level extraction (ranks, deals, breadcrumbs) is covered by the bestsellers/, deals/ and
+ * category/ fixtures in tests/run_fixture_tests.js.
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDealCountdown } = require('../amazon_toolkit/extractors/listing_extractor.js');
+
+test('parseDealCountdown reads clock countdowns', () => {
+    assert.equal(parseDealCountdown('Ends in 05:12:33'), 18753);
+    assert.equal(parseDealCountdown('Ends in 12:05'), 725);
+    assert.equal(parseDealCountdown('0:00:09'), 9);
+});
+
+test('parseDealCountdown adds up unit countdowns', () => {
+    assert.equal(parseDealCountdown('Ends in 2h 5m'), 7500);
+    assert.equal(parseDealCountdown('Ends in 1 day'), 86400);
+    assert.equal(parseDealCountdown('Ends in 2 days 3 hours'), 183600);
+    assert.equal(parseDealCountdown('45 mins 10 secs'), 2710);
+});
+
+test('parseDealCountdown returns null without a countdown', () => {
+    assert.equal(parseDealCountdown(''), null);
+    assert.equal(parseDealCountdown(null), null);
+    assert.equal(parseDealCountdown('Limited time deal'), null);
+});
@@ -0,0 +1,83 @@
+/**
+ * @file markdown_generator.test.js
+ * @description Unit tests for the product markdown generators' minConfidence / onLowConfidence check
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Generator = require('../amazon_toolkit/markdown/markdown_generator.js');
+const Logging = require('../userscript_common/logging_helpers.js');
+
+/**
+ * Builds product data with a confidence report
+ * @param {number} [overall] - Overall confidence (no report if omitted)
+ * @returns {Object} Product data
+ */
+function productWithConfidence(overall) {
+    const productData = { asin: 'B08N5WRWNW', title: 'Nintendo Switch', metadata: {} };
+    if (overall !== undefined) {
+        productData.metadata.confidence = { overall, conflicts: [{ field: 'title' }] };
+    }
+    return productData;
+}
+
+const LINK = '[Nintendo Switch](https://www.amazon.com/dp/B08N5WRWNW)';
+
+test('isLowConfidence compares the overall confidence when a minimum is given', () => {
+    assert.equal(Generator.isLowConfidence(productWithConfidence(0.4), 0.6), true);
+    assert.equal(Generator.isLowConfidence(productWithConfidence(0.6), 0.6), false);
+    assert.equal(Generator.isLowConfidence(productWithConfidence(0.4)), false);
+    assert.equal(Generator.isLowConfidence(productWithConfidence(), 0.6), false);
+});
+
+test('warn logs the low confidence and generates anyway', (t) => {
+    Logging.setDebugMode(true);
+    t.after(() => Logging.setDebugMode(false));
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const productData = productWithConfidence(0.4);
+    assert.equal(Generator.passesConfidenceCheck(productData, { minConfidence: 0.6 }), true);
+    assert.equal(Generator.generateProductLink(productData, { minConfidence: 0.6, onLowConfidence: 'warn' }), LINK);
+
+    assert.equal(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments.join(' '), /Low-confidence product data \(0\.4 < 0\.6\)/);
+});
+
+test('refuse generates nothing below the minimum', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const options = { minConfidence: 0.6, onLowConfidence: 'refuse' };
+
+    assert.equal(Generator.passesConfidenceCheck(productWithConfidence(0.4), options), false);
+    assert.equal(Generator.generateProductLink(productWithConfidence(0.4), options), '');
+    assert.equal(Generator.generateProductCombined(productWithConfidence(0.4), options), '');
+
+    assert.equal(Generator.generateProductLink(productWithConfidence(0.9), options), LINK);
+    assert.equal(Generator.generateProductLink(productWithConfidence(), options), LINK);
+});
+
+test('a callback receives the report and decides', () => {
+    const reports = [];
+    const onLowConfidence = report => {
+        reports.push(report);
+        return report.overall >= 0.3;
+    };
+
+    assert.equal(Generator.generateProductLink(productWithConfidence(0.4), { minConfidence: 0.6, onLowConfidence }), LINK);
+    assert.equal(Generator.generateProductLink(productWithConfidence(0.2), { minConfidence: 0.6, onLowConfidence }), '');
+    assert.equal(Generator.generateProductLink(productWithConfidence(0.9), { minConfidence: 0.6, onLowConfidence }), LINK);
+
+    assert.deepEqual(reports.map(report => report.overall), [0.4, 0.2]);
+
+    // Anything but true refuses
+    assert.equal(Generator.passesConfidenceCheck(productWithConfidence(0.4), { minConfidence: 0.6, onLowConfidence: () => 1 }),
+        false);
+});
@@ -0,0 +1,87 @@
+/**
+ * @file markdown_templates.test.js
+ * @description Unit tests for markdown_linker's output templates: placeholders, single links and lists
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Templates = require('../markdown_linker/markdown_templates.js');
+
+const DATE = new Date(2025, 10, 4);
+const CONTEXT = { selection: 'Selected words', description: 'Page description', date: DATE };
+
+/**
+ * Renders one link with a built-in template
+ * @param {string} name - Template name
+ * @param {string} title - Link title
+ * @param {string} url - Link URL
+ * @returns {string} Markdown
+ */
+function render(name, title, url) {
+    return Templates.renderLink(Templates.findTemplate(name), Templates.buildValues(title, url, CONTEXT));
+}
+
+test('buildValues fills every placeholder', () => {
+    const values = Templates.buildValues('Example', 'https://www.example.com/post?id=3', CONTEXT);
+
+    assert.deepEqual(Object.keys(values), Templates.PLACEHOLDERS);
+    assert.deepEqual(values, {
+        title: 'Example',
+        url: 'https://www.example.com/post?id=3',
+        host: 'example.com',
+        date: '2025-11-04',
+        selection: 'Selected words',
+        description: 'Page description'
+    });
+    assert.equal(Templates.buildValues('Example', 'not a url').host, '');
+    assert.equal(Templates.buildValues('Example', 'https://example.com').selection, '');
+});
+
+test('built-in templates render single links', () => {
+    const url = 'https://github.com/zakkhoyt/greasemonkey';
+
+    assert.equal(render('Inline link', 'greasemonkey', url), `[greasemonkey](${url})`);
+    assert.equal(render('Reference link', 'greasemonkey', url), `[greasemonkey][]\n\n[greasemonkey]: ${url}`);
+    assert.equal(render('Task item', 'greasemonkey', url), `- [ ] [greasemonkey](${url})`);
+    assert.equal(render('Link with host', 'greasemonkey', url), `[greasemonkey](${url}) — github.com`);
+    assert.equal(render('Table row', 'greasemonkey', url), `| [greasemonkey](${url}) | github.com |`);
+});
+
+test('renderList uses the item template and collects definitions after the list', () => {
+    const valuesList = [
+        Templates.buildValues('A', 'https://a.example/', CONTEXT),
+        Templates.buildValues('B', 'https://b.example/', CONTEXT)
+    ];
+
+    assert.equal(Templates.renderList(Templates.findTemplate('Inline link'), valuesList),
+        '* [A](https://a.example/)\n* [B](https://b.example/)');
+    assert.equal(Templates.renderList(Templates.findTemplate('Task item'), valuesList),
+        '- [ ] [A](https://a.example/)\n- [ ] [B](https://b.example/)');
+    assert.equal(Templates.renderList(Templates.findTemplate('Reference link'), valuesList),
+        '* [A][]\n* [B][]\n\n[A]: https://a.example/\n[B]: https://b.example/');
+    assert.equal(Templates.renderList(Templates.findTemplate('Inline link'), valuesList, [0, 1]),
+        '* [A](https://a.example/)\n  * [B](https://b.example/)');
+});
+
+test('custom templates can use every placeholder', () => {
+    const template = { name: 'Journal', link: '{date} [{title}]({url}) ({host}): {description} > {selection}' };
+
+    assert.equal(Templates.renderLink(template, Templates.buildValues('Post', 'https://example.com/p', CONTEXT)),
+        '2025-11-04 [Post](https://example.com/p) (example.com): Page description > Selected words');
+});
+
+test('unknown placeholders are kept and unknown template names fall back to the first template', () => {
+    assert.equal(Templates.fillPlaceholders('[{title}]({link})', { title: 'T' }), '[T]({link})');
+    assert.equal(Templates.findTemplate('Missing').name, 'Inline link');
+    assert.equal(Templates.findTemplate('Mine', [{ name: 'Mine', link: '<{url}>' }]).link, '<{url}>');
+    assert.equal(Templates.formatDate(new Date(2026, 0, 9)), '2026-01-09');
+});
@@ -0,0 +1,140 @@
+/**
+ * @file marketplace_helpers.test.js
+ * @description Unit tests for the marketplace table: price parsing, currency detection,
+ * price formatting and localized title cleaning on every supported Amazon domain
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Marketplace = require('../amazon_toolkit/helpers/marketplace_helpers.js');
+const { cleanProductTitle } = require('../amazon_toolkit/extractors/shared_extractor.js');
+const { formatPrice } = require('../amazon_toolkit/markdown/markdown_formatter.js');
+const { AMAZON_DOMAIN_PATTERN } = require('../amazon_toolkit/helpers/validation_helpers.js');
+
+/**
+ * One sample per marketplace: a price as the site displays it, its value and symbol,
+ * and how 1299.5 is formatted there
+ * @constant {Array<Object>}
+ */
+const SAMPLES = [
+    { domain: 'com', price: '$1,299.00', value: 1299, symbol: '$', formatted: '$1,299.50' },
+    { domain: 'co.uk', price: '£1,299.00', value: 1299, symbol: '£', formatted: '£1,299.50' },
+    { domain: 'ca', price: '$24.99', value: 24.99, symbol: '$', formatted: '$1,299.50' },
+    { domain: 'com.au', price: '$1,049.95', value: 1049.95, symbol: '$', formatted: '$1,299.50' },
+    { domain: 'in', price: '₹1,29,999.00', value: 129999, symbol: '₹', formatted: '₹1,299.50' },
+    { domain: 'sg', price: 'S$1,299.00', value: 1299, symbol: 'S$', formatted: 'S$1,299.50' },
+    { domain: 'ae', price: 'AED 1,299.00', value: 1299, symbol: 'AED', formatted: 'AED 1,299.50' },
+    { domain: 'sa', price: 'SAR 1,299.00', value: 1299, symbol: 'SAR', formatted: 'SAR 1,299.50' },
+    { domain: 'de', price: '1.299,00 €', value: 1299, symbol: '€', formatted: '1.299,50 €' },
+    { domain: 'fr', price: '1 299,00 €', value: 1299, symbol: '€', formatted: '1 299,50 €' },
+    { domain: 'es', price: '1.299,00 €', value: 1299, symbol: '€', formatted: '1.299,50 €' },
+    { domain: 'it', price: '12,99 €', value: 12.99, symbol: '€', formatted: '1.299,50 €' },
+    { domain: 'nl', price: '€ 1.299,00', value: 1299, symbol: '€', formatted: '€ 1.299,50' },
+    { domain: 'se', price: '1 299,00 kr', value: 1299, symbol: 'kr', formatted: '1 299,50 kr' },
+    { domain: 'com.tr', price: '1.299,00 TL', value: 1299, symbol: 'TL', formatted: '1.299,50 TL' },
+    { domain: 'com.br', price: 'R$ 1.299,00', value: 1299, symbol: 'R$', formatted: 'R$ 1.299,50' },
+    { domain: 'com.mx', price: '$1,299.00', value: 1299, symbol: '$', formatted: '$1,299.50' },
+    { domain: 'co.jp', price: '￥12,800', value: 12800, symbol: '￥', formatted: '￥1,300' },
+    { domain: 'cn', price: '¥1,299.00', value: 1299, symbol: '¥', formatted: '¥1,299.50' }
+];
+
+test('every domain accepted by AMAZON_DOMAIN_PATTERN has a marketplace and a sample', () => {
+    for (const domain of Object.keys(Marketplace.MARKETPLACES)) {
+        assert.ok(AMAZON_DOMAIN_PATTERN.test(`www.amazon.${domain}`), domain);
+        assert.ok(SAMPLES.some(sample => sample.domain === domain), `no sample for ${domain}`);
+    }
+    for (const sample of SAMPLES) {
+        assert.ok(Marketplace.getMarketplace(`www.amazon.${sample.domain}`), sample.domain);
+    }
+});
+
+test('getMarketplace accepts hostnames, URLs and domain suffixes', () => {
+    assert.equal(Marketplace.getMarketplace('https://www.amazon.de/dp/B08N5WRWNW?th=1').currency, 'EUR');
+    assert.equal(Marketplace.getMarketplace('smile.amazon.co.uk').currency, 'GBP');
+    assert.equal(Marketplace.getMarketplace(new URL('https://amazon.co.jp/')).language, 'ja-JP');
+    assert.equal(Marketplace.getMarketplace('com.br').hostname, 'www.amazon.com.br');
+    assert.equal(Marketplace.getMarketplace('www.google.com'), null);
+    assert.equal(Marketplace.getMarketplace(''), null);
+    assert.equal(Marketplace.resolveMarketplace('www.google.com').domain, 'com');
+});
+
+for (const sample of SAMPLES) {
+    test(`amazon.${sample.domain}: ${sample.price}`, () => {
+        const hostname = `www.amazon.${sample.domain}`;
+        assert.equal(Marketplace.parsePrice(sample.price, hostname), sample.value, 'with marketplace');
+        assert.equal(Marketplace.parsePrice(sample.price), sample.value, 'without marketplace');
+        assert.equal(Marketplace.extractCurrencySymbol(sample.price), sample.symbol);
+        assert.equal(Marketplace.formatPriceValue(1299.5, hostname), sample.formatted);
+        assert.equal(Marketplace.parsePrice(Marketplace.formatPriceValue(sample.value, hostname), hostname), sample.value,
+            'formatted price parses back');
+    });
+}
+
+test('the marketplace decides ambiguous separators', () => {
+    assert.equal(Marketplace.parsePrice('1.299 €', 'www.amazon.de'), 1299);
+    assert.equal(Marketplace.parsePrice('1.299', 'www.amazon.com'), 1.299);
+    assert.equal(Marketplace.parsePrice('1\u202f299,00\u00a0€', 'fr'), 1299);   // narrow no-break space
+    assert.equal(Marketplace.parsePrice('1\u00a0299,00\u00a0€', 'fr'), 1299);   // no-break space
+});
+
+test('parsePrice reads the first price of a range and rejects text without numbers', () => {
+    assert.equal(Marketplace.parsePrice('$19.99 - $24.99'), 19.99);
+    assert.equal(Marketplace.parsePrice('12,99 € - 15,99 €', 'de'), 12.99);
+    assert.equal(Marketplace.parsePrice('Currently unavailable'), null);
+    assert.equal(Marketplace.parsePrice(null), null);
+});
+
+test('extractCurrencySymbol falls back to the marketplace, then to $', () => {
+    assert.equal(Marketplace.extractCurrencySymbol('49,90', 'www.amazon.se'), 'kr');
+    assert.equal(Marketplace.extractCurrencySymbol('49.90'), '$');
+    assert.equal(Marketplace.extractCurrencySymbol('Bookrest 49,90', 'de'), '€');   // 'kr' inside a word
+});
+
+test('formatPrice formats numbers for the marketplace and keeps strings as extracted', () => {
+    assert.equal(formatPrice(1299), '$1,299.00');
+    assert.equal(formatPrice(1299, { marketplace: 'www.amazon.de' }), '1.299,00 €');
+    assert.equal(formatPrice(12800, { marketplace: 'https://www.amazon.co.jp/dp/B0D84C1M6C' }), '￥12,800');
+    assert.equal(formatPrice('1.299,00 €'), '1.299,00 €');
+    assert.equal(formatPrice({ current: '12,99 €', list: '15,99 €' }), '12,99 € (was 15,99 €)');
+});
+
+test('cleanProductTitle strips localized "at Amazon" suffixes', () => {
+    const cases = [
+        ['Wash Bottle, 1000ml at Amazon.com', 'Wash Bottle, 1000ml'],
+        ['Spritzflasche, 1000 ml bei Amazon.de', 'Spritzflasche, 1000 ml'],
+        ['Flacon pissette 1000 ml sur Amazon.fr', 'Flacon pissette 1000 ml'],
+        ['Frasco lavador 1000 ml en Amazon.es', 'Frasco lavador 1000 ml'],
+        ['Spruzzetta 1000 ml su Amazon.it', 'Spruzzetta 1000 ml'],
+        ['Spuitfles 1000 ml bij Amazon.nl', 'Spuitfles 1000 ml'],
+        ['Sprutflaska 1000 ml på Amazon.se', 'Sprutflaska 1000 ml'],
+        ['Frasco lavador 1000 ml na Amazon.com.br', 'Frasco lavador 1000 ml'],
+        ['Amazon.co.jp: 洗浄瓶 1000ml : 産業・研究開発用品', '洗浄瓶 1000ml'],
+        ['Amazon.de: Spritzflasche, 1000 ml : Gewerbe, Industrie & Wissenschaft', 'Spritzflasche, 1000 ml']
+    ];
+    for (const [title, expected] of cases) {
+        assert.equal(cleanProductTitle(title), expected, title);
+    }
+
+    // Only the suffix form is stripped, not the words on their own
+    assert.equal(cleanProductTitle('Sold at Amazon.com Store Edition Mug'), 'Sold at Amazon.com Store Edition Mug');
+});
+
+test('title prefix and page title suffix patterns cover every marketplace', () => {
+    for (const domain of Object.keys(Marketplace.MARKETPLACES)) {
+        assert.equal(cleanProductTitle(`Amazon.${domain}: Wash Bottle`), 'Wash Bottle', domain);
+        assert.equal(`Wash Bottle - Amazon.${domain}`.replace(Marketplace.PAGE_TITLE_SUFFIX_PATTERN, ''), 'Wash Bottle', domain);
+    }
+
+    // The whole domain is matched, not a shorter one it starts with
+    assert.equal('Amazon.com.au: Wash Bottle'.replace(Marketplace.TITLE_PREFIX_PATTERN, ''), 'Wash Bottle');
+    assert.equal(cleanProductTitle('Amazon.example: Wash Bottle'), 'Amazon.example: Wash Bottle');
+});
@@ -0,0 +1,193 @@
+/**
+ * @file output_formats.test.js
+ * @description Unit tests for markdown_linker's output formats: link and list syntax, and title/URL escaping per format
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Formats = require('../markdown_linker/output_formats.js');
+const Templates = require('../markdown_linker/markdown_templates.js');
+
+const A = Templates.buildValues('A', 'https://a.example/');
+const B = Templates.buildValues('B', 'https://b.example/');
+
+/**
+ * Renders one link in a built-in format
+ * @param {string} name - Format name
+ * @param {string} title - Link title
+ * @param {string} url - Link URL
+ * @returns {string} Formatted link
+ */
+function render(name, title, url) {
+    return Formats.renderLink(Formats.findFormat(name), Templates.buildValues(title, url));
+}
+
+test('every built-in format renders a link', () => {
+    const url = 'https://example.com/a';
+    const expected = {
+        'Markdown': `[Example](${url})`,
+        'Markdown reference': `[Example][1]\n\n[1]: ${url}`,
+        'Org': `[[${url}][Example]]`,
+        'reStructuredText': `\`Example <${url}>\`_`,
+        'AsciiDoc': `${url}[Example]`,
+        'BBCode': `[url=${url}]Example[/url]`,
+        'Jira': `[Example|${url}]`,
+        'MediaWiki': `[${url} Example]`,
+        'HTML': `<a href="${url}">Example</a>`
+    };
+
+    assert.deepEqual(Formats.DEFAULT_FORMATS.map(format => format.name), Object.keys(expected));
+    for (const [name, link] of Object.entries(expected)) {
+        assert.equal(render(name, 'Example', url), link, name);
+    }
+});
+
+test('every built-in format renders a list', () => {
+    const expected = {
+        'Markdown': '* [A](https://a.example/)\n* [B](https://b.example/)',
+        'Markdown reference': '* [A][1]\n* [B][2]\n\n[1]: https://a.example/\n[2]: https://b.example/',
+        'Org': '- [[https://a.example/][A]]\n- [[https://b.example/][B]]',
+        'reStructuredText': '* `A <https://a.example/>`_\n* `B <https://b.example/>`_',
+        'AsciiDoc': '* https://a.example/[A]\n* https://b.example/[B]',
+        'BBCode': '[list]\n[*][url=https://a.example/]A[/url]\n[*][url=https://b.example/]B[/url]\n[/list]',
+        'Jira': '* [A|https://a.example/]\n* [B|https://b.example/]',
+        'MediaWiki': '* [https://a.example/ A]\n* [https://b.example/ B]',
+        'HTML': '<ul>\n  <li><a href="https://a.example/">A</a></li>\n  <li><a href="https://b.example/">B</a></li>\n</ul>'
+    };
+
+    for (const [name, list] of Object.entries(expected)) {
+        assert.equal(Formats.renderList(Formats.findFormat(name), [A, B]), list, name);
+    }
+});
+
+test('every built-in format renders a nested list', () => {
+    const C = Templates.buildValues('C', 'https://c.example/');
+    const items = [{ values: A, depth: 4 }, { values: B, depth: 7 }, { values: C, depth: 4 }];
+    const expected = {
+        'Markdown': '* [A](https://a.example/)\n  * [B](https://b.example/)\n* [C](https://c.example/)',
+        'Markdown reference': '* [A][1]\n  * [B][2]\n* [C][3]\n\n[1]: https://a.example/\n[2]: https://b.example/\n[3]: https://c.example/',
+        'Org': '- [[https://a.example/][A]]\n  - [[https://b.example/][B]]\n- [[https://c.example/][C]]',
+        'reStructuredText': '* `A <https://a.example/>`_\n\n  * `B <https://b.example/>`_\n\n* `C <https://c.example/>`_',
+        'AsciiDoc': '* https://a.example/[A]\n** https://b.example/[B]\n* https://c.example/[C]',
+        'BBCode': '[list]\n[*][url=https://a.example/]A[/url]\n[list]\n[*][url=https://b.example/]B[/url]\n[/list]\n' +
+            '[*][url=https://c.example/]C[/url]\n[/list]',
+        'Jira': '* [A|https://a.example/]\n** [B|https://b.example/]\n* [C|https://c.example/]',
+        'MediaWiki': '* [https://a.example/ A]\n** [https://b.example/ B]\n* [https://c.example/ C]',
+        'HTML': '<ul>\n  <li><a href="https://a.example/">A</a>\n    <ul>\n      <li><a href="https://b.example/">B</a></li>\n' +
+            '    </ul>\n  </li>\n  <li><a href="https://c.example/">C</a></li>\n</ul>'
+    };
+
+    for (const [name, list] of Object.entries(expected)) {
+        assert.equal(Formats.renderNestedList(Formats.findFormat(name), items), list, name);
+    }
+
+    // Same depths as a flat list render like renderList
+    assert.equal(Formats.renderNestedList(Formats.findFormat('HTML'), [{ values: A, depth: 2 }, { values: B, depth: 2 }]),
+        Formats.renderList(Formats.findFormat('HTML'), [A, B]));
+});
+
+test('nested lists use the template and never skip a level', () => {
+    assert.deepEqual(Formats.toListLevels([5, 9, 9, 7, 5, 3]), [0, 1, 1, 1, 0, 0]);
+
+    const items = [{ values: A, depth: 1 }, { values: B, depth: 12 }];
+    assert.equal(Formats.renderNestedList(Formats.findFormat('Markdown'), items, Templates.findTemplate('Task item')),
+        '- [ ] [A](https://a.example/)\n  - [ ] [B](https://b.example/)');
+    // Table rows cannot be nested
+    assert.equal(Formats.renderNestedList(Formats.findFormat('Markdown'), items, Templates.findTemplate('Table row')),
+        '| [A](https://a.example/) | a.example |\n| [B](https://b.example/) | b.example |');
+});
+
+test('titles are escaped for each syntax', () => {
+    const title = 'Notes [draft] <v2> | *new* `x`';
+    const url = 'https://example.com/';
+
+    assert.equal(render('Markdown', title, url), '[Notes \\[draft\\] \\<v2> | \\*new\\* \\`x\\`](https://example.com/)');
+    assert.equal(render('Org', title, url), '[[https://example.com/][Notes {draft} <v2> | *new* `x`]]');
+    assert.equal(render('reStructuredText', title, url), '`Notes [draft] \\<v2\\> | *new* \\`x\\` <https://example.com/>`_');
+    assert.equal(render('AsciiDoc', title, url), 'https://example.com/[Notes [draft\\] <v2> | *new* `x`]');
+    assert.equal(render('BBCode', title, url), '[url=https://example.com/]Notes (draft) <v2> | *new* `x`[/url]');
+    assert.equal(render('Jira', title, url), '[Notes \\[draft\\] <v2> \\| \\*new\\* `x`|https://example.com/]');
+    assert.equal(render('MediaWiki', title, url), '[https://example.com/ Notes &#91;draft&#93; &lt;v2&gt; | *new* `x`]');
+    assert.equal(render('HTML', 'Tom & Jerry <3', url), '<a href="https://example.com/">Tom &amp; Jerry &lt;3</a>');
+});
+
+test('Markdown titles are escaped where they would break the link or start formatting', () => {
+    const url = 'https://example.com/';
+
+    assert.equal(render('Markdown', 'Array[0] ] [', url), '[Array\\[0\\] \\] \\[](https://example.com/)');
+    assert.equal(render('Markdown', 'Use `git log` *carefully*', url), '[Use \\`git log\\` \\*carefully\\*](https://example.com/)');
+    assert.equal(render('Markdown', 'snake_case vs _emphasis_', url), '[snake_case vs \\_emphasis\\_](https://example.com/)');
+    assert.equal(render('Markdown', 'C:\\path (draft) <b>', url), '[C:\\\\path (draft) \\<b>](https://example.com/)');
+    assert.equal(render('Markdown', 'Line one\n  line two', url), '[Line one line two](https://example.com/)');
+    assert.equal(render('Markdown', 'A | B', url), '[A | B](https://example.com/)');
+    assert.equal(render('Markdown reference', 'Array[0]', url), '[Array\\[0\\]][1]\n\n[1]: https://example.com/');
+});
+
+test('Markdown URLs with parentheses, spaces or angle brackets are percent-encoded', () => {
+    assert.equal(render('Markdown', 'Mercury', 'https://en.wikipedia.org/wiki/Mercury_(planet)'),
+        '[Mercury](https://en.wikipedia.org/wiki/Mercury_%28planet%29)');
+    assert.equal(render('Markdown', 'Report', 'https://example.com/files/Q1 report.pdf'),
+        '[Report](https://example.com/files/Q1%20report.pdf)');
+    assert.equal(render('Markdown', 'Tag', 'https://example.com/?q=<a>'), '[Tag](https://example.com/?q=%3Ca%3E)');
+    assert.equal(render('Markdown reference', 'Mercury', 'https://en.wikipedia.org/wiki/Mercury_(planet)'),
+        '[Mercury][1]\n\n[1]: https://en.wikipedia.org/wiki/Mercury_%28planet%29');
+    assert.equal(render('Markdown', 'Search', 'https://example.com/?q=a|b'), '[Search](https://example.com/?q=a|b)');
+});
+
+test('table-cell mode escapes | in every placeholder', () => {
+    const tableRow = Templates.findTemplate('Table row');
+    const values = Templates.buildValues('A | B\nC', 'https://example.com/?q=a|b', { description: 'x|y' });
+    const markdown = Formats.findFormat('Markdown');
+
+    assert.equal(Formats.renderLink(markdown, values, tableRow), '| [A \\| B C](https://example.com/?q=a%7Cb) | example.com |');
+    assert.equal(Formats.renderList(markdown, [values, A], tableRow),
+        '| [A \\| B C](https://example.com/?q=a%7Cb) | example.com |\n| [A](https://a.example/) | a.example |');
+    assert.equal(Formats.renderLink(markdown, values, { name: 'Cells', link: '| {title} | {description} |', tableCell: true }),
+        '| A \\| B C | x\\|y |');
+    assert.equal(Formats.escapeTableCell('a|b\nc'), 'a\\|b c');
+    assert.equal(Formats.escapeMarkdownText('a|b', { tableCell: true }), 'a\\|b');
+    assert.equal(Formats.escapeMarkdownUrl('https://example.com/?q=a|b c', { tableCell: true }), 'https://example.com/?q=a%7Cb%20c');
+});
+
+test('URLs are encoded where the syntax cannot hold them', () => {
+    const url = 'https://example.com/a b?q=[1]|2&x="y"';
+
+    assert.equal(render('Org', 'T', url), '[[https://example.com/a%20b?q=%5B1%5D|2&x="y"][T]]');
+    assert.equal(render('reStructuredText', 'T', 'https://example.com/<a b>'), '`T <https://example.com/%3Ca%20b%3E>`_');
+    assert.equal(render('AsciiDoc', 'T', url), 'link:++https://example.com/a%20b?q=[1]|2&x="y"++[T]');
+    assert.equal(render('BBCode', 'T', url), '[url=https://example.com/a%20b?q=%5B1%5D|2&x=%22y%22]T[/url]');
+    assert.equal(render('Jira', 'T', url), '[T|https://example.com/a%20b?q=%5B1%5D%7C2&x="y"]');
+    assert.equal(render('MediaWiki', 'T', url), '[https://example.com/a%20b?q=%5B1%5D|2&x=%22y%22 T]');
+    assert.equal(render('HTML', 'T', url), '<a href="https://example.com/a%20b?q=[1]|2&amp;x=&quot;y&quot;">T</a>');
+});
+
+test('the Markdown format uses the template; other formats and unknown names fall back', () => {
+    const taskItem = Templates.findTemplate('Task item');
+
+    assert.equal(Formats.renderLink(Formats.findFormat('Markdown'), A, taskItem), '- [ ] [A](https://a.example/)');
+    assert.equal(Formats.renderList(Formats.findFormat('Markdown'), [A, B], taskItem),
+        '- [ ] [A](https://a.example/)\n- [ ] [B](https://b.example/)');
+    assert.equal(Formats.renderLink(Formats.findFormat('Org'), A, taskItem), '[[https://a.example/][A]]');
+    assert.equal(Formats.findFormat('Missing').name, 'Markdown');
+    assert.equal(render('Jira', '', 'https://a.example/'), '[https://a.example/]');
+});
+
+test('formats can be added to a copy of the defaults', () => {
+    const formats = [
+        ...Formats.DEFAULT_FORMATS,
+        { name: 'Textile', escapeTitle: text => text.replace(/"/g, '&quot;'), escapeUrl: url => url, link: values => `"${values.title}":${values.url}` }
+    ];
+    const textile = Formats.findFormat('Textile', formats);
+
+    assert.equal(Formats.renderLink(textile, Templates.buildValues('Say "hi"', 'https://a.example/')), '"Say &quot;hi&quot;":https://a.example/');
+    assert.equal(Formats.renderList(textile, [A, B]), '* "A":https://a.example/\n* "B":https://b.example/');
+});
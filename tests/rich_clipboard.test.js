@@ -0,0 +1,114 @@
+/**
+ * @file rich_clipboard.test.js
+ * @description Unit tests for markdown_linker's HTML clipboard output: markdown to HTML and clipboard formats
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RichClipboard = require('../markdown_linker/rich_clipboard.js');
+const Templates = require('../markdown_linker/markdown_templates.js');
+const Formats = require('../markdown_linker/output_formats.js');
+
+/**
+ * Renders links with a built-in template, like markdown_linker does before copying
+ * @param {string} name - Template name
+ * @param {Array<Array<string>>} links - [title, url] pairs; one pair renders a link, more render a list
+ * @returns {string} Markdown
+ */
+function render(name, links) {
+    const template = Templates.findTemplate(name);
+    const valuesList = links.map(([title, url]) => Templates.buildValues(title, url));
+    return valuesList.length === 1 ? Templates.renderLink(template, valuesList[0]) : Templates.renderList(template, valuesList);
+}
+
+test('a single link is an anchor without a paragraph', () => {
+    assert.equal(RichClipboard.markdownToHtml(render('Inline link', [['Example', 'https://example.com/a?b=1&c=2']])),
+        '<a href="https://example.com/a?b=1&amp;c=2">Example</a>');
+    assert.equal(RichClipboard.markdownToHtml(render('Link with host', [['Example', 'https://www.example.com/']])),
+        '<a href="https://www.example.com/">Example</a> — example.com');
+    assert.equal(RichClipboard.markdownToHtml(render('Reference link', [['Example', 'https://example.com/']])),
+        '<a href="https://example.com/">Example</a>');
+});
+
+test('lists become <ul>, task items keep a box, reference definitions are resolved', () => {
+    const links = [['A', 'https://a.example/'], ['B', 'https://b.example/']];
+    const expected = '<ul><li><a href="https://a.example/">A</a></li><li><a href="https://b.example/">B</a></li></ul>';
+
+    assert.equal(RichClipboard.markdownToHtml(render('Inline link', links)), expected);
+    assert.equal(RichClipboard.markdownToHtml(render('Reference link', links)), expected);
+    assert.equal(RichClipboard.markdownToHtml(render('Task item', links)),
+        '<ul><li>☐ <a href="https://a.example/">A</a></li><li>☐ <a href="https://b.example/">B</a></li></ul>');
+    assert.equal(RichClipboard.markdownToHtml('1. [A](https://a.example/)\n2. [B](https://b.example/)'),
+        '<ol><li><a href="https://a.example/">A</a></li><li><a href="https://b.example/">B</a></li></ol>');
+});
+
+test('indented list items are nested in their parent item', () => {
+    const links = [['A', 'https://a.example/', 2], ['B', 'https://b.example/', 5], ['C', 'https://c.example/', 8],
+        ['D', 'https://d.example/', 5], ['E', 'https://e.example/', 2]]
+        .map(([title, url, depth]) => ({ values: Templates.buildValues(title, url), depth }));
+    const a = '<a href="https://a.example/">A</a>';
+    const b = '<a href="https://b.example/">B</a>';
+    const c = '<a href="https://c.example/">C</a>';
+    const d = '<a href="https://d.example/">D</a>';
+    const e = '<a href="https://e.example/">E</a>';
+
+    // All Links (hierarchical) in the Markdown output formats
+    assert.equal(RichClipboard.markdownToHtml(Formats.renderNestedList(Formats.findFormat('Markdown'), links)),
+        `<ul><li>${a}<ul><li>${b}<ul><li>${c}</li></ul></li><li>${d}</li></ul></li><li>${e}</li></ul>`);
+    assert.equal(RichClipboard.markdownToHtml(Formats.renderNestedList(Formats.findFormat('Markdown reference'), links)),
+        `<ul><li>${a}<ul><li>${b}<ul><li>${c}</li></ul></li><li>${d}</li></ul></li><li>${e}</li></ul>`);
+    const taskList = Formats.renderNestedList(Formats.findFormat('Markdown'), links.slice(0, 2), Templates.findTemplate('Task item'));
+    assert.equal(RichClipboard.markdownToHtml(taskList), `<ul><li>☐ ${a}<ul><li>☐ ${b}</li></ul></li></ul>`);
+
+    // Nested numbered lists and a list after a paragraph
+    assert.equal(RichClipboard.markdownToHtml('Links:\n1. [A](https://a.example/)\n   - [B](https://b.example/)\n2. [C](https://c.example/)'),
+        `<p>Links:</p><ol><li>${a}<ul><li>${b}</li></ul></li><li>${c}</li></ol>`);
+});
+
+test('titles are escaped as HTML and unescaped as markdown', () => {
+    assert.equal(RichClipboard.markdownToHtml('[<script> & \\[1\\] \\*new\\*](https://example.com/)'),
+        '<a href="https://example.com/">&lt;script&gt; &amp; [1] *new*</a>');
+    assert.equal(RichClipboard.markdownToHtml('[Quote "x"](https://example.com/?q="x")'),
+        '<a href="https://example.com/?q=&quot;x&quot;">Quote &quot;x&quot;</a>');
+    assert.equal(RichClipboard.markdownToHtml('[Spaces](<https://example.com/a b>)'),
+        '<a href="https://example.com/a%20b">Spaces</a>');
+    assert.equal(RichClipboard.markdownToHtml('[No definition][]'), '[No definition][]');
+
+    // Escaped by the Markdown output format (output_formats.js)
+    assert.equal(RichClipboard.markdownToHtml('[Mercury \\_(planet)\\_ \\| \\`x\\`](https://en.wikipedia.org/wiki/Mercury_%28planet%29)'),
+        '<a href="https://en.wikipedia.org/wiki/Mercury_%28planet%29">Mercury _(planet)_ | `x`</a>');
+});
+
+test('Amazon image links and multi-line markdown become images and paragraphs', () => {
+    const image = '[![Widget](https://m.media-amazon.com/images/I/abc.jpg)](https://www.amazon.com/dp/B000000001)';
+
+    assert.equal(RichClipboard.markdownToHtml(`${image} [Widget](https://www.amazon.com/dp/B000000001)`),
+        '<a href="https://www.amazon.com/dp/B000000001"><img src="https://m.media-amazon.com/images/I/abc.jpg" alt="Widget"></a> ' +
+        '<a href="https://www.amazon.com/dp/B000000001">Widget</a>');
+    assert.equal(RichClipboard.markdownToHtml(`${image}\n\nWidget\n$9.99`),
+        '<p><a href="https://www.amazon.com/dp/B000000001"><img src="https://m.media-amazon.com/images/I/abc.jpg" alt="Widget"></a></p>' +
+        '<p>Widget<br>$9.99</p>');
+});
+
+test('buildClipboardData writes the formats chosen in settings', () => {
+    const markdown = '[A](https://a.example/)';
+    const html = '<a href="https://a.example/">A</a>';
+
+    assert.deepEqual(RichClipboard.buildClipboardData(markdown), { 'text/plain': markdown, 'text/html': html });
+    assert.deepEqual(RichClipboard.buildClipboardData(markdown, 'markdown'), { 'text/plain': markdown });
+    assert.deepEqual(RichClipboard.buildClipboardData(markdown, 'html'), { 'text/html': html });
+    assert.deepEqual(Object.keys(RichClipboard.buildClipboardData(markdown, 'rtf')), ['text/plain', 'text/html']);
+
+    // Other output formats pass their own HTML
+    assert.deepEqual(RichClipboard.buildClipboardData('[[https://a.example/][A]]', 'markdown+html', html),
+        { 'text/plain': '[[https://a.example/][A]]', 'text/html': html });
+});
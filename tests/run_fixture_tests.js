@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/**
+ * @file run_fixture_tests.js
+ * @description Snapshot tests for the Amazon Toolkit extractors against saved Amazon pages
+ * @author Zakk Hoyt
+ *
+ * Loads every `*_page_source.html` fixture under `tests/fixtures/amazon/`, runs it through
+ * the extractor for its directory (products/, stores/, search/, bestsellers/, deals/, category/;
+ * see FIXTURE_GROUPS), and compares the result to the checked-in `*_expected.json` snapshot next
+ * to the fixture.
+ *
+ * Each top-level field of the extracted data comes from one extraction step (title, brand,
+ * price, images, ...), so failures are reported per field to show which step broke. Product
+ * snapshots include provenance (`metadata.provenance`), so they also
+ * show which fallback strategy produced each field.
+ *
+ * Usage:
+ *   node tests/run_fixture_tests.js                  # Compare all fixtures to their snapshots
+ *   node tests/run_fixture_tests.js product_01       # Only fixtures whose name contains 'product_01'
+ *   node tests/run_fixture_tests.js --update         # Regenerate snapshots from current output
+ *
+ * Requires a DOM implementation: `npm install jsdom` (or `npm install linkedom`)
+ *
+ * @see {@link https://github.com/jsdom/jsdom jsdom}
+ * @see {@link https://github.com/WebReflection/linkedom linkedom}
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const AmazonToolkit = require('../amazon_toolkit');
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'amazon');
+
+const FIXTURE_SUFFIX = '_page_source.html';
+const SNAPSHOT_SUFFIX = '_expected.json';
+
+/**
+ * Fixture groups: subdirectory of FIXTURES_DIR and the extractor to run on it
+ * @constant {Array<Object>}
+ */
+const FIXTURE_GROUPS = [
+    {
+        directory: 'products',
+        // Provenance records which fallback strategy produced each field, so a snapshot diff
+        // shows the exact layer (JSON-LD, meta tag, selector, regex) that stopped matching
+        extract: (doc, url) => AmazonToolkit.extractProductData(doc, url, { provenance: true })
+    },
+    { directory: 'stores', extract: AmazonToolkit.extractStoreData.bind(AmazonToolkit) },
+    { directory: 'search', extract: AmazonToolkit.extractSearchResultsData.bind(AmazonToolkit) },
+    { directory: 'bestsellers', extract: AmazonToolkit.extractBestSellersData.bind(AmazonToolkit) },
+    { directory: 'deals', extract: AmazonToolkit.extractDealsData.bind(AmazonToolkit) },
+    { directory: 'category', extract: AmazonToolkit.extractCategoryData.bind(AmazonToolkit) }
+];
+
+/**
+ * Fields that change on every run and are left out of snapshots
+ * (dot-separated paths; `*` matches every array element or object key)
+ * @constant {Array<string>}
+ */
+const VOLATILE_FIELDS = [
+    'metadata.extractedAt',
+    // Deal end times are computed from the extraction time
+    'items.*.deal.endsAt'
+];
+
+// ============================================================================
+// DOM Loading
+// ============================================================================
+
+/**
+ * Creates an HTML parser backed by whichever DOM implementation is installed
+ * @returns {Function} Function that takes an HTML string and returns a Document
+ * @throws {Error} If neither jsdom nor linkedom can be loaded
+ *
+ * @example
+ * const parseDocument = createDocumentParser();
+ * const doc = parseDocument('<html><body></body></html>');
+ */
+function createDocumentParser() {
+    try {
+        const { JSDOM, VirtualConsole } = require('jsdom');
+        // Amazon's stylesheets trip jsdom's CSS parser; the errors are noise for these tests
+        const virtualConsole = new VirtualConsole();
+        return (html) => new JSDOM(html, { virtualConsole }).window.document;
+    } catch (error) {
+        // Continue
+    }
+
+    try {
+        const { DOMParser } = require('linkedom');
+        return (html) => new DOMParser().parseFromString(html, 'text/html');
+    } catch (error) {
+        // Continue
+    }
+
+    throw new Error('No DOM implementation found. Install one with `npm install jsdom` (or `npm install linkedom`).');
+}
+
+// ============================================================================
+// Fixtures & Snapshots
+// ============================================================================
+
+/**
+ * Finds all page source fixtures, optionally filtered by name
+ * @param {Array<string>} filters - Substrings to match against fixture names (empty for all)
+ * @returns {Array<Object>} Fixtures: { name, htmlPath, snapshotPath, extract }
+ *
+ * @example
+ * findFixtures(['store_']);
+ * // [{ name: 'stores/store_00', htmlPath: '.../store_00_page_source.html', ... }, ...]
+ */
+function findFixtures(filters) {
+    const fixtures = [];
+
+    for (const group of FIXTURE_GROUPS) {
+        const directory = path.join(FIXTURES_DIR, group.directory);
+        if (!fs.existsSync(directory)) {
+            continue;
+        }
+
+        const files = fs.readdirSync(directory)
+            .filter(file => file.endsWith(FIXTURE_SUFFIX))
+            .sort();
+
+        for (const file of files) {
+            const baseName = file.slice(0, -FIXTURE_SUFFIX.length);
+            const name = `${group.directory}/${baseName}`;
+            if (filters.length > 0 && !filters.some(filter => name.includes(filter))) {
+                continue;
+            }
+
+            fixtures.push({
+                name,
+                htmlPath: path.join(directory, file),
+                snapshotPath: path.join(directory, baseName + SNAPSHOT_SUFFIX),
+                extract: group.extract
+            });
+        }
+    }
+
+    return fixtures;
+}
+
+/**
+ * Gets the page URL a fixture was saved from (canonical link, falling back to og:url)
+ * @param {Document} doc - Parsed fixture document
+ * @returns {string|undefined} Page URL, or undefined if the fixture does not record one
+ *
+ * @example
+ * getFixtureURL(doc);  // 'https://www.amazon.com/6PK-Wash-Bottle-Acetone-1000ml/dp/B07ZZHSWSF'
+ */
+function getFixtureURL(doc) {
+    const canonical = doc.querySelector('link[rel="canonical"]');
+    if (canonical && canonical.getAttribute('href')) {
+        return canonical.getAttribute('href');
+    }
+
+    const ogURL = doc.querySelector('meta[property="og:url"]');
+    if (ogURL && ogURL.getAttribute('content')) {
+        return ogURL.getAttribute('content');
+    }
+
+    return undefined;
+}
+
+/**
+ * Converts extracted data to its snapshot form: plain JSON without volatile fields
+ * @param {*} data - Extracted data
+ * @returns {*} JSON-safe copy of the data
+ *
+ * @example
+ * toSnapshot({ asin: 'B07ZZHSWSF', metadata: { extractedAt: '2025-11-05T...' } });
+ * // { asin: 'B07ZZHSWSF', metadata: {} }
+ */
+function toSnapshot(data) {
+    const snapshot = JSON.parse(JSON.stringify(data === undefined ? null : data));
+
+    for (const field of VOLATILE_FIELDS) {
+        removeField(snapshot, field.split('.'));
+    }
+
+    return snapshot;
+}
+
+/**
+ * Deletes the field at a path of keys (`*` matches every array element or object key)
+ * @param {*} node - Object to delete from
+ * @param {Array<string>} keys - Path of keys to the field
+ * @returns {void}
+ *
+ * @example
+ * removeField(data, ['items', '*', 'deal', 'endsAt']);
+ */
+function removeField(node, keys) {
+    if (!node || typeof node !== 'object') {
+        return;
+    }
+
+    const [key, ...rest] = keys;
+    const children = key === '*' ? Object.keys(node) : [key];
+    for (const child of children) {
+        if (rest.length === 0) {
+            delete node[child];
+        } else {
+            removeField(node[child], rest);
+        }
+    }
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+/**
+ * Deeply compares two JSON values and lists every path where they differ
+ * @param {*} expected - Value from the snapshot
+ * @param {*} actual - Value from the current extraction
+ * @param {string} [currentPath=''] - Path of the values being compared (used for recursion)
+ * @returns {Array<Object>} Differences: { path, expected, actual }
+ *
+ * @example
+ * diffValues({ price: { current: '$9.99' } }, { price: { current: null } });
+ * // [{ path: 'price.current', expected: '$9.99', actual: null }]
+ */
+function diffValues(expected, actual, currentPath = '') {
+    const isObject = (value) => value !== null && typeof value === 'object';
+
+    if (isObject(expected) && isObject(actual) && Array.isArray(expected) === Array.isArray(actual)) {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        const differences = [];
+        for (const key of keys) {
+            const childPath = currentPath ? `${currentPath}.${key}` : key;
+            differences.push(...diffValues(expected[key], actual[key], childPath));
+        }
+        return differences;
+    }
+
+    if (JSON.stringify(expected) === JSON.stringify(actual)) {
+        return [];
+    }
+
+    return [{ path: currentPath || '(root)', expected, actual }];
+}
+
+/**
+ * Formats a value for a single line of test output
+ * @param {*} value - Value to format
+ * @returns {string} Truncated JSON representation
+ */
+function formatValue(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > 100 ? text.substring(0, 97) + '...' : text;
+}
+
+// ============================================================================
+// Runner
+// ============================================================================
+
+/**
+ * Runs the extractor on a single fixture and compares (or updates) its snapshot
+ * @param {Object} fixture - Fixture from findFixtures()
+ * @param {Function} parseDocument - HTML parser from createDocumentParser()
+ * @param {boolean} update - True to overwrite the snapshot instead of comparing
+ * @returns {Object} Result: { status: 'pass'|'fail'|'updated', messages: Array<string> }
+ */
+function runFixture(fixture, parseDocument, update) {
+    const html = fs.readFileSync(fixture.htmlPath, 'utf8');
+    const doc = parseDocument(html);
+
+    let actual;
+    try {
+        actual = toSnapshot(fixture.extract(doc, getFixtureURL(doc)));
+    } catch (error) {
+        return { status: 'fail', messages: [`extractor threw: ${error.stack || error}`] };
+    }
+
+    if (update) {
+        fs.writeFileSync(fixture.snapshotPath, JSON.stringify(actual, null, 4) + '\n');
+        return { status: 'updated', messages: [] };
+    }
+
+    if (!fs.existsSync(fixture.snapshotPath)) {
+        return {
+            status: 'fail',
+            messages: [`missing snapshot ${path.basename(fixture.snapshotPath)} (run with --update to create it)`]
+        };
+    }
+
+    const expected = JSON.parse(fs.readFileSync(fixture.snapshotPath, 'utf8'));
+    const differences = diffValues(expected, actual);
+    if (differences.length === 0) {
+        return { status: 'pass', messages: [] };
+    }
+
+    // Group by top-level field so the broken extraction step stands out
+    const brokenSteps = [...new Set(differences.map(difference => {
+        const keys = difference.path.split('.');
+        return keys[0] === 'metadata' && keys[1] === 'provenance' && keys[2] ? keys[2] : keys[0];
+    }))];
+    const messages = [`broken extraction steps: ${brokenSteps.join(', ')}`];
+    for (const difference of differences) {
+        messages.push(`${difference.path}`);
+        messages.push(`    expected: ${formatValue(difference.expected)}`);
+        messages.push(`    actual:   ${formatValue(difference.actual)}`);
+    }
+    return { status: 'fail', messages };
+}
+
+/**
+ * Entry point: parses arguments, runs all matching fixtures, and sets the exit code
+ * @param {Array<string>} args - Command line arguments (without node and script path)
+ * @returns {void}
+ */
+function main(args) {
+    const update = args.includes('--update');
+    const filters = args.filter(arg => !arg.startsWith('--'));
+
+    let parseDocument;
+    try {
+        parseDocument = createDocumentParser();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    const fixtures = findFixtures(filters);
+    if (fixtures.length === 0) {
+        console.error(`No fixtures found in ${FIXTURES_DIR}` + (filters.length ? ` matching: ${filters.join(', ')}` : ''));
+        process.exitCode = 1;
+        return;
+    }
+
+    const counts = { pass: 0, fail: 0, updated: 0 };
+    for (const fixture of fixtures) {
+        const result = runFixture(fixture, parseDocument, update);
+        counts[result.status]++;
+
+        console.log(`${result.status.toUpperCase().padEnd(7)} ${fixture.name}`);
+        for (const message of result.messages) {
+            console.log(`        ${message}`);
+        }
+    }
+
+    if (update) {
+        console.log(`\n${counts.updated} snapshot(s) updated`);
+    } else {
+        console.log(`\n${counts.pass} passed, ${counts.fail} failed`);
+    }
+
+    if (counts.fail > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main(process.argv.slice(2));
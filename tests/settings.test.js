@@ -0,0 +1,155 @@
+/**
+ * @file settings.test.js
+ * @description Unit tests for markdown_linker's settings: defaults, validation, storage and JSON export/import
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Settings = require('../markdown_linker/settings.js');
+const UrlRules = require('../markdown_linker/url_rules.js');
+const Shortcuts = require('../markdown_linker/shortcuts.js');
+
+/**
+ * In-memory stand-in for GM_getValue / GM_setValue
+ * @returns {{values: Object, getValue: Function, setValue: Function}} Storage
+ */
+function createStorage() {
+    const values = {};
+    return {
+        values,
+        getValue: (key, defaultValue) => (key in values ? values[key] : defaultValue),
+        setValue: (key, value) => { values[key] = value; }
+    };
+}
+
+test('defaults match the values markdown_linker used before settings', () => {
+    assert.deepEqual(Settings.getDefaultSettings(), {
+        isDebug: true,
+        menuShortcuts: ['Alt+Click', 'Alt+RightClick', 'Alt+M', 'M'],
+        bufferShortcuts: ['Alt+Z'],
+        shortcutSitesEnabled: [],
+        shortcutSitesDisabled: [],
+        shortcutOverrides: Shortcuts.DEFAULT_SITE_OVERRIDES,
+        trackingParams: UrlRules.TRACKING_PARAMS,
+        affiliatePolicy: 'strip',
+        affiliateTag: '',
+        outputFormat: 'Markdown',
+        templateName: 'Inline link',
+        clipboardFormats: 'markdown+html',
+        truncateLength: 25,
+        notificationDuration: 3000
+    });
+
+    // Each call returns a new object; editing it does not change the defaults
+    Settings.getDefaultSettings().trackingParams.push('ref');
+    Settings.getDefaultSettings().shortcutOverrides['github.com'].menu.push('G');
+    assert.equal(Settings.getDefaultSettings().trackingParams.includes('ref'), false);
+    assert.equal(Settings.getDefaultSettings().shortcutOverrides['github.com'].menu.includes('G'), false);
+});
+
+test('validateSettings keeps valid values, normalizes shortcuts and fills in defaults', () => {
+    const { settings, errors } = Settings.validateSettings({
+        menuShortcuts: ['shift+alt+l', 'ctrl+click'],
+        shortcutOverrides: { 'example.com': { buffer: ['option+x'] } },
+        affiliatePolicy: 'replace',
+        affiliateTag: 'mystore-20',
+        truncateLength: 40
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(settings.menuShortcuts, ['Alt+Shift+L', 'Ctrl+Click']);
+    assert.deepEqual(settings.shortcutOverrides, { 'example.com': { buffer: ['Alt+X'] } });
+    assert.equal(settings.truncateLength, 40);
+    assert.equal(settings.notificationDuration, 3000);
+    assert.deepEqual([settings.affiliatePolicy, settings.affiliateTag], ['replace', 'mystore-20']);
+});
+
+test('validateSettings replaces invalid values with defaults and reports them', () => {
+    const { settings, errors } = Settings.validateSettings({
+        isDebug: 'yes',
+        menuShortcuts: ['Alt+M', 'Alt+'],
+        bufferShortcuts: ['Alt+Click'],
+        shortcutSitesDisabled: 'youtube.com',
+        shortcutOverrides: { 'example.com': { copy: ['Alt+C'] } },
+        trackingParams: ['utm_*', 'has space'],
+        affiliatePolicy: 'keep',
+        affiliateTag: 'mystore',
+        templateName: '  ',
+        clipboardFormats: 'rtf',
+        truncateLength: 5,
+        notificationDuration: 1500.5,
+        color: 'red'
+    });
+
+    assert.deepEqual(settings, Settings.getDefaultSettings());
+    assert.deepEqual(errors, [
+        'isDebug must be true or false',
+        'menuShortcuts has an invalid shortcut: "Alt+"',
+        'bufferShortcuts cannot use a mouse button: Alt+Click',
+        'shortcutSitesDisabled must be a list of names without spaces',
+        'shortcutOverrides has an unknown action for example.com: copy',
+        'trackingParams must be a list of names without spaces',
+        'affiliatePolicy must be one of strip, replace, preserve',
+        'affiliateTag must be an Associates tracking ID like mystore-20, or empty',
+        'templateName must not be empty',
+        'clipboardFormats must be one of markdown+html, markdown, html',
+        'truncateLength must be a whole number from 10 to 200',
+        'notificationDuration must be a whole number from 500 to 30000',
+        'color is not a setting'
+    ]);
+    assert.deepEqual(Settings.validateSettings(['menuShortcuts']).errors, ['Settings must be an object']);
+    assert.deepEqual(Settings.validateSettings({ shortcutOverrides: '{ "example.com": ' }).errors,
+        ['shortcutOverrides must be an object of sites']);
+});
+
+test('validateSettings rejects shortcuts used by both the menu and the buffer', () => {
+    const global = Settings.validateSettings({ menuShortcuts: ['Alt+Click', 'alt+z'] });
+    assert.deepEqual(global.errors, ['Alt+Z is used by both menu and buffer']);
+    assert.deepEqual(global.settings.menuShortcuts, Settings.getDefaultSettings().menuShortcuts);
+
+    const site = Settings.validateSettings({ shortcutOverrides: { 'example.com': { menu: ['Alt+Z'] } } });
+    assert.deepEqual(site.errors, ['Alt+Z is used by both menu and buffer on example.com']);
+    assert.deepEqual(site.settings.shortcutOverrides, Shortcuts.DEFAULT_SITE_OVERRIDES);
+});
+
+test('saveSettings stores only valid settings; loadSettings falls back to defaults', () => {
+    const storage = createStorage();
+    assert.deepEqual(Settings.loadSettings(storage), { settings: Settings.getDefaultSettings(), errors: [] });
+
+    assert.deepEqual(Settings.saveSettings(storage, { truncateLength: 2 }).errors, ['truncateLength must be a whole number from 10 to 200']);
+    assert.equal(Settings.STORAGE_KEY in storage.values, false);
+
+    Settings.saveSettings(storage, { shortcutSitesDisabled: ['youtube.com'], trackingParams: ['utm_*', 'ref'] });
+    const loaded = Settings.loadSettings(storage).settings;
+    assert.deepEqual(loaded.shortcutSitesDisabled, ['youtube.com']);
+    assert.deepEqual(loaded.trackingParams, ['utm_*', 'ref']);
+
+    // Settings stored by an older version with a removed setting still load
+    storage.values[Settings.STORAGE_KEY] = { ...loaded, oldSetting: 1 };
+    assert.deepEqual(Settings.loadSettings(storage).settings.shortcutSitesDisabled, ['youtube.com']);
+});
+
+test('exportSettings and importSettings round-trip', () => {
+    const settings = Settings.validateSettings({ bufferShortcuts: ['alt+x'], notificationDuration: 1000 }).settings;
+    const imported = Settings.importSettings(Settings.exportSettings(settings));
+
+    assert.deepEqual(imported, { settings, errors: [] });
+    assert.equal(Settings.importSettings('{"bufferShortcuts": ["Alt+X"]').settings, null);
+    assert.match(Settings.importSettings('{"bufferShortcuts": ["Alt+X"]').errors[0], /^Invalid JSON: /);
+});
+
+test('every setting has a label and a description for the settings panel', () => {
+    for (const [name, schema] of Object.entries(Settings.SETTINGS_SCHEMA)) {
+        assert.ok(schema.label, name);
+        assert.ok(schema.description, name);
+    }
+});
@@ -0,0 +1,53 @@
+/**
+ * @file shared_extractor.test.js
+ * @description Unit tests for the confidence scorer that cross-checks extracted fields
+ * against every source on the page
+ * @author Zakk Hoyt
+ *
+ * Page-level confidence reports are covered by the products/ fixtures in
+ * tests/run_fixture_tests.js.
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scoreFieldCandidates } = require('../amazon_toolkit/extractors/shared_extractor.js');
+
+test('scoreFieldCandidates reports a price conflict between sources', () => {
+    const score = scoreFieldCandidates('price', [
+        { source: 'jsonld', value: 19.99 },
+        { source: 'selector:.a-price .a-offscreen', value: '$24.99' }
+    ], 19.99, 'www.amazon.com');
+
+    assert.equal(score.confidence, 0.51);
+    assert.deepEqual(score.sources, ['jsonld']);
+    assert.deepEqual(score.conflicts, [{ source: 'selector:.a-price .a-offscreen', value: '$24.99' }]);
+});
+
+test('scoreFieldCandidates reads prices in the marketplace format', () => {
+    const score = scoreFieldCandidates('price', [
+        { source: 'jsonld', value: 1299 },
+        { source: 'selector:.a-price .a-offscreen', value: '1.299,00 €' }
+    ], '1.299,00 €', 'www.amazon.de');
+
+    assert.equal(score.confidence, 0.97);
+    assert.deepEqual(score.sources, ['jsonld', 'selector:.a-price .a-offscreen']);
+    assert.deepEqual(score.conflicts, []);
+});
+
+test('scoreFieldCandidates still reports real conflicts on non-US marketplaces', () => {
+    const score = scoreFieldCandidates('price', [
+        { source: 'jsonld', value: 1199 },
+        { source: 'selector:.a-price .a-offscreen', value: '1.299,00 €' }
+    ], '1.299,00 €', 'www.amazon.de');
+
+    assert.deepEqual(score.sources, ['selector:.a-price .a-offscreen']);
+    assert.deepEqual(score.conflicts, [{ source: 'jsonld', value: 1199 }]);
+});
@@ -0,0 +1,155 @@
+/**
+ * @file shortcuts.test.js
+ * @description Unit tests for markdown_linker's shortcuts: parsing, event matching, per-site resolution and conflicts
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Shortcuts = require('../markdown_linker/shortcuts.js');
+
+/**
+ * Builds a keydown-like event
+ * @param {string} key - KeyboardEvent.key
+ * @param {string} code - KeyboardEvent.code
+ * @param {Object} [modifiers={}] - altKey, ctrlKey, shiftKey, metaKey
+ * @returns {Object} Event
+ */
+function keydown(key, code, modifiers = {}) {
+    return { type: 'keydown', key, code, ...modifiers };
+}
+
+/**
+ * Tests a binding against an event
+ * @param {string} text - Binding
+ * @param {Object} event - Event
+ * @returns {boolean} True if the event triggers the binding
+ */
+function matches(text, event) {
+    return Shortcuts.matchesEvent(Shortcuts.parseBinding(text), event);
+}
+
+test('parseBinding normalizes modifier aliases, order and key case', () => {
+    assert.deepEqual(Shortcuts.parseBinding('option+shift+l'), {
+        ctrl: false, alt: true, shift: true, meta: false, key: 'L', code: 'KeyL', mouse: false, text: 'Alt+Shift+L'
+    });
+    assert.equal(Shortcuts.parseBinding('Shift + Cmd + 7').text, 'Shift+Meta+7');
+    assert.equal(Shortcuts.parseBinding('control+f12').text, 'Ctrl+F12');
+    assert.equal(Shortcuts.parseBinding('alt+slash').code, 'Slash');
+    assert.equal(Shortcuts.parseBinding('opt+rightclick').text, 'Alt+RightClick');
+    assert.equal(Shortcuts.parseBinding('M').text, 'M');
+});
+
+test('parseBinding rejects bindings without exactly one known key', () => {
+    for (const text of ['', 'Alt', 'Alt+Shift', 'Alt+M+N', 'Alt++', 'Hyper+M', 'Alt+µ', 'F25', null]) {
+        assert.equal(Shortcuts.parseBinding(text), null, String(text));
+    }
+});
+
+test('keys match exactly, with the right modifiers', () => {
+    assert.equal(matches('M', keydown('m', 'KeyM')), true);
+    assert.equal(matches('M', keydown('M', 'KeyM', { shiftKey: true })), false);
+    assert.equal(matches('M', keydown('m', 'KeyM', { ctrlKey: true })), false);
+    assert.equal(matches('Alt+M', keydown('m', 'KeyM', { altKey: true, shiftKey: true })), false);
+    assert.equal(matches('Ctrl+Shift+L', keydown('L', 'KeyL', { ctrlKey: true, shiftKey: true })), true);
+    assert.equal(matches('Alt+M', { type: 'keyup', key: 'm', code: 'KeyM', altKey: true }), false);
+});
+
+test('macOS Option keys match by event.code, including dead keys', () => {
+    // Option+M types 'µ'; Option+E is the accent dead key
+    assert.equal(matches('Alt+M', keydown('µ', 'KeyM', { altKey: true })), true);
+    assert.equal(matches('Alt+E', keydown('Dead', 'KeyE', { altKey: true })), true);
+    assert.equal(matches('Alt+Shift+L', keydown('Ò', 'KeyL', { altKey: true, shiftKey: true })), true);
+    assert.equal(matches('Alt+N', keydown('µ', 'KeyM', { altKey: true })), false);
+});
+
+test('layouts: event.key wins without Alt, Shift falls back to event.code', () => {
+    // AZERTY: the key labelled A is at the QWERTY Q position
+    assert.equal(matches('A', keydown('a', 'KeyQ')), true);
+    assert.equal(matches('Q', keydown('a', 'KeyQ')), false);
+    // Shift+1 types '!'
+    assert.equal(matches('Shift+1', keydown('!', 'Digit1', { shiftKey: true })), true);
+    assert.equal(matches('Ctrl+Slash', keydown('/', 'Slash', { ctrlKey: true })), true);
+    assert.equal(matches('Space', keydown(' ', 'Space')), true);
+});
+
+test('mouse bindings match click and contextmenu events', () => {
+    assert.equal(matches('Alt+Click', { type: 'click', altKey: true }), true);
+    assert.equal(matches('Alt+Click', { type: 'contextmenu', altKey: true }), false);
+    assert.equal(matches('Alt+RightClick', { type: 'contextmenu', altKey: true }), true);
+    assert.equal(matches('Alt+Click', { type: 'click', altKey: true, metaKey: true }), false);
+    assert.equal(matches('Alt+M', { type: 'click', altKey: true }), false);
+});
+
+test('isHeld and isReleasing track buffer keys by code', () => {
+    const binding = Shortcuts.parseBinding('Alt+Z');
+
+    assert.equal(Shortcuts.isHeld(binding, new Set(['AltLeft', 'KeyZ']), { altKey: true }), true);
+    assert.equal(Shortcuts.isHeld(binding, new Set(['AltLeft']), { altKey: true }), false);
+    assert.equal(Shortcuts.isHeld(binding, new Set(['KeyZ']), { altKey: false }), false);
+
+    assert.equal(Shortcuts.isReleasing(binding, { key: 'Ω', code: 'KeyZ' }), true);
+    assert.equal(Shortcuts.isReleasing(binding, { key: 'Alt', code: 'AltRight' }), true);
+    assert.equal(Shortcuts.isReleasing(binding, { key: 'Shift', code: 'ShiftLeft' }), false);
+});
+
+test('isTypingBinding is true for keys without Ctrl, Alt or Meta', () => {
+    assert.equal(Shortcuts.isTypingBinding(Shortcuts.parseBinding('M')), true);
+    assert.equal(Shortcuts.isTypingBinding(Shortcuts.parseBinding('Shift+M')), true);
+    assert.equal(Shortcuts.isTypingBinding(Shortcuts.parseBinding('Alt+M')), false);
+    assert.equal(Shortcuts.isTypingBinding(Shortcuts.parseBinding('Click')), false);
+});
+
+test('matchesSite matches the site and its subdomains', () => {
+    assert.equal(Shortcuts.matchesSite('youtube.com', 'youtube.com'), true);
+    assert.equal(Shortcuts.matchesSite('youtube.com', 'www.YouTube.com'), true);
+    assert.equal(Shortcuts.matchesSite('*.google.com', 'mail.google.com'), true);
+    assert.equal(Shortcuts.matchesSite('youtube.com', 'notyoutube.com'), false);
+    assert.equal(Shortcuts.matchesSite('mail.google.com', 'google.com'), false);
+});
+
+test('resolveShortcuts applies site lists and the most specific override', () => {
+    const texts = resolved => ({
+        menu: resolved.shortcuts.menu.map(binding => binding.text),
+        buffer: resolved.shortcuts.buffer.map(binding => binding.text)
+    });
+    const overrides = {
+        ...Shortcuts.DEFAULT_SITE_OVERRIDES,
+        'google.com': { menu: ['Alt+G'] },
+        'docs.google.com': { buffer: ['Alt+X'] }
+    };
+
+    assert.deepEqual(texts(Shortcuts.resolveShortcuts({}, 'example.com')), Shortcuts.DEFAULT_SHORTCUTS);
+    assert.deepEqual(texts(Shortcuts.resolveShortcuts({ overrides }, 'www.youtube.com')).menu,
+        ['Alt+Click', 'Alt+RightClick', 'Alt+M']);
+
+    const mail = Shortcuts.resolveShortcuts({ overrides }, 'mail.google.com');
+    assert.equal(mail.site, 'mail.google.com');
+    assert.deepEqual(texts(mail).menu, ['Alt+Click', 'Alt+RightClick', 'Alt+M']);
+    assert.deepEqual(texts(Shortcuts.resolveShortcuts({ overrides }, 'www.google.com')).menu, ['Alt+G']);
+    assert.deepEqual(texts(Shortcuts.resolveShortcuts({ overrides }, 'docs.google.com')), {
+        menu: Shortcuts.DEFAULT_SHORTCUTS.menu,
+        buffer: ['Alt+X']
+    });
+
+    const disabled = Shortcuts.resolveShortcuts({ disabledSites: ['youtube.com'] }, 'm.youtube.com');
+    assert.equal(disabled.enabled, false);
+    assert.deepEqual(texts(disabled), { menu: [], buffer: [] });
+    assert.equal(Shortcuts.resolveShortcuts({ enabledSites: ['github.com'] }, 'example.com').enabled, false);
+    assert.equal(Shortcuts.resolveShortcuts({ enabledSites: ['github.com'] }, 'gist.github.com').enabled, true);
+});
+
+test('findConflicts reports bindings shared by actions', () => {
+    assert.deepEqual(Shortcuts.findConflicts(Shortcuts.DEFAULT_SHORTCUTS), []);
+    assert.deepEqual(Shortcuts.findConflicts({ menu: ['Alt+M', 'option+z'], buffer: ['Alt+Z'] }),
+        [{ binding: 'Alt+Z', actions: ['menu', 'buffer'] }]);
+    assert.deepEqual(Shortcuts.findConflicts({ menu: ['Alt+M', 'alt+m'], buffer: ['Alt+Z'] }), []);
+});
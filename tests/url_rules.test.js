@@ -0,0 +1,194 @@
+/**
+ * @file url_rules.test.js
+ * @description Unit tests for markdown_linker's per-site URL cleaning rules: one test per rule,
+ * plus the rule engine itself (parameter patterns, templates, custom rules)
+ * @author Zakk Hoyt
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @see {@link https://nodejs.org/api/test.html node:test}
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const UrlRules = require('../markdown_linker/url_rules.js');
+const AmazonToolkit = require('../amazon_toolkit/index.js');
+
+/**
+ * Asserts that a URL is matched by the named rule and cleaned to the expected URL
+ * @param {string} ruleName - Expected rule name
+ * @param {string} url - URL to clean
+ * @param {string} expected - Expected cleaned URL
+ * @param {Object} [options] - cleanUrl() options
+ */
+function assertCleaned(ruleName, url, expected, options) {
+    assert.equal(UrlRules.findRule(url).name, ruleName, url);
+    assert.equal(UrlRules.cleanUrl(url, options), expected, url);
+}
+
+test('every built-in rule is covered by a test', () => {
+    const tested = [
+        'Google redirect', 'Google search', 'YouTube short link', 'YouTube', 'GitHub', 'Reddit',
+        'Twitter / X', 'LinkedIn', 'eBay item', 'AliExpress item', 'Amazon product', 'Amazon'
+    ];
+    assert.deepEqual(UrlRules.DEFAULT_RULES.map(rule => rule.name), tested);
+});
+
+test('Google redirect: unwraps /url?q= and cleans the target', () => {
+    assertCleaned('Google redirect',
+        'https://www.google.com/url?sa=t&rct=j&q=&esrc=s&url=https%3A%2F%2Fexample.com%2Farticle%3Futm_source%3Dgoogle%26id%3D7&usg=AOvVaw',
+        'https://example.com/article?id=7');
+    assertCleaned('Google redirect',
+        'https://www.google.co.uk/url?q=https://youtu.be/dQw4w9WgXcQ%3Fsi%3Dabc&sa=U&ved=2ahUKE',
+        'https://youtu.be/dQw4w9WgXcQ');
+});
+
+test('Google search: keeps the query only', () => {
+    assertCleaned('Google search',
+        'https://www.google.com/search?q=markdown+links&sca_esv=123&source=hp&ei=abc&oq=markdown&gs_lp=xyz',
+        'https://www.google.com/search?q=markdown+links');
+});
+
+test('YouTube short link: drops si and feature, keeps the timestamp', () => {
+    assertCleaned('YouTube short link', 'https://youtu.be/dQw4w9WgXcQ?si=AbC123xyz&t=42', 'https://youtu.be/dQw4w9WgXcQ?t=42');
+    assertCleaned('YouTube short link', 'https://youtu.be/dQw4w9WgXcQ?feature=shared', 'https://youtu.be/dQw4w9WgXcQ');
+});
+
+test('YouTube: keeps video, time and playlist on www.youtube.com', () => {
+    assertCleaned('YouTube',
+        'https://m.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123&pp=ygUE&si=abc&ab_channel=RickAstley',
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PL123');
+    assertCleaned('YouTube', 'https://www.youtube.com/shorts/abc123XYZ_-?feature=share', 'https://www.youtube.com/shorts/abc123XYZ_-');
+});
+
+test('GitHub: drops the readme tab and referral parameters, keeps other tabs', () => {
+    assertCleaned('GitHub', 'https://github.com/zakkhoyt/greasemonkey?tab=readme-ov-file', 'https://github.com/zakkhoyt/greasemonkey');
+    assertCleaned('GitHub', 'https://github.com/zakkhoyt?tab=repositories&ref_cta=Sign+up', 'https://github.com/zakkhoyt?tab=repositories');
+});
+
+test('Reddit: drops share tracking', () => {
+    assertCleaned('Reddit',
+        'https://www.reddit.com/r/userscripts/comments/abc123/title/?share_id=XyZ&utm_medium=android_app&utm_source=share&context=3',
+        'https://www.reddit.com/r/userscripts/comments/abc123/title/?context=3');
+});
+
+test('Twitter / X: moves to x.com and drops s= and t=', () => {
+    assertCleaned('Twitter / X', 'https://twitter.com/someone/status/1234567890?s=20&t=AbCdEf', 'https://x.com/someone/status/1234567890');
+    assertCleaned('Twitter / X', 'https://mobile.twitter.com/search?q=violentmonkey&src=typed_query&f=live',
+        'https://x.com/search?q=violentmonkey&f=live');
+});
+
+test('LinkedIn: drops trk and tracking IDs', () => {
+    assertCleaned('LinkedIn',
+        'https://uk.linkedin.com/in/someone?trk=people-guest_people_search-card&originalSubdomain=uk',
+        'https://www.linkedin.com/in/someone');
+    assertCleaned('LinkedIn',
+        'https://www.linkedin.com/jobs/view/3812345678/?refId=abc&trackingId=def&trk=flagship3_search_srp_jobs',
+        'https://www.linkedin.com/jobs/view/3812345678/');
+});
+
+test('eBay item: rewrites to /itm/{id} and keeps the variation', () => {
+    assertCleaned('eBay item',
+        'https://www.ebay.com/itm/Vintage-Camera-Lens/123456789012?hash=item1cbe&_trkparms=abc&var=0&epid=555',
+        'https://www.ebay.com/itm/123456789012?var=0');
+    assertCleaned('eBay item', 'https://www.ebay.co.uk/itm/123456789012?mkcid=16&mkevt=1', 'https://www.ebay.co.uk/itm/123456789012');
+});
+
+test('AliExpress item: rewrites to /item/{id}.html and drops spm', () => {
+    assertCleaned('AliExpress item',
+        'https://www.aliexpress.com/item/1005001234567890.html?spm=a2g0o.productlist.main.1&algo_pvid=abc&pdp_npi=4%40dis',
+        'https://www.aliexpress.com/item/1005001234567890.html');
+});
+
+test('Amazon product: delegates to AmazonToolkit.cleanURL', () => {
+    const options = { amazonToolkit: AmazonToolkit };
+    assertCleaned('Amazon product',
+        'https://www.amazon.com/Nintendo-Switch-OLED/dp/B08N5WRWNW/ref=sr_1_1?crid=ABC&keywords=switch&th=1&psc=1',
+        'https://www.amazon.com/dp/B08N5WRWNW', options);
+
+    // Sponsored redirects are unwrapped by the toolkit
+    assertCleaned('Amazon',
+        'https://www.amazon.com/sspa/click?ie=UTF8&spc=MTo&url=%2FSony-WH-1000XM4%2Fdp%2FB0863TXGM3%2Fref%3Dsr_1_1_sspa%3Fpsc%3D1',
+        'https://www.amazon.com/dp/B0863TXGM3', options);
+});
+
+test('Amazon product: falls back to /dp/{asin} without the toolkit', () => {
+    assertCleaned('Amazon product',
+        'https://www.amazon.co.uk/Nintendo-Switch-OLED/gp/product/B08N5WRWNW/ref=ox_sc?th=1&tag=other-21',
+        'https://www.amazon.co.uk/dp/B08N5WRWNW');
+});
+
+test('Amazon: drops Amazon tracking on other pages', () => {
+    assertCleaned('Amazon',
+        'https://www.amazon.com/s?k=headphones&crid=2ABC&sprefix=head%2Caps%2C150&ref=nb_sb_noss_1',
+        'https://www.amazon.com/s?k=headphones');
+    assertCleaned('Amazon',
+        'https://www.amazon.com/stores/page/ABC-123?ref_=ast_bln&store_ref=bl_ast',
+        'https://www.amazon.com/stores/page/ABC-123?store_ref=bl_ast', { amazonToolkit: AmazonToolkit });
+});
+
+test('Amazon: applies the affiliate option on other pages', () => {
+    const searchURL = 'https://www.amazon.com/s?k=switch&tag=abc-20&linkCode=ll2&ref=nb';
+    const withPolicy = (affiliate) => ({ amazonToolkit: AmazonToolkit, affiliate });
+
+    assertCleaned('Amazon', searchURL, 'https://www.amazon.com/s?k=switch', withPolicy(undefined));
+    assertCleaned('Amazon', searchURL, 'https://www.amazon.com/s?k=switch&tag=abc-20&linkCode=ll2',
+        withPolicy({ policy: 'preserve' }));
+    assertCleaned('Amazon', searchURL, 'https://www.amazon.com/s?k=switch&tag=mystore-20',
+        withPolicy({ policy: 'replace', tag: 'mystore-20' }));
+});
+
+test('Amazon: applies the affiliate option to product URLs', () => {
+    const productURL = 'https://www.amazon.com/Nintendo-Switch/dp/B08N5WRWNW/ref=sr_1_1?tag=abc-20&linkCode=ll1';
+    const affiliate = { policy: 'replace', tag: 'mystore-20' };
+
+    assertCleaned('Amazon product', productURL, 'https://www.amazon.com/dp/B08N5WRWNW?tag=mystore-20',
+        { amazonToolkit: AmazonToolkit, affiliate });
+    assertCleaned('Amazon product', productURL, 'https://www.amazon.com/dp/B08N5WRWNW',
+        { amazonToolkit: AmazonToolkit });
+});
+
+test('URLs without a rule only lose global tracking parameters', () => {
+    assert.equal(UrlRules.findRule('https://example.com/'), null);
+    assert.equal(UrlRules.cleanUrl('https://example.com/post?id=3&utm_source=x&fbclid=abc&ref=home#comments'),
+        'https://example.com/post?id=3&ref=home#comments');
+    assert.equal(UrlRules.cleanUrl('not a url'), 'not a url');
+});
+
+test('the trackingParams option replaces the global tracking parameters', () => {
+    const trackingParams = [...UrlRules.TRACKING_PARAMS, 'ref'];
+    assert.equal(UrlRules.cleanUrl('https://example.com/post?id=3&utm_source=x&ref=home', { trackingParams }),
+        'https://example.com/post?id=3');
+    assert.equal(UrlRules.cleanUrl('https://example.com/post?id=3&utm_source=x', { trackingParams: [] }),
+        'https://example.com/post?id=3&utm_source=x');
+});
+
+test('parameter patterns: exact, prefix and name=value', () => {
+    assert.equal(UrlRules.matchesParam('si', 'si', 'x'), true);
+    assert.equal(UrlRules.matchesParam('si', 'sig', 'x'), false);
+    assert.equal(UrlRules.matchesParam('trk*', 'trkInfo', 'x'), true);
+    assert.equal(UrlRules.matchesParam('tab=readme-ov-file', 'tab', 'readme-ov-file'), true);
+    assert.equal(UrlRules.matchesParam('tab=readme-ov-file', 'tab', 'stars'), false);
+    assert.equal(UrlRules.fillTemplate('/item/{id}.html', { id: '42' }), '/item/42.html');
+});
+
+test('sites can be added with a rule, without touching cleanUrl', () => {
+    const rules = [
+        {
+            name: 'Etsy listing',
+            hosts: /^(www\.)?etsy\.com$/i,
+            path: /^\/listing\/(?<id>\d+)/,
+            rewrite: '/listing/{id}',
+            keep: []
+        },
+        ...UrlRules.DEFAULT_RULES
+    ];
+
+    assert.equal(UrlRules.cleanUrl('https://www.etsy.com/listing/1234567/handmade-mug?ga_order=most_relevant&ref=sr_gallery-1-1', { rules }),
+        'https://www.etsy.com/listing/1234567');
+    assert.equal(UrlRules.cleanUrl('https://youtu.be/dQw4w9WgXcQ?si=abc', { rules }), 'https://youtu.be/dQw4w9WgXcQ');
+});
@@ -0,0 +1,89 @@
+/**
+ * @file namespace_helpers.js
+ * @description Module registration utilities shared by userscript libraries
+ * @author Zakk Hoyt
+ * @namespace UserscriptCommon.Namespace
+ *
+ * Lets a library module work both when loaded via @require (all files share one scope
+ * and one global object) and when loaded via require() in Node.js.
+ *
+ * Each module wraps its code in a factory function so that its functions never leak
+ * into the shared @require scope. In a userscript, the module resolves its dependencies
+ * from the global namespace tree (e.g. `UserscriptCommon.DOM`) and registers its own
+ * exports there (e.g. `AmazonToolkit.Extractors.Product`). In Node.js it uses
+ * require() and module.exports instead.
+ *
+ * This file must be the first @require of any script that uses these libraries.
+ *
+ * @see {@link https://violentmonkey.github.io/api/metadata-block/#require ViolentMonkey @require}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/globalThis MDN globalThis}
+ */
+
+'use strict';
+
+(function(root) {
+
+    /**
+     * Resolves a dot-separated namespace path on the global object
+     * @param {string} path - Namespace path (e.g. 'UserscriptCommon.DOM')
+     * @param {Object} [context=root] - Object to resolve the path from (defaults to the global object)
+     * @returns {Object} The namespace object
+     * @throws {Error} If any part of the path has not been registered (missing or misordered @require)
+     *
+     * @example
+     * const DOM = resolveNamespace('UserscriptCommon.DOM');
+     * const element = DOM.safeQuery('#productTitle');
+     */
+    function resolveNamespace(path, context = root) {
+        let node = context;
+        for (const key of path.split('.')) {
+            if (!node || typeof node[key] === 'undefined') {
+                throw new Error(`Namespace not registered: '${path}' (is the module @require'd before its dependents?)`);
+            }
+            node = node[key];
+        }
+        return node;
+    }
+
+    /**
+     * Registers exports on a dot-separated namespace path on the global object
+     * Intermediate namespaces are created as needed. If the namespace already exists,
+     * the exports are merged into it so sibling modules can share a parent namespace.
+     * @param {string} path - Namespace path (e.g. 'AmazonToolkit.Extractors.Product')
+     * @param {Object} exports - Object containing the module's public functions
+     * @param {Object} [context=root] - Object to register on (defaults to the global object)
+     * @returns {Object} The registered namespace object
+     *
+     * @example
+     * registerNamespace('AmazonToolkit.Links.Image', { extractImageID, buildImageURL });
+     */
+    function registerNamespace(path, exports, context = root) {
+        const keys = path.split('.');
+        const lastKey = keys.pop();
+
+        let node = context;
+        for (const key of keys) {
+            if (!node[key] || typeof node[key] !== 'object') {
+                node[key] = {};
+            }
+            node = node[key];
+        }
+
+        node[lastKey] = Object.assign(node[lastKey] || {}, exports);
+        return node[lastKey];
+    }
+
+    const NamespaceHelpers = {
+        resolveNamespace,
+        registerNamespace
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js / CommonJS export
+        module.exports = NamespaceHelpers;
+    } else {
+        // Browser / userscript (@require)
+        registerNamespace('UserscriptCommon.Namespace', NamespaceHelpers);
+    }
+
+})(typeof globalThis !== 'undefined' ? globalThis : this);